@@ -70,18 +70,19 @@ export async function verify(data, signature, publicKey) {
   // Handle both 33-byte (with prefix) and 32-byte (raw) public keys
   let keyBytes = publicKey instanceof ArrayBuffer ? new Uint8Array(publicKey) : publicKey;
 
-  // If key is 32 bytes (raw Curve25519), add 0x05 prefix for libsignal compatibility
-  if (keyBytes.length === 32) {
-    const prefixedKey = new Uint8Array(33);
-    prefixedKey[0] = 0x05;
-    prefixedKey.set(keyBytes, 1);
-    keyBytes = prefixedKey;
+  // The curve expects the raw 32-byte key, so strip libsignal's 0x05 prefix
+  if (keyBytes.length === 33 && keyBytes[0] === 0x05) {
+    keyBytes = keyBytes.slice(1);
+  }
+
+  if (keyBytes.length !== 32 || sigBuffer.byteLength !== 64) {
+    return false;
   }
 
   try {
-    // verify(pubKey, message, signature) - pubKey should be 33 bytes with prefix
-    const result = await curve.verify(keyBytes, dataBuffer, sigBuffer);
-    return result === true || result === undefined;
+    // verify(pubKey, message, signature) returns true when the signature is INVALID
+    const invalid = await curve.verify(keyBytes, dataBuffer, sigBuffer);
+    return invalid === false;
   } catch (e) {
     return false;
   }
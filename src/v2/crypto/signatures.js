@@ -1,6 +1,7 @@
 /**
  * Signature Helpers
- * Sign/verify for recovery key revocations and link code challenges
+ * Sign/verify for recovery key revocations, link code challenges, ORM entries
+ * and message edits
  */
 
 import { mnemonicToSeed, validateMnemonic } from './bip39.js';
@@ -118,13 +119,60 @@ export function serializeAnnounceForSigning(announce) {
   return new TextEncoder().encode(json);
 }
 
+/**
+ * Serialize an ORM model entry for signing
+ * Object keys are sorted recursively so the sender (original data) and the
+ * receiver (JSON-decoded data) produce identical bytes
+ *
+ * @param {string} modelName - Model name (e.g., 'story')
+ * @param {object} entry - { id, data, timestamp, authorDeviceId }
+ * @returns {Uint8Array}
+ */
+export function serializeModelEntryForSigning(modelName, entry) {
+  const data = {
+    model: modelName,
+    id: entry.id,
+    data: entry.data,
+    timestamp: entry.timestamp,
+    authorDeviceId: entry.authorDeviceId,
+  };
+  const json = JSON.stringify(data, (key, value) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const sorted = {};
+      for (const k of Object.keys(value).sort()) {
+        sorted[k] = value[k];
+      }
+      return sorted;
+    }
+    return value;
+  });
+  return new TextEncoder().encode(json);
+}
+
+/**
+ * Serialize a message edit or unsend for signing
+ *
+ * @param {object} revision - { messageId, text, deleted, timestamp, authorDeviceId }
+ * @returns {Uint8Array}
+ */
+export function serializeMessageRevisionForSigning(revision) {
+  const data = {
+    messageId: revision.messageId,
+    text: revision.deleted ? '' : (revision.text || ''),
+    deleted: !!revision.deleted,
+    timestamp: revision.timestamp,
+    authorDeviceId: revision.authorDeviceId,
+  };
+  return new TextEncoder().encode(JSON.stringify(data));
+}
+
 /**
  * Normalize various key formats to Uint8Array
  * Handles: Uint8Array, ArrayBuffer, Array, plain object (from JSON), base64 string
  * @param {*} key - Key in various formats
  * @returns {Uint8Array|null} Normalized key or null if invalid
  */
-function normalizeKeyToUint8Array(key) {
+export function normalizeKeyToUint8Array(key) {
   if (!key) return null;
 
   // Already Uint8Array
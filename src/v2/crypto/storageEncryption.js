@@ -0,0 +1,255 @@
+/**
+ * Storage encryption (at rest) using AES-GCM
+ * Local stores seal their records with a random data key. The data key is
+ * wrapped with the user's password (see keyEncryption.js), unlocked at
+ * login and held in keyCache for the session.
+ *
+ * Sealed records keep the fields IndexedDB needs for keys and indexes in
+ * the clear; everything else is in `sealed: { iv, ciphertext }`.
+ */
+
+const DATA_KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TERM_HASH_LENGTH = 16;
+
+// Last imported keys, so each operation doesn't re-import the raw bytes
+let importedRaw = null;
+let importedKey = null;
+let termKeyRaw = null;
+let termKey = null;
+
+/**
+ * Generate a new random data key
+ * @returns {Uint8Array} 256-bit raw key
+ */
+export function generateDataKey() {
+  return crypto.getRandomValues(new Uint8Array(DATA_KEY_LENGTH));
+}
+
+/**
+ * Import a raw data key for AES-GCM
+ * @param {Uint8Array} rawKey
+ * @returns {Promise<CryptoKey>}
+ */
+async function importDataKey(rawKey) {
+  if (importedRaw === rawKey) return importedKey;
+  const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  importedRaw = rawKey;
+  importedKey = key;
+  return key;
+}
+
+/**
+ * Serialize a value for encryption
+ * Handles ArrayBuffer/Uint8Array conversion for JSON
+ */
+function serialize(value) {
+  return JSON.stringify(value, (key, v) => {
+    if (v instanceof ArrayBuffer) {
+      return { __type: 'ArrayBuffer', data: Array.from(new Uint8Array(v)) };
+    }
+    if (v instanceof Uint8Array) {
+      return { __type: 'Uint8Array', data: Array.from(v) };
+    }
+    return v;
+  });
+}
+
+/**
+ * Deserialize a value after decryption
+ * Restores ArrayBuffer/Uint8Array from JSON
+ */
+function deserialize(json) {
+  return JSON.parse(json, (key, v) => {
+    if (v && typeof v === 'object') {
+      if (v.__type === 'ArrayBuffer') {
+        return new Uint8Array(v.data).buffer;
+      }
+      if (v.__type === 'Uint8Array') {
+        return new Uint8Array(v.data);
+      }
+    }
+    return v;
+  });
+}
+
+/**
+ * Encrypt raw bytes
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @param {Uint8Array} rawKey - Data key
+ * @returns {Promise<object>} { iv, ciphertext } as Uint8Array
+ */
+export async function sealBytes(bytes, rawKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    await importDataKey(rawKey),
+    bytes
+  );
+  return { iv, ciphertext: new Uint8Array(ciphertext) };
+}
+
+/**
+ * Decrypt bytes sealed with sealBytes()
+ * @param {object} sealed - { iv, ciphertext }
+ * @param {Uint8Array} rawKey - Data key
+ * @returns {Promise<ArrayBuffer>}
+ * @throws {Error} If the key is wrong or the data is corrupted
+ */
+export async function openBytes(sealed, rawKey) {
+  try {
+    return await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: sealed.iv },
+      await importDataKey(rawKey),
+      sealed.ciphertext
+    );
+  } catch (e) {
+    throw new Error('Decryption failed - wrong data key or corrupted record');
+  }
+}
+
+/**
+ * Wrap a data key for keeping across sessions
+ * The wrapping key is a non-extractable CryptoKey: it can be stored in
+ * IndexedDB and used by this origin, but its bytes can't be read back.
+ *
+ * @param {Uint8Array} rawKey - Data key
+ * @returns {Promise<object>} { wrappingKey, iv, ciphertext }
+ */
+export async function wrapDataKey(rawKey) {
+  const wrappingKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, rawKey);
+  return { wrappingKey, iv, ciphertext: new Uint8Array(ciphertext) };
+}
+
+/**
+ * Unwrap a data key wrapped with wrapDataKey()
+ * @param {object} wrapped - { wrappingKey, iv, ciphertext }
+ * @returns {Promise<Uint8Array>} Data key
+ */
+export async function unwrapDataKey(wrapped) {
+  const { wrappingKey, iv, ciphertext } = wrapped;
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, wrappingKey, ciphertext));
+}
+
+/**
+ * Encrypt a record, keeping some fields in the clear
+ * Without a data key (e.g. Node tests) the record is returned as-is.
+ *
+ * @param {object} record
+ * @param {Array<string>} plainFields - Fields IndexedDB keys or indexes on
+ * @param {Uint8Array|null} rawKey - Data key
+ * @returns {Promise<object>} { ...plainFields, sealed: { iv, ciphertext } }
+ */
+export async function sealRecord(record, plainFields, rawKey) {
+  if (!rawKey) return record;
+
+  const plain = {};
+  const secret = {};
+  for (const [field, value] of Object.entries(record)) {
+    if (value === undefined) continue;
+    if (plainFields.includes(field)) plain[field] = value;
+    else secret[field] = value;
+  }
+
+  const sealed = await sealBytes(new TextEncoder().encode(serialize(secret)), rawKey);
+  return { ...plain, sealed };
+}
+
+/**
+ * Decrypt a record sealed with sealRecord()
+ * Records stored before encryption was enabled pass through unchanged.
+ *
+ * @param {object|null} record
+ * @param {Uint8Array|null} rawKey - Data key
+ * @returns {Promise<object|null>}
+ * @throws {Error} If the record is sealed and the key is missing or wrong
+ */
+export async function openRecord(record, rawKey) {
+  if (!record?.sealed) return record;
+  if (!rawKey) {
+    throw new Error('Storage is locked - log in to decrypt');
+  }
+
+  const { sealed, ...plain } = record;
+  const secret = deserialize(new TextDecoder().decode(await openBytes(sealed, rawKey)));
+  return { ...plain, ...secret };
+}
+
+/**
+ * Decrypt many records, dropping (and logging) any that can't be read
+ * @param {Array<object>} records
+ * @param {Uint8Array|null} rawKey - Data key
+ * @param {string} label - Store name for the log
+ * @returns {Promise<Array<object>>}
+ */
+export async function openRecords(records, rawKey, label) {
+  const opened = [];
+  let failed = 0;
+  for (const record of records) {
+    try {
+      opened.push(await openRecord(record, rawKey));
+    } catch (e) {
+      failed++;
+    }
+  }
+  if (failed > 0) {
+    console.warn(`[${label}] Skipped ${failed} record(s) that could not be decrypted`);
+  }
+  return opened;
+}
+
+/**
+ * Keyed hashes of search terms, so an index on disk doesn't reveal words
+ * Without a data key, terms map to themselves.
+ *
+ * @param {Array<string>} terms
+ * @param {Uint8Array|null} rawKey - Data key
+ * @returns {Promise<Map<string, string>>} term -> hex digest
+ */
+export async function hashTerms(terms, rawKey) {
+  const hashes = new Map();
+  if (!rawKey) {
+    for (const term of terms) hashes.set(term, term);
+    return hashes;
+  }
+
+  const key = await importTermKey(rawKey);
+  const encoder = new TextEncoder();
+  for (const term of terms) {
+    if (hashes.has(term)) continue;
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(term)));
+    hashes.set(term, Array.from(mac.slice(0, TERM_HASH_LENGTH), b => b.toString(16).padStart(2, '0')).join(''));
+  }
+  return hashes;
+}
+
+/**
+ * HMAC key for search terms, derived from the data key with HKDF
+ * @param {Uint8Array} rawKey
+ * @returns {Promise<CryptoKey>}
+ */
+async function importTermKey(rawKey) {
+  if (termKeyRaw === rawKey) return termKey;
+  const material = await crypto.subtle.importKey('raw', rawKey, 'HKDF', false, ['deriveKey']);
+  const key = await crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode('obscura-search-terms') },
+    material,
+    { name: 'HMAC', hash: 'SHA-256', length: 256 },
+    false,
+    ['sign']
+  );
+  termKeyRaw = rawKey;
+  termKey = key;
+  return key;
+}
+
+/**
+ * Check if a stored record is sealed
+ * @param {object} record
+ * @returns {boolean}
+ */
+export function isSealed(record) {
+  return !!record?.sealed;
+}
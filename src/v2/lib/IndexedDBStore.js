@@ -7,6 +7,7 @@
  */
 
 import { keyCache } from './keyCache.js';
+import { wrapDataKey, unwrapDataKey } from '../crypto/storageEncryption.js';
 
 const DB_NAME_PREFIX = 'obscura_signal_v2';
 const DB_VERSION = 1;
@@ -234,6 +235,35 @@ export class IndexedDBStore {
     };
   }
 
+  /**
+   * Store the password-wrapped data key (encrypts local stores at rest)
+   * @param {object} encrypted - { salt, iv, ciphertext }
+   */
+  async storeEncryptedDataKey(encrypted) {
+    const store = await this._getStore(STORES.IDENTITY, 'readwrite');
+    await this._promisify(store.put({
+      id: 'dataKey',
+      salt: encrypted.salt,
+      iv: encrypted.iv,
+      ciphertext: encrypted.ciphertext,
+    }));
+  }
+
+  /**
+   * Load the password-wrapped data key
+   * @returns {object|null} { salt, iv, ciphertext }
+   */
+  async loadEncryptedDataKey() {
+    const store = await this._getStore(STORES.IDENTITY);
+    const record = await this._promisify(store.get('dataKey'));
+    if (!record?.ciphertext) return null;
+    return {
+      salt: new Uint8Array(record.salt),
+      iv: new Uint8Array(record.iv),
+      ciphertext: new Uint8Array(record.ciphertext),
+    };
+  }
+
   /**
    * Delete unencrypted identity data (after migration)
    */
@@ -259,13 +289,49 @@ export class IndexedDBStore {
    */
   async saveSessionKeys(identityKeyPair, registrationId) {
     const store = await this._getStore(STORES.IDENTITY, 'readwrite');
+    const existing = await this._promisify(store.get('sessionKeys'));
     await this._promisify(store.put({
       id: 'sessionKeys',
       identityKeyPair,
       registrationId,
+      wrappedDataKey: existing?.wrappedDataKey,
     }));
   }
 
+  /**
+   * Save the unlocked data key alongside the session keys
+   * Only a wrapped form is stored: the raw key stays in memory and
+   * sessionStorage (keyCache).
+   * @param {Uint8Array} dataKey
+   */
+  async saveSessionDataKey(dataKey) {
+    const wrappedDataKey = await wrapDataKey(dataKey);
+    const store = await this._getStore(STORES.IDENTITY, 'readwrite');
+    const existing = await this._promisify(store.get('sessionKeys'));
+    const record = { ...(existing || {}), id: 'sessionKeys', wrappedDataKey };
+    await this._promisify(store.put(record));
+  }
+
+  /**
+   * Get the data key from cache or the saved session
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async getSessionDataKey() {
+    const cached = keyCache.getDataKey();
+    if (cached) return cached;
+
+    const store = await this._getStore(STORES.IDENTITY);
+    const sessionRecord = await this._promisify(store.get('sessionKeys'));
+    if (!sessionRecord?.wrappedDataKey) return null;
+    try {
+      keyCache.setDataKey(await unwrapDataKey(sessionRecord.wrappedDataKey));
+      return keyCache.getDataKey();
+    } catch (e) {
+      console.warn('Failed to unwrap saved data key:', e.message);
+      return null;
+    }
+  }
+
   /**
    * Clear session keys from IndexedDB (called on logout)
    */
@@ -5,22 +5,29 @@
 
 import { FriendManager } from './friends.js';
 import { DeviceManager, parseLinkCode, buildLinkApproval } from './devices.js';
-import { Messenger, MessageType } from './messenger.js';
+import { Messenger, MessageType, isMessageId } from './messenger.js';
 import { AttachmentManager } from './attachments.js';
 import { createStore } from './store.js';
 import { keyCache } from './keyCache.js';
 import { createMessageStore } from '../store/messageStore.js';
+import { createSearchStore } from '../store/searchStore.js';
+import { SearchIndex } from './search.js';
+import { StorageQuotaManager } from './storageQuota.js';
 import { createFriendStore } from '../store/friendStore.js';
 import { createDeviceStore } from '../store/deviceStore.js';
 import { createAttachmentStore } from '../store/attachmentStore.js';
+import { createOutboxStore } from '../store/outboxStore.js';
 import { compress, decompress } from '../crypto/compress.js';
 import {
   signWithRecoveryPhrase,
   verifyRecoverySignature,
   verifyLinkChallenge,
   serializeAnnounceForSigning,
+  serializeMessageRevisionForSigning,
+  normalizeKeyToUint8Array,
   generateVerifyCodeFromRecoveryKey,
 } from '../crypto/signatures.js';
+import { sign, verify } from '../crypto/ed25519.js';
 import { KeyHelper } from '@privacyresearch/libsignal-protocol-typescript';
 import { bytesToUuid, uuidToBytes } from '../crypto/uuid.js';
 import { createSchema } from '../orm/index.js';
@@ -43,6 +50,20 @@ const PREKEY_REPLENISH_COUNT = 50;
 // Token refresh: refresh at 80% of TTL to avoid expiry during use
 const TOKEN_REFRESH_RATIO = 0.8;
 
+// Typing indicators: resend "typing" at most this often per conversation,
+// and recipients drop a "typing" they haven't heard again within the timeout
+export const TYPING_RESEND_MS = 3000;
+export const TYPING_TIMEOUT_MS = 6000;
+// Typing messages older than this were queued while we were offline (loose,
+// since it compares against the sender's clock)
+const TYPING_STALE_MS = 30000;
+
+// Quoted replies carry at most this much of the original's text
+const REPLY_SNIPPET_LENGTH = 100;
+
+// Reactions are a single emoji; longer ones from a friend are dropped
+const REACTION_MAX_LENGTH = 16;
+
 export class ObscuraClient {
   constructor(opts) {
     this.apiUrl = opts.apiUrl;
@@ -78,12 +99,21 @@ export class ObscuraClient {
     // Managers (with persistence)
     this.friends = new FriendManager(this._friendStore);
     this.devices = new DeviceManager(this.userId, this._deviceStore);
+
+    // Durable outbox for sends (browser only)
+    this._outboxStore = null;
+    if (typeof window !== 'undefined' && typeof indexedDB !== 'undefined') {
+      this._outboxStore = createOutboxStore(this.userId || 'default');
+    }
+
     this.messenger = new Messenger({
       apiUrl: this.apiUrl,
       store: this.store,
       token: this.token,
       ownUserId: this.userId,
       protoBasePath: opts.protoBasePath,
+      outbox: this._outboxStore,
+      onDeliveryChange: (ref, state) => this._emit('deliveryState', { ref, state }),
     });
     // Attachment cache (browser only)
     this._attachmentStore = null;
@@ -113,6 +143,15 @@ export class ObscuraClient {
     this._ackBatchSize = 100;
     this._ackFlushMs = 200;
 
+    // Receipt buffer: `${type}:${username}` -> Set of messageIds, sent as one
+    // DELIVERY_RECEIPT / READ_RECEIPT per friend
+    this._receiptBuffer = new Map();
+    this._receiptTimer = null;
+    this._receiptFlushMs = 1000;
+
+    // Typing state we last sent, per conversation key: { active, sentAt }
+    this._typingSent = new Map();
+
     // Event handlers
     this._handlers = {
       message: [],
@@ -127,6 +166,12 @@ export class ObscuraClient {
       sentSync: [],
       syncBlob: [],
       modelSync: [],
+      schemaUpdateAvailable: [],  // Emitted when a MODEL_SYNC from a newer schema is quarantined
+      deliveryState: [],  // Emitted when an outbox message/entry becomes pending, failed or sent
+      receipt: [],  // Emitted when a friend's receipt marks sent messages delivered or read
+      typing: [],  // Emitted when a friend starts or stops typing in a chat or group
+      messageRevised: [],  // Emitted when a message is edited or deleted for everyone
+      messageReaction: [],  // Emitted when we or a friend react to a direct message
       disconnect: [],
       reconnect: [],
       error: [],
@@ -141,6 +186,27 @@ export class ObscuraClient {
       this.messageStore = createMessageStore(this.username || this.userId || 'default');
     }
 
+    // Full-text search over messages and searchable models (browser only)
+    this.searchIndex = null;
+    if (this.messageStore) {
+      this.searchIndex = new SearchIndex(
+        createSearchStore(this.username || this.userId || 'default'),
+        { messageStore: this.messageStore },
+      );
+    }
+
+    // Local storage usage and attachment cache limits (browser only)
+    this.storage = null;
+    if (this._attachmentStore) {
+      this.storage = new StorageQuotaManager({
+        attachments: this._attachmentStore,
+        messages: this.messageStore,
+        models: () => this._ormSyncManager?.store,
+        search: this.searchIndex,
+      }, { namespace: this.username || this.userId });
+      this.attachments.onCached = (attachmentId, stored) => this.storage.onAttachmentCached(attachmentId, stored);
+    }
+
     // ORM Layer (initialized by schema())
     this._ormModels = null;
     this._ormSyncManager = null;
@@ -293,6 +359,9 @@ export class ObscuraClient {
       // Load recoveryPublicKey and p2pIdentity from deviceStore
       await client._loadIdentityKeys();
 
+      // Data key for encryption at rest (sessionStorage, or the saved session)
+      if (store.getSessionDataKey) await store.getSessionDataKey();
+
       logger.logSessionRestore({ username: session.username, tokenWasExpired,
         refreshAttempted: tokenWasExpired, refreshSucceeded: true });
 
@@ -332,6 +401,34 @@ export class ObscuraClient {
     }
   }
 
+  /**
+   * Encrypt data stored before encryption at rest was enabled
+   * Runs in the background, once per store per session, after the data key
+   * is unlocked.
+   * @private
+   */
+  async _encryptExistingData() {
+    if (!keyCache.getDataKey()) return;
+
+    this._encryptedStores = this._encryptedStores || new Set();
+    const stores = {
+      messages: this.messageStore,
+      attachments: this._attachmentStore,
+      models: this._ormSyncManager?.store,
+    };
+    for (const [name, store] of Object.entries(stores)) {
+      if (!store?.encryptExisting || this._encryptedStores.has(name)) continue;
+      this._encryptedStores.add(name);
+      try {
+        const count = await store.encryptExisting();
+        if (count > 0) console.log(`[ObscuraClient] Encrypted ${count} stored ${name} at rest`);
+      } catch (e) {
+        this._encryptedStores.delete(name);
+        console.warn(`[ObscuraClient] Failed to encrypt stored ${name}:`, e.message);
+      }
+    }
+  }
+
   // === Token Refresh ===
 
   /**
@@ -513,7 +610,52 @@ export class ObscuraClient {
    * @returns {Promise<SchemaBuilder>}
    */
   async schema(definitions) {
-    return createSchema(this, definitions);
+    const schema = await createSchema(this, definitions);
+    this.searchIndex?.watch(this._ormModels);
+    this._encryptExistingData();
+    return schema;
+  }
+
+  /**
+   * Search direct messages and searchable models (on-device index)
+   *
+   * Usage:
+   *   await client.search('dinner fri')
+   *   await client.search('dinner', { models: ['message'], conversations: ['alice'] })
+   *
+   * @param {string} query - Words to find; each matches as a prefix
+   * @param {object} [opts]
+   * @param {Array<string>} [opts.models] - 'message' and/or model names (default: all)
+   * @param {Array<string>} [opts.conversations] - DM usernames or group IDs
+   * @param {number} [opts.limit=50]
+   * @returns {Promise<Array>} Ranked results
+   */
+  async search(query, opts = {}) {
+    if (!this.searchIndex) {
+      throw new Error('Search not available: requires IndexedDB');
+    }
+    return this.searchIndex.search(query, opts);
+  }
+
+  /**
+   * Write to several ORM models atomically
+   * Either every write in the callback is stored and synced (as one batch
+   * per device) or none is.
+   *
+   * Usage:
+   *   await client.transaction(async (tx) => {
+   *     await tx.pix.create({ ... });
+   *     await tx.pixRegistry.increment(id, 'unviewedCount');
+   *   });
+   *
+   * @param {Function} fn - async (tx) => result
+   * @returns {Promise<*>} The callback's result
+   */
+  async transaction(fn) {
+    if (!this._ormSyncManager) {
+      throw new Error('ORM not initialized: call schema() first');
+    }
+    return this._ormSyncManager.transaction(fn);
   }
 
   /**
@@ -622,19 +764,25 @@ export class ObscuraClient {
    * @private
    */
   async _persistMessage(conversationId, message) {
+    // Incoming IDs come from the sender: replace missing or malformed ones
+    if (!isMessageId(message.messageId)) {
+      message.messageId = this.messenger.generateMessageId();
+    }
+
     // Add to in-memory cache
     this.messages.push(message);
 
     // Persist to IndexedDB
     if (this.messageStore) {
       await this.messageStore.addMessage(conversationId, {
-        messageId: message.messageId || `msg_${Date.now()}_${Math.random().toString(36).slice(2)}`,
+        messageId: message.messageId,
         content: message.text || message.content,
         contentReference: message.contentReference, // For attachments
         mediaUrl: message.mediaUrl, // For chunked attachments
         timestamp: message.timestamp || Date.now(),
         isSent: message.isSent || false,
         authorDeviceId: message.authorDeviceId || this.deviceUUID,
+        replyTo: message.replyTo,
       });
     }
   }
@@ -707,6 +855,8 @@ export class ObscuraClient {
 
     await this.messenger.loadProto();
     this._shouldReconnect = true;
+    this._encryptExistingData();
+    this.storage?.enforce().catch(e => console.warn('[ObscuraClient] Enforcing storage limits failed:', e.message));
 
     // Import ws for Node.js environment
     let WS;
@@ -735,6 +885,12 @@ export class ObscuraClient {
         // Start ping interval to keep connection alive
         this._startPingInterval();
 
+        // Resend anything left in the outbox (non-blocking)
+        this.messenger.retryPending();
+
+        // Catch up on ORM entries missed while offline (non-blocking)
+        this._ormSyncManager?.reconciler?.start();
+
         // Run TTL cleanup on connect (non-blocking)
         this._runTTLCleanup().catch(e => {
           console.warn('[ObscuraClient] TTL cleanup failed:', e.message);
@@ -755,6 +911,8 @@ export class ObscuraClient {
       const onClose = (event) => {
         logger.logGatewayDisconnect(event?.code, event?.reason);
         this._stopPingInterval();
+        this.messenger.stopRetries();
+        this._ormSyncManager?.reconciler?.stop();
         this._emit('disconnect');
         if (this._shouldReconnect) {
           this._scheduleReconnect();
@@ -983,7 +1141,11 @@ export class ObscuraClient {
   disconnect({ skipBackup = false } = {}) {
     this._shouldReconnect = false;
     this._stopPingInterval();
+    this.messenger.stopRetries();
+    this._ormSyncManager?.reconciler?.stop();
     this._flushAcks();
+    this._flushReceipts();
+    this._typingSent.clear();
 
     // Trigger web backup before disconnecting (fire-and-forget)
     // Skip on logout — tokens are about to be revoked
@@ -1244,6 +1406,16 @@ export class ObscuraClient {
         break;
 
       case 'SENT_SYNC':
+        if (msg.sentSync?.revision) {
+          // An edit or unsend made on another of our devices
+          await this._applyRevision(msg.sentSync.conversationId, this.username, msg.sentSync.revision, true);
+          break;
+        }
+        if (msg.sentSync?.reaction) {
+          // A reaction set on another of our devices
+          await this._applyReaction(msg.sentSync.conversationId, this.username, msg.sentSync.reaction);
+          break;
+        }
         this._processSentSync(msg);
         this._emit('sentSync', msg.sentSync);
         break;
@@ -1268,18 +1440,22 @@ export class ObscuraClient {
         // Look up username from deviceId for correct conversationId (like TEXT messages)
         const attachConversationId = this.friends.getUsernameFromDeviceId(msg.sourceUserId) || msg.sourceUserId;
         // Persist attachment reference as a special message type
-        this._persistMessage(attachConversationId, {
+        const attachment = {
           from: msg.sourceUserId,
           conversationId: attachConversationId,
+          messageId: msg.messageId || undefined,
           type: 'ATTACHMENT',
           contentReference: msg.contentReference,
           timestamp: msg.timestamp,
           isSent: false,
           authorDeviceId: msg.senderDeviceId || msg.sourceUserId,
-        });
+        };
+        this._persistMessage(attachConversationId, attachment);
+        this._queueDeliveryReceipt(msg);
         this._emit('attachment', {
           from: msg.sourceUserId,
           conversationId: attachConversationId,
+          messageId: attachment.messageId,
           contentReference: msg.contentReference,
           timestamp: msg.timestamp,
         });
@@ -1289,18 +1465,22 @@ export class ObscuraClient {
         // Large file - convert chunked ref to mediaUrl for storage
         const chunkedConversationId = this.friends.getUsernameFromDeviceId(msg.sourceUserId) || msg.sourceUserId;
         const chunkedMediaUrl = createChunkedMediaUrl(msg.chunkedContentReference);
-        await this._persistMessage(chunkedConversationId, {
+        const chunkedAttachment = {
           from: msg.sourceUserId,
           conversationId: chunkedConversationId,
+          messageId: msg.messageId || undefined,
           type: 'ATTACHMENT',
           mediaUrl: chunkedMediaUrl, // Store as mediaUrl JSON string
           timestamp: msg.timestamp,
           isSent: false,
           authorDeviceId: msg.sourceUserId,
-        });
+        };
+        await this._persistMessage(chunkedConversationId, chunkedAttachment);
+        this._queueDeliveryReceipt(msg);
         this._emit('attachment', {
           from: msg.sourceUserId,
           conversationId: chunkedConversationId,
+          messageId: chunkedAttachment.messageId,
           chunkedContentReference: msg.chunkedContentReference,
           timestamp: msg.timestamp,
         });
@@ -1317,27 +1497,72 @@ export class ObscuraClient {
         });
         break;
 
+      case 'MODEL_SYNC_BATCH':
+        // ORM transaction from another device - all entries or none
+        const applied = this._ormSyncManager
+          ? await this._ormSyncManager.handleBatch(msg.modelSyncs, msg.sourceUserId)
+          : [];
+        const appliedIds = new Set(applied.map(entry => entry.id));
+        for (const modelSync of msg.modelSyncs) {
+          if (!appliedIds.has(modelSync.id)) continue;
+          this._emit('modelSync', {
+            ...modelSync,
+            sourceUserId: msg.sourceUserId,
+          });
+        }
+        break;
+
+      case 'MODEL_DIGEST':
+        // Anti-entropy round with another device
+        if (this._ormSyncManager) {
+          await this._ormSyncManager.handleDigests(msg.modelDigests, msg.sourceUserId);
+        }
+        break;
+
       case 'FRIEND_SYNC':
         // Sync friend changes from another own device
         this._handleFriendSync(msg.friendSync);
         this._emit('friendSync', msg.friendSync);
         break;
 
+      case 'DELIVERY_RECEIPT':
+      case 'READ_RECEIPT':
+        await this._processReceipt(msg);
+        break;
+
+      case 'TYPING':
+        // Ephemeral: never persisted
+        await this._processTyping(msg);
+        break;
+
+      case 'EDIT':
+      case 'DELETE_FOR_EVERYONE':
+        await this._processRevision(msg);
+        break;
+
+      case 'REACTION':
+        await this._processReaction(msg);
+        break;
+
       case 'TEXT':
       case 'IMAGE':
       default:
         // Look up username from deviceId for correct conversationId
         const conversationId = this.friends.getUsernameFromDeviceId(msg.sourceUserId) || msg.sourceUserId;
-        this._persistMessage(conversationId, {
+        const message = {
           from: msg.sourceUserId,
           conversationId,
+          messageId: msg.messageId || undefined,
           type: msg.type,
           text: msg.text,
           timestamp: msg.timestamp,
           isSent: false,
           authorDeviceId: msg.senderDeviceId || msg.sourceUserId,
-        });
-        this._emit('message', { ...msg, conversationId });
+          replyTo: msg.replyTo,
+        };
+        this._persistMessage(conversationId, message);
+        this._queueDeliveryReceipt(msg);
+        this._emit('message', { ...msg, conversationId, messageId: message.messageId });
         break;
     }
   }
@@ -1375,6 +1600,509 @@ export class ObscuraClient {
     this.ws.send(buffer);
   }
 
+  // === Receipts ===
+
+  /**
+   * Mark received messages as read, and tell the friend unless read
+   * receipts are turned off in Settings
+   *
+   * @param {string} friendUsername
+   * @param {Array<string>} messageIds - Received messages
+   * @returns {Promise<number>} Number of messages newly marked read
+   */
+  async markRead(friendUsername, messageIds) {
+    if (!messageIds?.length) return 0;
+
+    let read;
+    if (this.messageStore) {
+      read = (await this.messageStore.setReceipts(friendUsername, messageIds, 'read', { isSent: false }))
+        .map(m => m.messageId);
+    } else {
+      read = this._applyReceipts(friendUsername, messageIds, 'read', false);
+    }
+
+    if (read.length > 0 && await this._readReceiptsEnabled()) {
+      for (const messageId of read) {
+        this._queueReceipt('READ_RECEIPT', friendUsername, messageId);
+      }
+    }
+    return read.length;
+  }
+
+  /**
+   * Whether the user allows read receipts (Settings model, default on)
+   * @private
+   */
+  async _readReceiptsEnabled() {
+    if (!this.settings) return true;
+    try {
+      const settings = await this.settings.where({}).first();
+      return settings?.data?.readReceiptsEnabled ?? true;
+    } catch (e) {
+      return true;
+    }
+  }
+
+  /**
+   * Acknowledge a received friend message with a delivery receipt
+   * @private
+   */
+  _queueDeliveryReceipt(msg) {
+    if (!isMessageId(msg.messageId) || msg.sourceUserId === this.userId) return;
+    const friendUsername = this.friends.getUsernameFromDeviceId(msg.sourceUserId);
+    if (!friendUsername) return;
+    this._queueReceipt('DELIVERY_RECEIPT', friendUsername, msg.messageId);
+  }
+
+  /**
+   * Buffer a receipt; receipts for the same friend are sent as one batch
+   * @private
+   */
+  _queueReceipt(type, friendUsername, messageId) {
+    const key = `${type}:${friendUsername}`;
+    if (!this._receiptBuffer.has(key)) this._receiptBuffer.set(key, new Set());
+    this._receiptBuffer.get(key).add(messageId);
+
+    if (!this._receiptTimer) {
+      this._receiptTimer = setTimeout(() => this._flushReceipts(), this._receiptFlushMs);
+    }
+  }
+
+  /**
+   * Send buffered receipts to all of each friend's devices
+   * @private
+   */
+  async _flushReceipts() {
+    clearTimeout(this._receiptTimer);
+    this._receiptTimer = null;
+    if (this._receiptBuffer.size === 0) return;
+
+    const batches = this._receiptBuffer;
+    this._receiptBuffer = new Map();
+
+    try {
+      for (const [key, messageIds] of batches) {
+        const separator = key.indexOf(':');
+        const type = key.slice(0, separator);
+        const friendUsername = key.slice(separator + 1);
+        const friendUserId = this.friends.get(friendUsername)?.userId;
+
+        for (const targetDeviceId of this.friends.getFanOutTargets(friendUsername)) {
+          await this.messenger.queueMessage(targetDeviceId, {
+            type,
+            receiptMessageIds: [...messageIds],
+            timestamp: Date.now(),
+          }, friendUserId);
+        }
+      }
+      await this.messenger.flushMessages();
+    } catch (e) {
+      // Queued receipts stay in the outbox for retry
+      console.warn('[ObscuraClient] Failed to send receipts:', e.message);
+    }
+  }
+
+  /**
+   * Apply a friend's DELIVERY_RECEIPT / READ_RECEIPT to our sent messages
+   * Only messages in the conversation with that friend are updated.
+   * @private
+   */
+  async _processReceipt(msg) {
+    const friendUsername = this.friends.getUsernameFromDeviceId(msg.sourceUserId);
+    const messageIds = msg.receiptMessageIds || [];
+    if (!friendUsername || messageIds.length === 0) return;
+
+    const status = msg.type === 'READ_RECEIPT' ? 'read' : 'delivered';
+    const at = msg.timestamp || Date.now();
+    let updated;
+    if (this.messageStore) {
+      updated = (await this.messageStore.setReceipts(friendUsername, messageIds, status, { at }))
+        .map(m => m.messageId);
+    } else {
+      updated = this._applyReceipts(friendUsername, messageIds, status, true, at);
+    }
+
+    if (updated.length > 0) {
+      this._emit('receipt', { conversationId: friendUsername, messageIds: updated, status });
+    }
+  }
+
+  /**
+   * In-memory fallback for setReceipts() (no IndexedDB)
+   * @returns {Array<string>} IDs of messages that changed
+   * @private
+   */
+  _applyReceipts(conversationId, messageIds, status, isSent, at = Date.now()) {
+    const ids = new Set(messageIds);
+    const changed = [];
+    for (const m of this.messages) {
+      if (!ids.has(m.messageId) || !!m.isSent !== isSent) continue;
+      if ((m.conversationId || m.to || m.from) !== conversationId) continue;
+      if (m.readAt || (status === 'delivered' && m.deliveredAt)) continue;
+      m.deliveredAt = m.deliveredAt || at;
+      if (status === 'read') m.readAt = at;
+      changed.push(m.messageId);
+    }
+    return changed;
+  }
+
+  // === Typing Indicators ===
+
+  /**
+   * Tell a friend, or the members of a group, that we're typing
+   * Call on every input change: "typing" is resent at most every
+   * TYPING_RESEND_MS, and "stopped" only if "typing" went out. Typing
+   * messages skip the outbox and go to the recipients' devices only.
+   *
+   * @param {object} target - { username } for a chat, { groupId } for a group
+   * @param {boolean} [active=true] - false when the input is cleared or sent
+   * @returns {Promise<boolean>} Whether a typing message was sent
+   */
+  async sendTyping({ username = null, groupId = null }, active = true) {
+    const key = groupId ? `group:${groupId}` : username;
+    if (!key) return false;
+
+    const last = this._typingSent.get(key);
+    const now = Date.now();
+    if (active && last?.active && now - last.sentAt < TYPING_RESEND_MS) return false;
+    if (!active && !last?.active) return false;
+
+    const recipients = groupId ? await this._getTypingRecipients(groupId) : [username];
+    if (recipients.length === 0) return false;
+
+    if (active) {
+      this._typingSent.set(key, { active: true, sentAt: now });
+    } else {
+      this._typingSent.delete(key);
+    }
+
+    try {
+      for (const recipient of recipients) {
+        let targets;
+        try {
+          targets = this.friends.getFanOutTargets(recipient);
+        } catch (e) {
+          continue;  // Not (or no longer) a friend
+        }
+        const friendUserId = this.friends.get(recipient)?.userId;
+        for (const targetDeviceId of targets) {
+          await this.messenger.queueMessage(targetDeviceId, {
+            type: 'TYPING',
+            typing: { active, groupId },
+            timestamp: now,
+          }, friendUserId, { durable: false });
+        }
+      }
+      await this.messenger.flushMessages();
+      return true;
+    } catch (e) {
+      console.warn('[ObscuraClient] Failed to send typing indicator:', e.message);
+      return false;
+    }
+  }
+
+  /**
+   * Group members other than us
+   * @private
+   */
+  async _getTypingRecipients(groupId) {
+    if (!this._ormSyncManager) return [];
+    const members = await this._ormSyncManager._getAssociationMembers('group', groupId);
+    return members.filter(username => username !== this.username);
+  }
+
+  /**
+   * Handle a friend's TYPING message
+   * Stale ones (e.g. queued while we were offline) are dropped, as are group
+   * typing messages from someone who isn't a member.
+   * @private
+   */
+  async _processTyping(msg) {
+    const username = this.friends.getUsernameFromDeviceId(msg.sourceUserId);
+    if (!username || !msg.typing) return;
+    if (msg.timestamp && Date.now() - msg.timestamp > TYPING_STALE_MS) return;
+
+    const groupId = msg.typing.groupId || null;
+    if (groupId) {
+      const members = this._ormSyncManager
+        ? await this._ormSyncManager._getAssociationMembers('group', groupId)
+        : [];
+      if (!members.includes(username)) return;
+    }
+
+    this._emit('typing', {
+      conversationId: groupId || username,
+      groupId,
+      username,
+      active: msg.typing.active,
+    });
+  }
+
+  // === Edits ===
+
+  /**
+   * Change the text of a message we sent, on every device of both sides
+   * @param {string} friendUsername
+   * @param {string} messageId
+   * @param {string} text - New text
+   * @returns {Promise<object>} The edited message
+   */
+  async editMessage(friendUsername, messageId, text) {
+    if (!text?.trim()) throw new Error('Edited message cannot be empty');
+    return this._sendRevision(friendUsername, messageId, { text, deleted: false });
+  }
+
+  /**
+   * Delete a message we sent, for us and the friend (on every device)
+   * The message stays in history as a "message deleted" placeholder.
+   *
+   * @param {string} friendUsername
+   * @param {string} messageId
+   * @returns {Promise<object>} The deleted message
+   */
+  async deleteMessageForEveryone(friendUsername, messageId) {
+    return this._sendRevision(friendUsername, messageId, { text: '', deleted: true });
+  }
+
+  /**
+   * Sign a revision, apply it here, then send it to the friend's devices
+   * (EDIT / DELETE_FOR_EVERYONE) and our own (SENT_SYNC)
+   * @private
+   */
+  async _sendRevision(friendUsername, messageId, { text, deleted }) {
+    const keyPair = await this.store.getIdentityKeyPair();
+    if (!keyPair?.privKey) {
+      throw new Error('Cannot sign edit: no identity key available');
+    }
+
+    const revision = {
+      messageId,
+      text,
+      deleted,
+      timestamp: Date.now(),
+      authorDeviceId: this.deviceUUID,
+    };
+    revision.signature = await sign(serializeMessageRevisionForSigning(revision), keyPair.privKey);
+
+    const message = await this._reviseMessage(friendUsername, revision, true);
+    if (!message) {
+      throw new Error(deleted ? 'Message cannot be deleted' : 'Message cannot be edited');
+    }
+    this._emit('messageRevised', { conversationId: friendUsername, message });
+
+    const friendUserId = this.friends.get(friendUsername)?.userId;
+    for (const targetDeviceId of this.friends.getFanOutTargets(friendUsername)) {
+      await this.messenger.queueMessage(targetDeviceId, {
+        type: deleted ? 'DELETE_FOR_EVERYONE' : 'EDIT',
+        revision,
+        timestamp: revision.timestamp,
+      }, friendUserId);
+    }
+    for (const targetUserId of this.devices.getSelfSyncTargets()) {
+      await this.messenger.queueMessage(targetUserId, {
+        type: 'SENT_SYNC',
+        sentSync: {
+          conversationId: friendUsername,
+          messageId,
+          timestamp: revision.timestamp,
+          revision,
+        },
+      });
+    }
+
+    try {
+      await this.messenger.flushMessages();
+    } catch (e) {
+      if (!this.messenger.outbox) throw e;
+      console.warn('[ObscuraClient] Edit send failed, queued for retry:', e.message);
+    }
+    return message;
+  }
+
+  /**
+   * Handle a friend's EDIT / DELETE_FOR_EVERYONE for a message they sent us
+   * @private
+   */
+  async _processRevision(msg) {
+    const friendUsername = this.friends.getUsernameFromDeviceId(msg.sourceUserId);
+    const revision = msg.revision;
+    if (!friendUsername || !revision) return;
+    if ((msg.type === 'DELETE_FOR_EVERYONE') !== revision.deleted) return;
+    await this._applyRevision(friendUsername, friendUsername, revision, false);
+  }
+
+  /**
+   * Verify a revision was signed by one of the message author's devices,
+   * then apply it
+   *
+   * @param {string} conversationId - Friend username
+   * @param {string} authorUsername - Who sent the message (friend, or us)
+   * @param {object} revision
+   * @param {boolean} isSent - Whether the message is one we sent
+   * @private
+   */
+  async _applyRevision(conversationId, authorUsername, revision, isSent) {
+    if (!await this._verifyRevision(authorUsername, revision)) {
+      console.warn(`[ObscuraClient] Rejected edit of ${revision.messageId}: not signed by ${authorUsername}`);
+      return;
+    }
+
+    const message = await this._reviseMessage(conversationId, revision, isSent);
+    if (message) {
+      this._emit('messageRevised', { conversationId, message });
+    }
+  }
+
+  /**
+   * Check a revision's signature against the author's device identity keys
+   * @private
+   */
+  async _verifyRevision(username, revision) {
+    const signature = normalizeKeyToUint8Array(revision.signature);
+    if (!signature || signature.length !== 64 || !revision.authorDeviceId) return false;
+
+    let publicKey = null;
+    if (username === this.username) {
+      if (revision.authorDeviceId === this.deviceUUID) {
+        const keyPair = await this.store.getIdentityKeyPair();
+        publicKey = keyPair?.pubKey;
+      } else {
+        publicKey = this.devices.getAll().find(d => d.deviceUUID === revision.authorDeviceId)?.signalIdentityKey;
+      }
+    } else {
+      publicKey = (this.friends.get(username)?.devices || [])
+        .find(d => d.deviceUUID === revision.authorDeviceId)?.signalIdentityKey;
+    }
+    publicKey = normalizeKeyToUint8Array(publicKey);
+    if (!publicKey) return false;
+
+    return verify(serializeMessageRevisionForSigning(revision), signature, publicKey);
+  }
+
+  /**
+   * Apply a revision to the message store (or the in-memory fallback)
+   * @returns {Promise<object|null>} The changed message
+   * @private
+   */
+  async _reviseMessage(conversationId, revision, isSent) {
+    if (this.messageStore) {
+      return this.messageStore.reviseMessage(conversationId, revision.messageId, revision, { isSent });
+    }
+
+    const message = this.messages.find(m => m.messageId === revision.messageId && !!m.isSent === isSent
+      && (m.conversationId || m.to || m.from) === conversationId);
+    if (!message || message.deletedAt) return null;
+    const current = message.text ?? message.content;
+    if (revision.deleted) {
+      Object.assign(message, { text: '', content: '', deletedAt: revision.timestamp });
+      for (const field of ['mediaUrl', 'contentReference', 'edits', 'editedAt', 'reactions']) delete message[field];
+      for (const reply of this.messages) {
+        if (reply.replyTo?.messageId === message.messageId
+          && (reply.conversationId || reply.to || reply.from) === conversationId) {
+          reply.replyTo = { ...reply.replyTo, snippet: '' };
+        }
+      }
+    } else {
+      if (message.mediaUrl || message.contentReference) return null;
+      if (revision.timestamp <= (message.editedAt || message.timestamp)) return null;
+      message.edits = [...(message.edits || []), { text: current, timestamp: message.editedAt || message.timestamp }];
+      Object.assign(message, { text: revision.text, content: revision.text, editedAt: revision.timestamp });
+    }
+    return message;
+  }
+
+  // === Reactions ===
+
+  /**
+   * React to a message of a chat (ours or the friend's), replacing any
+   * earlier reaction of ours to it, on every device of both sides
+   * @param {string} friendUsername
+   * @param {string} messageId
+   * @param {string|null} emoji - null or '' to remove our reaction
+   * @returns {Promise<object>} The message with its reactions
+   */
+  async reactToMessage(friendUsername, messageId, emoji) {
+    emoji = emoji || '';
+    if (emoji.length > REACTION_MAX_LENGTH) throw new Error('Reaction must be a single emoji');
+
+    const reaction = { messageId, emoji, timestamp: Date.now() };
+    const message = await this._setReaction(friendUsername, this.username, reaction);
+    if (!message) throw new Error('Message cannot be reacted to');
+    this._emit('messageReaction', { conversationId: friendUsername, message });
+
+    const friendUserId = this.friends.get(friendUsername)?.userId;
+    for (const targetDeviceId of this.friends.getFanOutTargets(friendUsername)) {
+      await this.messenger.queueMessage(targetDeviceId, {
+        type: 'REACTION',
+        reaction,
+        timestamp: reaction.timestamp,
+      }, friendUserId);
+    }
+    for (const targetUserId of this.devices.getSelfSyncTargets()) {
+      await this.messenger.queueMessage(targetUserId, {
+        type: 'SENT_SYNC',
+        sentSync: {
+          conversationId: friendUsername,
+          messageId,
+          timestamp: reaction.timestamp,
+          reaction,
+        },
+      });
+    }
+
+    try {
+      await this.messenger.flushMessages();
+    } catch (e) {
+      if (!this.messenger.outbox) throw e;
+      console.warn('[ObscuraClient] Reaction send failed, queued for retry:', e.message);
+    }
+    return message;
+  }
+
+  /**
+   * Handle a friend's REACTION
+   * @private
+   */
+  async _processReaction(msg) {
+    const friendUsername = this.friends.getUsernameFromDeviceId(msg.sourceUserId);
+    if (!friendUsername || !msg.reaction) return;
+    await this._applyReaction(friendUsername, friendUsername, msg.reaction);
+  }
+
+  /**
+   * Apply a reaction received from a friend or another of our devices
+   * @param {string} conversationId - Friend username
+   * @param {string} username - Who reacted (friend, or us)
+   * @param {object} reaction - { messageId, emoji, timestamp }
+   * @private
+   */
+  async _applyReaction(conversationId, username, reaction) {
+    if (!reaction.messageId || reaction.emoji.length > REACTION_MAX_LENGTH) return;
+    const message = await this._setReaction(conversationId, username, reaction);
+    if (message) {
+      this._emit('messageReaction', { conversationId, message });
+    }
+  }
+
+  /**
+   * Record a reaction in the message store (or the in-memory fallback)
+   * @returns {Promise<object|null>} The changed message
+   * @private
+   */
+  async _setReaction(conversationId, username, { messageId, emoji, timestamp }) {
+    if (this.messageStore) {
+      return this.messageStore.setReaction(conversationId, messageId, username, { emoji, timestamp });
+    }
+
+    const message = this.messages.find(m => m.messageId === messageId
+      && (m.conversationId || m.to || m.from) === conversationId);
+    if (!message || message.deletedAt) return null;
+    const current = message.reactions?.[username];
+    if (current && timestamp <= current.timestamp) return null;
+    message.reactions = { ...message.reactions, [username]: { emoji, timestamp } };
+    return message;
+  }
+
   /**
    * Send a friend request
    * Fetches target user's device bundles, sends to each device
@@ -1452,6 +2180,13 @@ export class ObscuraClient {
 
   /**
    * Send a message to a friend (auto fan-out + self-sync)
+   * If the send fails it stays in the outbox and is retried; the returned
+   * status (and later 'deliveryState' events keyed by messageId) track it.
+   *
+   * @param {string} friendUsername
+   * @param {object} opts - { text, replyTo? } where replyTo is the quoted
+   *   message: { messageId, snippet }
+   * @returns {Promise<{messageId: string, status: string}>}
    */
   async send(friendUsername, opts) {
     const targets = this.friends.getFanOutTargets(friendUsername);
@@ -1475,12 +2210,18 @@ export class ObscuraClient {
     const timestamp = Date.now();
     const correlationId = logger.generateCorrelationId();
 
+    const replyTo = opts.replyTo
+      ? { messageId: opts.replyTo.messageId, snippet: (opts.replyTo.snippet || '').slice(0, REPLY_SNIPPET_LENGTH) }
+      : undefined;
+
     // Build message
     const msgOpts = {
       type: opts.type || 'TEXT',
       text: opts.text || '',
       timestamp,
+      messageId,
       ...opts,
+      replyTo,
     };
 
     // Log send start
@@ -1488,7 +2229,7 @@ export class ObscuraClient {
 
     // Queue fan-out to all friend devices
     for (const targetDeviceId of targets) {
-      await this.messenger.queueMessage(targetDeviceId, msgOpts, friendUserId);
+      await this.messenger.queueMessage(targetDeviceId, msgOpts, friendUserId, { ref: messageId });
     }
 
     // Queue self-sync to own devices
@@ -1502,17 +2243,21 @@ export class ObscuraClient {
             messageId,
             timestamp,
             content: opts.text,
+            replyTo,
             authorDeviceId: this.deviceId || this.userId,
           },
-        });
+        }, undefined, { ref: messageId });
       }
     }
 
-    // Flush all in one HTTP request
-    await this.messenger.flushMessages();
-
-    // Log send complete
-    await logger.logSendComplete(friendUsername, targets.length, correlationId);
+    // Flush all in one HTTP request (failures stay in the outbox for retry)
+    try {
+      await this.messenger.flushMessages();
+      await logger.logSendComplete(friendUsername, targets.length, correlationId);
+    } catch (e) {
+      if (!this.messenger.outbox) throw e;
+      console.warn('[ObscuraClient] Send failed, queued for retry:', e.message);
+    }
 
     // Store locally and persist to IndexedDB
     await this._persistMessage(friendUsername, {
@@ -1521,7 +2266,35 @@ export class ObscuraClient {
       timestamp,
       text: opts.text,
       isSent: true,
+      replyTo,
     });
+
+    return { messageId, status: await this.messenger.getDeliveryState(messageId) };
+  }
+
+  /**
+   * Delivery state of a sent message or ORM entry
+   * @param {string} ref - messageId, or `${model}:${id}` for ORM entries
+   * @returns {Promise<string>} 'pending' | 'failed' | 'sent'
+   */
+  async getDeliveryState(ref) {
+    return this.messenger.getDeliveryState(ref);
+  }
+
+  /**
+   * Delivery states of everything still in the outbox
+   * @returns {Promise<Map<string, string>>} ref -> 'pending' | 'failed'
+   */
+  async getDeliveryStates() {
+    return this._outboxStore ? this._outboxStore.getStates() : new Map();
+  }
+
+  /**
+   * Retry sending a pending or failed message or ORM entry now
+   * @param {string} ref - messageId, or `${model}:${id}` for ORM entries
+   */
+  async retryDelivery(ref) {
+    return this.messenger.retry(ref);
   }
 
   /**
@@ -1564,18 +2337,19 @@ export class ObscuraClient {
     const messagePayload = isChunked
       ? { chunkedContentReference: ref }
       : { contentReference: ref };
+    const messageId = isChunked ? ref.fileId : ref.attachmentId;
 
     for (const targetDeviceId of targets) {
       await this.messenger.queueMessage(targetDeviceId, {
         type: messageType,
         ...messagePayload,
         timestamp,
+        messageId,
       }, attachFriendUserId);
     }
 
     // Self-sync to own devices (include mediaUrl for storage)
     const selfTargets = this.devices.getSelfSyncTargets();
-    const messageId = isChunked ? ref.fileId : ref.attachmentId;
 
     for (const targetUserId of selfTargets) {
       await this.messenger.queueMessage(targetUserId, {
@@ -2555,6 +3329,7 @@ export class ObscuraClient {
       text: typeof sync.content === 'string' ? sync.content : new TextDecoder().decode(sync.content),
       isSent: true,
       authorDeviceId: msg.senderDeviceId || msg.sourceUserId,
+      replyTo: sync.replyTo || undefined,
     });
   }
 
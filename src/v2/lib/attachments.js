@@ -18,6 +18,18 @@ export class AttachmentManager {
     this.apiUrl = opts.apiUrl;
     this.token = opts.token;
     this.cache = opts.cache || null; // Optional attachment cache (IndexedDB)
+    this.onCached = opts.onCached || null; // (attachmentId, stored) => void, e.g. quota enforcement
+  }
+
+  /**
+   * Write to the cache and report it
+   * @param {string} attachmentId
+   * @param {Uint8Array|ArrayBuffer} bytes - Decrypted content
+   * @param {object} metadata - { contentType, sizeBytes }
+   */
+  async _cachePut(attachmentId, bytes, metadata) {
+    const stored = await this.cache.put(attachmentId, bytes, metadata);
+    this.onCached?.(attachmentId, stored !== false);
   }
 
   /**
@@ -64,7 +76,7 @@ export class AttachmentManager {
       const bytes = content instanceof Uint8Array
         ? content
         : new Uint8Array(content instanceof ArrayBuffer ? content : await content.arrayBuffer());
-      await this.cache.put(id, bytes, { contentType: encrypted.contentType, sizeBytes: encrypted.sizeBytes });
+      await this._cachePut(id, bytes, { contentType: encrypted.contentType, sizeBytes: encrypted.sizeBytes });
       console.log('[Attachments] Cached on upload:', id.slice(0, 8));
     }
 
@@ -135,7 +147,7 @@ export class AttachmentManager {
 
     // Cache the decrypted content
     if (this.cache) {
-      await this.cache.put(attachmentId, decrypted, { contentType, sizeBytes });
+      await this._cachePut(attachmentId, decrypted, { contentType, sizeBytes });
     }
 
     return decrypted;
@@ -172,7 +184,7 @@ export class AttachmentManager {
 
       // Cache the FULL assembled file by fileId (sender doesn't need to re-download chunks)
       if (this.cache && ref.fileId) {
-        await this.cache.put(ref.fileId, bytes, {
+        await this._cachePut(ref.fileId, bytes, {
           contentType: ref.contentType || opts.contentType,
           sizeBytes: ref.totalSizeBytes,
         });
@@ -225,7 +237,7 @@ export class AttachmentManager {
 
       // Cache the full assembled file by fileId for future access
       if (this.cache && refData.ref.fileId) {
-        await this.cache.put(refData.ref.fileId, result, {
+        await this._cachePut(refData.ref.fileId, result, {
           contentType: refData.ref.contentType,
           sizeBytes: refData.ref.totalSizeBytes,
         });
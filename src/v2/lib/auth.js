@@ -11,6 +11,7 @@ import { createStore, InMemoryStore } from './store.js';
 import { createDeviceStore } from '../store/deviceStore.js';
 import { signLinkChallenge } from '../crypto/signatures.js';
 import { encryptKeys, decryptKeys, isEncryptedFormat, isUnencryptedFormat } from '../crypto/keyEncryption.js';
+import { generateDataKey } from '../crypto/storageEncryption.js';
 import { keyCache } from './keyCache.js';
 
 /**
@@ -82,6 +83,7 @@ export async function register(username, password, opts = {}) {
   // Cache decrypted keys for this session
   keyCache.set({ identityKeyPair, registrationId });
   if (store.saveSessionKeys) await store.saveSessionKeys(identityKeyPair, registrationId);
+  await unlockDataKey(store, password, { replaceUnreadable: true });
 
   // Store prekeys
   await store.storeSignedPreKey(keys.signal.signedPreKey.keyId, keys.signal.signedPreKey.keyPair);
@@ -190,6 +192,12 @@ export async function login(username, password, opts = {}) {
     if (!identityKeyPair) {
       return { status: 'error', reason: 'Could not decrypt local keys - try clearing data and re-linking' };
     }
+    try {
+      await unlockDataKey(store, password);
+    } catch (e) {
+      console.error('Failed to unlock data key:', e.message);
+      return { status: 'error', reason: 'Could not decrypt local data - try clearing data and re-linking' };
+    }
 
     // Load recoveryPublicKey and p2pIdentity from device store
     const deviceStore = createDeviceStore(username);
@@ -270,6 +278,7 @@ export async function login(username, password, opts = {}) {
   // Cache decrypted keys for this session
   keyCache.set({ identityKeyPair, registrationId });
   if (store.saveSessionKeys) await store.saveSessionKeys(identityKeyPair, registrationId);
+  await unlockDataKey(store, password, { replaceUnreadable: true });
 
   // Store prekeys
   await store.storeSignedPreKey(signedPreKey.keyId, signedPreKey.keyPair);
@@ -374,6 +383,44 @@ async function loadAndDecryptIdentity(store, password) {
   return null;
 }
 
+/**
+ * Unlock the data key that encrypts local stores at rest
+ * Created on first use and kept wrapped with the user's password next to the
+ * identity keys; the unlocked key is cached in keyCache for the session.
+ * Stores without persistence (InMemoryStore) keep data in the clear.
+ *
+ * @param {object} store - IndexedDB store
+ * @param {string} password - User's password
+ * @param {object} [opts]
+ * @param {boolean} [opts.replaceUnreadable=false] - Start a new key if the stored
+ *   one was wrapped with another password (freshly provisioned devices)
+ * @returns {Promise<Uint8Array|null>} The data key, or null if not supported
+ * @throws {Error} If the stored key can't be decrypted
+ */
+async function unlockDataKey(store, password, { replaceUnreadable = false } = {}) {
+  if (!store.loadEncryptedDataKey) return null;
+
+  let dataKey = null;
+  const encrypted = await store.loadEncryptedDataKey();
+  if (encrypted) {
+    try {
+      dataKey = (await decryptKeys(encrypted, password)).dataKey;
+    } catch (e) {
+      if (!replaceUnreadable) throw e;
+      console.warn('Stored data key is unreadable, starting a new one');
+    }
+  }
+
+  if (!dataKey) {
+    dataKey = generateDataKey();
+    await store.storeEncryptedDataKey(await encryptKeys({ dataKey }, password));
+  }
+
+  keyCache.setDataKey(dataKey);
+  await store.saveSessionDataKey(dataKey);
+  return dataKey;
+}
+
 // Helper: detect device name
 function detectDeviceName() {
   if (typeof navigator === 'undefined') {
@@ -466,6 +513,8 @@ export async function unlinkDevice(username, userId) {
     `obscura_friends_v2_${userId}`,
     `obscura_messages_v2_${userId}`,
     `obscura_attachments_${userId}`,
+    `obscura_outbox_${userId}`,
+    `obscura_search_${userId}`,
     `obscura_models_${userId}`,
     `obscura_logs_${username}`,
   ];
@@ -593,6 +642,7 @@ export async function recoverAccount(username, password, backupData, recoveryPhr
   // Cache keys for this session
   keyCache.set({ identityKeyPair, registrationId });
   if (store.saveSessionKeys) await store.saveSessionKeys(identityKeyPair, registrationId);
+  await unlockDataKey(store, password, { replaceUnreadable: true });
 
   // Store prekeys
   await store.storeSignedPreKey(signedPreKey.keyId, signedPreKey.keyPair);
@@ -1,5 +1,5 @@
 /**
- * Session cache for decrypted Signal keys
+ * Session cache for decrypted Signal keys and the storage data key
  * Uses sessionStorage to survive page refresh but clear on tab close
  * Cleared on JWT expiry or logout
  */
@@ -83,16 +83,36 @@ let cache = null;
 export const keyCache = {
   /**
    * Store decrypted keys
-   * @param {object} keys - { identityKeyPair, registrationId }
+   * An already unlocked data key is kept unless one is given.
+   * @param {object} keys - { identityKeyPair, registrationId, dataKey? }
    */
   set(keys) {
     cache = {
       identityKeyPair: keys.identityKeyPair,
       registrationId: keys.registrationId,
+      dataKey: keys.dataKey || this.get()?.dataKey || null,
     };
     saveToStorage(cache);
   },
 
+  /**
+   * Store the unlocked data key (encrypts local stores at rest)
+   * @param {Uint8Array} dataKey
+   */
+  setDataKey(dataKey) {
+    cache = { ...(this.get() || {}), dataKey };
+    saveToStorage(cache);
+  },
+
+  /**
+   * Get the data key from cache
+   * @returns {Uint8Array|null}
+   */
+  getDataKey() {
+    const c = this.get();
+    return c?.dataKey || null;
+  },
+
   /**
    * Get all cached keys
    * @returns {object|null} { identityKeyPair, registrationId } or null
@@ -127,7 +147,7 @@ export const keyCache = {
    * @returns {boolean}
    */
   isLoaded() {
-    return this.get() !== null;
+    return !!this.get()?.identityKeyPair;
   },
 
   /**
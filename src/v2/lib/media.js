@@ -7,8 +7,6 @@
  * - Audio recording (voice messages)
  */
 
-import heic2any from 'heic2any';
-
 /**
  * Check if a file is HEIC/HEIF format
  * @param {File} file
@@ -64,8 +62,9 @@ async function convertHeicViaCanvas(file, quality = 0.92) {
  * @returns {Promise<{blob: Blob, converted: boolean}>}
  */
 export async function convertHeicToJpeg(file, quality = 0.92) {
-  // Try heic2any library first
+  // Try heic2any library first (loaded on demand: it starts a worker on import)
   try {
+    const { default: heic2any } = await import('heic2any');
     const result = await heic2any({
       blob: file,
       toType: 'image/jpeg',
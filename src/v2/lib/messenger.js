@@ -5,7 +5,8 @@
 
 import { SessionBuilder, SessionCipher, SignalProtocolAddress } from '@privacyresearch/libsignal-protocol-typescript';
 import { logger } from './logger.js';
-import { uuidToBytes, generateDeviceUUID } from '../crypto/uuid.js';
+import { uuidToBytes, bytesToUuid, generateDeviceUUID } from '../crypto/uuid.js';
+import { DeliveryState } from '../store/outboxStore.js';
 
 // Signal message type constants
 const SIGNAL_PREKEY_MESSAGE = 3;
@@ -32,12 +33,37 @@ export const MessageType = {
   CHUNKED_CONTENT_REFERENCE: 28,
   // ORM Layer
   MODEL_SYNC: 30,
+  MODEL_DIGEST: 31,
+  MODEL_SYNC_BATCH: 32,
+  // Message status
+  DELIVERY_RECEIPT: 40,
+  READ_RECEIPT: 41,
+  TYPING: 42,
+  EDIT: 43,
+  DELETE_FOR_EVERYONE: 44,
+  REACTION: 45,
 };
 
+// Outbox retry backoff: 5s, 10s, 20s, ... capped at 5 minutes
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+// Attempts before an entry is marked failed and waits for a manual retry
+const MAX_SEND_ATTEMPTS = 10;
+// Submissions per retry request
+const RETRY_BATCH_SIZE = 100;
+
 export const MessageTypeName = Object.fromEntries(
   Object.entries(MessageType).map(([k, v]) => [v, k])
 );
 
+// Message IDs are chosen by the sender; accept only ID-shaped ones
+// (generateMessageId() output and similar), never markup or selectors
+const MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export function isMessageId(id) {
+  return typeof id === 'string' && MESSAGE_ID_PATTERN.test(id);
+}
+
 export class Messenger {
   constructor(opts) {
     this.apiUrl = opts.apiUrl;
@@ -48,6 +74,13 @@ export class Messenger {
     this.proto = null;
     this.clientProto = null;
     this._queue = []; // Pending submissions for batch sending
+    // Durable outbox (IndexedDB) - queued submissions are kept until the
+    // server accepts them and retried with backoff
+    this.outbox = opts.outbox || null;
+    this.onDeliveryChange = opts.onDeliveryChange || null; // (ref, state) => void
+    this._retryTimer = null;
+    this._retrying = null;
+    this._inFlight = new Set(); // submissionIds being POSTed (by a flush or a retry)
     // deviceId → { userId, registrationId } mapping for Signal session resolution
     // Signal sessions are keyed by (userId, registrationId),
     // but message routing uses deviceId. This map bridges the two.
@@ -125,7 +158,12 @@ export class Messenger {
     this.ChunkedContentReference = this.clientProto.lookupType('obscura.v2.ChunkedContentReference');
     this.ChunkInfo = this.clientProto.lookupType('obscura.v2.ChunkInfo');
     this.ModelSync = this.clientProto.lookupType('obscura.v2.ModelSync');
+    this.ModelDigest = this.clientProto.lookupType('obscura.v2.ModelDigest');
     this.FriendSync = this.clientProto.lookupType('obscura.v2.FriendSync');
+    this.Typing = this.clientProto.lookupType('obscura.v2.Typing');
+    this.MessageRevision = this.clientProto.lookupType('obscura.v2.MessageRevision');
+    this.ReplyTo = this.clientProto.lookupType('obscura.v2.ReplyTo');
+    this.MessageReaction = this.clientProto.lookupType('obscura.v2.MessageReaction');
     console.log('[Messenger] Proto loading complete. Types:', {
       WebSocketFrame: !!this.WebSocketFrame,
       ClientMessage: !!this.ClientMessage,
@@ -377,6 +415,7 @@ export class Messenger {
       text: opts.text || '',
       mimeType: opts.mimeType || '',
       displayDuration: opts.displayDuration || 8,
+      messageId: opts.messageId || '',
       attachmentId: opts.attachmentId || '',
       attachmentExpires: opts.attachmentExpires || 0,
       username: opts.username || '',
@@ -384,6 +423,10 @@ export class Messenger {
       resetReason: opts.resetReason || '',
     };
 
+    if (opts.replyTo) {
+      msgData.replyTo = this._createReplyTo(opts.replyTo);
+    }
+
     if (typeValue === MessageType.DEVICE_LINK_APPROVAL && opts.deviceLinkApproval) {
       msgData.deviceLinkApproval = this.DeviceLinkApproval.create({
         p2pPublicKey: opts.deviceLinkApproval.p2pPublicKey,
@@ -440,6 +483,9 @@ export class Messenger {
         content: typeof opts.sentSync.content === 'string'
           ? new TextEncoder().encode(opts.sentSync.content)
           : opts.sentSync.content,
+        revision: opts.sentSync.revision ? this._createRevision(opts.sentSync.revision) : undefined,
+        replyTo: opts.sentSync.replyTo ? this._createReplyTo(opts.sentSync.replyTo) : undefined,
+        reaction: opts.sentSync.reaction ? this._createReaction(opts.sentSync.reaction) : undefined,
       });
     }
 
@@ -480,18 +526,40 @@ export class Messenger {
     }
 
     if (typeValue === MessageType.MODEL_SYNC && opts.modelSync) {
-      msgData.modelSync = this.ModelSync.create({
-        model: opts.modelSync.model,
-        id: opts.modelSync.id,
-        op: opts.modelSync.op || 0,
-        timestamp: opts.modelSync.timestamp || Date.now(),
-        data: opts.modelSync.data instanceof Uint8Array
-          ? opts.modelSync.data
-          : typeof opts.modelSync.data === 'string'
-            ? new TextEncoder().encode(opts.modelSync.data)
-            : new TextEncoder().encode(JSON.stringify(opts.modelSync.data)),
-        signature: opts.modelSync.signature || new Uint8Array(0),
-        authorDeviceId: opts.modelSync.authorDeviceId || '',
+      msgData.modelSync = this._createModelSync(opts.modelSync);
+    }
+
+    if (typeValue === MessageType.MODEL_SYNC_BATCH && opts.modelSyncs) {
+      msgData.modelSyncs = opts.modelSyncs.map(ms => this._createModelSync(ms));
+    }
+
+    if (typeValue === MessageType.MODEL_DIGEST && opts.modelDigests) {
+      msgData.modelDigests = opts.modelDigests.map(d => this.ModelDigest.create({
+        model: d.model,
+        phase: d.phase || 0,
+        bucketCount: d.bucketCount || 0,
+        buckets: d.buckets || [],
+        entries: d.entries || [],
+        requestIds: d.requestIds || [],
+      }));
+    }
+
+    if ((typeValue === MessageType.DELIVERY_RECEIPT || typeValue === MessageType.READ_RECEIPT) && opts.receiptMessageIds) {
+      msgData.receiptMessageIds = opts.receiptMessageIds;
+    }
+
+    if ((typeValue === MessageType.EDIT || typeValue === MessageType.DELETE_FOR_EVERYONE) && opts.revision) {
+      msgData.revision = this._createRevision(opts.revision);
+    }
+
+    if (typeValue === MessageType.REACTION && opts.reaction) {
+      msgData.reaction = this._createReaction(opts.reaction);
+    }
+
+    if (typeValue === MessageType.TYPING && opts.typing) {
+      msgData.typing = this.Typing.create({
+        active: !!opts.typing.active,
+        groupId: opts.typing.groupId || '',
       });
     }
 
@@ -527,6 +595,7 @@ export class Messenger {
       text: msg.text || '',
       mimeType: msg.mimeType || '',
       displayDuration: msg.displayDuration || 8,
+      messageId: msg.messageId || '',
       attachmentId: msg.attachmentId || '',
       attachmentExpires: Number(msg.attachmentExpires) || 0,
       username: msg.username || '',
@@ -534,6 +603,11 @@ export class Messenger {
       resetReason: msg.resetReason || '',
     };
 
+    // A quote of something that isn't a message ID is dropped, not trusted
+    if (msg.replyTo && isMessageId(msg.replyTo.messageId)) {
+      result.replyTo = { messageId: msg.replyTo.messageId, snippet: msg.replyTo.snippet || '' };
+    }
+
     if (msg.deviceLinkApproval) {
       result.deviceLinkApproval = {
         p2pPublicKey: msg.deviceLinkApproval.p2pPublicKey,
@@ -585,6 +659,11 @@ export class Messenger {
         messageId: msg.sentSync.messageId,
         timestamp: Number(msg.sentSync.timestamp) || 0,
         content: msg.sentSync.content,
+        revision: msg.sentSync.revision ? this._decodeRevision(msg.sentSync.revision) : null,
+        replyTo: msg.sentSync.replyTo && isMessageId(msg.sentSync.replyTo.messageId)
+          ? { messageId: msg.sentSync.replyTo.messageId, snippet: msg.sentSync.replyTo.snippet || '' }
+          : null,
+        reaction: msg.sentSync.reaction ? this._decodeReaction(msg.sentSync.reaction) : null,
       };
     }
 
@@ -625,14 +704,40 @@ export class Messenger {
     }
 
     if (msg.modelSync) {
-      result.modelSync = {
-        model: msg.modelSync.model,
-        id: msg.modelSync.id,
-        op: msg.modelSync.op,
-        timestamp: Number(msg.modelSync.timestamp) || 0,
-        data: msg.modelSync.data,
-        signature: msg.modelSync.signature,
-        authorDeviceId: msg.modelSync.authorDeviceId || '',
+      result.modelSync = this._decodeModelSync(msg.modelSync);
+    }
+
+    if (msg.modelSyncs && msg.modelSyncs.length > 0) {
+      result.modelSyncs = msg.modelSyncs.map(ms => this._decodeModelSync(ms));
+    }
+
+    if (msg.modelDigests && msg.modelDigests.length > 0) {
+      result.modelDigests = msg.modelDigests.map(d => ({
+        model: d.model,
+        phase: d.phase || 0,
+        bucketCount: d.bucketCount || 0,
+        buckets: (d.buckets || []).map(b => ({ index: b.index || 0, hash: b.hash || 0, count: b.count || 0 })),
+        entries: (d.entries || []).map(e => ({ id: e.id, fingerprint: e.fingerprint || 0 })),
+        requestIds: d.requestIds || [],
+      }));
+    }
+
+    if (msg.receiptMessageIds && msg.receiptMessageIds.length > 0) {
+      result.receiptMessageIds = msg.receiptMessageIds;
+    }
+
+    if (msg.revision) {
+      result.revision = this._decodeRevision(msg.revision);
+    }
+
+    if (msg.reaction) {
+      result.reaction = this._decodeReaction(msg.reaction);
+    }
+
+    if (msg.typing) {
+      result.typing = {
+        active: !!msg.typing.active,
+        groupId: msg.typing.groupId || null,
       };
     }
 
@@ -654,15 +759,126 @@ export class Messenger {
     return result;
   }
 
+  /**
+   * Build a ModelSync proto message from its plain form
+   * @param {object} ms - { model, id, op, timestamp, data, signature, authorDeviceId, schemaVersion }
+   */
+  _createModelSync(ms) {
+    return this.ModelSync.create({
+      model: ms.model,
+      id: ms.id,
+      op: ms.op || 0,
+      timestamp: ms.timestamp || Date.now(),
+      data: ms.data instanceof Uint8Array
+        ? ms.data
+        : typeof ms.data === 'string'
+          ? new TextEncoder().encode(ms.data)
+          : new TextEncoder().encode(JSON.stringify(ms.data)),
+      signature: ms.signature || new Uint8Array(0),
+      authorDeviceId: ms.authorDeviceId || '',
+      schemaVersion: ms.schemaVersion || 1,
+    });
+  }
+
+  /**
+   * Plain form of a decoded ModelSync
+   * @param {object} ms - Decoded ModelSync proto message
+   */
+  _decodeModelSync(ms) {
+    return {
+      model: ms.model,
+      id: ms.id,
+      op: ms.op,
+      timestamp: Number(ms.timestamp) || 0,
+      data: ms.data,
+      signature: ms.signature,
+      authorDeviceId: ms.authorDeviceId || '',
+      schemaVersion: ms.schemaVersion || 1,
+    };
+  }
+
+  /**
+   * Build a MessageRevision proto message from its plain form
+   * @param {object} r - { messageId, text, deleted, timestamp, authorDeviceId, signature }
+   */
+  _createRevision(r) {
+    return this.MessageRevision.create({
+      messageId: r.messageId,
+      text: r.text || '',
+      deleted: !!r.deleted,
+      timestamp: r.timestamp,
+      authorDeviceId: r.authorDeviceId || '',
+      signature: r.signature || new Uint8Array(0),
+    });
+  }
+
+  /**
+   * Plain form of a decoded MessageRevision
+   * @param {object} r - Decoded MessageRevision proto message
+   */
+  _decodeRevision(r) {
+    return {
+      messageId: r.messageId,
+      text: r.text || '',
+      deleted: !!r.deleted,
+      timestamp: Number(r.timestamp) || 0,
+      authorDeviceId: r.authorDeviceId || '',
+      signature: r.signature,
+    };
+  }
+
+  /**
+   * Build a MessageReaction proto message
+   * @param {object} r - { messageId, emoji, timestamp }
+   */
+  _createReaction(r) {
+    return this.MessageReaction.create({
+      messageId: r.messageId,
+      emoji: r.emoji || '',
+      timestamp: r.timestamp,
+    });
+  }
+
+  /**
+   * Plain form of a decoded MessageReaction
+   * @param {object} r - Decoded MessageReaction proto message
+   */
+  _decodeReaction(r) {
+    return {
+      messageId: r.messageId,
+      emoji: r.emoji || '',
+      timestamp: Number(r.timestamp) || 0,
+    };
+  }
+
+  /**
+   * Build a ReplyTo proto message
+   * @param {object} replyTo - { messageId, snippet }
+   */
+  _createReplyTo(replyTo) {
+    return this.ReplyTo.create({
+      messageId: replyTo.messageId,
+      snippet: replyTo.snippet || '',
+    });
+  }
+
   /**
    * Encrypt and queue a message for batch sending (no HTTP call).
    * Call flushMessages() after queueing all messages to send them in one request.
    *
+   * The encrypted submission is also written to the outbox (if any), so it
+   * is retried until delivered even if this flush fails or the app reloads.
+   *
    * @param {string} targetDeviceId - Target device UUID (for server routing)
    * @param {object} opts - Message options
    * @param {string} [targetUserId] - Optional target user UUID override for Signal encryption
+   * @param {object} [delivery]
+   * @param {string|Array<string>} [delivery.ref] - Delivery key shared by all submissions
+   *   of one message or entry (messageId, `${model}:${id}`), see getDeliveryState().
+   *   A batch carrying several entries lists all their keys.
+   * @param {boolean} [delivery.durable=true] - false for traffic not worth retrying
    */
-  async queueMessage(targetDeviceId, opts, targetUserId) {
+  async queueMessage(targetDeviceId, opts, targetUserId, { ref = null, durable = true } = {}) {
     await this.loadProto();
 
     // Resolve userId + registrationId from device map
@@ -679,12 +895,35 @@ export class Messenger {
     });
     const encryptedPayload = this.EncryptedMessage.encode(encMsg).finish();
 
-    // Server routes by device_id
-    this._queue.push({
-      submissionId: uuidToBytes(generateDeviceUUID()),
-      deviceId: uuidToBytes(targetDeviceId),
+    const submission = {
+      submissionId: generateDeviceUUID(),
+      deviceId: targetDeviceId,
       message: encryptedPayload,
-    });
+      ref,
+      durable: durable && !!this.outbox,
+    };
+
+    if (submission.durable) {
+      try {
+        const now = Date.now();
+        await this.outbox.put({
+          submissionId: submission.submissionId,
+          deviceId: targetDeviceId,
+          message: encryptedPayload,
+          ref,
+          state: DeliveryState.PENDING,
+          attempts: 0,
+          nextAttemptAt: now + RETRY_BASE_MS,
+          lastError: null,
+          createdAt: now,
+        });
+      } catch (e) {
+        console.warn('[Messenger] Failed to write outbox:', e.message);
+        submission.durable = false;
+      }
+    }
+
+    this._queue.push(submission);
   }
 
   /**
@@ -696,24 +935,64 @@ export class Messenger {
       return { sent: 0, failed: 0, failedSubmissions: [] };
     }
 
-    await this.loadProto();
+    return this._submit(this._queue.splice(0));
+  }
 
-    const submissions = this._queue.splice(0);
-    const req = this.SendMessageRequest.create({ messages: submissions });
-    const protobufData = this.SendMessageRequest.encode(req).finish();
+  /**
+   * Send submissions that aren't already in flight
+   * A flush and the backoff retry can both pick up the same outbox entry;
+   * whichever gets it first sends it, the other skips it.
+   *
+   * @param {Array} submissions - Queued submissions
+   */
+  async _submit(submissions) {
+    const ready = submissions.filter(s => !this._inFlight.has(s.submissionId));
+    if (ready.length === 0) {
+      return { sent: 0, failed: 0, failedSubmissions: [] };
+    }
 
-    const res = await fetch(`${this.apiUrl}/v1/messages`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-protobuf',
-        'Authorization': `Bearer ${this.token}`,
-        'Idempotency-Key': generateDeviceUUID(),
-      },
-      body: protobufData,
+    for (const s of ready) this._inFlight.add(s.submissionId);
+    try {
+      return await this._post(ready);
+    } finally {
+      for (const s of ready) this._inFlight.delete(s.submissionId);
+    }
+  }
+
+  /**
+   * POST submissions and record the outcome in the outbox
+   * @param {Array} submissions - Queued submissions
+   */
+  async _post(submissions) {
+    await this.loadProto();
+
+    // Server routes by device_id
+    const req = this.SendMessageRequest.create({
+      messages: submissions.map(s => ({
+        submissionId: uuidToBytes(s.submissionId),
+        deviceId: uuidToBytes(s.deviceId),
+        message: s.message,
+      })),
     });
+    const protobufData = this.SendMessageRequest.encode(req).finish();
 
-    if (!res.ok) {
-      throw new Error(`Failed to send batch: ${res.status}`);
+    let res;
+    try {
+      res = await fetch(`${this.apiUrl}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-protobuf',
+          'Authorization': `Bearer ${this.token}`,
+          'Idempotency-Key': generateDeviceUUID(),
+        },
+        body: protobufData,
+      });
+      if (!res.ok) {
+        throw new Error(`Failed to send batch: ${res.status}`);
+      }
+    } catch (e) {
+      await this._recordAttempt(submissions, [], e.message);
+      throw e;
     }
 
     // Parse response for per-submission errors
@@ -734,6 +1013,8 @@ export class Messenger {
       }
     }
 
+    await this._recordAttempt(submissions, failedSubmissions);
+
     return {
       sent: submissions.length - failedSubmissions.length,
       failed: failedSubmissions.length,
@@ -741,6 +1022,162 @@ export class Messenger {
     };
   }
 
+  /**
+   * Update the outbox after a send attempt
+   * Accepted submissions are removed. Rejected ones (unknown device,
+   * malformed) are marked failed right away since retrying can't help;
+   * transport errors back off and are retried until MAX_SEND_ATTEMPTS.
+   *
+   * @param {Array} submissions
+   * @param {Array} failedSubmissions - From SendMessageResponse
+   * @param {string} [transportError] - Set if the request itself failed
+   */
+  async _recordAttempt(submissions, failedSubmissions, transportError = null) {
+    const durable = submissions.filter(s => s.durable);
+    if (durable.length === 0) return;
+
+    try {
+      const rejected = new Map(failedSubmissions.map(f => [bytesToUuid(f.submissionId), f]));
+      const accepted = [];
+
+      for (const submission of durable) {
+        const failure = rejected.get(submission.submissionId);
+        if (!transportError && !failure) {
+          accepted.push(submission.submissionId);
+          continue;
+        }
+
+        const entry = await this.outbox.get(submission.submissionId);
+        if (!entry) continue;
+        entry.attempts++;
+        entry.lastError = transportError || `${failure.errorCode} ${failure.errorMessage || ''}`.trim();
+        if (failure || entry.attempts >= MAX_SEND_ATTEMPTS) {
+          entry.state = DeliveryState.FAILED;
+        } else {
+          entry.nextAttemptAt = Date.now() + Math.min(RETRY_BASE_MS * 2 ** (entry.attempts - 1), RETRY_MAX_MS);
+        }
+        await this.outbox.put(entry);
+      }
+
+      await this.outbox.remove(accepted);
+      await this._notifyDelivery(durable.map(s => s.ref));
+    } catch (e) {
+      console.warn('[Messenger] Failed to update outbox:', e.message);
+    }
+
+    if (transportError) this._scheduleRetry();
+  }
+
+  /**
+   * Report the delivery state of refs to onDeliveryChange
+   * @param {Array<string|Array<string>|null>} refs
+   */
+  async _notifyDelivery(refs) {
+    if (!this.onDeliveryChange) return;
+    for (const ref of new Set(refs.flat().filter(Boolean))) {
+      this.onDeliveryChange(ref, await this.outbox.getState(ref));
+    }
+  }
+
+  /**
+   * Resend outbox entries that are due
+   * Called on reconnect and by the backoff timer.
+   *
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async retryPending() {
+    if (!this.outbox) return { sent: 0, failed: 0 };
+    if (this._retrying) return this._retrying;
+
+    this._retrying = (async () => {
+      let sent = 0;
+      let failed = 0;
+      try {
+        const getDue = async () => (await this.outbox.getDue())
+          .filter(entry => !this._inFlight.has(entry.submissionId));
+
+        let due = await getDue();
+        while (due.length > 0) {
+          const batch = due.slice(0, RETRY_BATCH_SIZE).map(entry => ({
+            submissionId: entry.submissionId,
+            deviceId: entry.deviceId,
+            message: entry.message,
+            ref: entry.ref,
+            durable: true,
+          }));
+          console.log(`[Messenger] Retrying ${batch.length} outbox submission(s)`);
+          const result = await this._submit(batch);
+          sent += result.sent;
+          failed += result.failed;
+          due = due.length > RETRY_BATCH_SIZE ? await getDue() : [];
+        }
+        this._scheduleRetry();
+      } catch (e) {
+        console.warn('[Messenger] Outbox retry failed:', e.message);
+      } finally {
+        this._retrying = null;
+      }
+      return { sent, failed };
+    })();
+
+    return this._retrying;
+  }
+
+  /**
+   * Retry a failed (or still pending) message or entry now
+   * @param {string} ref - Delivery key
+   */
+  async retry(ref) {
+    if (!this.outbox) return { sent: 0, failed: 0 };
+
+    const refs = [ref];
+    for (const entry of await this.outbox.getByRef(ref)) {
+      entry.state = DeliveryState.PENDING;
+      entry.attempts = 0;
+      entry.nextAttemptAt = 0;
+      await this.outbox.put(entry);
+      refs.push(entry.ref);
+    }
+    await this._notifyDelivery(refs);
+    if (this._retrying) await this._retrying;
+    return this.retryPending();
+  }
+
+  /**
+   * Delivery state of a message or entry
+   * @param {string} ref - Delivery key
+   * @returns {Promise<string>} DeliveryState (SENT if nothing is outstanding)
+   */
+  async getDeliveryState(ref) {
+    if (!this.outbox) return DeliveryState.SENT;
+    return this.outbox.getState(ref);
+  }
+
+  /**
+   * Schedule retryPending() for the next due entry
+   */
+  _scheduleRetry() {
+    if (!this.outbox) return;
+    clearTimeout(this._retryTimer);
+
+    this.outbox.getAll().then(entries => {
+      const next = entries
+        .filter(e => e.state === DeliveryState.PENDING)
+        .reduce((min, e) => Math.min(min, e.nextAttemptAt), Infinity);
+      if (next === Infinity) return;
+      clearTimeout(this._retryTimer);
+      this._retryTimer = setTimeout(() => this.retryPending(), Math.max(0, next - Date.now()));
+    }).catch(() => {});
+  }
+
+  /**
+   * Stop the backoff timer (on disconnect)
+   */
+  stopRetries() {
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+  }
+
   /**
    * Send an encrypted message (convenience for non-batch cases).
    * @param {string} targetDeviceId - Target device UUID (for routing)
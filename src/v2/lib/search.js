@@ -0,0 +1,417 @@
+/**
+ * Full-Text Search
+ * On-device inverted index over direct messages (messageStore) and the
+ * `searchable` fields of ORM models, kept current as messages are stored
+ * and entries are written or merged
+ *
+ * Usage:
+ *   const results = await client.search('dinner fri', { models: ['message', 'groupMessage'] });
+ *   // [{ source, id, conversationId, text, snippet, timestamp, score, message|entry }]
+ *
+ * Every query term must match a word, as a prefix ("fri" finds "friday").
+ * Results are ranked with BM25, exact words above prefix matches, then
+ * newest first.
+ *
+ * Each word is indexed under all of its prefixes. Once the data key is
+ * unlocked, prefixes are stored as keyed hashes, so the index on disk
+ * doesn't reveal message text.
+ */
+
+import { keyCache } from './keyCache.js';
+import { hashTerms } from '../crypto/storageEncryption.js';
+
+// Bump to rebuild existing indexes (e.g., when tokenize() changes)
+const INDEX_VERSION = 2;
+
+const MESSAGE_SOURCE = 'message';
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Prefix matches count for less than the exact word
+const PREFIX_WEIGHT = 0.5;
+
+const MAX_TOKEN_LENGTH = 40;
+const SNIPPET_RADIUS = 40;
+
+/**
+ * Split text into lowercase search terms
+ * Accents are folded ("café" -> "cafe") and punctuation is dropped.
+ *
+ * @param {string} text
+ * @returns {Array<string>} Terms in order, with repeats
+ */
+export function tokenize(text) {
+  if (typeof text !== 'string' || !text) return [];
+  const folded = text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+  return (folded.match(/[\p{L}\p{N}]+/gu) || [])
+    .map(token => token.slice(0, MAX_TOKEN_LENGTH));
+}
+
+export class SearchIndex {
+  /**
+   * @param {object} store - searchStore instance
+   * @param {object} [opts]
+   * @param {object} [opts.messageStore] - Direct messages to index
+   */
+  constructor(store, { messageStore = null } = {}) {
+    this._store = store;
+    this._messageStore = messageStore;
+    this._models = new Map();  // name -> Model with searchable fields
+    this._writes = Promise.resolve();  // Serializes index writes
+    this._building = null;
+    this._builtWith = null;  // Term key fingerprint of the current build
+
+    messageStore?.onChange((change) => this._onMessageChange(change));
+  }
+
+  /**
+   * Index ORM models that declare searchable fields, now and on every change
+   * @param {Map<string, Model>} models
+   */
+  watch(models) {
+    for (const [name, model] of models || []) {
+      if (!model.config.searchable?.length || this._models.has(name)) continue;
+      this._models.set(name, model);
+      model.onChange((entry) => this._enqueue(() => this._indexEntry(model, entry)));
+    }
+  }
+
+  /**
+   * Search messages and model entries
+   *
+   * @param {string} query
+   * @param {object} [opts]
+   * @param {Array<string>} [opts.models] - Sources to search: 'message' for
+   *   direct messages and/or model names (default: all)
+   * @param {Array<string>} [opts.conversations] - Only these DM usernames or
+   *   parent IDs (e.g., group IDs)
+   * @param {number} [opts.limit=50]
+   * @returns {Promise<Array>} Best matches first
+   */
+  async search(query, { models = null, conversations = null, limit = 50 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    await this.ensureBuilt();
+    await this._writes;
+
+    // Per query term: docKey -> weighted term frequency
+    const keys = await hashTerms(terms, keyCache.getDataKey());
+    const matches = [];
+    for (const term of terms) {
+      const byDoc = new Map();
+      for (const posting of await this._store.getPostings(keys.get(term))) {
+        byDoc.set(posting.docKey, posting.exact + (posting.tf - posting.exact) * PREFIX_WEIGHT);
+      }
+      matches.push(byDoc);
+    }
+
+    // Every term must match
+    matches.sort((a, b) => a.size - b.size);
+    const candidates = [...matches[0].keys()].filter(docKey => matches.every(m => m.has(docKey)));
+    if (candidates.length === 0) return [];
+
+    const sources = models ? new Set(models) : null;
+    const scopes = conversations ? new Set(conversations) : null;
+    const docs = [...(await this._store.getDocs(candidates)).values()]
+      .filter(doc => !sources || sources.has(doc.source))
+      .filter(doc => !scopes || scopes.has(doc.conversationId));
+
+    const { count, avgLength } = await this._store.getStats();
+    const ranked = docs
+      .map(doc => ({ doc, score: this._score(doc, matches, count, avgLength) }))
+      .sort((a, b) => (b.score - a.score) || (b.doc.timestamp - a.doc.timestamp));
+
+    const results = [];
+    for (const { doc, score } of ranked) {
+      if (results.length >= limit) break;
+      const result = await this._resolve(doc, score, terms);
+      if (result) results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Build the index from stored data if it is missing or outdated
+   * Also rebuilds when the data key changes (terms are hashed with it).
+   */
+  async ensureBuilt() {
+    const fingerprint = await this._keyFingerprint();
+    if (this._builtWith !== fingerprint) {
+      this._building = null;
+    }
+
+    if (!this._building) {
+      this._builtWith = fingerprint;
+      this._building = (async () => {
+        if (await this._store.getMeta('version') === INDEX_VERSION &&
+            await this._store.getMeta('termKey') === fingerprint) return;
+        await this.rebuild();
+      })().catch((e) => {
+        this._building = null;
+        throw e;
+      });
+    }
+    return this._building;
+  }
+
+  /**
+   * Re-index everything from messageStore and the watched models
+   */
+  async rebuild() {
+    await this._enqueue(async () => {
+      await this._store.clearAll();
+
+      for (const message of await this._messageStore?.getAllMessages() || []) {
+        await this._indexMessage(message);
+      }
+      for (const model of this._models.values()) {
+        for (const entry of await model.all()) {
+          await this._indexEntry(model, entry);
+        }
+      }
+
+      await this._store.setMeta('version', INDEX_VERSION);
+      await this._store.setMeta('termKey', await this._keyFingerprint());
+    });
+  }
+
+  /**
+   * Identifies the key terms are hashed with ('' while there is none)
+   * @returns {Promise<string>}
+   */
+  async _keyFingerprint() {
+    const dataKey = keyCache.getDataKey();
+    if (!dataKey) return '';
+    return (await hashTerms([''], dataKey)).get('');
+  }
+
+  /**
+   * Number of indexed documents and approximate size of the index
+   * @returns {Promise<{count: number, bytes: number}>}
+   */
+  getUsage() {
+    return this._store.getUsage();
+  }
+
+  /**
+   * Close the index database
+   */
+  close() {
+    this._store.close();
+  }
+
+  /**
+   * Run an index write after the previous ones
+   * @param {Function} fn - async () => void
+   * @returns {Promise<void>}
+   */
+  _enqueue(fn) {
+    const run = this._writes.then(fn).catch((e) => {
+      console.warn('[Search] Index update failed:', e.message);
+    });
+    this._writes = run;
+    return run;
+  }
+
+  /**
+   * @param {object} change - From messageStore.onChange
+   */
+  _onMessageChange(change) {
+    switch (change.type) {
+      case 'put':
+        this._enqueue(() => this._indexMessage(change.message));
+        break;
+      case 'delete':
+        this._enqueue(() => this._store.removeDoc(`${MESSAGE_SOURCE}:${change.messageId}`));
+        break;
+      case 'clear':
+        // Model entries are gone from the index too; rebuild on next search
+        this._enqueue(() => this._store.clearAll());
+        this._building = null;
+        break;
+    }
+  }
+
+  /**
+   * @param {object} message - messageStore record
+   */
+  async _indexMessage(message) {
+    await this._put({
+      docKey: `${MESSAGE_SOURCE}:${message.messageId}`,
+      source: MESSAGE_SOURCE,
+      id: message.messageId,
+      conversationId: message.conversationId,
+      timestamp: message.timestamp,
+    }, message.content);
+  }
+
+  /**
+   * @param {Model} model
+   * @param {object} entry - Entry or tombstone
+   */
+  async _indexEntry(model, entry) {
+    const docKey = `${model.name}:${entry.id}`;
+    if (entry.data?._deleted) {
+      await this._store.removeDoc(docKey);
+      return;
+    }
+
+    await this._put({
+      docKey,
+      source: model.name,
+      id: entry.id,
+      conversationId: this._parentId(model, entry),
+      timestamp: entry.timestamp,
+    }, this._entryText(model, entry));
+  }
+
+  /**
+   * Index a document's text, or drop it if there is none
+   * @param {object} doc
+   * @param {string} text
+   */
+  async _put(doc, text) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) {
+      await this._store.removeDoc(doc.docKey);
+      return;
+    }
+
+    // Every prefix of every word: occurrences, and how many are the whole word
+    const prefixes = new Map();
+    for (const token of tokens) {
+      for (let i = 1; i <= token.length; i++) {
+        const prefix = token.slice(0, i);
+        const counts = prefixes.get(prefix) || { tf: 0, exact: 0 };
+        counts.tf++;
+        if (i === token.length) counts.exact++;
+        prefixes.set(prefix, counts);
+      }
+    }
+
+    const keys = await hashTerms([...prefixes.keys()], keyCache.getDataKey());
+    const termFreqs = new Map();
+    for (const [prefix, counts] of prefixes) {
+      termFreqs.set(keys.get(prefix), counts);
+    }
+    await this._store.putDoc({ ...doc, length: tokens.length }, termFreqs);
+  }
+
+  /**
+   * BM25 score of a document over all query terms
+   * @param {object} doc
+   * @param {Array<Map>} matches - Per term: docKey -> weighted tf
+   * @param {number} count - Documents in the index
+   * @param {number} avgLength
+   * @returns {number}
+   */
+  _score(doc, matches, count, avgLength) {
+    let score = 0;
+    for (const byDoc of matches) {
+      const tf = byDoc.get(doc.docKey);
+      const idf = Math.log(1 + (count - byDoc.size + 0.5) / (byDoc.size + 0.5));
+      const norm = K1 * (1 - B + B * doc.length / (avgLength || 1));
+      score += idf * (tf * (K1 + 1)) / (tf + norm);
+    }
+    return score;
+  }
+
+  /**
+   * Load the message or entry behind a document
+   * Documents whose source is gone (expired, deleted elsewhere) are dropped.
+   *
+   * @param {object} doc
+   * @param {number} score
+   * @param {Array<string>} terms - Query terms, for the snippet
+   * @returns {Promise<object|null>}
+   */
+  async _resolve(doc, score, terms) {
+    const result = {
+      source: doc.source,
+      id: doc.id,
+      conversationId: doc.conversationId ?? null,
+      timestamp: doc.timestamp,
+      score,
+    };
+
+    if (doc.source === MESSAGE_SOURCE) {
+      const message = await this._messageStore?.getMessage(doc.id);
+      if (message) {
+        return { ...result, text: message.content, snippet: snippet(message.content, terms), message };
+      }
+    } else {
+      const model = this._models.get(doc.source);
+      const entry = model ? await model.find(doc.id) : null;
+      if (entry && !entry.data?._deleted) {
+        const text = this._entryText(model, entry);
+        return { ...result, text, snippet: snippet(text, terms), entry };
+      }
+    }
+
+    this._enqueue(() => this._store.removeDoc(doc.docKey));
+    return null;
+  }
+
+  /**
+   * @param {Model} model
+   * @param {object} entry
+   * @returns {string} Searchable fields joined
+   */
+  _entryText(model, entry) {
+    return model.config.searchable
+      .map(field => entry.data?.[field])
+      .filter(value => typeof value === 'string')
+      .join(' ');
+  }
+
+  /**
+   * The entry's first belongs_to parent (group of a group message, story
+   * of a comment), used to scope searches to conversations
+   *
+   * @param {Model} model
+   * @param {object} entry
+   * @returns {string|null}
+   */
+  _parentId(model, entry) {
+    for (const parent of [].concat(model.config.belongs_to || [])) {
+      const parentId = entry.data?.[`${parent}Id`];
+      if (parentId) return parentId;
+    }
+    return null;
+  }
+}
+
+/**
+ * Excerpt of text around the first matching word
+ * @param {string} text
+ * @param {Array<string>} terms - Query terms
+ * @returns {string}
+ */
+function snippet(text, terms) {
+  if (!text) return '';
+  const folded = text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+  // Folding can change length; fall back to the start when offsets drift
+  let at = -1;
+  if (folded.length === text.length) {
+    for (const term of terms) {
+      const index = folded.search(new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, 'u'));
+      if (index !== -1 && (at === -1 || index < at)) at = index;
+    }
+  }
+
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(text.length, Math.max(at, 0) + SNIPPET_RADIUS * 2);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
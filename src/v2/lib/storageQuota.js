@@ -0,0 +1,269 @@
+/**
+ * Storage Quota Manager
+ * Tracks how much IndexedDB space each local store uses and keeps the
+ * attachment cache within limits, evicting least recently used attachments
+ *
+ * Usage:
+ *   const report = await client.storage.getReport();
+ *   // { usage, quota, stores: { attachments: { count, bytes }, messages, models, search }, limits }
+ *   client.storage.setLimits({ attachmentCacheBytes: 200 * MB });
+ *
+ * Browsers only report a total via navigator.storage.estimate(), so the
+ * per-store numbers are our own accounting: exact for attachments (sizes are
+ * tracked as they're cached), approximate for records.
+ *
+ * Only cached attachments are evicted: they can be downloaded again.
+ * Messages and model data are never removed to save space.
+ */
+
+export const MB = 1024 * 1024;
+
+export const DEFAULT_LIMITS = {
+  attachmentCacheBytes: 500 * MB,  // Attachment cache size
+  maxUsageRatio: 0.8,              // Share of the browser quota we try to stay under
+};
+
+const LIMITS_KEY_PREFIX = 'obscura_storage_limits';
+
+/**
+ * Approximate stored size of a record, in bytes
+ * Binary data counts its byte length, strings their length.
+ *
+ * @param {*} value
+ * @returns {number}
+ */
+export function estimateSize(value) {
+  if (value === null || value === undefined) return 0;
+  if (value instanceof ArrayBuffer) return value.byteLength;
+  if (ArrayBuffer.isView(value)) return value.byteLength;
+  if (typeof Blob !== 'undefined' && value instanceof Blob) return value.size;
+
+  switch (typeof value) {
+    case 'string':
+      return value.length;
+    case 'number':
+      return 8;
+    case 'boolean':
+      return 1;
+    case 'object': {
+      let size = 0;
+      if (Array.isArray(value)) {
+        for (const item of value) size += estimateSize(item);
+      } else {
+        for (const [key, v] of Object.entries(value)) size += key.length + estimateSize(v);
+      }
+      return size;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Count the records of an object store and estimate their size
+ * Walks a cursor, so large stores aren't loaded into memory at once.
+ *
+ * @param {IDBObjectStore} objectStore
+ * @returns {Promise<{count: number, bytes: number}>}
+ */
+export function measureStore(objectStore) {
+  return new Promise((resolve, reject) => {
+    const usage = { count: 0, bytes: 0 };
+    const request = objectStore.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve(usage);
+      usage.count++;
+      usage.bytes += estimateSize(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class StorageQuotaManager {
+  /**
+   * @param {object} stores - { attachments, messages, models, search }; each
+   *   may be null, or a getter for stores created later (e.g. ORM)
+   * @param {object} [opts]
+   * @param {string} [opts.namespace] - Username, for saved limits
+   */
+  constructor(stores, opts = {}) {
+    this._stores = stores;
+    this._limitsKey = `${LIMITS_KEY_PREFIX}_${opts.namespace || 'default'}`;
+    this.limits = { ...DEFAULT_LIMITS, ...this._loadLimits() };
+    this._enforcing = null;
+  }
+
+  /**
+   * Resolve a store by name
+   * @private
+   */
+  _store(name) {
+    const store = this._stores[name];
+    return typeof store === 'function' ? store() : store;
+  }
+
+  /**
+   * Limits saved on this device
+   * Limits are per device (a phone and a laptop differ), so they live in
+   * localStorage rather than the synced Settings model.
+   * @private
+   */
+  _loadLimits() {
+    if (typeof localStorage === 'undefined') return {};
+    try {
+      return JSON.parse(localStorage.getItem(this._limitsKey)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Update limits, save them and enforce them
+   * @param {object} limits - { attachmentCacheBytes?, maxUsageRatio? }
+   * @returns {Promise<{count: number, bytes: number}>} What was evicted
+   */
+  async setLimits(limits) {
+    this.limits = { ...this.limits, ...limits };
+    if (typeof localStorage !== 'undefined') {
+      const saved = {};
+      for (const [key, value] of Object.entries(this.limits)) {
+        if (value !== DEFAULT_LIMITS[key]) saved[key] = value;
+      }
+      localStorage.setItem(this._limitsKey, JSON.stringify(saved));
+    }
+    return this.enforce();
+  }
+
+  /**
+   * Browser-wide usage and quota for this origin
+   * @returns {Promise<{usage: number, quota: number, persisted: boolean}|null>} null if unsupported
+   */
+  async estimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+    try {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+      return { usage, quota, persisted };
+    } catch (e) {
+      console.warn('[Storage] Estimate failed:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Usage breakdown for Settings
+   * @returns {Promise<{usage: number|null, quota: number|null, persisted: boolean, stores: object, limits: object}>}
+   */
+  async getReport() {
+    const stores = {};
+    for (const name of Object.keys(this._stores)) {
+      const store = this._store(name);
+      if (!store?.getUsage) continue;
+      try {
+        stores[name] = await store.getUsage();
+      } catch (e) {
+        console.warn(`[Storage] Failed to measure ${name}:`, e.message);
+        stores[name] = null;
+      }
+    }
+
+    const estimate = await this.estimate();
+    return {
+      usage: estimate?.usage ?? null,
+      quota: estimate?.quota ?? null,
+      persisted: estimate?.persisted ?? false,
+      stores,
+      limits: { ...this.limits },
+    };
+  }
+
+  /**
+   * Evict cached attachments until the cache and the origin are within limits
+   * Concurrent calls share one run.
+   *
+   * @param {object} [opts]
+   * @param {string} [opts.keep] - Attachment ID to never evict (e.g. just cached)
+   * @returns {Promise<{count: number, bytes: number}>} What was evicted
+   */
+  async enforce(opts = {}) {
+    if (this._enforcing) return this._enforcing;
+    this._enforcing = this._enforce(opts).finally(() => {
+      this._enforcing = null;
+    });
+    return this._enforcing;
+  }
+
+  async _enforce({ keep = null } = {}) {
+    const attachments = this._store('attachments');
+    if (!attachments?.getUsage) return { count: 0, bytes: 0 };
+
+    const { bytes } = await attachments.getUsage();
+    let excess = bytes - this.limits.attachmentCacheBytes;
+
+    // Also make room if the origin as a whole is close to its quota
+    const estimate = await this.estimate();
+    if (estimate?.quota) {
+      excess = Math.max(excess, estimate.usage - estimate.quota * this.limits.maxUsageRatio);
+    }
+
+    if (excess <= 0) return { count: 0, bytes: 0 };
+    return this.evictAttachments(excess, { keep });
+  }
+
+  /**
+   * Evict least recently used attachments
+   * @param {number} bytesToFree
+   * @param {object} [opts]
+   * @param {string} [opts.keep] - Attachment ID to never evict
+   * @returns {Promise<{count: number, bytes: number}>} What was evicted
+   */
+  async evictAttachments(bytesToFree, { keep = null } = {}) {
+    const attachments = this._store('attachments');
+    const evicted = { count: 0, bytes: 0 };
+    if (!attachments?.getLeastRecentlyUsed) return evicted;
+
+    for (const { attachmentId, sizeBytes } of await attachments.getLeastRecentlyUsed()) {
+      if (evicted.bytes >= bytesToFree) break;
+      if (attachmentId === keep) continue;
+      await attachments.delete(attachmentId);
+      evicted.count++;
+      evicted.bytes += sizeBytes || 0;
+    }
+
+    if (evicted.count > 0) {
+      console.log(`[Storage] Evicted ${evicted.count} cached attachment(s), ${(evicted.bytes / MB).toFixed(1)} MB`);
+    }
+    return evicted;
+  }
+
+  /**
+   * Called after an attachment is written to the cache
+   * A failed write (e.g. quota exceeded) frees space for the next one.
+   *
+   * @param {string} attachmentId
+   * @param {boolean} stored - Whether the write succeeded
+   */
+  async onAttachmentCached(attachmentId, stored) {
+    try {
+      if (stored) {
+        await this.enforce({ keep: attachmentId });
+      } else {
+        const usage = await this._store('attachments')?.getUsage?.();
+        // The browser refused the write: free the older half of the cache
+        if (usage?.bytes) await this.evictAttachments(usage.bytes / 2);
+      }
+    } catch (e) {
+      console.warn('[Storage] Enforcing limits failed:', e.message);
+    }
+  }
+
+  /**
+   * Remove every cached attachment
+   * @returns {Promise<void>}
+   */
+  async clearAttachmentCache() {
+    await this._store('attachments')?.clearAll();
+  }
+}
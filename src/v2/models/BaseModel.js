@@ -7,8 +7,14 @@
 export class BaseModel {
   // Schema
   static fields = {};
-  static sync = 'lww';           // 'lww' | 'g-set'
+  static sync = 'lww';           // 'lww' | 'lww-fields' | 'g-set' | 'counter' | 'or-set'
   static collectable = true;     // Can user pin/save this?
+  static indexes = [];           // Queryable fields, e.g. ['groupId', ['groupId', 'timestamp']]
+  static searchable = [];        // Text fields in full-text search, e.g. ['text']
+
+  // Versioning
+  static version = 1;            // Bump when fields change
+  static migrations = {};        // { [toVersion]: (data) => upgradedData }
 
   // TTL
   static ttl = null;             // Model default TTL (e.g., '24h'), or null to inherit user setting
@@ -20,6 +26,12 @@ export class BaseModel {
 
   // Privacy
   static private = false;        // Only sync to own devices
+  static writableBy = 'anyone';  // Remote writes from: 'anyone' | 'author' | 'owner' (own devices) | 'groupMembers' | 'members'
+
+  // Validations, checked on local writes and remote entries:
+  // { text: { required: true, maxLength: 2000, format: /.../, inclusion: [...],
+  //           validate: (value, data) => true | 'error message' } }
+  static validations = {};
 
   /**
    * Get TTL for an entry (override for dynamic TTL)
@@ -39,6 +51,50 @@ export class BaseModel {
     return Date.now();
   }
 
+  // Lifecycle hooks (override in subclasses; unchanged hooks are not registered)
+
+  /**
+   * Called before a local create (or an upsert() of a new ID), before validation
+   * @param {object} data - Field values passed to create() or upsert()
+   * @returns {object|void} Data to create with (defaults to data)
+   */
+  static beforeCreate(data) {
+    return data;
+  }
+
+  /**
+   * Called before upsert() changes an existing entry, before validation
+   * @param {object} data - Field values passed to upsert()
+   * @param {object} existing - The current entry
+   * @returns {object|void} Data to write (defaults to data)
+   */
+  static beforeUpdate(data, existing) {
+    return data;
+  }
+
+  /**
+   * Called after a local create is stored and broadcast
+   * @param {object} entry - The created entry
+   */
+  static afterCreate(entry) {}
+
+  /**
+   * Called before a verified remote entry is merged
+   * @param {object} entry - The incoming entry
+   * @param {object} ctx - { op, author } where author is the username behind
+   *   entry.authorDeviceId (null if unknown)
+   * @returns {boolean|void} false (or throw) to reject the entry
+   */
+  static beforeSync(entry, ctx) {
+    return true;
+  }
+
+  /**
+   * Called after a remote entry changed local state
+   * @param {object} entry - The merged entry
+   */
+  static afterMerge(entry) {}
+
   /**
    * Convert model class to schema config object
    * Used by ORM for backwards compatibility
@@ -55,6 +111,18 @@ export class BaseModel {
     if (this.has_many) config.has_many = this.has_many;
     if (this.belongs_to) config.belongs_to = this.belongs_to;
     if (this.private) config.private = this.private;
+    if (this.writableBy !== 'anyone') config.writableBy = this.writableBy;
+    if (this.indexes.length > 0) config.indexes = this.indexes;
+    if (this.searchable.length > 0) config.searchable = this.searchable;
+    if (this.version > 1) config.version = this.version;
+    if (Object.keys(this.migrations).length > 0) config.migrations = this.migrations;
+    if (Object.keys(this.validations).length > 0) config.validations = this.validations;
+
+    const hooks = {};
+    for (const name of ['beforeCreate', 'beforeUpdate', 'afterCreate', 'beforeSync', 'afterMerge']) {
+      if (this[name] !== BaseModel[name]) hooks[name] = this[name].bind(this);
+    }
+    if (Object.keys(hooks).length > 0) config.hooks = hooks;
 
     return config;
   }
@@ -7,6 +7,11 @@ export class Comment extends BaseModel {
 
   static sync = 'g-set';
   static collectable = true;
+  static indexes = ['storyId'];
+  static searchable = ['text'];
+  static validations = {
+    text: { required: true, maxLength: 2000 },
+  };
   static ttl = '24h';
   static ttlTrigger = 'create';
   static belongs_to = ['story', 'comment'];
@@ -3,11 +3,12 @@ import { BaseModel } from './BaseModel.js';
 export class Group extends BaseModel {
   static fields = {
     name: 'string',
-    members: 'string',  // JSON array of usernames
+    members: 'set',     // Usernames, concurrent add/remove safe
   };
 
-  static sync = 'g-set';
+  static sync = 'or-set';
   static collectable = true;
   static ttl = null;
   static has_many = ['groupMessage'];
+  static writableBy = 'members';  // Only members change the group; others may only leave
 }
@@ -4,11 +4,20 @@ export class GroupMessage extends BaseModel {
   static fields = {
     text: 'string',
     mediaUrl: 'string?',
+    replyToId: 'string?',  // Quoted message in the same group
+  };
+
+  static validations = {
+    replyToId: { format: /^[A-Za-z0-9_-]{1,64}$/ },
   };
 
   static sync = 'g-set';
   static collectable = true;
+  static indexes = [['groupId', 'timestamp']];
+  static searchable = ['text'];
   static ttl = '7d';
   static ttlTrigger = 'create';
   static belongs_to = 'group';
+  static has_many = ['reaction'];
+  static writableBy = 'groupMembers';  // Only members can post into a group
 }
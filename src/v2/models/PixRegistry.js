@@ -20,9 +20,11 @@ export class PixRegistry extends BaseModel {
     streakEarnedAt: 'timestamp?',  // When streak was last incremented
   };
 
-  static sync = 'lww';
+  static sync = 'counter';         // Number fields are PN-Counters, the rest LWW
   static collectable = false;
+  static indexes = ['friendUsername'];
   static private = true;           // Only syncs to own devices, never to friends
+  static writableBy = 'owner';
   static ttl = null;               // No expiration
 
   // Generate deterministic ID from friend username
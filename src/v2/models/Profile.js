@@ -7,7 +7,8 @@ export class Profile extends BaseModel {
     bio: 'string?',
   };
 
-  static sync = 'lww';
+  static sync = 'lww-fields';  // Edited from several devices, merge per field
   static collectable = true;
   static ttl = null;  // Inherit user default
+  static writableBy = 'author';  // Friends can't overwrite our profile
 }
@@ -7,7 +7,19 @@ export class Reaction extends BaseModel {
 
   static sync = 'lww';
   static collectable = true;
+  static indexes = ['storyId', 'groupId'];
   static ttl = '24h';
   static ttlTrigger = 'create';
-  static belongs_to = ['story', 'comment'];
+  // Reactions to group messages also carry groupId, so they only go to
+  // the group's members
+  static belongs_to = ['story', 'comment', 'groupMessage', 'group'];
+  static writableBy = 'author';
+
+  // A group member's reaction to a message has the ID
+  // reaction_<groupMessageId>_<username> (see GroupChat); only that member
+  // may write it, so nobody can claim another's reaction ID first
+  static beforeSync(entry, { author }) {
+    const messageId = entry.data?.groupMessageId;
+    return !messageId || entry.id === `reaction_${messageId}_${author}`;
+  }
 }
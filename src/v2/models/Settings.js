@@ -4,14 +4,16 @@ export class Settings extends BaseModel {
   static fields = {
     theme: 'string',
     notificationsEnabled: 'boolean',
+    readReceiptsEnabled: 'boolean?',  // Tell friends when we've read their messages (default on)
     defaultTTL: 'string?',  // User's default TTL (e.g., '30d')
     webBackupEnabled: 'boolean?',
     webBackupEtag: 'string?',  // Server ETag for optimistic locking
     webBackupLastUpload: 'string?',  // ISO timestamp of last successful upload
   };
 
-  static sync = 'lww';
+  static sync = 'lww-fields';  // Toggled on any of our devices; each setting merges on its own
   static collectable = true;
   static ttl = null;
   static private = true;  // Only syncs to own devices
+  static writableBy = 'owner';
 }
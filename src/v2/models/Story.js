@@ -9,6 +9,7 @@ export class Story extends BaseModel {
 
   static sync = 'g-set';
   static collectable = true;
+  static searchable = ['content'];
   static ttl = '24h';
   static ttlTrigger = 'create';
   static has_many = ['comment', 'reaction'];
@@ -5,13 +5,32 @@
  * - create() - Validate, generate ID, sign, persist, broadcast
  * - find() - Get by ID
  * - where() - Query with conditions
- * - upsert() - Create or update (for LWW models)
+ * - upsert() - Create or update (for LWW and counter models)
+ * - increment() - Bump a PN-Counter field (for counter models)
+ * - addTo() / removeFrom() - Change an OR-Set field (for or-set models)
+ * - delete() - Tombstone (LWW) or signed retraction (G-Set)
+ *
+ * Models may declare `validations` (checked on local writes and on remote
+ * entries) and `hooks`: beforeCreate, beforeUpdate, afterCreate, beforeSync,
+ * afterMerge.
+ * A `writableBy` policy limits who may write remote entries.
  *
  * The same Model class works for ANY model name.
  * "story", "streak", "settings" - all use this same code.
  */
 
-import { QueryBuilder } from './QueryBuilder.js';
+import { QueryBuilder, pluralize } from './QueryBuilder.js';
+import { SyncOp } from './sync/SyncManager.js';
+import { compareTimestamps } from './crdt/HybridClock.js';
+import { sign, verify } from '../crypto/ed25519.js';
+import { serializeModelEntryForSigning, normalizeKeyToUint8Array } from '../crypto/signatures.js';
+import { logger } from '../lib/logger.js';
+
+// Retractions held for G-Set entries that haven't arrived yet
+const MAX_PENDING_RETRACTIONS = 1000;
+
+// Sync types whose entries merge several devices' writes
+const MERGED_SYNC_TYPES = ['counter', 'or-set', 'lww-fields'];
 
 /**
  * Generate a random ID suffix
@@ -32,18 +51,48 @@ export class Model {
    * @param {object} opts
    * @param {string} opts.name - Model name (e.g., 'story', 'streak')
    * @param {object} opts.config - Schema config { fields, sync, ephemeral|collectable, ... }
-   * @param {GSet|LWWMap} opts.crdt - CRDT instance for this model
+   * @param {GSet|LWWMap|PNCounter|ORSet} opts.crdt - CRDT instance for this model
    * @param {ObscuraClient} opts.client - Parent client
    * @param {SyncManager} opts.syncManager - Handles broadcast
    * @param {TTLManager} [opts.ttlManager] - Handles ephemeral expiration
+   * @param {HybridClock} [opts.clock] - Write clock, defaults to the CRDT's
    */
-  constructor({ name, config, crdt, client, syncManager, ttlManager }) {
+  constructor({ name, config, crdt, client, syncManager, ttlManager, clock }) {
     this.name = name;
     this.config = config;
     this.crdt = crdt;
     this.client = client;
     this.syncManager = syncManager;
     this.ttlManager = ttlManager;
+    this.clock = clock || crdt.clock;
+    this._changeListeners = new Set();
+    this._pendingRetractions = new Map();  // id -> tombstone whose entry hasn't arrived
+  }
+
+  /**
+   * Listen for local writes and remote merges on this model
+   * Used by live queries (QueryBuilder.subscribe)
+   *
+   * @param {Function} listener - (entry) => void, entry may be a tombstone
+   * @returns {Function} Unsubscribe
+   */
+  onChange(listener) {
+    this._changeListeners.add(listener);
+    return () => this._changeListeners.delete(listener);
+  }
+
+  /**
+   * Notify change listeners
+   * @param {object} entry
+   */
+  _notifyChange(entry) {
+    for (const listener of this._changeListeners) {
+      try {
+        listener(entry);
+      } catch (e) {
+        console.warn(`[ORM] Change listener failed for ${this.name}:`, e.message);
+      }
+    }
   }
 
   /**
@@ -55,6 +104,7 @@ export class Model {
    * - Timestamp
    * - Signing
    * - Local persistence (CRDT add)
+   * - Live query notification
    * - Broadcast (fan-out to friends + self-sync)
    * - TTL scheduling (if ephemeral)
    *
@@ -62,17 +112,21 @@ export class Model {
    * @returns {object} The created entry
    */
   async create(data) {
-    // 1. Validate fields against schema
+    // 1. Run beforeCreate, then validate fields against schema
+    data = (await this._runHook('beforeCreate', data)) || data;
     this._validate(data);
 
     // 2. Generate unique ID
     const id = `${this.name}_${Date.now()}_${randomId()}`;
+    if (this.config.sync === 'or-set') {
+      data = this.crdt.assignData(null, data, this.client.deviceUUID);
+    }
 
     // 3. Build entry
     const entry = {
       id,
       data,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       authorDeviceId: this.client.deviceUUID,
       signature: new Uint8Array(0),  // Will be filled by signing
     };
@@ -82,6 +136,7 @@ export class Model {
 
     // 5. Persist locally via CRDT
     await this.crdt.add(entry);
+    await this._recordWrite(entry);
 
     // 6. Track associations (belongs_to relationships)
     if (this.config.belongs_to) {
@@ -98,36 +153,62 @@ export class Model {
       }
     }
 
-    // 7. Broadcast to friends + self-sync
-    await this.syncManager.broadcast(this, entry);
+    // 7. Notify live queries
+    this._notifyChange(entry);
+
+    // 8. Broadcast to friends + self-sync
+    await this.syncManager.broadcast(this, entry, SyncOp.CREATE);
 
-    // 8. Schedule TTL if model has TTL defined
+    // 9. Schedule TTL if model has TTL defined
     if (this.config.ttl && this.ttlManager) {
       await this.ttlManager.schedule(this.name, id, this.config.ttl);
     }
 
+    // 10. afterCreate hook (failures don't undo the create)
+    await this._runAfterHook('afterCreate', entry);
+
     return entry;
   }
 
   /**
-   * Upsert (create or update) - for LWW models
+   * Upsert (create or update) - for LWW, counter and or-set models
    *
    * If ID exists and this timestamp is newer, updates.
    * If ID doesn't exist, creates.
+   * Per-field LWW models only stamp the fields whose value changed.
+   * Counter models treat number fields as assignments: this device's
+   * slots move by the difference. Prefer increment() for concurrent tallies.
+   * OR-Set models likewise diff set fields against the observed contents;
+   * prefer addTo()/removeFrom() for concurrent edits.
+   * Runs beforeCreate for a new ID and beforeUpdate for an existing one.
    *
    * @param {string} id - Entry ID
    * @param {object} data - New field values
    * @returns {object} The resulting entry
    */
   async upsert(id, data) {
-    // Validate
+    const existing = await this.crdt.get(id);
+
+    // Run beforeCreate/beforeUpdate, then validate
+    data = (existing
+      ? await this._runHook('beforeUpdate', data, existing)
+      : await this._runHook('beforeCreate', data)) || data;
     this._validate(data);
 
+    const timestamp = this.clock.now();
+    if (this.config.sync === 'counter' || this.config.sync === 'or-set') {
+      data = this.crdt.assignData(existing, data, this.client.deviceUUID);
+    } else if (this.config.sync === 'lww-fields') {
+      // Re-saving over a tombstone revives the entry
+      if (existing?.data?._deleted) data = { ...data, _deleted: false };
+      data = this.crdt.assignData(existing, data, timestamp, this.client.deviceUUID);
+    }
+
     // Build entry with provided ID
     const entry = {
       id,
       data,
-      timestamp: Date.now(),
+      timestamp,
       authorDeviceId: this.client.deviceUUID,
       signature: new Uint8Array(0),
     };
@@ -137,10 +218,140 @@ export class Model {
 
     // Set via CRDT (LWW will handle conflict resolution)
     const result = await this.crdt.set(entry);
+    await this._recordWrite(entry);
+
+    // Only notify + broadcast if we actually updated (our entry won)
+    if (result !== existing) {
+      this._notifyChange(result);
+      await this.syncManager.broadcast(this, entry, existing ? SyncOp.UPDATE : SyncOp.CREATE);
+    }
+
+    return result;
+  }
+
+  /**
+   * Increment a counter field - for counter models
+   *
+   * Adds to this device's slot of the field's PN-Counter, so increments
+   * made concurrently on other devices are never lost. Other fields keep
+   * their current values and timestamp.
+   *
+   * @param {string} id - Entry ID
+   * @param {string} field - Number field to change
+   * @param {number} [n=1] - Amount, negative to decrement
+   * @returns {object} The resulting entry
+   */
+  async increment(id, field, n = 1) {
+    if (this.config.sync !== 'counter') {
+      throw new Error(`increment() not supported for ${this.config.sync} models`);
+    }
+    if (!this.crdt.counterFields.includes(field)) {
+      throw new Error(`Validation failed: ${field} is not a counter field of ${this.name}`);
+    }
+    if (typeof n !== 'number' || !Number.isFinite(n)) {
+      throw new Error(`Validation failed: increment must be a finite number`);
+    }
+
+    const existing = await this.crdt.get(id);
+    if (n === 0 && existing) return existing;
+
+    const entry = {
+      id,
+      data: this.crdt.incrementData(existing, field, n, this.client.deviceUUID),
+      timestamp: existing ? existing.timestamp : this.clock.now(),
+      authorDeviceId: this.client.deviceUUID,
+      signature: new Uint8Array(0),
+    };
+    entry.signature = await this._sign(entry);
+
+    const result = await this.crdt.set(entry);
+    await this._recordWrite(entry);
+    this._notifyChange(result);
+    await this.syncManager.broadcast(this, entry, existing ? SyncOp.UPDATE : SyncOp.CREATE);
+
+    return result;
+  }
+
+  /**
+   * Add elements to a set field - for or-set models
+   *
+   * Each add gets a fresh tag, so it survives a concurrent removeFrom()
+   * on another device. Other fields keep their current values and timestamp.
+   *
+   * @param {string} id - Entry ID
+   * @param {string} field - Set field to change
+   * @param {string|Array<string>} elements - Element(s) to add
+   * @returns {object} The resulting entry
+   */
+  async addTo(id, field, elements) {
+    const list = this._setElements(field, elements);
+    const existing = await this.crdt.get(id);
+    const data = this.crdt.addData(existing, field, list, this.client.deviceUUID);
+    return this._applySetChange(id, existing, data);
+  }
+
+  /**
+   * Remove elements from a set field - for or-set models
+   *
+   * Only the adds this device has observed are removed.
+   *
+   * @param {string} id - Entry ID
+   * @param {string} field - Set field to change
+   * @param {string|Array<string>} elements - Element(s) to remove
+   * @returns {object} The resulting entry
+   */
+  async removeFrom(id, field, elements) {
+    const list = this._setElements(field, elements);
+    const existing = await this.crdt.get(id);
+    if (!existing) {
+      throw new Error(`Cannot remove from ${this.name}/${id}: not found`);
+    }
+    const data = this.crdt.removeData(existing, field, list);
+    return this._applySetChange(id, existing, data);
+  }
+
+  /**
+   * Validate the target of addTo()/removeFrom()
+   * @param {string} field
+   * @param {string|Array<string>} elements
+   * @returns {Array<string>}
+   */
+  _setElements(field, elements) {
+    if (this.config.sync !== 'or-set') {
+      throw new Error(`addTo()/removeFrom() not supported for ${this.config.sync} models`);
+    }
+    if (!this.crdt.setFields.includes(field)) {
+      throw new Error(`Validation failed: ${field} is not a set field of ${this.name}`);
+    }
+    const list = Array.isArray(elements) ? elements : [elements];
+    if (!list.every(e => typeof e === 'string')) {
+      throw new Error(`Validation failed: ${field} elements must be strings`);
+    }
+    return list;
+  }
+
+  /**
+   * Sign, apply and broadcast an OR-Set change
+   * @param {string} id
+   * @param {object|null} existing
+   * @param {object} data - New entry data from the ORSet
+   * @returns {object} The resulting entry
+   */
+  async _applySetChange(id, existing, data) {
+    const entry = {
+      id,
+      data,
+      timestamp: existing ? existing.timestamp : this.clock.now(),
+      authorDeviceId: this.client.deviceUUID,
+      signature: new Uint8Array(0),
+    };
+    entry.signature = await this._sign(entry);
 
-    // Only broadcast if we actually updated (our entry won)
-    if (result === entry) {
-      await this.syncManager.broadcast(this, entry);
+    const result = await this.crdt.set(entry);
+    await this._recordWrite(entry);
+    if (result !== existing) {
+      this._notifyChange(result);
+      await this.syncManager.broadcast(this, entry, existing ? SyncOp.UPDATE : SyncOp.CREATE);
     }
 
     return result;
@@ -186,7 +397,7 @@ export class Model {
    *
    * @param {Array} parents - Parent entries to load into
    * @param {string} foreignKey - Field name linking to parent (e.g., 'storyId')
-   * @param {string} [propName] - Property name on parent (defaults to model name + 's')
+   * @param {string} [propName] - Property name on parent (defaults to the plural model name)
    */
   async loadInto(parents, foreignKey, propName = null) {
     if (!parents || parents.length === 0) return;
@@ -208,30 +419,40 @@ export class Model {
     }
 
     // Attach to parents
-    const prop = propName || this.name + 's';
+    const prop = propName || pluralize(this.name);
     for (const parent of parents) {
       parent[prop] = byParent.get(parent.id) || [];
     }
   }
 
   /**
-   * Delete an entry (LWW models only)
-   * Uses tombstone pattern - marks as deleted with newer timestamp
+   * Delete an entry
+   *
+   * LWW models: marks as deleted with a newer-timestamped tombstone.
+   * G-Set models: retracts the entry with a signed tombstone. Only the
+   * author (any of their devices) may retract.
    *
    * @param {string} id - Entry ID to delete
+   * @returns {object} The signed tombstone
    */
   async delete(id) {
-    if (this.config.sync !== 'lww') {
-      throw new Error('Delete only supported for LWW models');
-    }
+    const existing = await this.crdt.get(id);
 
-    const timestamp = Date.now();
+    if (this.config.sync === 'g-set') {
+      if (!existing) {
+        throw new Error(`Cannot retract ${this.name}/${id}: not found`);
+      }
+      if (!this._isSameAuthor(existing.authorDeviceId, this.client.deviceUUID)) {
+        throw new Error(`Cannot retract ${this.name}/${id}: only the author can retract`);
+      }
+    } else if (this.config.sync !== 'lww' && this.config.sync !== 'lww-fields') {
+      throw new Error(`Delete not supported for ${this.config.sync} models`);
+    }
 
-    // Create tombstone entry
     const tombstone = {
       id,
-      data: { _deleted: true },
-      timestamp,
+      data: this._tombstoneData(existing),
+      timestamp: this.clock.now(),
       authorDeviceId: this.client.deviceUUID,
       signature: new Uint8Array(0),
     };
@@ -239,11 +460,46 @@ export class Model {
     // Sign the tombstone
     tombstone.signature = await this._sign(tombstone);
 
-    // Delete via CRDT (uses tombstone internally)
-    await this.crdt.delete(id, this.client.deviceUUID);
+    // Apply locally
+    if (this.config.sync === 'g-set') {
+      await this.crdt.remove(tombstone);
+      await this._removeAssociations(existing);
+    } else {
+      await this.crdt.set(tombstone);
+      await this._recordWrite(tombstone);
+    }
+    this._notifyChange(tombstone);
 
     // Broadcast deletion to friends + self
-    await this.syncManager.broadcast(this, tombstone);
+    await this.syncManager.broadcast(this, tombstone, SyncOp.DELETE);
+
+    return tombstone;
+  }
+
+  /**
+   * Outbox key of an entry's broadcasts ('deliveryState' event refs)
+   * @param {string} id
+   * @returns {string}
+   */
+  deliveryRef(id) {
+    return this.syncManager.deliveryRef(this, id);
+  }
+
+  /**
+   * Delivery state of this device's last broadcast of an entry
+   * @param {string} id
+   * @returns {Promise<string>} 'pending' | 'failed' | 'sent'
+   */
+  async deliveryState(id) {
+    return this.client.getDeliveryState(this.deliveryRef(id));
+  }
+
+  /**
+   * Retry broadcasting an entry that is pending or failed
+   * @param {string} id
+   */
+  async retryDelivery(id) {
+    return this.client.retryDelivery(this.deliveryRef(id));
   }
 
   /**
@@ -263,10 +519,78 @@ export class Model {
       signature: modelSync.signature,
     };
 
-    // TODO: Verify signature against authorDeviceId's known key
+    // Verify signature against authorDeviceId's known key
+    const verified = await this._verify(entry);
+    if (!verified) {
+      return this._reject(entry, `Invalid signature for ${this.name}/${entry.id} from ${entry.authorDeviceId || 'unknown device'}`);
+    }
+
+    // A write stamped far in the future would win every conflict; reject it
+    // (anti-entropy offers it again once our clock has caught up)
+    if (this.clock.isTooFarAhead(entry.timestamp)) {
+      return this._reject(entry, `${this.name}/${entry.id} from ${entry.authorDeviceId} is timestamped too far ahead`);
+    }
+
+    // Keep our clock ahead of everything we've seen
+    this.clock.update(entry.timestamp);
+
+    // Schema version: hold back writes we can't understand yet, upgrade older ones
+    const schemaVersion = modelSync.schemaVersion || 1;
+    const localVersion = this.config.version || 1;
+    if (schemaVersion > localVersion) {
+      return this._quarantine(modelSync, schemaVersion);
+    }
+    if (schemaVersion < localVersion && this.syncManager.store) {
+      entry.data = this.syncManager.store.migrateData(this.name, entry.data, schemaVersion);
+    }
+
+    const op = modelSync.op || SyncOp.CREATE;
+
+    // The signature covers the data but not the op, so the op must match the
+    // data: a signed entry replayed as a DELETE (or a tombstone as a CREATE)
+    // would otherwise retract or revive it on every peer
+    const isTombstone = entry.data?._deleted === true;
+    if ((op === SyncOp.DELETE) !== isTombstone) {
+      return this._reject(entry, `${this.name}/${entry.id}: ${isTombstone ? 'tombstone' : 'entry'} sent as ${op === SyncOp.DELETE ? 'DELETE' : 'CREATE/UPDATE'}`);
+    }
+
+    const denied = await this._checkWritePolicy(entry, op);
+    if (denied) {
+      return this._reject(entry, `${this.name}/${entry.id} from ${entry.authorDeviceId}: ${denied}`);
+    }
+
+    // Remote entries obey the same rules as local writes (tombstones carry no fields)
+    if (!isTombstone) {
+      const errors = this._checkValidations(entry.data);
+      if (errors.length > 0) {
+        return this._reject(entry, `Validation failed for ${this.name}/${entry.id}: ${errors.join('; ')}`);
+      }
+    }
+    try {
+      const author = this._authorUsername(entry.authorDeviceId);
+      if (await this._runHook('beforeSync', entry, { op, author }) === false) {
+        return this._reject(entry, `beforeSync rejected ${this.name}/${entry.id}`);
+      }
+    } catch (e) {
+      return this._reject(entry, `beforeSync rejected ${this.name}/${entry.id}: ${e.message}`);
+    }
+
+    if (op === SyncOp.DELETE) {
+      const deleted = await this._applyDelete(entry);
+      if (deleted) {
+        this._notifyChange(deleted);
+        await this._runAfterHook('afterMerge', deleted);
+      }
+      return deleted;
+    }
+
+    if (op === SyncOp.UPDATE && this.config.sync === 'g-set') {
+      return this._reject(entry, `UPDATE not allowed for G-Set model ${this.name}/${entry.id}`);
+    }
 
     // Merge into local CRDT
     const merged = await this.crdt.merge([entry]);
+    await this._recordWrite(entry);
 
     // If merged successfully, track associations
     if (merged.length > 0 && this.config.belongs_to && this.syncManager.store) {
@@ -283,10 +607,317 @@ export class Model {
       }
     }
 
+    if (merged.length > 0) {
+      const retraction = await this._applyPendingRetraction(merged[0]);
+      if (retraction) {
+        this._notifyChange(retraction);
+        await this._runAfterHook('afterMerge', retraction);
+        return retraction;
+      }
+      this._notifyChange(merged[0]);
+      await this._runAfterHook('afterMerge', merged[0]);
+    }
+
     // Return the entry if it was new/updated
     return merged.length > 0 ? merged[0] : null;
   }
 
+  /**
+   * Check a remote entry against the model's writableBy policy
+   * The author is resolved from its (verified) authorDeviceId:
+   * - 'anyone': any friend or own device (default)
+   * - 'owner': only our own devices
+   * - 'author': anyone may create; only the user who wrote an entry may
+   *   change or delete it
+   * - 'groupMembers': the author must be a member of the parent group
+   *   (the targeting association, e.g. groupId); deletes as 'author'.
+   *   Under 'author' too, an entry that names a group must come from a member.
+   * - 'members': for OR-Set models with a `members` field; whoever writes
+   *   the entry first creates it, then only current members may change it.
+   *   Anyone else may only remove their own username (leave).
+   *
+   * @param {object} entry - Incoming entry
+   * @param {string} op - SyncOp
+   * @returns {Promise<string|null>} Why the write is denied, or null if allowed
+   */
+  async _checkWritePolicy(entry, op) {
+    const policy = this.config.writableBy || 'anyone';
+    if (policy === 'anyone') return null;
+
+    const author = this._authorUsername(entry.authorDeviceId);
+    if (!author) return 'unknown author device';
+
+    if (policy === 'owner') {
+      return author === this.client.username ? null : `only our own devices may write (author: ${author})`;
+    }
+
+    const existing = await this.crdt.get(entry.id);
+    if (policy === 'members') {
+      return existing ? this._checkMemberChange(existing, entry, author) : null;
+    }
+
+    const changesExisting = existing && (existing.authorDeviceId !== entry.authorDeviceId);
+    if (changesExisting && (policy === 'author' || op === SyncOp.DELETE)) {
+      const owner = this._authorUsername(existing.authorDeviceId);
+      if (owner !== author) return `only ${owner || 'its author'} may change this entry (author: ${author})`;
+    }
+
+    // Entries addressed to a group (e.g. a reaction carrying groupId) may
+    // only come from its members, whatever the policy
+    if (op !== SyncOp.DELETE) {
+      const assoc = this.getTargetingAssociation();
+      const parentId = assoc && (entry.data?.[assoc.foreignKey] ?? existing?.data?.[assoc.foreignKey]);
+      if (policy === 'groupMembers' && !parentId) return `missing ${assoc?.foreignKey}`;
+      if (parentId && (policy === 'groupMembers' || this.syncManager._isTargetingModel(assoc.model))) {
+        const members = await this.syncManager._getAssociationMembers(assoc.model, parentId);
+        if (!members.includes(author)) return `${author} is not a member of ${assoc.model}/${parentId}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Username behind a device, via our DeviceManager and FriendManager
+   * @param {string} deviceUUID
+   * @returns {string|null} Our username for own devices, the friend's otherwise
+   */
+  _authorUsername(deviceUUID) {
+    if (!deviceUUID) return null;
+    if (deviceUUID === this.client.deviceUUID ||
+        this.client.devices?.getAll().some(d => d.deviceUUID === deviceUUID)) {
+      return this.client.username;
+    }
+    for (const friend of this.client.friends?.getAll() || []) {
+      if ((friend.devices || []).some(d => d.deviceUUID === deviceUUID)) {
+        return friend.username;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 'members' policy: may this author change an existing OR-Set entry?
+   * @param {object} existing
+   * @param {object} entry - Incoming entry
+   * @param {string} author - Author username
+   * @returns {string|null} Why the write is denied, or null if allowed
+   */
+  _checkMemberChange(existing, entry, author) {
+    if ((existing.data.members || []).includes(author)) return null;
+
+    const denied = `${author} is not a member of ${this.name}/${entry.id}`;
+    const ours = this.crdt._setsOf(existing.data);
+    const theirs = this.crdt._setsOf(entry.data);
+
+    for (const field of this.crdt.setFields) {
+      for (const [element, tags] of Object.entries(theirs[field].adds)) {
+        if (tags.some(tag => !ours[field].adds[element]?.includes(tag))) return denied;
+      }
+      const removed = theirs[field].removes.filter(tag => !ours[field].removes.includes(tag));
+      if (removed.some(tag => !ours[field].adds[author]?.includes(tag))) {
+        return `${denied}, so may only remove themselves`;
+      }
+    }
+
+    // Other fields are registers: a newer write must leave them unchanged
+    if (compareTimestamps(entry, existing) > 0) {
+      for (const [field, value] of Object.entries(entry.data)) {
+        if (field === '_sets' || this.crdt.setFields.includes(field)) continue;
+        if (JSON.stringify(value) !== JSON.stringify(existing.data[field])) return denied;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Hold a MODEL_SYNC from a newer schema until the app updates
+   * Emits 'schemaUpdateAvailable' so the UI can prompt for an update.
+   *
+   * @param {object} modelSync
+   * @param {number} schemaVersion
+   * @returns {null}
+   */
+  async _quarantine(modelSync, schemaVersion) {
+    const localVersion = this.config.version || 1;
+    console.warn(`[ORM] Quarantining ${this.name}/${modelSync.id}: schema v${schemaVersion} is newer than ours (v${localVersion})`);
+
+    if (this.syncManager.store) {
+      await this.syncManager.store.quarantine(this.name, { ...modelSync, schemaVersion });
+    }
+    this.client._emit?.('schemaUpdateAvailable', {
+      model: this.name,
+      version: schemaVersion,
+      localVersion,
+    });
+    return null;
+  }
+
+  /**
+   * Apply quarantined MODEL_SYNCs this schema version now understands
+   * Called after models are defined (e.g. on the first load after an update).
+   *
+   * @returns {Promise<number>} Number of entries released
+   */
+  async releaseQuarantine() {
+    const store = this.syncManager.store;
+    if (!store) return 0;
+
+    const localVersion = this.config.version || 1;
+    let released = 0;
+    for (const record of await store.getQuarantined(this.name)) {
+      if (record.schemaVersion > localVersion) continue;
+      await store.removeQuarantined(this.name, record.id, record.timestamp);
+      await this.handleSync(record.modelSync);
+      released++;
+    }
+    return released;
+  }
+
+  /**
+   * Apply a remote DELETE
+   * LWW: merge the tombstone. G-Set: retract if the tombstone's author
+   * wrote the original entry, or hold the tombstone until the entry arrives.
+   *
+   * @param {object} tombstone - Verified tombstone entry
+   * @returns {object|null} The applied tombstone (null if rejected/no-op)
+   */
+  async _applyDelete(tombstone) {
+    if (this.config.sync !== 'g-set') {
+      const merged = await this.crdt.merge([tombstone]);
+      return merged.length > 0 ? merged[0] : null;
+    }
+
+    const existing = await this.crdt.get(tombstone.id);
+    if (!existing) {
+      // Without the entry we can't tell who wrote it: hold the retraction
+      // until the entry arrives (kept in memory; anti-entropy resends it)
+      if (!(await this.crdt.isRetracted(tombstone.id))) {
+        this._pendingRetractions.delete(tombstone.id);
+        this._pendingRetractions.set(tombstone.id, tombstone);
+        if (this._pendingRetractions.size > MAX_PENDING_RETRACTIONS) {
+          this._pendingRetractions.delete(this._pendingRetractions.keys().next().value);
+        }
+      }
+      return null;
+    }
+    if (!this._isSameAuthor(existing.authorDeviceId, tombstone.authorDeviceId)) {
+      return this._reject(tombstone, `Retraction of ${this.name}/${tombstone.id} by non-author ${tombstone.authorDeviceId}`);
+    }
+
+    const removed = await this.crdt.remove(tombstone);
+    if (removed) {
+      await this._removeAssociations(existing);
+    }
+    return removed;
+  }
+
+  /**
+   * Apply a retraction that arrived before its (just merged) G-Set entry
+   * It's dropped unless the entry's author sent it.
+   *
+   * @param {object} entry - The merged entry
+   * @returns {Promise<object|null>} The applied tombstone, or null
+   */
+  async _applyPendingRetraction(entry) {
+    const tombstone = this._pendingRetractions.get(entry.id);
+    if (!tombstone) return null;
+    this._pendingRetractions.delete(entry.id);
+
+    // Not _reject(): the retraction came earlier, the entry itself is fine
+    if (!this._isSameAuthor(entry.authorDeviceId, tombstone.authorDeviceId)) {
+      console.warn(`[ORM] Dropping retraction of ${this.name}/${tombstone.id} by non-author ${tombstone.authorDeviceId}`);
+      return null;
+    }
+    const removed = await this.crdt.remove(tombstone);
+    if (removed) {
+      await this._removeAssociations(entry);
+    }
+    return removed;
+  }
+
+  /**
+   * Reject an incoming entry, logging why
+   * @param {object} entry
+   * @param {string} reason
+   * @returns {null}
+   */
+  _reject(entry, reason) {
+    const error = new Error(reason);
+    console.warn(`[ORM] Rejecting MODEL_SYNC: ${reason}`);
+    logger.logOrmSyncError(this.name, error, 'receive');
+    return null;
+  }
+
+  /**
+   * Build tombstone data, keeping belongs_to foreign keys so recipients can
+   * target and unlink the deletion without having the original entry
+   *
+   * @param {object|null} existing - The entry being deleted
+   * @returns {object}
+   */
+  _tombstoneData(existing) {
+    const data = { _deleted: true };
+    if (!existing || !this.config.belongs_to) return data;
+
+    const belongsToList = Array.isArray(this.config.belongs_to)
+      ? this.config.belongs_to
+      : [this.config.belongs_to];
+
+    for (const parentModel of belongsToList) {
+      const foreignKey = `${parentModel}Id`;
+      if (existing.data?.[foreignKey]) {
+        data[foreignKey] = existing.data[foreignKey];
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Remove belongs_to association rows for a retracted entry
+   * @param {object} entry - Entry (or tombstone) carrying foreign keys in data
+   */
+  async _removeAssociations(entry) {
+    if (!this.config.belongs_to || !this.syncManager.store || !entry?.data) return;
+
+    const belongsToList = Array.isArray(this.config.belongs_to)
+      ? this.config.belongs_to
+      : [this.config.belongs_to];
+
+    for (const parentModel of belongsToList) {
+      const parentId = entry.data[`${parentModel}Id`];
+      if (parentId) {
+        await this.syncManager.store.removeAssociation(parentModel, parentId, this.name, entry.id);
+      }
+    }
+  }
+
+  /**
+   * Check whether two device IDs belong to the same user
+   * (same device, both ours, or both devices of the same friend)
+   *
+   * @param {string} deviceA
+   * @param {string} deviceB
+   * @returns {boolean}
+   */
+  _isSameAuthor(deviceA, deviceB) {
+    if (!deviceA || !deviceB) return false;
+    if (deviceA === deviceB) return true;
+
+    const ownDevices = new Set([
+      this.client.deviceUUID,
+      ...(this.client.devices?.getAll() || []).map(d => d.deviceUUID),
+    ]);
+    if (ownDevices.has(deviceA) && ownDevices.has(deviceB)) return true;
+
+    for (const friend of this.client.friends?.getAll() || []) {
+      const friendDevices = (friend.devices || []).map(d => d.deviceUUID);
+      if (friendDevices.includes(deviceA) && friendDevices.includes(deviceB)) return true;
+    }
+
+    return false;
+  }
+
   /**
    * Validate data against schema fields
    * @param {object} data
@@ -339,35 +970,208 @@ export class Model {
             throw new Error(`Validation failed: ${field} must be Uint8Array`);
           }
           break;
+
+        case 'set':
+          if (!Array.isArray(value) || !value.every(e => typeof e === 'string')) {
+            throw new Error(`Validation failed: ${field} must be array of strings`);
+          }
+          break;
       }
     }
 
     // Check for unknown fields (optional strictness)
     // For now, allow extra fields for flexibility
+
+    const errors = this._checkValidations(data);
+    if (errors.length > 0) {
+      const error = new Error(`Validation failed: ${errors.join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Check data against the model's declared validations
+   * Rules other than `required` are skipped for missing values.
+   *
+   * @param {object} data
+   * @returns {Array<string>} Error messages (empty if valid)
+   */
+  _checkValidations(data) {
+    const errors = [];
+
+    for (const [field, rules] of Object.entries(this.config.validations || {})) {
+      const value = data?.[field];
+      const missing = value === undefined || value === null ||
+        (typeof value === 'string' && value.trim() === '');
+
+      if (missing) {
+        if (rules.required) errors.push(`${field} is required`);
+        continue;
+      }
+
+      const length = typeof value === 'string' || Array.isArray(value) ? value.length : null;
+      if (rules.maxLength !== undefined && length !== null && length > rules.maxLength) {
+        errors.push(`${field} is too long (max ${rules.maxLength})`);
+      }
+      if (rules.minLength !== undefined && length !== null && length < rules.minLength) {
+        errors.push(`${field} is too short (min ${rules.minLength})`);
+      }
+      if (rules.format && !(typeof value === 'string' && new RegExp(rules.format).test(value))) {
+        errors.push(`${field} is invalid`);
+      }
+      if (rules.inclusion && !rules.inclusion.includes(value)) {
+        errors.push(`${field} must be one of ${rules.inclusion.join(', ')}`);
+      }
+      if (rules.validate) {
+        let result;
+        try {
+          result = rules.validate(value, data);
+        } catch (e) {
+          result = e.message;
+        }
+        if (result !== true && result !== undefined) {
+          errors.push(typeof result === 'string' ? result : `${field} is invalid`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run a model hook, if declared
+   * @param {string} name - beforeCreate | beforeUpdate | afterCreate | beforeSync | afterMerge
+   * @param {...*} args
+   * @returns {Promise<*>} The hook's result
+   */
+  async _runHook(name, ...args) {
+    const hook = this.config.hooks?.[name];
+    return hook ? hook(...args) : undefined;
+  }
+
+  /**
+   * Run an after-hook; its failure is logged, the write already happened
+   * @param {string} name
+   * @param {object} entry
+   */
+  async _runAfterHook(name, entry) {
+    try {
+      await this._runHook(name, entry);
+    } catch (e) {
+      console.warn(`[ORM] ${this.name}.${name} hook failed:`, e.message);
+    }
+  }
+
+  /**
+   * Keep a device's latest signed write to a merged entry
+   * A merged counter, OR-Set or per-field LWW entry no longer matches
+   * its base signature; peers are sent these writes instead (Reconciler).
+   *
+   * @param {object} write - Signed entry as written or received
+   */
+  async _recordWrite(write) {
+    const store = this.syncManager.store;
+    if (!MERGED_SYNC_TYPES.includes(this.config.sync) || !store?.putWrite) return;
+
+    const stored = await store.getWrite(this.name, write.id, write.authorDeviceId);
+    if (stored && !this._supersedes(write, stored)) return;
+    await store.putWrite(this.name, write);
+  }
+
+  /**
+   * Check whether a write is newer than a stored one from the same device
+   * Counter and OR-Set changes keep the entry timestamp, so a newer write
+   * there is one that adds slots or tags.
+   *
+   * @param {object} write
+   * @param {object} stored
+   * @returns {boolean}
+   */
+  _supersedes(write, stored) {
+    const order = compareTimestamps(write, stored);
+    if (order !== 0) return order > 0;
+    if (this.config.sync === 'lww-fields') return false;
+    return this.crdt._mergeEntry(stored, write) !== stored;
+  }
+
+  /**
+   * Signed writes that reproduce an entry, for relaying it to a peer
+   * @param {object} entry - Local entry
+   * @returns {Promise<Array>} [entry] if its own signature holds, else the
+   *   stored writes that still verify
+   */
+  async signedWrites(entry) {
+    if (await this._verify(entry)) return [entry];
+    if (!MERGED_SYNC_TYPES.includes(this.config.sync) || !this.syncManager.store?.getWrites) return [];
+
+    const writes = [];
+    for (const write of await this.syncManager.store.getWrites(this.name, entry.id)) {
+      if (await this._verify(write)) writes.push(write);
+    }
+    return writes;
   }
 
   /**
    * Sign an entry
-   * Uses the device's identity key to prove authorship
+   * Uses the device's identity key to prove authorship (XEdDSA)
    *
    * @param {object} entry
    * @returns {Uint8Array} Signature bytes
    */
   async _sign(entry) {
-    // Create deterministic data to sign
-    const dataToSign = JSON.stringify({
-      model: this.name,
-      id: entry.id,
-      data: entry.data,
-      timestamp: entry.timestamp,
-      authorDeviceId: entry.authorDeviceId,
-    });
+    const keyPair = await this.client.store.getIdentityKeyPair();
+    if (!keyPair?.privKey) {
+      throw new Error('Cannot sign entry: no identity key available');
+    }
+    return sign(serializeModelEntryForSigning(this.name, entry), keyPair.privKey);
+  }
+
+  /**
+   * Verify an entry's signature against its author device's identity key
+   *
+   * @param {object} entry
+   * @returns {Promise<boolean>} False if the key is unknown or the signature is invalid
+   */
+  async _verify(entry) {
+    const signature = normalizeKeyToUint8Array(entry.signature);
+    if (!signature || signature.length !== 64) return false;
+
+    const publicKey = await this._getAuthorIdentityKey(entry.authorDeviceId);
+    if (!publicKey) return false;
+
+    return verify(serializeModelEntryForSigning(this.name, entry), signature, publicKey);
+  }
+
+  /**
+   * Look up the identity public key for an author device
+   * Checks this device, own linked devices, then friends' devices
+   *
+   * @param {string} authorDeviceId - The author's deviceUUID
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async _getAuthorIdentityKey(authorDeviceId) {
+    if (!authorDeviceId) return null;
+
+    if (authorDeviceId === this.client.deviceUUID) {
+      const keyPair = await this.client.store.getIdentityKeyPair();
+      return normalizeKeyToUint8Array(keyPair?.pubKey || this.client.deviceInfo?.signalIdentityKey);
+    }
+
+    const ownDevice = this.client.devices?.getAll()
+      .find(d => d.deviceUUID === authorDeviceId);
+    if (ownDevice?.signalIdentityKey) {
+      return normalizeKeyToUint8Array(ownDevice.signalIdentityKey);
+    }
+
+    for (const friend of this.client.friends?.getAll() || []) {
+      const device = (friend.devices || []).find(d => d.deviceUUID === authorDeviceId);
+      if (device?.signalIdentityKey) {
+        return normalizeKeyToUint8Array(device.signalIdentityKey);
+      }
+    }
 
-    // TODO: Implement actual signing with device identity key
-    // For now, return a placeholder that indicates signing happened
-    const encoder = new TextEncoder();
-    const hash = await crypto.subtle.digest('SHA-256', encoder.encode(dataToSign));
-    return new Uint8Array(hash);
+    return null;
   }
 
   /**
@@ -387,7 +1191,9 @@ export class Model {
 
   /**
    * Get targeting association for sync
-   * Returns the first belongs_to that should determine recipients
+   * Returns the belongs_to that should determine recipients: the first one
+   * with a member list (e.g. group), otherwise the first. Entries without
+   * that foreign key (a reaction to a story) go to everyone as usual.
    *
    * @returns {object|null} { model, foreignKey }
    */
@@ -395,9 +1201,10 @@ export class Model {
     if (!this.config.belongs_to) return null;
 
     // belongs_to can be string or array
-    const belongsTo = Array.isArray(this.config.belongs_to)
-      ? this.config.belongs_to[0]
-      : this.config.belongs_to;
+    const belongsToList = Array.isArray(this.config.belongs_to)
+      ? this.config.belongs_to
+      : [this.config.belongs_to];
+    const belongsTo = belongsToList.find(name => this.syncManager?._isTargetingModel(name)) || belongsToList[0];
 
     // Convention: foreignKey is ${model}Id
     return {
@@ -4,15 +4,227 @@
  * Usage:
  *   await model.where({ authorDeviceId: 'abc' }).orderBy('timestamp').limit(10).exec()
  *   await model.where({ status: 'active' }).include('comment').exec()
+ *   await story.where({ id }).include({ comment: ['reaction'], reaction: {} }).first()
+ *   await comment.where({ storyId }).include('story').exec()  // belongs_to
+ *   const unsubscribe = model.where({ groupId }).orderBy('timestamp').subscribe((entries, diff) => ...)
+ *   const { items, nextCursor } = await model.where({ groupId }).orderBy('timestamp').limit(50).page()
+ *   const perEmoji = await reaction.where({ storyId }).groupBy('data.emoji').count()  // Map
+ *   const { n, last } = await model.where({ groupId }).aggregate({ n: 'count', last: { max: 'timestamp' } })
  *
  * Supports:
  * - where() - Filter by field values
  * - orderBy() - Sort results
  * - limit() - Limit result count
- * - include() - Load associations (TODO)
+ * - after()/before() - Start after / end before a cursor from page()
+ * - include() - Load associations (nested, batched, belongs_to and has_many)
  * - exec() - Execute and return results
  * - first() - Execute and return first result
+ * - page() - Execute and return { items, nextCursor, prevCursor }
+ * - count()/sum()/min()/max()/countDistinct()/aggregate() - Aggregates,
+ *   per group with groupBy()
+ * - subscribe() - Live results, re-run when matching entries change
+ *
+ * Queries use an IndexedDB index when one fits (equality on leading index
+ * fields, a range on the next one, orderBy+limit on a numeric index field),
+ * and fall back to scanning the CRDT otherwise. count() is answered by the
+ * index alone when it covers every condition, min()/max() read one entry
+ * from an index on the field when there is one.
+ */
+
+import { ModelStore } from './storage/ModelStore.js';
+
+const RANGE_OPS = ['gt', 'gte', 'lt', 'lte'];
+
+/**
+ * Check if a value can be used as an IndexedDB key component
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isIndexableKey(value) {
+  return typeof value === 'string' || (typeof value === 'number' && !isNaN(value));
+}
+
+/**
+ * Encode a pagination cursor from an orderBy value and entry id
+ * @param {*} value
+ * @param {string} id
+ * @returns {string} Opaque base64 cursor
+ */
+function encodeCursor(value, id) {
+  const bytes = new TextEncoder().encode(JSON.stringify([value ?? null, id]));
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor
+ * @returns {{value: *, id: string}}
+ * @throws {Error} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const binary = atob(cursor);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    const [value, id] = JSON.parse(new TextDecoder().decode(bytes));
+    if (typeof id !== 'string') throw new Error('missing id');
+    return { value, id };
+  } catch (e) {
+    throw new Error(`Invalid cursor: ${e.message}`);
+  }
+}
+
+/**
+ * What a subscriber sees of a result entry, included associations too
+ * @param {object} entry
+ * @returns {string}
+ */
+function snapshot(entry) {
+  return JSON.stringify(entry, (key, value) => (key === 'signature' ? undefined : value));
+}
+
+/**
+ * Diff two result sets by entry id
+ * @param {Map<string, string>} previous - id -> snapshot()
+ * @param {Array} entries - New results
+ * @returns {{added: string[], removed: string[], changed: string[]}}
+ */
+function diffResults(previous, entries) {
+  const added = [];
+  const changed = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    seen.add(entry.id);
+    const prev = previous.get(entry.id);
+    if (prev === undefined) {
+      added.push(entry.id);
+    } else if (prev !== snapshot(entry)) {
+      changed.push(entry.id);
+    }
+  }
+
+  const removed = [...previous.keys()].filter(id => !seen.has(id));
+  return { added, removed, changed };
+}
+
+const AGGREGATE_OPS = ['count', 'sum', 'min', 'max', 'countDistinct'];
+
+/**
+ * Parse one aggregate() spec entry
+ * @param {string} name - Result name
+ * @param {string|object} def - 'count' or { op: field }
+ * @returns {{name: string, op: string, field: string|null}}
+ * @throws {Error} On an unknown operation
+ */
+function parseAggregate(name, def) {
+  const [op, field] = typeof def === 'string' ? [def, null] : (Object.entries(def || {})[0] || []);
+  if (!AGGREGATE_OPS.includes(op)) {
+    throw new Error(`Unknown aggregate for ${name}: ${op}`);
+  }
+  if (op !== 'count' && typeof field !== 'string') {
+    throw new Error(`Aggregate ${op} for ${name} needs a field`);
+  }
+  return { name, op, field: typeof field === 'string' ? field : null };
+}
+
+/**
+ * Compute aggregates over entries
+ * @param {Array} entries
+ * @param {Array} aggregates - Parsed aggregates
+ * @param {Function} valueOf - (entry, field) => value
+ * @returns {object} name -> value
  */
+function computeAggregates(entries, aggregates, valueOf) {
+  const result = {};
+  for (const { name, op, field } of aggregates) {
+    const values = field
+      ? entries.map(entry => valueOf(entry, field)).filter(v => v !== null && v !== undefined)
+      : entries;
+
+    switch (op) {
+      case 'count':
+        result[name] = values.length;
+        break;
+      case 'countDistinct':
+        result[name] = new Set(values).size;
+        break;
+      case 'sum':
+        result[name] = values.reduce((total, v) => typeof v === 'number' ? total + v : total, 0);
+        break;
+      case 'min':
+        result[name] = values.reduce((best, v) => best === null || v < best ? v : best, null);
+        break;
+      case 'max':
+        result[name] = values.reduce((best, v) => best === null || v > best ? v : best, null);
+        break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Replace each { value } result with the value, through groupBy Maps
+ * @param {object|Map} result
+ * @param {number} depth - Levels of grouping
+ * @returns {*|Map}
+ */
+function unwrapGroups(result, depth) {
+  if (depth === 0) return result.value;
+  const unwrapped = new Map();
+  for (const [key, group] of result) {
+    unwrapped.set(key, unwrapGroups(group, depth - 1));
+  }
+  return unwrapped;
+}
+
+// Keys that mark an include value as options rather than nested includes
+const INCLUDE_OPTIONS = ['where', 'orderBy', 'limit', 'as', 'include'];
+
+/**
+ * Normalize include() arguments
+ * @param {string|Array|object} spec
+ * @returns {Array<{name, where, orderBy, limit, as, include}>}
+ */
+function normalizeIncludes(spec) {
+  if (!spec) return [];
+  if (typeof spec === 'string') return [includeOf(spec)];
+  if (Array.isArray(spec)) return spec.flatMap(normalizeIncludes);
+
+  return Object.entries(spec).map(([name, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)
+        && Object.keys(value).some(key => INCLUDE_OPTIONS.includes(key))) {
+      return includeOf(name, value);
+    }
+    return includeOf(name, { include: value === true ? null : value });
+  });
+}
+
+/**
+ * @param {string} name
+ * @param {object} [options]
+ * @returns {object} Normalized include
+ */
+function includeOf(name, { where = null, orderBy = null, limit = null, as = null, include = null } = {}) {
+  return { name, where, orderBy, limit, as, include: normalizeIncludes(include) };
+}
+
+/**
+ * Plural property name for a has_many association
+ * @param {string} name - e.g., 'comment', 'story', 'groupMessage'
+ * @returns {string} e.g., 'comments', 'stories', 'groupMessages'
+ */
+export function pluralize(name) {
+  if (/[^aeiou]y$/.test(name)) return name.slice(0, -1) + 'ies';
+  if (/(s|x|z|ch|sh)$/.test(name)) return name + 'es';
+  return name + 's';
+}
 
 export class QueryBuilder {
   /**
@@ -25,6 +237,8 @@ export class QueryBuilder {
     this._orderDir = 'desc';
     this._limit = null;
     this._includes = [];
+    this._cursor = null;  // { type: 'after'|'before', value, id }
+    this._groupBy = [];
   }
 
   /**
@@ -65,14 +279,61 @@ export class QueryBuilder {
     return this;
   }
 
+  /**
+   * Only return entries after a cursor (in orderBy order)
+   * Defaults orderBy to timestamp desc if not set.
+   *
+   * @param {string} cursor - nextCursor/prevCursor from page()
+   * @returns {QueryBuilder}
+   */
+  after(cursor) {
+    this._cursor = { type: 'after', ...decodeCursor(cursor) };
+    this._orderBy = this._orderBy || 'timestamp';
+    return this;
+  }
+
+  /**
+   * Only return entries before a cursor (in orderBy order)
+   * With limit(), returns the entries closest to the cursor.
+   *
+   * @param {string} cursor - nextCursor/prevCursor from page()
+   * @returns {QueryBuilder}
+   */
+  before(cursor) {
+    this._cursor = { type: 'before', ...decodeCursor(cursor) };
+    this._orderBy = this._orderBy || 'timestamp';
+    return this;
+  }
+
+  /**
+   * Group aggregate results by field values
+   * Aggregates then return a Map of value -> result, nested one level per
+   * field (entries missing a field group under null).
+   *
+   * @param {...string} fields - e.g., 'data.storyId', 'data.emoji'
+   * @returns {QueryBuilder}
+   */
+  groupBy(...fields) {
+    this._groupBy.push(...fields.flat());
+    return this;
+  }
+
   /**
    * Include associations (eager loading)
-   * @param {string|string[]} associations - Association names to include
+   *
+   * Accepts:
+   * - A name or names: 'comment', ['comment', 'reaction']
+   * - Nested includes: { comment: ['reaction'] }, { comment: { reaction: {} } }
+   * - Per-include options: { comment: { where, orderBy, limit, as, include } }
+   *   where orderBy is a field or [field, direction] (children default to
+   *   oldest first) and limit applies per parent entry (e.g., the latest 3
+   *   comments of each story)
+   *
+   * @param {string|Array|object} associations
    * @returns {QueryBuilder}
    */
   include(associations) {
-    const assocs = Array.isArray(associations) ? associations : [associations];
-    this._includes.push(...assocs);
+    this._includes.push(...normalizeIncludes(associations));
     return this;
   }
 
@@ -81,8 +342,8 @@ export class QueryBuilder {
    * @returns {Promise<Array>}
    */
   async exec() {
-    // Get all entries from CRDT
-    let entries = await this.model.crdt.getAll();
+    // Get candidate entries (via index when possible, else all from CRDT)
+    let entries = await this._getCandidates();
 
     // Apply filters
     for (const conditions of this._conditions) {
@@ -94,12 +355,19 @@ export class QueryBuilder {
       entries = this._sortEntries(entries);
     }
 
-    // Limit
+    // Cursor
+    if (this._cursor) {
+      entries = entries.filter(entry => this._matchesCursor(entry));
+    }
+
+    // Limit (before() keeps the entries closest to the cursor)
     if (this._limit !== null) {
-      entries = entries.slice(0, this._limit);
+      entries = this._cursor?.type === 'before'
+        ? entries.slice(-this._limit)
+        : entries.slice(0, this._limit);
     }
 
-    // Load associations (TODO: implement fully)
+    // Load associations
     if (this._includes.length > 0) {
       entries = await this._loadAssociations(entries);
     }
@@ -118,12 +386,453 @@ export class QueryBuilder {
   }
 
   /**
-   * Execute query and return count
-   * @returns {Promise<number>}
+   * Execute query and return a page of results
+   *
+   * Cursors are keyed on the orderBy field plus id, so paging stays stable
+   * when entries share a value. nextCursor continues in orderBy order,
+   * prevCursor goes back; either is null when there is nothing more.
+   *
+   * @returns {Promise<{items: Array, nextCursor: string|null, prevCursor: string|null}>}
+   */
+  async page() {
+    this._orderBy = this._orderBy || 'timestamp';
+
+    const limit = this._limit;
+    const isBefore = this._cursor?.type === 'before';
+
+    // Fetch one extra entry to know whether another page exists
+    if (limit !== null) this._limit = limit + 1;
+    let items;
+    try {
+      items = await this.exec();
+    } finally {
+      this._limit = limit;
+    }
+
+    const hasMore = limit !== null && items.length > limit;
+    if (hasMore) {
+      items = isBefore ? items.slice(1) : items.slice(0, limit);
+    }
+
+    const cursorFor = (entry) => entry
+      ? encodeCursor(this._getFieldValue(entry, this._orderBy), entry.id)
+      : null;
+
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    return {
+      items,
+      nextCursor: (isBefore || hasMore) ? cursorFor(last) : null,
+      prevCursor: (isBefore ? hasMore : this._cursor !== null) ? cursorFor(first) : null,
+    };
+  }
+
+  /**
+   * Count matching entries
+   * @returns {Promise<number|Map>} Map per group with groupBy()
    */
   async count() {
-    const results = await this.exec();
-    return results.length;
+    if (this._groupBy.length === 0 && this._limit === null && !this._cursor) {
+      const counted = await this._countFromIndex();
+      if (counted !== null) return counted;
+    }
+    return this._aggregateOne('count', null);
+  }
+
+  /**
+   * Sum a numeric field (non-numbers are skipped)
+   * @param {string} field - e.g., 'data.amount'
+   * @returns {Promise<number|Map>}
+   */
+  async sum(field) {
+    return this._aggregateOne('sum', field);
+  }
+
+  /**
+   * Smallest value of a field
+   * @param {string} field
+   * @returns {Promise<*|Map>} null when no entry has the field
+   */
+  async min(field) {
+    return this._extreme('min', field);
+  }
+
+  /**
+   * Largest value of a field
+   * @param {string} field
+   * @returns {Promise<*|Map>} null when no entry has the field
+   */
+  async max(field) {
+    return this._extreme('max', field);
+  }
+
+  /**
+   * Number of distinct values of a field
+   * @param {string} field - e.g., 'authorDeviceId'
+   * @returns {Promise<number|Map>}
+   */
+  async countDistinct(field) {
+    return this._aggregateOne('countDistinct', field);
+  }
+
+  /**
+   * Compute several aggregates in one pass
+   *
+   * Usage:
+   *   await query.aggregate({
+   *     total: 'count',
+   *     people: { countDistinct: 'authorDeviceId' },
+   *     last: { max: 'timestamp' },
+   *   })  // => { total, people, last }
+   *
+   * @param {object} spec - name -> 'count' | { count|sum|min|max|countDistinct: field }
+   * @returns {Promise<object|Map>} Results by name, a Map of them per group with groupBy()
+   */
+  async aggregate(spec) {
+    const aggregates = Object.entries(spec).map(([name, def]) => parseAggregate(name, def));
+    const entries = await this._aggregateEntries();
+    return this._group(entries, 0, aggregates);
+  }
+
+  /**
+   * Run a single aggregate and unwrap its value
+   * @param {string} op
+   * @param {string|null} field
+   * @returns {Promise<*|Map>}
+   */
+  async _aggregateOne(op, field) {
+    const result = await this.aggregate({ value: field ? { [op]: field } : op });
+    return unwrapGroups(result, this._groupBy.length);
+  }
+
+  /**
+   * min()/max(), reading a single entry off an index when possible
+   * @param {string} op - 'min' or 'max'
+   * @param {string} field
+   * @returns {Promise<*|Map>}
+   */
+  async _extreme(op, field) {
+    if (this._groupBy.length > 0 || this._limit !== null || this._cursor) {
+      return this._aggregateOne(op, field);
+    }
+
+    // Missing values sort last either way, so the first entry has the answer
+    const query = new QueryBuilder(this.model);
+    query._conditions = this._conditions;
+    const first = await query.orderBy(field, op === 'min' ? 'asc' : 'desc').first();
+    return first ? (this._getFieldValue(first, field) ?? null) : null;
+  }
+
+  /**
+   * Entries an aggregate runs over
+   * Skips sorting and includes unless limit/cursors need them.
+   *
+   * @returns {Promise<Array>}
+   */
+  async _aggregateEntries() {
+    if (this._limit !== null || this._cursor) {
+      const includes = this._includes;
+      this._includes = [];
+      try {
+        return await this.exec();
+      } finally {
+        this._includes = includes;
+      }
+    }
+
+    let entries = await this._getCandidates();
+    for (const conditions of this._conditions) {
+      entries = entries.filter(entry => this._matchesConditions(entry, conditions));
+    }
+    return entries;
+  }
+
+  /**
+   * Compute aggregates per group, recursing once per groupBy field
+   * @param {Array} entries
+   * @param {number} depth - Index into _groupBy
+   * @param {Array} aggregates - Parsed aggregates
+   * @returns {object|Map}
+   */
+  _group(entries, depth, aggregates) {
+    if (depth === this._groupBy.length) {
+      return computeAggregates(entries, aggregates, (entry, field) => this._getFieldValue(entry, field));
+    }
+
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = this._getFieldValue(entry, this._groupBy[depth]) ?? null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+    for (const [key, members] of groups) {
+      groups.set(key, this._group(members, depth + 1, aggregates));
+    }
+    return groups;
+  }
+
+  /**
+   * Count without reading entries, when the storage layer can
+   * @returns {Promise<number|null>} null if the entries must be scanned
+   */
+  async _countFromIndex() {
+    if (this._conditions.every(conditions => Object.keys(conditions).length === 0)) {
+      return this.model.crdt.size();
+    }
+
+    const store = this.model.syncManager?.store;
+    const plan = store ? this._planIndexQuery() : null;
+    if (!plan || !this._planCoversConditions(plan)) return null;
+
+    try {
+      return await store.countIndex(this.model.name, plan);
+    } catch (e) {
+      console.warn(`[QueryBuilder] Index count failed for ${this.model.name}, scanning:`, e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check if an index plan alone selects exactly the matching entries
+   * (equality on its prefix fields, range operators on the next field)
+   *
+   * @param {object} plan - From _planIndexQuery()
+   * @returns {boolean}
+   */
+  _planCoversConditions(plan) {
+    const equalityFields = plan.index.slice(0, plan.prefix.length);
+    const rangeField = plan.index[plan.prefix.length];
+
+    return this._conditions.every(conditions => Object.entries(conditions).every(([field, condition]) => {
+      const isObject = condition !== null && typeof condition === 'object' && !Array.isArray(condition);
+      const ops = isObject ? Object.keys(condition) : [];
+
+      if (equalityFields.includes(field)) {
+        return isIndexableKey(condition) || (ops.length === 1 && isIndexableKey(condition.eq));
+      }
+      if (field === rangeField && plan.range) {
+        return ops.length > 0 && ops.every(op => RANGE_OPS.includes(op) && isIndexableKey(condition[op]));
+      }
+      return false;
+    }));
+  }
+
+  /**
+   * Subscribe to live query results
+   *
+   * Calls back immediately with the current results, then again whenever a
+   * local create/upsert/delete or a remote merge touches an entry that
+   * matches (or previously matched) the query. Included association models
+   * also trigger a refresh, and an entry whose included associations changed
+   * counts as changed. Refreshes are serialized, and callbacks only fire
+   * when the result set actually changed.
+   *
+   * @param {Function} callback - (entries, { added, removed, changed }) => void
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(callback) {
+    let current = new Map();
+    let active = true;
+    let running = false;
+    let dirty = false;
+    let initial = true;
+
+    const refresh = async () => {
+      if (running) {
+        dirty = true;
+        return;
+      }
+      running = true;
+      try {
+        do {
+          dirty = false;
+          const entries = await this.exec();
+          if (!active) return;
+
+          const diff = diffResults(current, entries);
+          current = new Map(entries.map(e => [e.id, snapshot(e)]));
+
+          if (initial || diff.added.length || diff.removed.length || diff.changed.length) {
+            initial = false;
+            callback(entries, diff);
+          }
+        } while (dirty && active);
+      } catch (e) {
+        console.warn(`[QueryBuilder] Live query failed for ${this.model.name}:`, e.message);
+      } finally {
+        running = false;
+      }
+    };
+
+    const unsubscribers = [
+      this.model.onChange((entry) => {
+        if (current.has(entry.id) || this._conditions.every(c => this._matchesConditions(entry, c))) {
+          refresh();
+        }
+      }),
+    ];
+
+    for (const name of this._includedModels()) {
+      const includedModel = this.model.client[name];
+      if (includedModel?.onChange) {
+        unsubscribers.push(includedModel.onChange(() => refresh()));
+      }
+    }
+
+    refresh();
+
+    return () => {
+      active = false;
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }
+
+  /**
+   * Get candidate entries for this query
+   * Index results are resolved through the CRDT so they reflect merged state;
+   * exec() still applies every condition, sort and limit afterwards.
+   *
+   * @returns {Promise<Array>}
+   */
+  async _getCandidates() {
+    const crdt = this.model.crdt;
+
+    // Primary key lookup
+    const idValue = this._getEquality('id');
+    if (idValue !== undefined) {
+      const entry = await crdt.get(idValue);
+      return entry ? [entry] : [];
+    }
+
+    const store = this.model.syncManager?.store;
+    const plan = store ? this._planIndexQuery() : null;
+    if (!plan) {
+      return crdt.getAll();
+    }
+
+    try {
+      const records = await store.queryIndex(this.model.name, plan);
+
+      // Entries missing a data.* sort field aren't in the index, so a short
+      // limited result may be incomplete
+      if (plan.limit !== null && records.length < plan.limit && plan.index[plan.prefix.length] !== 'timestamp') {
+        return crdt.getAll();
+      }
+
+      const entries = [];
+      for (const record of records) {
+        const entry = await crdt.get(record.id);
+        if (entry) entries.push(entry);
+      }
+      return entries;
+    } catch (e) {
+      console.warn(`[QueryBuilder] Index query failed for ${this.model.name}, scanning:`, e.message);
+      return crdt.getAll();
+    }
+  }
+
+  /**
+   * Pick the best index for the current conditions
+   * Score: equality prefix > range on next field > orderBy+limit on next field
+   *
+   * @returns {object|null} queryIndex() options, or null to scan
+   */
+  _planIndexQuery() {
+    const declared = (this.model.config.indexes || []).map(spec => ModelStore.indexPaths(spec));
+    const candidates = [['timestamp'], ['authorDeviceId'], ...declared];
+
+    let best = null;
+    for (const index of candidates) {
+      const prefix = [];
+      while (prefix.length < index.length) {
+        const value = this._getEquality(index[prefix.length]);
+        if (value === undefined) break;
+        prefix.push(value);
+      }
+
+      const nextField = index[prefix.length];
+      const ordered = !!nextField && nextField === this._orderBy && this._isNumericField(nextField);
+      const range = nextField ? this._getRange(nextField, ordered) : null;
+      const useLimit = ordered && this._limit !== null;
+
+      // before() walks backwards from the cursor to get the closest entries
+      const reverse = this._cursor?.type === 'before';
+
+      const score = prefix.length * 4 + (range ? 2 : 0) + (useLimit ? 1 : 0);
+      if (score === 0 || (best && score <= best.score)) continue;
+
+      best = {
+        score,
+        index,
+        prefix,
+        range,
+        direction: ordered && ((this._orderDir === 'desc') !== reverse) ? 'prev' : 'next',
+        limit: useLimit ? this._limit : null,
+        filter: (record) => this._conditions.every(c => this._matchesConditions(record, c))
+          && (!this._cursor || this._matchesCursor(record)),
+      };
+    }
+
+    return best;
+  }
+
+  /**
+   * Get an indexable equality value for a field, if any condition sets one
+   * @param {string} field - Entry path (e.g., 'data.groupId')
+   * @returns {*} The value, or undefined
+   */
+  _getEquality(field) {
+    for (const conditions of this._conditions) {
+      const condition = conditions[field];
+      if (isIndexableKey(condition)) return condition;
+      if (condition && typeof condition === 'object' && isIndexableKey(condition.eq)) {
+        return condition.eq;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Get indexable range bounds for a field, if any condition sets them
+   * When the field is the orderBy field, the cursor also bounds the range.
+   *
+   * @param {string} field
+   * @param {boolean} [isOrderField]
+   * @returns {object|null} { gt, gte, lt, lte }
+   */
+  _getRange(field, isOrderField = false) {
+    let range = null;
+
+    if (isOrderField && this._cursor && isIndexableKey(this._cursor.value)) {
+      // Entries sharing the cursor value are split by id in the filter
+      const forward = (this._cursor.type === 'after') === (this._orderDir === 'asc');
+      range = forward ? { gte: this._cursor.value } : { lte: this._cursor.value };
+    }
+
+    for (const conditions of this._conditions) {
+      const condition = conditions[field];
+      if (!condition || typeof condition !== 'object' || Array.isArray(condition)) continue;
+      for (const op of RANGE_OPS) {
+        if (isIndexableKey(condition[op])) {
+          range = range || {};
+          range[op] = condition[op];
+        }
+      }
+    }
+    return range;
+  }
+
+  /**
+   * Check if a field sorts numerically (so index order matches _sortEntries)
+   * @param {string} field
+   * @returns {boolean}
+   */
+  _isNumericField(field) {
+    if (field === 'timestamp') return true;
+    if (!field.startsWith('data.')) return false;
+    const type = this.model.config.fields?.[field.slice(5)];
+    return !!type && ['number', 'timestamp'].includes(type.replace('?', ''));
   }
 
   /**
@@ -235,72 +944,199 @@ export class QueryBuilder {
   }
 
   /**
-   * Sort entries by field
+   * Sort entries by field (ties broken by id for stable paging)
    * @param {Array} entries
    * @returns {Array}
    */
   _sortEntries(entries) {
-    return [...entries].sort((a, b) => {
-      const aVal = this._getFieldValue(a, this._orderBy);
-      const bVal = this._getFieldValue(b, this._orderBy);
+    return [...entries].sort((a, b) => this._compareEntries(a, b));
+  }
 
-      // Handle null/undefined
-      if (aVal === null || aVal === undefined) return 1;
-      if (bVal === null || bVal === undefined) return -1;
+  /**
+   * Compare two entries in orderBy order
+   * @param {object} a
+   * @param {object} b
+   * @returns {number}
+   */
+  _compareEntries(a, b) {
+    const aVal = this._getFieldValue(a, this._orderBy);
+    const bVal = this._getFieldValue(b, this._orderBy);
+    const aMissing = aVal === null || aVal === undefined;
+    const bMissing = bVal === null || bVal === undefined;
 
-      // Compare
-      let cmp;
+    // Handle null/undefined (always last)
+    let cmp = 0;
+    if (aMissing && !bMissing) return 1;
+    if (bMissing && !aMissing) return -1;
+
+    // Compare
+    if (!aMissing) {
       if (typeof aVal === 'string') {
         cmp = aVal.localeCompare(bVal);
       } else {
         cmp = aVal - bVal;
       }
+    }
+
+    // Tiebreak on id (code unit order, matching IndexedDB key order)
+    if (cmp === 0 && a.id !== b.id) {
+      cmp = a.id < b.id ? -1 : 1;
+    }
+
+    return this._orderDir === 'desc' ? -cmp : cmp;
+  }
+
+  /**
+   * Check if an entry falls on the requested side of the cursor
+   * @param {object} entry
+   * @returns {boolean}
+   */
+  _matchesCursor(entry) {
+    const parts = this._orderBy.split('.');
+    const anchor = { id: this._cursor.id };
+    let target = anchor;
+    for (let i = 0; i < parts.length - 1; i++) {
+      target = target[parts[i]] = {};
+    }
+    target[parts[parts.length - 1]] = this._cursor.value;
 
-      return this._orderDir === 'desc' ? -cmp : cmp;
-    });
+    const cmp = this._compareEntries(entry, anchor);
+    return this._cursor.type === 'after' ? cmp > 0 : cmp < 0;
   }
 
   /**
-   * Load associations for entries
-   * Uses the ModelStore's association index to fetch children
+   * Load included associations into entries
+   * One query per association for all entries (not one per entry), so
+   * nested includes cost one query per level.
+   *
+   * has_many: children whose `${parent}Id` is an entry's id, under the
+   *   plural name (story.comments), with where/orderBy/limit applied per
+   *   parent
+   * belongs_to: the entry's parent under the singular name (comment.story),
+   *   or null
    *
    * @param {Array} entries
-   * @returns {Promise<Array>}
+   * @returns {Promise<Array>} Copies of the entries with associations set
    */
   async _loadAssociations(entries) {
-    const client = this.model.client;
-    const store = this.model.syncManager?.store;
+    // Copies: entries are the CRDT's own objects
+    entries = entries.map(entry => ({ ...entry }));
+    if (entries.length === 0) return entries;
 
-    if (!store) {
-      console.warn('No store available for association loading');
-      return entries;
+    for (const include of this._includes) {
+      const kind = this._associationKind(include.name);
+      const target = this.model.client[include.name];
+      if (!kind || !target) {
+        console.warn(`Unknown association ${this.model.name}.${include.name}`);
+        continue;
+      }
+
+      if (kind === 'has_many') {
+        await this._loadChildren(entries, target, include);
+      } else {
+        await this._loadParents(entries, target, include);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * How an included model relates to this one
+   * A model that is both (comment replies) loads as children.
+   *
+   * @param {string} name - Included model name
+   * @returns {'has_many'|'belongs_to'|null}
+   */
+  _associationKind(name) {
+    const hasMany = [].concat(this.model.config.has_many || []);
+    const childBelongsTo = [].concat(this.model.client[name]?.config?.belongs_to || []);
+    if (hasMany.includes(name) || childBelongsTo.includes(this.model.name)) return 'has_many';
+
+    const belongsTo = [].concat(this.model.config.belongs_to || []);
+    if (belongsTo.includes(name)) return 'belongs_to';
+
+    return null;
+  }
+
+  /**
+   * Load has_many children for all entries in one query
+   * @param {Array} entries
+   * @param {Model} childModel
+   * @param {object} include - Normalized include
+   */
+  async _loadChildren(entries, childModel, include) {
+    const foreignKey = `data.${this.model.name}Id`;
+    const query = new QueryBuilder(childModel)
+      .where({ [foreignKey]: { in: entries.map(e => e.id) } });
+    if (include.where) query.where(include.where);
+    query.orderBy(...(include.orderBy ? [].concat(include.orderBy) : ['timestamp', 'asc']));
+
+    const byParent = new Map();
+    for (const child of await query.exec()) {
+      if (child.data?._deleted) continue;
+      const parentId = query._getFieldValue(child, foreignKey);
+      if (!byParent.has(parentId)) byParent.set(parentId, []);
+      const siblings = byParent.get(parentId);
+      if (include.limit === null || siblings.length < include.limit) siblings.push(child);
     }
 
+    // Nested includes, for the kept children of every entry at once
+    let children = [...byParent.values()].flat();
+    if (include.include.length > 0) {
+      query._includes = include.include;
+      children = await query._loadAssociations(children);
+    }
+
+    const loaded = new Map();
+    for (const child of children) {
+      const parentId = query._getFieldValue(child, foreignKey);
+      if (!loaded.has(parentId)) loaded.set(parentId, []);
+      loaded.get(parentId).push(child);
+    }
+
+    const prop = include.as || pluralize(include.name);
     for (const entry of entries) {
-      for (const assocName of this._includes) {
-        // Get child model from client (e.g., client.comment)
-        const childModel = client[assocName];
-        if (!childModel) {
-          console.warn(`Unknown association model: ${assocName}`);
-          continue;
-        }
+      entry[prop] = loaded.get(entry.id) || [];
+    }
+  }
 
-        // Query children via association index
-        const children = await store.getChildren(this.model.name, entry.id, assocName);
+  /**
+   * Load belongs_to parents for all entries in one query
+   * @param {Array} entries
+   * @param {Model} parentModel
+   * @param {object} include - Normalized include
+   */
+  async _loadParents(entries, parentModel, include) {
+    const foreignKey = `${include.name}Id`;
+    const parentIds = [...new Set(entries.map(e => e.data?.[foreignKey]).filter(Boolean))];
 
-        // Load full entries for each child
-        const propName = assocName + 's';  // e.g., 'comments', 'reactions'
-        entry[propName] = [];
+    let parents = [];
+    if (parentIds.length > 0) {
+      const query = new QueryBuilder(parentModel).where({ id: { in: parentIds } });
+      if (include.where) query.where(include.where);
+      query._includes = include.include;
+      parents = await query.exec();
+    }
 
-        for (const child of children) {
-          const childEntry = await childModel.find(child.childId);
-          if (childEntry && !childEntry.data?._deleted) {
-            entry[propName].push(childEntry);
-          }
-        }
-      }
+    const byId = new Map(parents.filter(p => !p.data?._deleted).map(p => [p.id, p]));
+    const prop = include.as || include.name;
+    for (const entry of entries) {
+      entry[prop] = byId.get(entry.data?.[foreignKey]) || null;
     }
+  }
 
-    return entries;
+  /**
+   * Names of every model this query includes, at any depth
+   * @param {Array} [includes]
+   * @returns {Set<string>}
+   */
+  _includedModels(includes = this._includes) {
+    const names = new Set();
+    for (const include of includes) {
+      names.add(include.name);
+      for (const name of this._includedModels(include.include)) names.add(name);
+    }
+    return names;
   }
 }
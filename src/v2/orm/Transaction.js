@@ -0,0 +1,200 @@
+/**
+ * Transaction - Atomic writes across ORM models
+ *
+ * Usage:
+ *   await client.transaction(async (tx) => {
+ *     const pix = await tx.pix.create({ recipientUsername, mediaRef });
+ *     await tx.pixRegistry.increment(registryId, 'unviewedCount');
+ *   });
+ *
+ * Inside the callback, `tx.<model>` behaves like `client.<model>` except:
+ * - Storage writes are recorded and committed in one IndexedDB
+ *   transaction when the callback returns (nothing is stored if it throws)
+ * - Live query notifications fire after the commit
+ * - Broadcasts are sent after the commit as one MODEL_SYNC_BATCH per
+ *   device, which peers apply atomically
+ *
+ * Reads inside the callback see the transaction's own writes. They are
+ * staged over the models' shared in-memory state and copied into it only
+ * once the commit succeeds, so other code never sees a write (or a TTL)
+ * that ends up rolled back.
+ */
+
+export class Transaction {
+  /**
+   * @param {SyncManager} syncManager - Provides the models and their store
+   */
+  constructor(syncManager) {
+    this._syncManager = syncManager;
+    this._batch = syncManager.store.batch();
+    this._changes = [];     // [model, entry] for live queries
+    this._broadcasts = [];  // { model, entry, op }
+    this._staged = [];      // StagedMaps over shared in-memory state
+    this.models = new Map();  // model name -> bound model
+
+    for (const [name, model] of syncManager.models) {
+      this.models.set(name, this._view(model));
+      this[name] = this.models.get(name);
+    }
+  }
+
+  /**
+   * Run the callback and commit its writes
+   *
+   * @param {Function} fn - async (tx) => result
+   * @returns {Promise<*>} The callback's result
+   */
+  async run(fn) {
+    // In-memory state must be loaded before views share it
+    for (const model of this._syncManager.models.values()) {
+      await model.crdt.load();
+    }
+
+    const result = await fn(this);
+    await this._batch.commit();
+
+    for (const map of this._staged) {
+      map.apply();
+    }
+    for (const [model, entry] of this._changes) {
+      model._notifyChange(entry);
+    }
+    if (this._broadcasts.length > 0) {
+      await this._syncManager.broadcastBatch(this._broadcasts);
+    }
+
+    return result;
+  }
+
+  /**
+   * A model bound to this transaction
+   * Reads the model's in-memory state, but stages its own changes to it,
+   * writes through the batch and defers notifications and broadcasts.
+   *
+   * @param {Model} model
+   * @returns {Model}
+   */
+  _view(model) {
+    const tx = this;
+
+    const crdt = Object.create(model.crdt);
+    crdt.store = this._batch;
+    for (const [key, value] of Object.entries(model.crdt)) {
+      if (value instanceof Map) crdt[key] = this._stage(value);
+    }
+
+    const syncManager = Object.create(model.syncManager);
+    syncManager.store = this._batch;
+    syncManager.broadcast = async (_view, entry, op) => {
+      tx._broadcasts.push({ model, entry, op });
+      return { sent: 0, failed: 0 };
+    };
+
+    let ttlManager = model.ttlManager;
+    if (ttlManager) {
+      ttlManager = Object.create(ttlManager);
+      ttlManager.store = this._batch;
+    }
+
+    const view = Object.create(model);
+    Object.assign(view, {
+      crdt,
+      syncManager,
+      ttlManager,
+      _pendingRetractions: this._stage(model._pendingRetractions),
+      _notifyChange(entry) {
+        tx._changes.push([model, entry]);
+      },
+    });
+    return view;
+  }
+
+  /**
+   * Stage changes to a shared map until commit
+   * @param {Map} map
+   * @returns {StagedMap}
+   */
+  _stage(map) {
+    const staged = new StagedMap(map);
+    this._staged.push(staged);
+    return staged;
+  }
+}
+
+/**
+ * Map view that reads through to a shared map and keeps its own writes
+ * until apply() copies them over
+ */
+class StagedMap {
+  /**
+   * @param {Map} base - Shared map
+   */
+  constructor(base) {
+    this._base = base;
+    this._writes = new Map();
+    this._deletes = new Set();
+  }
+
+  get size() {
+    let size = 0;
+    for (const _ of this.keys()) size++;
+    return size;
+  }
+
+  get(key) {
+    if (this._writes.has(key)) return this._writes.get(key);
+    return this._deletes.has(key) ? undefined : this._base.get(key);
+  }
+
+  has(key) {
+    return this._writes.has(key) || (!this._deletes.has(key) && this._base.has(key));
+  }
+
+  set(key, value) {
+    this._deletes.delete(key);
+    this._writes.set(key, value);
+    return this;
+  }
+
+  delete(key) {
+    const had = this.has(key);
+    this._writes.delete(key);
+    this._deletes.add(key);
+    return had;
+  }
+
+  clear() {
+    for (const key of this.keys()) this.delete(key);
+  }
+
+  *entries() {
+    for (const [key, value] of this._base) {
+      if (!this._writes.has(key) && !this._deletes.has(key)) yield [key, value];
+    }
+    yield* this._writes;
+  }
+
+  *keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  *values() {
+    for (const [, value] of this.entries()) yield value;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  forEach(callback, thisArg) {
+    for (const [key, value] of this.entries()) callback.call(thisArg, value, key, this);
+  }
+
+  /**
+   * Copy staged writes and deletes into the shared map
+   */
+  apply() {
+    for (const key of this._deletes) this._base.delete(key);
+    for (const [key, value] of this._writes) this._base.set(key, value);
+  }
+}
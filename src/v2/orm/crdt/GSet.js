@@ -4,23 +4,32 @@
  * Used for immutable content: stories, comments, messages, friend requests.
  *
  * Properties:
- * - Add-only (entries cannot be removed or modified)
+ * - Add-only (entries cannot be modified)
  * - Merge = union of sets
  * - Idempotent (adding same ID twice is no-op)
  * - Convergent (all replicas converge to same state)
  *
- * This is the simplest CRDT - perfect for append-only data.
+ * Retraction is handled by a second grow-only set of signed tombstones
+ * (2P-Set semantics): once an ID is tombstoned it is hidden and can never
+ * be re-added. Model only stores a tombstone once it has checked it against
+ * the entry's author, holding back any that arrive before their entry.
  */
 
+import { HybridClock, compareTimestamps } from './HybridClock.js';
+
 export class GSet {
   /**
    * @param {ModelStore} store - Persistence layer
    * @param {string} modelName - e.g., 'story', 'comment'
+   * @param {object} [opts]
+   * @param {HybridClock} [opts.clock] - Shared write clock
    */
-  constructor(store, modelName) {
+  constructor(store, modelName, { clock = new HybridClock() } = {}) {
     this.store = store;
     this.modelName = modelName;
+    this.clock = clock;
     this.elements = new Map();  // id -> entry (in-memory cache)
+    this.tombstones = new Map();  // id -> signed tombstone
     this._loaded = false;
   }
 
@@ -31,9 +40,17 @@ export class GSet {
   async load() {
     if (this._loaded) return;
 
+    const tombstones = await this.store.getTombstones(this.modelName);
+    for (const tombstone of tombstones) {
+      this.tombstones.set(tombstone.id, tombstone);
+    }
+
     const entries = await this.store.getAll(this.modelName);
     for (const entry of entries) {
-      this.elements.set(entry.id, entry);
+      this.clock.update(entry.timestamp);
+      if (!this.tombstones.has(entry.id)) {
+        this.elements.set(entry.id, entry);
+      }
     }
     this._loaded = true;
   }
@@ -47,16 +64,32 @@ export class GSet {
     }
   }
 
+  /**
+   * Drop in-memory state and re-read it from storage
+   * Used to undo the writes of a failed transaction.
+   */
+  async reload() {
+    this.elements.clear();
+    this.tombstones.clear();
+    this._loaded = false;
+    await this.load();
+  }
+
   /**
    * Add an entry to the set
    * Idempotent - adding existing ID returns existing entry
    *
    * @param {object} entry - { id, data, timestamp, signature, authorDeviceId }
-   * @returns {object} The stored entry
+   * @returns {object|null} The stored entry (null if the ID was retracted)
    */
   async add(entry) {
     await this._ensureLoaded();
 
+    // Retracted IDs stay retracted
+    if (this.tombstones.has(entry.id)) {
+      return null;
+    }
+
     // Idempotent: if already have this ID, return existing
     if (this.elements.has(entry.id)) {
       return this.elements.get(entry.id);
@@ -73,7 +106,7 @@ export class GSet {
 
   /**
    * Merge incoming entries from remote
-   * GSet merge = union (add anything we don't have)
+   * GSet merge = union (add anything we don't have and haven't retracted)
    *
    * @param {Array} entries - Remote entries to merge
    * @returns {Array} Entries that were actually added (new to us)
@@ -83,7 +116,7 @@ export class GSet {
 
     const added = [];
     for (const entry of entries) {
-      if (!this.elements.has(entry.id)) {
+      if (!this.elements.has(entry.id) && !this.tombstones.has(entry.id)) {
         await this.store.put(this.modelName, entry);
         this.elements.set(entry.id, entry);
         added.push(entry);
@@ -92,6 +125,49 @@ export class GSet {
     return added;
   }
 
+  /**
+   * Retract an entry with a signed tombstone
+   * The entry's content is dropped from storage; the tombstone is kept so
+   * late-arriving copies of the entry are ignored.
+   *
+   * @param {object} tombstone - { id, data, timestamp, signature, authorDeviceId }
+   * @returns {object|null} The tombstone (null if already retracted)
+   */
+  async remove(tombstone) {
+    await this._ensureLoaded();
+
+    if (this.tombstones.has(tombstone.id)) {
+      return null;
+    }
+
+    await this.store.putTombstone(this.modelName, tombstone);
+    await this.store.delete(this.modelName, tombstone.id);
+
+    this.tombstones.set(tombstone.id, tombstone);
+    this.elements.delete(tombstone.id);
+
+    return tombstone;
+  }
+
+  /**
+   * Check if an entry has been retracted
+   * @param {string} id
+   * @returns {boolean}
+   */
+  async isRetracted(id) {
+    await this._ensureLoaded();
+    return this.tombstones.has(id);
+  }
+
+  /**
+   * Get all tombstones (for anti-entropy digests)
+   * @returns {Array}
+   */
+  async getTombstones() {
+    await this._ensureLoaded();
+    return Array.from(this.tombstones.values());
+  }
+
   /**
    * Get entry by ID
    * @param {string} id
@@ -150,8 +226,8 @@ export class GSet {
     const entries = Array.from(this.elements.values());
     return entries.sort((a, b) => {
       return order === 'desc'
-        ? b.timestamp - a.timestamp
-        : a.timestamp - b.timestamp;
+        ? compareTimestamps(b, a)
+        : compareTimestamps(a, b);
     });
   }
 }
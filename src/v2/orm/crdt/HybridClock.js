@@ -0,0 +1,80 @@
+/**
+ * HybridClock - Hybrid Logical Clock for CRDT ordering
+ *
+ * Used for every ORM write timestamp instead of Date.now().
+ *
+ * Properties:
+ * - Tracks physical time (ms) so timestamps still read as dates
+ * - Never goes backwards, and every local write is later than anything
+ *   this device has already seen, so a device whose clock is behind
+ *   can't keep losing conflicts and one that is ahead can't keep winning
+ * - Logical ticks are folded into the millisecond value: when physical
+ *   time hasn't caught up, the clock advances by 1
+ * - Equal timestamps are ordered by authorDeviceId (compareTimestamps),
+ *   so all replicas pick the same winner
+ *
+ * Fed by every verified incoming ModelSync (Model.handleSync) and by
+ * entries loaded from storage. handleSync rejects entries stamped too far
+ * ahead (isTooFarAhead), so a fast clock can't win every conflict either.
+ */
+
+// Remote timestamps further ahead than this don't drag our clock along
+export const MAX_CLOCK_DRIFT_MS = 60 * 60 * 1000;
+
+export class HybridClock {
+  /**
+   * @param {Function} [physicalNow] - Physical time source (for tests)
+   */
+  constructor(physicalNow = () => Date.now()) {
+    this._physicalNow = physicalNow;
+    this.last = 0;
+  }
+
+  /**
+   * Timestamp for a new local write
+   * @returns {number}
+   */
+  now() {
+    this.last = Math.max(this._physicalNow(), this.last + 1);
+    return this.last;
+  }
+
+  /**
+   * Observe a timestamp from another device (or from storage)
+   * @param {number} timestamp
+   */
+  update(timestamp) {
+    if (typeof timestamp !== 'number' || !Number.isFinite(timestamp)) return;
+
+    if (this.isTooFarAhead(timestamp)) {
+      console.warn(`[ORM] Ignoring clock ${timestamp - this._physicalNow()}ms ahead of ours`);
+      return;
+    }
+    this.last = Math.max(this.last, timestamp);
+  }
+
+  /**
+   * Whether a timestamp is further ahead of our physical time than
+   * MAX_CLOCK_DRIFT_MS allows
+   * @param {number} timestamp
+   * @returns {boolean}
+   */
+  isTooFarAhead(timestamp) {
+    return timestamp > this._physicalNow() + MAX_CLOCK_DRIFT_MS;
+  }
+}
+
+/**
+ * Total order on writes: timestamp, then authorDeviceId
+ *
+ * @param {{timestamp: number, authorDeviceId?: string}} a
+ * @param {{timestamp: number, authorDeviceId?: string}} b
+ * @returns {number} > 0 if a wins, < 0 if b wins, 0 if the same write
+ */
+export function compareTimestamps(a, b) {
+  if (a.timestamp !== b.timestamp) return a.timestamp - b.timestamp;
+  const authorA = a.authorDeviceId || '';
+  const authorB = b.authorDeviceId || '';
+  if (authorA === authorB) return 0;
+  return authorA > authorB ? 1 : -1;
+}
@@ -5,21 +5,35 @@
  *
  * Properties:
  * - Each key has a value + timestamp
- * - On conflict, highest timestamp wins
+ * - On conflict, highest timestamp wins (hybrid logical clock, ties
+ *   broken by authorDeviceId)
  * - Updates overwrite (not append)
  * - Convergent (all replicas converge to same state)
  *
  * Perfect for data that changes: counters, settings, status fields.
+ *
+ * Per-field mode (sync: 'lww-fields'): each field is its own LWW register
+ * with its own timestamp and author, so concurrent edits to different
+ * fields (e.g. Profile.bio on one device, displayName on another) both
+ * survive. Registers travel inside entry data under `_fields`:
+ *   { bio: 'hi', _fields: { bio: { timestamp: 1700000000000, authorDeviceId: 'devA' } } }
  */
 
+import { HybridClock, compareTimestamps } from './HybridClock.js';
+
 export class LWWMap {
   /**
    * @param {ModelStore} store - Persistence layer
    * @param {string} modelName - e.g., 'streak', 'settings'
+   * @param {object} [opts]
+   * @param {boolean} [opts.perField=false] - Merge each field independently
+   * @param {HybridClock} [opts.clock] - Shared write clock
    */
-  constructor(store, modelName) {
+  constructor(store, modelName, { perField = false, clock = new HybridClock() } = {}) {
     this.store = store;
     this.modelName = modelName;
+    this.clock = clock;
+    this.perField = perField;
     this.entries = new Map();  // id -> { data, timestamp, signature, authorDeviceId }
     this._loaded = false;
   }
@@ -32,6 +46,7 @@ export class LWWMap {
 
     const entries = await this.store.getAll(this.modelName);
     for (const entry of entries) {
+      this.clock.update(entry.timestamp);
       this.entries.set(entry.id, entry);
     }
     this._loaded = true;
@@ -46,6 +61,16 @@ export class LWWMap {
     }
   }
 
+  /**
+   * Drop in-memory state and re-read it from storage
+   * Used to undo the writes of a failed transaction.
+   */
+  async reload() {
+    this.entries.clear();
+    this._loaded = false;
+    await this.load();
+  }
+
   /**
    * Set/update an entry
    * Only updates if timestamp is newer than existing
@@ -58,8 +83,17 @@ export class LWWMap {
 
     const existing = this.entries.get(entry.id);
 
+    if (this.perField) {
+      const merged = existing ? this._mergeFields(existing, entry) : this._withRegisters(entry);
+      if (merged !== existing) {
+        await this.store.put(this.modelName, merged);
+        this.entries.set(entry.id, merged);
+      }
+      return merged;
+    }
+
     // LWW: only update if newer timestamp
-    if (!existing || entry.timestamp > existing.timestamp) {
+    if (!existing || compareTimestamps(entry, existing) > 0) {
       await this.store.put(this.modelName, entry);
       this.entries.set(entry.id, entry);
       return entry;
@@ -90,7 +124,17 @@ export class LWWMap {
     for (const entry of entries) {
       const existing = this.entries.get(entry.id);
 
-      if (!existing || entry.timestamp > existing.timestamp) {
+      if (this.perField) {
+        const merged = existing ? this._mergeFields(existing, entry) : this._withRegisters(entry);
+        if (merged !== existing) {
+          await this.store.put(this.modelName, merged);
+          this.entries.set(entry.id, merged);
+          updated.push(merged);
+        }
+        continue;
+      }
+
+      if (!existing || compareTimestamps(entry, existing) > 0) {
         await this.store.put(this.modelName, entry);
         this.entries.set(entry.id, entry);
         updated.push(entry);
@@ -151,7 +195,7 @@ export class LWWMap {
     const tombstone = {
       id,
       data: { _deleted: true },
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       signature: new Uint8Array(0),
       authorDeviceId,
     };
@@ -193,8 +237,91 @@ export class LWWMap {
 
     return entries.sort((a, b) => {
       return order === 'desc'
-        ? b.timestamp - a.timestamp
-        : a.timestamp - b.timestamp;
+        ? compareTimestamps(b, a)
+        : compareTimestamps(a, b);
     });
   }
+
+  /**
+   * Build data for a per-field upsert
+   * Only fields whose value actually changed get a new register, so
+   * re-saving a whole form doesn't clobber another device's concurrent
+   * edit to a field this one didn't touch.
+   *
+   * @param {object|null} existing - Current entry for the ID
+   * @param {object} data - New field values
+   * @param {number} timestamp - Write timestamp
+   * @param {string} authorDeviceId - Writing device
+   * @returns {object} New entry data
+   */
+  assignData(existing, data, timestamp, authorDeviceId) {
+    const registers = existing ? this._registersOf(existing) : {};
+    const merged = { ...(existing?.data || {}) };
+    delete merged._fields;
+
+    for (const [field, value] of Object.entries(data)) {
+      if (field === '_fields') continue;
+      if (registers[field] && sameValue(merged[field], value)) continue;
+      merged[field] = value;
+      registers[field] = { timestamp, authorDeviceId };
+    }
+
+    return { ...merged, _fields: registers };
+  }
+
+  /**
+   * Merge two entries for the same ID field by field
+   *
+   * @param {object} existing
+   * @param {object} incoming
+   * @returns {object} existing if nothing changed, otherwise a new entry
+   */
+  _mergeFields(existing, incoming) {
+    const ours = this._registersOf(existing);
+    const theirs = this._registersOf(incoming);
+    const data = { ...existing.data };
+    let changed = false;
+
+    for (const [field, register] of Object.entries(theirs)) {
+      if (ours[field] && compareTimestamps(register, ours[field]) <= 0) continue;
+      data[field] = incoming.data[field];
+      ours[field] = register;
+      changed = true;
+    }
+
+    if (!changed) return existing;
+
+    const base = compareTimestamps(incoming, existing) > 0 ? incoming : existing;
+    return { ...base, data: { ...data, _fields: ours } };
+  }
+
+  /**
+   * Ensure an entry carries a register for every field
+   * @param {object} entry
+   * @returns {object}
+   */
+  _withRegisters(entry) {
+    return { ...entry, data: { ...entry.data, _fields: this._registersOf(entry) } };
+  }
+
+  /**
+   * Per-field registers of an entry
+   * Fields without one (whole-entry writes, tombstones, data from before
+   * per-field mode) take the entry's own timestamp and author.
+   *
+   * @param {object} entry
+   * @returns {object} field -> { timestamp, authorDeviceId }
+   */
+  _registersOf(entry) {
+    const registers = { ...(entry.data?._fields || {}) };
+    for (const field of Object.keys(entry.data || {})) {
+      if (field === '_fields' || registers[field]) continue;
+      registers[field] = { timestamp: entry.timestamp, authorDeviceId: entry.authorDeviceId };
+    }
+    return registers;
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
 }
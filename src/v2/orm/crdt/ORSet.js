@@ -0,0 +1,407 @@
+/**
+ * ORSet - Observed-Remove Set CRDT
+ *
+ * Used for collections that grow and shrink from several devices and
+ * friends at once: group membership, blocked lists.
+ *
+ * Properties:
+ * - Every add of an element gets a fresh unique tag
+ * - Remove tombstones only the tags the remover has observed, so an add
+ *   made concurrently with a remove survives (add-wins)
+ * - Merge = union of tags and union of tombstones
+ * - Non-set fields (strings, numbers, ...) are LWW registers resolved by
+ *   entry timestamp (then authorDeviceId)
+ *
+ * Set state travels inside entry data under `_sets`:
+ *   { members: { adds: { alice: ['tagA'], bob: ['tagB'] }, removes: ['tagB'] } }
+ * and the materialized value (e.g. `members: ['alice']`) sits alongside it
+ * so queries and views read sets like any other field.
+ */
+
+import { HybridClock, compareTimestamps } from './HybridClock.js';
+
+// Tag prefix for elements written before a model synced as an OR-Set
+const LEGACY_TAG = '_legacy:';
+
+export class ORSet {
+  /**
+   * @param {ModelStore} store - Persistence layer
+   * @param {string} modelName - e.g., 'group'
+   * @param {Array<string>} setFields - Fields merged as OR-Sets
+   * @param {object} [opts]
+   * @param {HybridClock} [opts.clock] - Shared write clock
+   */
+  constructor(store, modelName, setFields, { clock = new HybridClock() } = {}) {
+    this.store = store;
+    this.modelName = modelName;
+    this.clock = clock;
+    this.setFields = setFields;
+    this.entries = new Map();  // id -> { data, timestamp, signature, authorDeviceId }
+    this._loaded = false;
+  }
+
+  /**
+   * Load all entries from storage into memory
+   */
+  async load() {
+    if (this._loaded) return;
+
+    const entries = await this.store.getAll(this.modelName);
+    for (const entry of entries) {
+      this.clock.update(entry.timestamp);
+      // Normalize so entries stored before the model was an OR-Set read as arrays
+      this.entries.set(entry.id, this._normalize(entry));
+    }
+    this._loaded = true;
+  }
+
+  /**
+   * Ensure loaded before any operation
+   */
+  async _ensureLoaded() {
+    if (!this._loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Drop in-memory state and re-read it from storage
+   * Used to undo the writes of a failed transaction.
+   */
+  async reload() {
+    this.entries.clear();
+    this._loaded = false;
+    await this.load();
+  }
+
+  /**
+   * Build data adding elements to a set field
+   * Pure: does not touch local state, the caller signs and sets the result.
+   *
+   * @param {object|null} existing - Current entry for the ID
+   * @param {string} field - Set field
+   * @param {Array<string>} elements - Elements to add
+   * @param {string} deviceId - Adding device (tag prefix)
+   * @returns {object} New entry data
+   */
+  addData(existing, field, elements, deviceId) {
+    const sets = this._setsOf(existing?.data);
+    for (const element of elements) {
+      this._add(sets[field], element, deviceId);
+    }
+    return this._materialize({ ...(existing?.data || {}), _sets: sets });
+  }
+
+  /**
+   * Build data removing elements from a set field
+   * Only the tags currently observed are tombstoned.
+   *
+   * @param {object|null} existing - Current entry for the ID
+   * @param {string} field - Set field
+   * @param {Array<string>} elements - Elements to remove
+   * @returns {object} New entry data
+   */
+  removeData(existing, field, elements) {
+    const sets = this._setsOf(existing?.data);
+    for (const element of elements) {
+      this._remove(sets[field], element);
+    }
+    return this._materialize({ ...(existing?.data || {}), _sets: sets });
+  }
+
+  /**
+   * Build data for an assignment (create/upsert)
+   * Set fields given in `data` are moved to their new contents by adding
+   * missing elements and removing observed ones that are gone.
+   *
+   * @param {object|null} existing - Current entry for the ID
+   * @param {object} data - New field values
+   * @param {string} deviceId - Assigning device
+   * @returns {object} New entry data
+   */
+  assignData(existing, data, deviceId) {
+    const sets = this._setsOf(existing?.data);
+
+    for (const field of this.setFields) {
+      if (!Array.isArray(data[field])) continue;
+      const wanted = new Set(data[field]);
+      const current = this._value(sets[field]);
+
+      for (const element of current) {
+        if (!wanted.has(element)) this._remove(sets[field], element);
+      }
+      for (const element of wanted) {
+        if (!current.includes(element)) this._add(sets[field], element, deviceId);
+      }
+    }
+
+    return this._materialize({ ...data, _sets: sets });
+  }
+
+  /**
+   * Set an entry, merging with any existing state
+   *
+   * @param {object} entry - { id, data, timestamp, signature, authorDeviceId }
+   * @returns {object} The resulting (merged) entry
+   */
+  async set(entry) {
+    await this._ensureLoaded();
+
+    const existing = this.entries.get(entry.id);
+    const merged = existing ? this._mergeEntry(existing, entry) : this._normalize(entry);
+
+    if (merged !== existing) {
+      await this.store.put(this.modelName, merged);
+      this.entries.set(entry.id, merged);
+    }
+    return merged;
+  }
+
+  /**
+   * Add entry (alias for set, for consistent interface with GSet)
+   */
+  async add(entry) {
+    return this.set(entry);
+  }
+
+  /**
+   * Merge incoming entries from remote
+   *
+   * @param {Array} entries - Remote entries to merge
+   * @returns {Array} Merged entries whose state actually changed
+   */
+  async merge(entries) {
+    await this._ensureLoaded();
+
+    const updated = [];
+    for (const entry of entries) {
+      const existing = this.entries.get(entry.id);
+      const merged = existing ? this._mergeEntry(existing, entry) : this._normalize(entry);
+
+      if (merged !== existing) {
+        await this.store.put(this.modelName, merged);
+        this.entries.set(entry.id, merged);
+        updated.push(merged);
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Get entry by ID
+   * @param {string} id
+   * @returns {object|null}
+   */
+  async get(id) {
+    await this._ensureLoaded();
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Check if entry exists
+   * @param {string} id
+   * @returns {boolean}
+   */
+  async has(id) {
+    await this._ensureLoaded();
+    return this.entries.has(id);
+  }
+
+  /**
+   * Get all entries
+   * @returns {Array}
+   */
+  async getAll() {
+    await this._ensureLoaded();
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * Get count of entries
+   * @returns {number}
+   */
+  async size() {
+    await this._ensureLoaded();
+    return this.entries.size;
+  }
+
+  /**
+   * Filter entries by predicate
+   * @param {Function} predicate - (entry) => boolean
+   * @returns {Array}
+   */
+  async filter(predicate) {
+    await this._ensureLoaded();
+    return Array.from(this.entries.values()).filter(predicate);
+  }
+
+  /**
+   * Get all entries sorted by timestamp
+   * @param {string} order - 'desc' (newest first) or 'asc' (oldest first)
+   * @returns {Array}
+   */
+  async getAllSorted(order = 'desc') {
+    await this._ensureLoaded();
+
+    return Array.from(this.entries.values()).sort((a, b) => {
+      return order === 'desc'
+        ? compareTimestamps(b, a)
+        : compareTimestamps(a, b);
+    });
+  }
+
+  /**
+   * Merge two entries for the same ID
+   * Registers: newer timestamp wins. Sets: union of tags and tombstones.
+   *
+   * @param {object} existing
+   * @param {object} incoming
+   * @returns {object} existing if nothing changed, otherwise a new entry
+   */
+  _mergeEntry(existing, incoming) {
+    const newer = compareTimestamps(incoming, existing) > 0;
+    const base = newer ? incoming : existing;
+
+    const sets = this._setsOf(existing.data);
+    const theirs = this._setsOf(incoming.data);
+    let setsChanged = false;
+
+    for (const field of this.setFields) {
+      const ours = sets[field];
+      for (const [element, tags] of Object.entries(theirs[field].adds)) {
+        const known = ours.adds[element] || (ours.adds[element] = []);
+        for (const tag of tags) {
+          if (known.includes(tag)) continue;
+          known.push(tag);
+          setsChanged = true;
+        }
+      }
+      for (const tag of theirs[field].removes) {
+        if (ours.removes.includes(tag)) continue;
+        ours.removes.push(tag);
+        setsChanged = true;
+      }
+    }
+
+    if (!newer && !setsChanged) return existing;
+
+    return {
+      ...base,
+      data: this._materialize({ ...base.data, _sets: sets }),
+    };
+  }
+
+  /**
+   * Ensure an entry has well-formed set state and materialized values
+   * @param {object} entry
+   * @returns {object}
+   */
+  _normalize(entry) {
+    const sets = this._setsOf(entry.data);
+    return {
+      ...entry,
+      data: this._materialize({ ...entry.data, _sets: sets }),
+    };
+  }
+
+  /**
+   * Write each set's current elements into data
+   * @param {object} data - Data with `_sets`
+   * @returns {object}
+   */
+  _materialize(data) {
+    for (const field of this.setFields) {
+      data[field] = this._value(data._sets[field]);
+    }
+    return data;
+  }
+
+  /**
+   * Set state of an entry's data
+   * Data written before the model was an OR-Set has a plain array (or a
+   * JSON array string) and no `_sets`; those elements get deterministic
+   * legacy tags so every device seeds the same state.
+   *
+   * @param {object} [data]
+   * @returns {object}
+   */
+  _setsOf(data) {
+    const sets = this._copySets(data?._sets);
+    if (data && !data._sets) {
+      for (const field of this.setFields) {
+        for (const element of parseLegacyElements(data[field])) {
+          sets[field].adds[element] = [`${LEGACY_TAG}${element}`];
+        }
+      }
+    }
+    return sets;
+  }
+
+  /**
+   * Deep copy set state, filling in missing fields
+   * @param {object} [sets]
+   * @returns {object}
+   */
+  _copySets(sets = {}) {
+    const copy = {};
+    for (const field of this.setFields) {
+      const adds = {};
+      for (const [element, tags] of Object.entries(sets[field]?.adds || {})) {
+        adds[element] = [...tags];
+      }
+      copy[field] = { adds, removes: [...(sets[field]?.removes || [])] };
+    }
+    return copy;
+  }
+
+  /**
+   * Add an element with a fresh tag
+   * @param {object} set - { adds, removes }
+   * @param {string} element
+   * @param {string} deviceId
+   */
+  _add(set, element, deviceId) {
+    const tag = `${deviceId}:${crypto.randomUUID()}`;
+    (set.adds[element] || (set.adds[element] = [])).push(tag);
+  }
+
+  /**
+   * Tombstone every observed tag of an element
+   * @param {object} set - { adds, removes }
+   * @param {string} element
+   */
+  _remove(set, element) {
+    for (const tag of set.adds[element] || []) {
+      if (!set.removes.includes(tag)) set.removes.push(tag);
+    }
+  }
+
+  /**
+   * Elements with at least one live tag, sorted for stable output
+   * @param {object} set - { adds, removes }
+   * @returns {Array<string>}
+   */
+  _value(set) {
+    const removed = new Set(set.removes);
+    return Object.entries(set.adds)
+      .filter(([, tags]) => tags.some(tag => !removed.has(tag)))
+      .map(([element]) => element)
+      .sort();
+  }
+}
+
+/**
+ * Elements of a pre-OR-Set field value
+ * @param {Array|string|undefined} value
+ * @returns {Array<string>}
+ */
+function parseLegacyElements(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * PNCounter - Positive-Negative Counter CRDT
+ *
+ * Used for tallies that several of our devices bump concurrently:
+ * unviewed counts, totals, streaks.
+ *
+ * Properties:
+ * - Each counter field keeps a per-device map of increments (P) and
+ *   decrements (N); its value is sum(P) - sum(N)
+ * - A device only ever grows its own slots
+ * - Merge = per-device max of each slot, so no increment is lost
+ * - Non-counter fields (strings, timestamps, ...) are LWW registers
+ *   resolved by entry timestamp (then authorDeviceId)
+ *
+ * Counter state travels inside entry data under `_counters`:
+ *   { unviewedCount: { p: { deviceA: 3 }, n: { deviceB: 1 } } }
+ * and the materialized values (e.g. `unviewedCount: 2`) sit alongside it
+ * so queries and views read counters like any other field.
+ */
+
+import { HybridClock, compareTimestamps } from './HybridClock.js';
+
+// Slot holding values from before a model synced as a counter
+const LEGACY_SLOT = '_legacy';
+
+export class PNCounter {
+  /**
+   * @param {ModelStore} store - Persistence layer
+   * @param {string} modelName - e.g., 'pixRegistry'
+   * @param {Array<string>} counterFields - Fields merged as counters
+   * @param {object} [opts]
+   * @param {HybridClock} [opts.clock] - Shared write clock
+   */
+  constructor(store, modelName, counterFields, { clock = new HybridClock() } = {}) {
+    this.store = store;
+    this.modelName = modelName;
+    this.clock = clock;
+    this.counterFields = counterFields;
+    this.entries = new Map();  // id -> { data, timestamp, signature, authorDeviceId }
+    this._loaded = false;
+  }
+
+  /**
+   * Load all entries from storage into memory
+   */
+  async load() {
+    if (this._loaded) return;
+
+    const entries = await this.store.getAll(this.modelName);
+    for (const entry of entries) {
+      this.clock.update(entry.timestamp);
+      this.entries.set(entry.id, entry);
+    }
+    this._loaded = true;
+  }
+
+  /**
+   * Ensure loaded before any operation
+   */
+  async _ensureLoaded() {
+    if (!this._loaded) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Drop in-memory state and re-read it from storage
+   * Used to undo the writes of a failed transaction.
+   */
+  async reload() {
+    this.entries.clear();
+    this._loaded = false;
+    await this.load();
+  }
+
+  /**
+   * Build data for an increment by one device
+   * Pure: does not touch local state, the caller signs and sets the result.
+   *
+   * @param {object|null} existing - Current entry for the ID
+   * @param {string} field - Counter field
+   * @param {number} n - Amount (negative to decrement)
+   * @param {string} deviceId - Incrementing device
+   * @returns {object} New entry data
+   */
+  incrementData(existing, field, n, deviceId) {
+    const counters = this._countersOf(existing?.data);
+    const slot = counters[field];
+    const side = n >= 0 ? 'p' : 'n';
+    slot[side][deviceId] = (slot[side][deviceId] || 0) + Math.abs(n);
+
+    return this._materialize({ ...(existing?.data || {}), _counters: counters });
+  }
+
+  /**
+   * Build data for an assignment (upsert)
+   * Counter fields given in `data` are moved to their new value by
+   * incrementing this device's slots by the difference.
+   *
+   * @param {object|null} existing - Current entry for the ID
+   * @param {object} data - New field values
+   * @param {string} deviceId - Assigning device
+   * @returns {object} New entry data
+   */
+  assignData(existing, data, deviceId) {
+    const counters = this._countersOf(existing?.data);
+
+    for (const field of this.counterFields) {
+      if (typeof data[field] !== 'number') continue;
+      const delta = data[field] - this._value(counters[field]);
+      if (delta === 0) continue;
+      const side = delta > 0 ? 'p' : 'n';
+      counters[field][side][deviceId] = (counters[field][side][deviceId] || 0) + Math.abs(delta);
+    }
+
+    return this._materialize({ ...data, _counters: counters });
+  }
+
+  /**
+   * Set an entry, merging with any existing state
+   *
+   * @param {object} entry - { id, data, timestamp, signature, authorDeviceId }
+   * @returns {object} The resulting (merged) entry
+   */
+  async set(entry) {
+    await this._ensureLoaded();
+
+    const existing = this.entries.get(entry.id);
+    const merged = existing ? this._mergeEntry(existing, entry) : this._normalize(entry);
+
+    if (merged !== existing) {
+      await this.store.put(this.modelName, merged);
+      this.entries.set(entry.id, merged);
+    }
+    return merged;
+  }
+
+  /**
+   * Add entry (alias for set, for consistent interface with GSet)
+   */
+  async add(entry) {
+    return this.set(entry);
+  }
+
+  /**
+   * Merge incoming entries from remote
+   *
+   * @param {Array} entries - Remote entries to merge
+   * @returns {Array} Merged entries whose state actually changed
+   */
+  async merge(entries) {
+    await this._ensureLoaded();
+
+    const updated = [];
+    for (const entry of entries) {
+      const existing = this.entries.get(entry.id);
+      const merged = existing ? this._mergeEntry(existing, entry) : this._normalize(entry);
+
+      if (merged !== existing) {
+        await this.store.put(this.modelName, merged);
+        this.entries.set(entry.id, merged);
+        updated.push(merged);
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * Get entry by ID
+   * @param {string} id
+   * @returns {object|null}
+   */
+  async get(id) {
+    await this._ensureLoaded();
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Check if entry exists
+   * @param {string} id
+   * @returns {boolean}
+   */
+  async has(id) {
+    await this._ensureLoaded();
+    return this.entries.has(id);
+  }
+
+  /**
+   * Get all entries
+   * @returns {Array}
+   */
+  async getAll() {
+    await this._ensureLoaded();
+    return Array.from(this.entries.values());
+  }
+
+  /**
+   * Get count of entries
+   * @returns {number}
+   */
+  async size() {
+    await this._ensureLoaded();
+    return this.entries.size;
+  }
+
+  /**
+   * Filter entries by predicate
+   * @param {Function} predicate - (entry) => boolean
+   * @returns {Array}
+   */
+  async filter(predicate) {
+    await this._ensureLoaded();
+    return Array.from(this.entries.values()).filter(predicate);
+  }
+
+  /**
+   * Get all entries sorted by timestamp
+   * @param {string} order - 'desc' (newest first) or 'asc' (oldest first)
+   * @returns {Array}
+   */
+  async getAllSorted(order = 'desc') {
+    await this._ensureLoaded();
+
+    return Array.from(this.entries.values()).sort((a, b) => {
+      return order === 'desc'
+        ? compareTimestamps(b, a)
+        : compareTimestamps(a, b);
+    });
+  }
+
+  /**
+   * Merge two entries for the same ID
+   * Registers: newer timestamp wins. Counters: per-device max.
+   *
+   * @param {object} existing
+   * @param {object} incoming
+   * @returns {object} existing if nothing changed, otherwise a new entry
+   */
+  _mergeEntry(existing, incoming) {
+    const newer = compareTimestamps(incoming, existing) > 0;
+    const base = newer ? incoming : existing;
+
+    const counters = this._countersOf(existing.data);
+    const theirs = this._countersOf(incoming.data);
+    let countersChanged = false;
+
+    for (const field of this.counterFields) {
+      for (const side of ['p', 'n']) {
+        for (const [deviceId, count] of Object.entries(theirs[field]?.[side] || {})) {
+          if (typeof count !== 'number' || count <= (counters[field][side][deviceId] || 0)) continue;
+          counters[field][side][deviceId] = count;
+          countersChanged = true;
+        }
+      }
+    }
+
+    if (!newer && !countersChanged) return existing;
+
+    return {
+      ...base,
+      data: this._materialize({ ...base.data, _counters: counters }),
+    };
+  }
+
+  /**
+   * Ensure an entry has well-formed counter state and materialized values
+   * @param {object} entry
+   * @returns {object}
+   */
+  _normalize(entry) {
+    const counters = this._countersOf(entry.data);
+    return {
+      ...entry,
+      data: this._materialize({ ...entry.data, _counters: counters }),
+    };
+  }
+
+  /**
+   * Write each counter's current value into data
+   * @param {object} data - Data with `_counters`
+   * @returns {object}
+   */
+  _materialize(data) {
+    for (const field of this.counterFields) {
+      data[field] = this._value(data._counters[field]);
+    }
+    return data;
+  }
+
+  /**
+   * Counter state of an entry's data
+   * Data written before the model was a counter has plain numbers and no
+   * `_counters`; those values are carried over in a shared legacy slot so
+   * every device seeds the same state.
+   *
+   * @param {object} [data]
+   * @returns {object}
+   */
+  _countersOf(data) {
+    const counters = this._copyCounters(data?._counters);
+    if (data && !data._counters) {
+      for (const field of this.counterFields) {
+        const value = data[field];
+        if (typeof value !== 'number' || value === 0) continue;
+        counters[field][value > 0 ? 'p' : 'n'][LEGACY_SLOT] = Math.abs(value);
+      }
+    }
+    return counters;
+  }
+
+  /**
+   * Deep copy counter state, filling in missing fields
+   * @param {object} [counters]
+   * @returns {object}
+   */
+  _copyCounters(counters = {}) {
+    const copy = {};
+    for (const field of this.counterFields) {
+      copy[field] = {
+        p: { ...(counters[field]?.p || {}) },
+        n: { ...(counters[field]?.n || {}) },
+      };
+    }
+    return copy;
+  }
+
+  /**
+   * @param {object} counter - { p, n }
+   * @returns {number}
+   */
+  _value(counter) {
+    const sum = (slots) => Object.values(slots).reduce((total, count) => total + count, 0);
+    return sum(counter.p) - sum(counter.n);
+  }
+}
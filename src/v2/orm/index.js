@@ -19,18 +19,49 @@
 import { ModelStore } from './storage/ModelStore.js';
 import { GSet } from './crdt/GSet.js';
 import { LWWMap } from './crdt/LWWMap.js';
+import { PNCounter } from './crdt/PNCounter.js';
+import { ORSet } from './crdt/ORSet.js';
+import { HybridClock } from './crdt/HybridClock.js';
 import { Model } from './Model.js';
 import { SyncManager } from './sync/SyncManager.js';
 import { TTLManager } from './sync/TTLManager.js';
+import { Reconciler } from './sync/Reconciler.js';
 
 // Re-export for direct imports
 export { ModelStore } from './storage/ModelStore.js';
 export { GSet } from './crdt/GSet.js';
 export { LWWMap } from './crdt/LWWMap.js';
+export { PNCounter } from './crdt/PNCounter.js';
+export { ORSet } from './crdt/ORSet.js';
+export { HybridClock, compareTimestamps } from './crdt/HybridClock.js';
 export { Model } from './Model.js';
 export { QueryBuilder } from './QueryBuilder.js';
-export { SyncManager } from './sync/SyncManager.js';
+export { SyncManager, SyncOp } from './sync/SyncManager.js';
 export { TTLManager } from './sync/TTLManager.js';
+export { Reconciler, DigestPhase } from './sync/Reconciler.js';
+export { Transaction } from './Transaction.js';
+
+/**
+ * Number fields of a model, merged as PN-Counters by 'counter' models
+ * @param {object} config
+ * @returns {Array<string>}
+ */
+function counterFields(config) {
+  return Object.entries(config.fields)
+    .filter(([, type]) => type.replace('?', '') === 'number')
+    .map(([field]) => field);
+}
+
+/**
+ * Set fields of a model, merged as OR-Sets by 'or-set' models
+ * @param {object} config
+ * @returns {Array<string>}
+ */
+function setFields(config) {
+  return Object.entries(config.fields)
+    .filter(([, type]) => type.replace('?', '') === 'set')
+    .map(([field]) => field);
+}
 
 /**
  * SchemaBuilder - Builds models from schema definitions
@@ -45,6 +76,7 @@ export class SchemaBuilder {
     this.store = null;
     this.syncManager = null;
     this.ttlManager = null;
+    this.clock = new HybridClock();  // Shared by every model's writes and merges
     this._initialized = false;
   }
 
@@ -60,6 +92,7 @@ export class SchemaBuilder {
 
     // Create sync manager with store reference for associations
     this.syncManager = new SyncManager(this.client, this.store);
+    this.syncManager.reconciler = new Reconciler(this.client, this.syncManager);
 
     // Create TTL manager for ephemeral content expiration
     this.ttlManager = new TTLManager(this.store);
@@ -91,6 +124,7 @@ export class SchemaBuilder {
         client: this.client,
         syncManager: this.syncManager,
         ttlManager: this.ttlManager,
+        clock: this.clock,
       });
 
       // Register with sync manager
@@ -101,6 +135,27 @@ export class SchemaBuilder {
 
       // Attach to client: client.story, client.streak, etc.
       this.client[name] = model;
+
+      // Schema version + migrations for stored and incoming entries
+      this.store.registerSchema(name, config);
+    }
+
+    // Create declared IndexedDB indexes (upgrades the database if needed)
+    const indexes = Object.values(definitions).flatMap(config => config.indexes || []);
+    if (indexes.length > 0) {
+      await this.store.ensureIndexes(indexes);
+    }
+
+    // Upgrade local data to the current schema versions, then apply
+    // anything quarantined from newer peers that this version now understands
+    for (const [name, config] of Object.entries(definitions)) {
+      if ((config.version || 1) > 1) {
+        const migrated = await this.store.migrate(name);
+        if (migrated > 0) console.log(`[ORM] Migrated ${migrated} ${name} entries to v${config.version}`);
+      }
+    }
+    for (const name of Object.keys(definitions)) {
+      await this.models.get(name).releaseQuarantine();
     }
 
     // Store models map on client for routing
@@ -123,11 +178,11 @@ export class SchemaBuilder {
 
     // Must have sync type
     if (!config.sync) {
-      throw new Error(`Model "${name}": sync type is required (g-set, lww)`);
+      throw new Error(`Model "${name}": sync type is required (g-set, lww, lww-fields, counter, or-set)`);
     }
 
-    if (!['g-set', 'lww', 'counter'].includes(config.sync)) {
-      throw new Error(`Model "${name}": sync must be 'g-set', 'lww', or 'counter'`);
+    if (!['g-set', 'lww', 'lww-fields', 'counter', 'or-set'].includes(config.sync)) {
+      throw new Error(`Model "${name}": sync must be 'g-set', 'lww', 'lww-fields', 'counter', or 'or-set'`);
     }
 
     // collectable is required (true = user can pin, false = cannot pin)
@@ -140,33 +195,104 @@ export class SchemaBuilder {
       }
     }
 
+    // Schema version: positive integer, with migrations keyed by the version they upgrade to
+    if (config.version !== undefined && (!Number.isInteger(config.version) || config.version < 1)) {
+      throw new Error(`Model "${name}": version must be a positive integer`);
+    }
+    for (const [toVersion, migration] of Object.entries(config.migrations || {})) {
+      if (typeof migration !== 'function' || !(Number(toVersion) > 1)) {
+        throw new Error(`Model "${name}": migrations must map versions > 1 to functions`);
+      }
+    }
+
+    // Validate indexes: field names, or arrays of field names for compound indexes
+    if (config.indexes !== undefined) {
+      if (!Array.isArray(config.indexes)) {
+        throw new Error(`Model "${name}": indexes must be an array`);
+      }
+      for (const index of config.indexes) {
+        const fields = Array.isArray(index) ? index : [index];
+        if (fields.length === 0 || !fields.every(f => typeof f === 'string' && f)) {
+          throw new Error(`Model "${name}": invalid index ${JSON.stringify(index)}`);
+        }
+      }
+    }
+
     // Validate field types
-    const validTypes = ['string', 'string?', 'number', 'number?', 'boolean', 'boolean?', 'timestamp', 'timestamp?', 'bytes', 'bytes?'];
+    const validTypes = ['string', 'string?', 'number', 'number?', 'boolean', 'boolean?', 'timestamp', 'timestamp?', 'bytes', 'bytes?', 'set', 'set?'];
     for (const [field, type] of Object.entries(config.fields)) {
       if (!validTypes.includes(type)) {
         throw new Error(`Model "${name}": field "${field}" has invalid type "${type}"`);
       }
     }
+
+    // Validations: rules for declared fields
+    const validationRules = ['required', 'maxLength', 'minLength', 'format', 'inclusion', 'validate'];
+    for (const [field, rules] of Object.entries(config.validations || {})) {
+      if (!config.fields[field]) {
+        throw new Error(`Model "${name}": validation for unknown field "${field}"`);
+      }
+      const unknown = Object.keys(rules || {}).filter(rule => !validationRules.includes(rule));
+      if (unknown.length > 0) {
+        throw new Error(`Model "${name}": unknown validation "${unknown[0]}" on "${field}"`);
+      }
+    }
+    for (const [hook, fn] of Object.entries(config.hooks || {})) {
+      if (typeof fn !== 'function') {
+        throw new Error(`Model "${name}": hook "${hook}" must be a function`);
+      }
+    }
+
+    // Write policy for remote entries
+    if (config.writableBy !== undefined) {
+      if (!['anyone', 'author', 'owner', 'groupMembers', 'members'].includes(config.writableBy)) {
+        throw new Error(`Model "${name}": writableBy must be 'anyone', 'author', 'owner', 'groupMembers', or 'members'`);
+      }
+      if (config.writableBy === 'groupMembers' && !config.belongs_to) {
+        throw new Error(`Model "${name}": writableBy 'groupMembers' requires belongs_to`);
+      }
+      if (config.writableBy === 'members' && (config.sync !== 'or-set' || !setFields(config).includes('members'))) {
+        throw new Error(`Model "${name}": writableBy 'members' requires an or-set model with a members set field`);
+      }
+    }
+
+    // Counter models merge their number fields as PN-Counters
+    if (config.sync === 'counter' && counterFields(config).length === 0) {
+      throw new Error(`Model "${name}": counter models need at least one number field`);
+    }
+
+    // Set fields (arrays of strings) only merge correctly as OR-Sets
+    const hasSetFields = setFields(config).length > 0;
+    if (config.sync === 'or-set' && !hasSetFields) {
+      throw new Error(`Model "${name}": or-set models need at least one set field`);
+    }
+    if (config.sync !== 'or-set' && hasSetFields) {
+      throw new Error(`Model "${name}": set fields require sync: 'or-set'`);
+    }
   }
 
   /**
    * Create CRDT instance based on sync type
    * @param {string} name
    * @param {object} config
-   * @returns {GSet|LWWMap}
+   * @returns {GSet|LWWMap|PNCounter|ORSet}
    */
   _createCRDT(name, config) {
     switch (config.sync) {
       case 'g-set':
-        return new GSet(this.store, name);
+        return new GSet(this.store, name, { clock: this.clock });
 
       case 'lww':
-        return new LWWMap(this.store, name);
+        return new LWWMap(this.store, name, { clock: this.clock });
+
+      case 'lww-fields':
+        return new LWWMap(this.store, name, { perField: true, clock: this.clock });
 
       case 'counter':
-        // Counter uses LWWMap internally with special merge logic
-        // TODO: Implement proper PN-Counter
-        return new LWWMap(this.store, name);
+        return new PNCounter(this.store, name, counterFields(config), { clock: this.clock });
+
+      case 'or-set':
+        return new ORSet(this.store, name, setFields(config), { clock: this.clock });
 
       default:
         throw new Error(`Unknown sync type: ${config.sync}`);
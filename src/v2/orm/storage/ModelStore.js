@@ -3,24 +3,138 @@
  *
  * Generic storage layer that persists model entries, associations, and TTL tracking.
  * Works with any model name - the ORM machinery uses this for all models.
+ *
+ * Entries, tombstones, signed writes and quarantined syncs are encrypted at rest with the
+ * data key from keyCache. Keys, timestamps and indexed fields stay in the
+ * clear so IndexedDB can still look them up.
  */
 
-const DB_VERSION = 1;
+import { keyCache } from '../../lib/keyCache.js';
+import { measureStore } from '../../lib/storageQuota.js';
+import { sealRecord, openRecords, isSealed } from '../../crypto/storageEncryption.js';
+
+const DB_VERSION = 4;
+
+// Entry-level fields that can be indexed directly (everything else lives under data.*)
+const ENTRY_FIELDS = ['id', 'timestamp', 'authorDeviceId'];
+
+// Built-in indexes on the models store, keyed by their field paths
+const BUILTIN_INDEXES = {
+  timestamp: 'byTimestamp',
+  authorDeviceId: 'byAuthor',
+};
+
+// Record fields kept in the clear per object store (the rest is sealed)
+const PLAIN_FIELDS = {
+  models: ['modelName', 'id', 'timestamp', 'authorDeviceId', 'schemaVersion'],
+  tombstones: ['modelName', 'id', 'timestamp', 'authorDeviceId'],
+  quarantine: ['modelName', 'id', 'timestamp', 'schemaVersion'],
+  writes: ['modelName', 'id', 'authorDeviceId', 'timestamp'],
+};
 
 export class ModelStore {
   constructor(namespace = 'default') {
     this.dbName = `obscura_models_${namespace}`;
     this.db = null;
+    this.indexes = new Map();  // index name -> field paths (declared by models)
+    this.schemas = new Map();  // model name -> { version, migrations }
+  }
+
+  /**
+   * Normalize a model index declaration to entry field paths
+   * 'groupId' -> ['data.groupId'], ['groupId', 'timestamp'] -> ['data.groupId', 'timestamp']
+   *
+   * @param {string|string[]} spec
+   * @returns {string[]}
+   */
+  static indexPaths(spec) {
+    const fields = Array.isArray(spec) ? spec : [spec];
+    return fields.map(f => (ENTRY_FIELDS.includes(f) || f.startsWith('data.')) ? f : `data.${f}`);
+  }
+
+  /**
+   * Get the IndexedDB index name for a list of field paths
+   * @param {string[]} paths
+   * @returns {string}
+   */
+  static indexName(paths) {
+    if (paths.length === 1 && BUILTIN_INDEXES[paths[0]]) {
+      return BUILTIN_INDEXES[paths[0]];
+    }
+    return `by:${paths.join('+')}`;
   }
 
   /**
    * Open the database and create stores if needed
+   * Declared model indexes are added with a version bump when missing.
    */
   async open() {
     if (this.db) return this.db;
 
+    let db = await this._openDatabase();
+    if (db.version < DB_VERSION || this._needsUpgrade(db)) {
+      const version = Math.max(DB_VERSION, db.version + 1);
+      db.close();
+      db = await this._openDatabase(version);
+    }
+
+    // Let other tabs upgrade the schema (e.g., after new indexes are declared)
+    db.onversionchange = () => {
+      db.close();
+      if (this.db === db) this.db = null;
+    };
+
+    this.db = db;
+    return db;
+  }
+
+  /**
+   * Register model indexes, upgrading the database if any are missing
+   * @param {Array<string|string[]>} specs - Index declarations from model configs
+   */
+  async ensureIndexes(specs) {
+    for (const spec of specs) {
+      const paths = ModelStore.indexPaths(spec);
+      const name = ModelStore.indexName(paths);
+      if (!Object.values(BUILTIN_INDEXES).includes(name)) {
+        this.indexes.set(name, paths);
+      }
+    }
+
+    if (this.db && this._needsUpgrade(this.db)) {
+      this.close();
+    }
+    await this.open();
+  }
+
+  /**
+   * Check whether any store or declared index is missing
+   * @param {IDBDatabase} db
+   * @returns {boolean}
+   */
+  _needsUpgrade(db) {
+    for (const name of ['models', 'associations', 'ttl', 'tombstones', 'quarantine', 'writes']) {
+      if (!db.objectStoreNames.contains(name)) return true;
+    }
+    if (this.indexes.size === 0) return false;
+
+    const store = db.transaction('models').objectStore('models');
+    for (const name of this.indexes.keys()) {
+      if (!store.indexNames.contains(name)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Open the IndexedDB connection
+   * @param {number} [version] - Omit to open at the current version
+   * @returns {Promise<IDBDatabase>}
+   */
+  _openDatabase(version) {
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, DB_VERSION);
+      const request = version
+        ? indexedDB.open(this.dbName, version)
+        : indexedDB.open(this.dbName);
 
       request.onerror = () => reject(request.error);
 
@@ -36,6 +150,14 @@ export class ModelStore {
           store.createIndex('byAuthor', ['modelName', 'authorDeviceId']);
         }
 
+        // Model-declared indexes: [modelName, ...fieldPaths]
+        const modelsStore = event.target.transaction.objectStore('models');
+        for (const [name, paths] of this.indexes) {
+          if (!modelsStore.indexNames.contains(name)) {
+            modelsStore.createIndex(name, ['modelName', ...paths]);
+          }
+        }
+
         // Associations store: parent -> child relationships
         // Key: [parentType, parentId, childType, childId]
         if (!db.objectStoreNames.contains('associations')) {
@@ -52,12 +174,30 @@ export class ModelStore {
           const store = db.createObjectStore('ttl', { keyPath: ['modelName', 'id'] });
           store.createIndex('byExpiry', 'expiresAt');
         }
-      };
 
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
+        // Tombstones store: signed retractions for G-Set models
+        // Key: [modelName, id]
+        if (!db.objectStoreNames.contains('tombstones')) {
+          const store = db.createObjectStore('tombstones', { keyPath: ['modelName', 'id'] });
+          store.createIndex('byModel', 'modelName');
+        }
+
+        // Quarantine store: MODEL_SYNCs from a newer schema than ours
+        // Key: [modelName, id, timestamp] - one per received write
+        if (!db.objectStoreNames.contains('quarantine')) {
+          const store = db.createObjectStore('quarantine', { keyPath: ['modelName', 'id', 'timestamp'] });
+          store.createIndex('byModel', 'modelName');
+        }
+
+        // Writes store: latest signed write per device for merged (CRDT) entries
+        // Key: [modelName, id, authorDeviceId]
+        if (!db.objectStoreNames.contains('writes')) {
+          const store = db.createObjectStore('writes', { keyPath: ['modelName', 'id', 'authorDeviceId'] });
+          store.createIndex('byEntry', ['modelName', 'id']);
+        }
       };
+
+      request.onsuccess = () => resolve(request.result);
     });
   }
 
@@ -90,15 +230,68 @@ export class ModelStore {
    * @param {object} entry - { id, data, timestamp, signature, authorDeviceId }
    */
   async put(modelName, entry) {
+    const record = await this._entryRecord(modelName, entry);
     const store = await this._getStore('models', 'readwrite');
-    await this._promisify(store.put({
+    await this._promisify(store.put(record));
+  }
+
+  /**
+   * Stored (sealed) form of a model entry
+   */
+  async _entryRecord(modelName, entry) {
+    return this._seal('models', {
       modelName,
       id: entry.id,
       data: entry.data,
       timestamp: entry.timestamp,
       signature: entry.signature,
       authorDeviceId: entry.authorDeviceId,
-    }));
+      schemaVersion: this.schemaVersion(modelName),
+    });
+  }
+
+  /**
+   * Encrypt a record for an object store
+   * Model entries keep the data fields of declared indexes in the clear.
+   * Must run before opening the write transaction: IndexedDB transactions
+   * can't stay open across WebCrypto calls.
+   *
+   * @param {string} storeName - 'models', 'tombstones' or 'quarantine'
+   * @param {object} record - Plain record
+   * @returns {Promise<object>} Sealed record (unchanged without a data key)
+   */
+  async _seal(storeName, record) {
+    const sealed = await sealRecord(record, PLAIN_FIELDS[storeName], keyCache.getDataKey());
+    if (sealed !== record && storeName === 'models') {
+      sealed.data = this._indexedData(record.data);
+    }
+    return sealed;
+  }
+
+  /**
+   * The part of entry data that declared indexes read
+   * @param {object} data
+   * @returns {object}
+   */
+  _indexedData(data) {
+    const indexed = {};
+    for (const paths of this.indexes.values()) {
+      for (const path of paths) {
+        if (!path.startsWith('data.')) continue;
+        const field = path.slice('data.'.length).split('.')[0];
+        if (data?.[field] !== undefined) indexed[field] = data[field];
+      }
+    }
+    return indexed;
+  }
+
+  /**
+   * Decrypt stored records, dropping any that can't be read
+   * @param {Array<object>} records
+   * @returns {Promise<Array<object>>}
+   */
+  _open(records) {
+    return openRecords(records, keyCache.getDataKey(), 'ModelStore');
   }
 
   /**
@@ -110,7 +303,9 @@ export class ModelStore {
   async get(modelName, id) {
     const store = await this._getStore('models');
     const result = await this._promisify(store.get([modelName, id]));
-    return result || null;
+    if (!result) return null;
+    const [entry] = await this._open([result]);
+    return entry || null;
   }
 
   /**
@@ -121,7 +316,99 @@ export class ModelStore {
   async getAll(modelName) {
     const store = await this._getStore('models');
     const index = store.index('byModel');
-    return this._promisify(index.getAll(modelName));
+    return this._open(await this._promisify(index.getAll(modelName)));
+  }
+
+  /**
+   * Query entries through an index
+   * Walks a cursor over [modelName, ...prefix, range] and stops at limit.
+   * With encryption at rest, filter needs decrypted entries, so a filtered
+   * query reads the whole range and applies filter and limit afterwards.
+   *
+   * @param {string} modelName
+   * @param {object} query
+   * @param {string[]} query.index - Field paths of the index to use
+   * @param {Array} [query.prefix] - Equality values for the leading index fields
+   * @param {object} [query.range] - { gt, gte, lt, lte } on the next index field
+   * @param {string} [query.direction] - 'next' (ascending) or 'prev' (descending)
+   * @param {number|null} [query.limit] - Stop after this many matches
+   * @param {Function} [query.filter] - (record) => boolean, applied before limit
+   * @returns {Promise<Array>}
+   */
+  async queryIndex(modelName, { index, prefix = [], range = null, direction = 'next', limit = null, filter = null }) {
+    const store = await this._getStore('models');
+    const idx = store.index(ModelStore.indexName(index));
+    const keyRange = this._buildKeyRange([modelName, ...prefix], range);
+
+    const filterAfter = filter && keyCache.getDataKey() ? filter : null;
+    const cursorFilter = filterAfter ? null : filter;
+    const cursorLimit = filterAfter ? null : limit;
+
+    const records = await new Promise((resolve, reject) => {
+      const results = [];
+      const request = idx.openCursor(keyRange, direction);
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(results);
+          return;
+        }
+        if (!cursorFilter || cursorFilter(cursor.value)) {
+          results.push(cursor.value);
+        }
+        if (cursorLimit !== null && results.length >= cursorLimit) {
+          resolve(results);
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    const entries = await this._open(records);
+    if (!filterAfter) return entries;
+
+    const matching = entries.filter(filterAfter);
+    return limit !== null ? matching.slice(0, limit) : matching;
+  }
+
+  /**
+   * Count entries in an index range without reading them
+   * @param {string} modelName
+   * @param {object} opts - { index, prefix, range } as for queryIndex()
+   * @returns {Promise<number>}
+   */
+  async countIndex(modelName, { index, prefix = [], range = null }) {
+    const store = await this._getStore('models');
+    const idx = store.index(ModelStore.indexName(index));
+    return this._promisify(idx.count(this._buildKeyRange([modelName, ...prefix], range)));
+  }
+
+  /**
+   * Build a key range for a compound index
+   * An empty array sorts after every number/string key, so [...prefix, []]
+   * bounds everything that starts with prefix.
+   *
+   * @param {Array} prefix - [modelName, ...equality values]
+   * @param {object|null} range - { gt, gte, lt, lte }
+   * @returns {IDBKeyRange}
+   */
+  _buildKeyRange(prefix, range) {
+    let lower = prefix;
+    if (range?.gt !== undefined) lower = [...prefix, range.gt, []];
+    else if (range?.gte !== undefined) lower = [...prefix, range.gte];
+
+    let upper = [...prefix, []];
+    let upperOpen = false;
+    if (range?.lt !== undefined) {
+      upper = [...prefix, range.lt];
+      upperOpen = true;
+    } else if (range?.lte !== undefined) {
+      upper = [...prefix, range.lte, []];
+    }
+
+    return IDBKeyRange.bound(lower, upper, false, upperOpen);
   }
 
   /**
@@ -145,6 +432,211 @@ export class ModelStore {
     return entry !== null;
   }
 
+  // ===========================================================================
+  // Tombstone Operations
+  // ===========================================================================
+
+  /**
+   * Store a signed tombstone (G-Set retraction)
+   * @param {string} modelName
+   * @param {object} tombstone - { id, data, timestamp, signature, authorDeviceId }
+   */
+  async putTombstone(modelName, tombstone) {
+    const record = await this._tombstoneRecord(modelName, tombstone);
+    const store = await this._getStore('tombstones', 'readwrite');
+    await this._promisify(store.put(record));
+  }
+
+  /**
+   * Stored (sealed) form of a tombstone
+   */
+  async _tombstoneRecord(modelName, tombstone) {
+    return this._seal('tombstones', {
+      modelName,
+      id: tombstone.id,
+      data: tombstone.data,
+      timestamp: tombstone.timestamp,
+      signature: tombstone.signature,
+      authorDeviceId: tombstone.authorDeviceId,
+    });
+  }
+
+  /**
+   * Get all tombstones for a model
+   * @param {string} modelName
+   * @returns {Array}
+   */
+  async getTombstones(modelName) {
+    const store = await this._getStore('tombstones');
+    const index = store.index('byModel');
+    return this._open(await this._promisify(index.getAll(modelName)));
+  }
+
+  // ===========================================================================
+  // Signed Writes
+  // ===========================================================================
+
+  /**
+   * Store a device's latest signed write to a merged entry
+   * Counter, OR-Set and per-field LWW entries are merges of several
+   * devices' writes, so only these originals still carry valid signatures.
+   *
+   * @param {string} modelName
+   * @param {object} write - { id, data, timestamp, signature, authorDeviceId }
+   */
+  async putWrite(modelName, write) {
+    const record = await this._writeRecord(modelName, write);
+    const store = await this._getStore('writes', 'readwrite');
+    await this._promisify(store.put(record));
+  }
+
+  /**
+   * Stored (sealed) form of a signed write
+   */
+  async _writeRecord(modelName, write) {
+    return this._seal('writes', {
+      modelName,
+      id: write.id,
+      data: write.data,
+      timestamp: write.timestamp,
+      signature: write.signature,
+      authorDeviceId: write.authorDeviceId,
+    });
+  }
+
+  /**
+   * Get one device's stored write to an entry
+   * @param {string} modelName
+   * @param {string} id
+   * @param {string} authorDeviceId
+   * @returns {object|null}
+   */
+  async getWrite(modelName, id, authorDeviceId) {
+    const store = await this._getStore('writes');
+    const result = await this._promisify(store.get([modelName, id, authorDeviceId]));
+    if (!result) return null;
+    const [write] = await this._open([result]);
+    return write || null;
+  }
+
+  /**
+   * Get every device's stored write to an entry
+   * @param {string} modelName
+   * @param {string} id
+   * @returns {Array}
+   */
+  async getWrites(modelName, id) {
+    const store = await this._getStore('writes');
+    const index = store.index('byEntry');
+    return this._open(await this._promisify(index.getAll([modelName, id])));
+  }
+
+  // ===========================================================================
+  // Schema Versioning
+  // ===========================================================================
+
+  /**
+   * Register a model's schema version and migrations
+   * @param {string} modelName
+   * @param {object} schema - { version, migrations: { [toVersion]: (data) => data } }
+   */
+  registerSchema(modelName, { version = 1, migrations = {} } = {}) {
+    this.schemas.set(modelName, { version, migrations });
+  }
+
+  /**
+   * Current local schema version for a model
+   * @param {string} modelName
+   * @returns {number}
+   */
+  schemaVersion(modelName) {
+    return this.schemas.get(modelName)?.version || 1;
+  }
+
+  /**
+   * Upgrade entry data from an older schema version to ours
+   * Runs each migration after fromVersion in order; versions without a
+   * migration (e.g. only an optional field was added) pass data through.
+   *
+   * @param {string} modelName
+   * @param {object} data
+   * @param {number} fromVersion
+   * @returns {object} Migrated data
+   */
+  migrateData(modelName, data, fromVersion) {
+    const { version, migrations } = this.schemas.get(modelName) || { version: 1, migrations: {} };
+    let migrated = data;
+    for (let v = fromVersion + 1; v <= version; v++) {
+      if (migrations[v]) migrated = migrations[v]({ ...migrated });
+    }
+    return migrated;
+  }
+
+  /**
+   * Migrate stored entries written by an older schema version
+   * @param {string} modelName
+   * @returns {Promise<number>} Number of entries migrated
+   */
+  async migrate(modelName) {
+    const version = this.schemaVersion(modelName);
+    const entries = await this.getAll(modelName);
+    let migrated = 0;
+
+    for (const entry of entries) {
+      const from = entry.schemaVersion || 1;
+      if (from >= version) continue;
+      await this.put(modelName, { ...entry, data: this.migrateData(modelName, entry.data, from) });
+      migrated++;
+    }
+    return migrated;
+  }
+
+  /**
+   * Hold a MODEL_SYNC from a newer schema until this app updates
+   * @param {string} modelName
+   * @param {object} modelSync - The received ModelSync
+   */
+  async quarantine(modelName, modelSync) {
+    const record = await this._quarantineRecord(modelName, modelSync);
+    const store = await this._getStore('quarantine', 'readwrite');
+    await this._promisify(store.put(record));
+  }
+
+  /**
+   * Stored (sealed) form of a quarantined MODEL_SYNC
+   */
+  async _quarantineRecord(modelName, modelSync) {
+    return this._seal('quarantine', {
+      modelName,
+      id: modelSync.id,
+      timestamp: modelSync.timestamp,
+      schemaVersion: modelSync.schemaVersion,
+      modelSync,
+    });
+  }
+
+  /**
+   * Get quarantined MODEL_SYNCs for a model
+   * @param {string} modelName
+   * @returns {Array} { modelName, id, timestamp, schemaVersion, modelSync }
+   */
+  async getQuarantined(modelName) {
+    const store = await this._getStore('quarantine');
+    const index = store.index('byModel');
+    return this._open(await this._promisify(index.getAll(modelName)));
+  }
+
+  /**
+   * Remove a quarantined MODEL_SYNC
+   * @param {string} modelName
+   * @param {string} id
+   * @param {number} timestamp
+   */
+  async removeQuarantined(modelName, id, timestamp) {
+    const store = await this._getStore('quarantine', 'readwrite');
+    await this._promisify(store.delete([modelName, id, timestamp]));
+  }
+
   // ===========================================================================
   // Association Operations
   // ===========================================================================
@@ -265,6 +757,91 @@ export class ModelStore {
     return this._promisify(store.getAll());
   }
 
+  // ===========================================================================
+  // Batched Writes
+  // ===========================================================================
+
+  /**
+   * Start a write batch (used by ORM transactions)
+   * The batch reads like this store, but its writes are only recorded
+   * until commit() applies all of them in one IndexedDB transaction.
+   *
+   * @returns {object} Store-like batch with `ops` and commit()
+   */
+  batch() {
+    const store = this;
+    const ops = [];
+    const batch = Object.create(this);
+
+    Object.assign(batch, {
+      ops,
+      async put(modelName, entry) {
+        ops.push({ storeName: 'models', modelName, value: await store._entryRecord(modelName, entry) });
+      },
+      async delete(modelName, id) {
+        ops.push({ storeName: 'models', modelName, key: [modelName, id] });
+      },
+      async putTombstone(modelName, tombstone) {
+        ops.push({ storeName: 'tombstones', modelName, value: await store._tombstoneRecord(modelName, tombstone) });
+      },
+      async putWrite(modelName, write) {
+        ops.push({ storeName: 'writes', modelName, value: await store._writeRecord(modelName, write) });
+      },
+      async quarantine(modelName, modelSync) {
+        ops.push({ storeName: 'quarantine', modelName, value: await store._quarantineRecord(modelName, modelSync) });
+      },
+      async removeQuarantined(modelName, id, timestamp) {
+        ops.push({ storeName: 'quarantine', modelName, key: [modelName, id, timestamp] });
+      },
+      async addAssociation(parentType, parentId, childType, childId) {
+        ops.push({ storeName: 'associations', value: { parentType, parentId, childType, childId } });
+      },
+      async removeAssociation(parentType, parentId, childType, childId) {
+        ops.push({ storeName: 'associations', key: [parentType, parentId, childType, childId] });
+      },
+      async setTTL(modelName, id, expiresAt) {
+        ops.push({ storeName: 'ttl', modelName, value: { modelName, id, expiresAt } });
+      },
+      async removeTTL(modelName, id) {
+        ops.push({ storeName: 'ttl', modelName, key: [modelName, id] });
+      },
+      async commit() {
+        await store.commit(ops);
+      },
+    });
+
+    return batch;
+  }
+
+  /**
+   * Apply recorded writes in a single IndexedDB transaction (all or nothing)
+   * @param {Array} ops - { storeName, value } puts and { storeName, key } deletes, in order
+   */
+  async commit(ops) {
+    if (ops.length === 0) return;
+
+    const db = await this.open();
+    const storeNames = [...new Set(ops.map(op => op.storeName))];
+    const tx = db.transaction(storeNames, 'readwrite');
+
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+
+    for (const op of ops) {
+      const objectStore = tx.objectStore(op.storeName);
+      if (op.value) {
+        objectStore.put(op.value);
+      } else {
+        objectStore.delete(op.key);
+      }
+    }
+
+    await done;
+  }
+
   // ===========================================================================
   // Utility
   // ===========================================================================
@@ -281,6 +858,55 @@ export class ModelStore {
     }
   }
 
+  /**
+   * Number of model entries and approximate size of all ORM data
+   * (entries, tombstones, signed writes, quarantine, associations and TTLs)
+   * @returns {Promise<{count: number, bytes: number}>}
+   */
+  async getUsage() {
+    const db = await this.open();
+    const tx = db.transaction([...db.objectStoreNames]);
+    const usage = { count: 0, bytes: 0 };
+    for (const storeName of db.objectStoreNames) {
+      const { count, bytes } = await measureStore(tx.objectStore(storeName));
+      if (storeName === 'models') usage.count = count;
+      usage.bytes += bytes;
+    }
+    return usage;
+  }
+
+  /**
+   * Encrypt records stored before encryption at rest was enabled
+   * No-op until the data key is unlocked.
+   * @returns {Promise<number>} Number of records encrypted
+   */
+  async encryptExisting() {
+    if (!keyCache.getDataKey()) return 0;
+
+    let count = 0;
+    for (const storeName of Object.keys(PLAIN_FIELDS)) {
+      const store = await this._getStore(storeName);
+      const plaintext = (await this._promisify(store.getAll())).filter(record => !isSealed(record));
+      if (plaintext.length === 0) continue;
+
+      const sealed = [];
+      for (const record of plaintext) {
+        sealed.push(await this._seal(storeName, record));
+      }
+
+      // Skip records rewritten (already sealed) or deleted meanwhile
+      const writeStore = await this._getStore(storeName, 'readwrite');
+      const keyPath = [].concat(writeStore.keyPath);
+      for (const record of sealed) {
+        const current = await this._promisify(writeStore.get(keyPath.map(path => record[path])));
+        if (!current || isSealed(current)) continue;
+        await this._promisify(writeStore.put(record));
+        count++;
+      }
+    }
+    return count;
+  }
+
   /**
    * Close the database connection
    */
@@ -0,0 +1,430 @@
+/**
+ * Reconciler - Anti-entropy for ORM models
+ *
+ * MODEL_SYNC is fire-and-forget: a device that was offline, a message
+ * dropped by a session reset, or a friend added after the fact all leave
+ * replicas diverged forever. The reconciler periodically compares state
+ * with one peer device and exchanges only what differs.
+ *
+ * Protocol (MODEL_DIGEST, one ModelDigest per model):
+ * 1. SUMMARY  A -> B: entries hashed into buckets by ID, XOR of entry
+ *                      fingerprints per bucket
+ * 2. ENTRIES  B -> A: for buckets that don't match, B's (id, fingerprint)s
+ * 3. A pushes its entries B lacks or has differently (plain MODEL_SYNC,
+ *    to B only), and sends REQUEST A -> B for the IDs it lacks
+ * 4. B pushes the requested entries
+ *
+ * Both sides then hold the union, merged by each model's CRDT.
+ *
+ * Scope per peer mirrors SyncManager targeting:
+ * - Own devices: every model
+ * - Friends: non-private models, entries written by either side, and for
+ *   group-targeted models only groups the friend is a member of
+ */
+
+import { SyncOp } from './SyncManager.js';
+
+// ModelDigest.Phase (mirrors client.proto)
+export const DigestPhase = {
+  SUMMARY: 0,
+  ENTRIES: 1,
+  REQUEST: 2,
+};
+
+const DEFAULT_BUCKET_COUNT = 32;
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Entries pushed per round; the rest converge on the next round
+const MAX_PUSH_PER_ROUND = 200;
+
+export class Reconciler {
+  /**
+   * @param {ObscuraClient} client
+   * @param {SyncManager} syncManager
+   * @param {object} [opts]
+   * @param {number} [opts.bucketCount] - Buckets per model digest
+   */
+  constructor(client, syncManager, { bucketCount = DEFAULT_BUCKET_COUNT } = {}) {
+    this.client = client;
+    this.syncManager = syncManager;
+    this.bucketCount = bucketCount;
+    this._timer = null;
+    this._nextPeer = 0;
+  }
+
+  /**
+   * Reconcile with own devices now, then one peer per interval
+   * @param {number} [intervalMs]
+   */
+  start(intervalMs = DEFAULT_INTERVAL_MS) {
+    this.stop();
+
+    this.reconcileAll().catch(e => {
+      console.warn('[ORM] Reconcile with own devices failed:', e.message);
+    });
+
+    this._timer = setInterval(() => {
+      this.reconcileNext().catch(e => {
+        console.warn('[ORM] Reconcile failed:', e.message);
+      });
+    }, intervalMs);
+  }
+
+  /**
+   * Stop periodic reconciliation
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Reconcile with every own device
+   */
+  async reconcileAll() {
+    for (const deviceId of this.client.devices.getSelfSyncTargets()) {
+      await this.reconcileWith(deviceId);
+    }
+  }
+
+  /**
+   * Reconcile with the next peer device (own devices and friends, round-robin)
+   */
+  async reconcileNext() {
+    const peers = this._peerDeviceIds();
+    if (peers.length === 0) return;
+
+    const deviceId = peers[this._nextPeer % peers.length];
+    this._nextPeer = (this._nextPeer + 1) % peers.length;
+    await this.reconcileWith(deviceId);
+  }
+
+  /**
+   * Start a round with one device by sending our SUMMARY digests
+   * @param {string} deviceId - Peer's server deviceId
+   */
+  async reconcileWith(deviceId) {
+    const peer = this._resolvePeer(deviceId);
+    if (!peer) return;
+
+    const digests = [];
+    for (const model of this._modelsFor(peer)) {
+      const items = await this._items(model, peer);
+      digests.push({
+        model: model.name,
+        phase: DigestPhase.SUMMARY,
+        bucketCount: this.bucketCount,
+        buckets: this._buckets(items, this.bucketCount),
+      });
+    }
+
+    await this._send(peer, digests, []);
+  }
+
+  /**
+   * Handle incoming MODEL_DIGEST
+   *
+   * @param {Array} digests - Decoded ModelDigests
+   * @param {string} sourceDeviceId - Sender's server deviceId
+   */
+  async handleDigests(digests, sourceDeviceId) {
+    const peer = this._resolvePeer(sourceDeviceId);
+    if (!peer) {
+      console.warn(`[ORM] Ignoring MODEL_DIGEST from unknown device ${sourceDeviceId}`);
+      return;
+    }
+
+    const scope = new Set(this._modelsFor(peer).map(m => m.name));
+    const replies = [];
+    const pushes = [];
+
+    for (const digest of digests || []) {
+      if (!scope.has(digest.model)) continue;
+      const model = this.syncManager.models.get(digest.model);
+      const bucketCount = digest.bucketCount || this.bucketCount;
+      const items = await this._items(model, peer);
+
+      if (digest.phase === DigestPhase.SUMMARY) {
+        const reply = this._compareSummary(model, items, digest, bucketCount);
+        if (reply) replies.push(reply);
+      } else if (digest.phase === DigestPhase.ENTRIES) {
+        const { push, request } = this._compareEntries(items, digest, bucketCount);
+        pushes.push(...push.map(item => ({ model, item })));
+        if (request.length > 0) {
+          replies.push({ model: model.name, phase: DigestPhase.REQUEST, requestIds: request });
+        }
+      } else if (digest.phase === DigestPhase.REQUEST) {
+        for (const id of digest.requestIds || []) {
+          const item = items.get(id);
+          if (item) pushes.push({ model, item });
+        }
+      }
+    }
+
+    await this._send(peer, replies, pushes);
+  }
+
+  /**
+   * SUMMARY: reply with our entries in the buckets that differ
+   * @returns {object|null} ENTRIES digest, or null if in sync
+   */
+  _compareSummary(model, items, digest, bucketCount) {
+    const ours = new Map(this._buckets(items, bucketCount).map(b => [b.index, b]));
+    const theirs = new Map((digest.buckets || []).map(b => [b.index, b]));
+
+    const mismatched = [];
+    for (let index = 0; index < bucketCount; index++) {
+      const a = ours.get(index);
+      const b = theirs.get(index);
+      if ((a?.hash || 0) !== (b?.hash || 0) || (a?.count || 0) !== (b?.count || 0)) {
+        mismatched.push(index);
+      }
+    }
+    if (mismatched.length === 0) return null;
+
+    const wanted = new Set(mismatched);
+    const entries = [];
+    for (const [id, item] of items) {
+      if (wanted.has(bucketOf(id, bucketCount))) {
+        entries.push({ id, fingerprint: item.fingerprint });
+      }
+    }
+
+    return {
+      model: model.name,
+      phase: DigestPhase.ENTRIES,
+      bucketCount,
+      buckets: mismatched.map(index => ({ index, hash: 0, count: 0 })),
+      entries,
+    };
+  }
+
+  /**
+   * ENTRIES: work out what to push and what to request
+   * @returns {{ push: Array, request: Array<string> }}
+   */
+  _compareEntries(items, digest, bucketCount) {
+    const mismatched = new Set((digest.buckets || []).map(b => b.index));
+    const theirs = new Map((digest.entries || []).map(e => [e.id, e.fingerprint]));
+
+    const push = [];
+    for (const [id, item] of items) {
+      if (!mismatched.has(bucketOf(id, bucketCount))) continue;
+      if (theirs.get(id) !== item.fingerprint) push.push(item);
+    }
+
+    const request = [];
+    for (const [id, fingerprint] of theirs) {
+      if (items.get(id)?.fingerprint !== fingerprint) request.push(id);
+    }
+
+    return { push, request };
+  }
+
+  /**
+   * Send digests and pushed entries to a peer in one batch
+   * Not kept in the outbox: the next round resends whatever is still missing.
+   * @param {object} peer
+   * @param {Array} digests
+   * @param {Array<{model, item}>} pushes
+   */
+  async _send(peer, digests, pushes) {
+    const messenger = this.client.messenger;
+    let queued = 0;
+
+    if (pushes.length > MAX_PUSH_PER_ROUND) {
+      console.log(`[ORM] Reconcile: pushing ${MAX_PUSH_PER_ROUND} of ${pushes.length} entries this round`);
+    }
+    for (const { model, item } of pushes.slice(0, MAX_PUSH_PER_ROUND)) {
+      // Merged entries go as the signed writes they were merged from, so
+      // each keeps its original author
+      for (const entry of await model.signedWrites(item.entry)) {
+        const op = item.tombstone || entry.data?._deleted ? SyncOp.DELETE : SyncOp.CREATE;
+        await messenger.queueMessage(peer.deviceId, {
+          type: 'MODEL_SYNC',
+          modelSync: this.syncManager.toModelSync(model, entry, op),
+        }, peer.userId, { durable: false });
+        queued++;
+      }
+    }
+
+    // Digests go after the pushes so a REQUEST is answered from merged state
+    if (digests.length > 0) {
+      await messenger.queueMessage(peer.deviceId, {
+        type: 'MODEL_DIGEST',
+        modelDigests: digests,
+      }, peer.userId, { durable: false });
+      queued++;
+    }
+
+    if (queued > 0) {
+      await messenger.flushMessages();
+    }
+  }
+
+  /**
+   * Entries (and G-Set tombstones) in scope for a peer
+   *
+   * @param {Model} model
+   * @param {object} peer
+   * @returns {Promise<Map<string, {entry, tombstone, fingerprint}>>}
+   */
+  async _items(model, peer) {
+    const entries = (await model.crdt.getAll()).map(entry => ({ entry, tombstone: false }));
+    if (model.crdt.getTombstones) {
+      for (const tombstone of await model.crdt.getTombstones()) {
+        entries.push({ entry: tombstone, tombstone: true });
+      }
+    }
+
+    const items = new Map();
+    for (const { entry, tombstone } of entries) {
+      if (this._isExpired(model, entry)) continue;
+      if (!(await this._inScope(model, entry, peer))) continue;
+
+      items.set(entry.id, {
+        entry,
+        tombstone,
+        fingerprint: fnv1a(stableStringify({ tombstone, timestamp: entry.timestamp, data: entry.data })),
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Whether an entry is shared with a peer
+   */
+  async _inScope(model, entry, peer) {
+    if (peer.own) return true;
+
+    if (!peer.authors.has(entry.authorDeviceId)) return false;
+
+    const assoc = model.getTargetingAssociation();
+    if (assoc && this.syncManager._isTargetingModel(assoc.model)) {
+      const parentId = entry.data?.[assoc.foreignKey];
+      if (parentId) {
+        const members = await this.syncManager._getAssociationMembers(assoc.model, parentId);
+        return members.includes(peer.username);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Expired ephemeral entries are left to TTL cleanup, never pushed back
+   */
+  _isExpired(model, entry) {
+    if (!model.config.ttl || !model.ttlManager) return false;
+    return entry.timestamp + model.ttlManager.parseTTL(model.config.ttl) <= Date.now();
+  }
+
+  /**
+   * Models shared with a peer
+   * @param {object} peer
+   * @returns {Array<Model>}
+   */
+  _modelsFor(peer) {
+    const models = Array.from(this.syncManager.models.values());
+    return peer.own ? models : models.filter(m => !m.config.private);
+  }
+
+  /**
+   * Bucket summary of items
+   * @returns {Array<{index, hash, count}>} Non-empty buckets
+   */
+  _buckets(items, bucketCount) {
+    const buckets = new Map();
+    for (const [id, item] of items) {
+      const index = bucketOf(id, bucketCount);
+      const bucket = buckets.get(index) || { index, hash: 0, count: 0 };
+      bucket.hash = (bucket.hash ^ fnv1a(`${id}:${item.fingerprint}`)) >>> 0;
+      bucket.count++;
+      buckets.set(index, bucket);
+    }
+    return Array.from(buckets.values());
+  }
+
+  /**
+   * All peer deviceIds: own devices, then friends' devices
+   * @returns {Array<string>}
+   */
+  _peerDeviceIds() {
+    const ids = [...this.client.devices.getSelfSyncTargets()];
+    for (const friend of this.client.friends.getAll()) {
+      for (const device of friend.devices || []) {
+        ids.push(device.deviceId);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Identify a peer device
+   * @param {string} deviceId
+   * @returns {object|null} { deviceId, userId, own, username, authors }
+   */
+  _resolvePeer(deviceId) {
+    if (!deviceId) return null;
+    const userId = this.client.messenger._deviceMap.get(deviceId)?.userId || this.client.userId;
+
+    if (this.client.devices.getSelfSyncTargets().includes(deviceId)) {
+      return { deviceId, userId: this.client.userId, own: true };
+    }
+
+    const username = this.client.friends.getUsernameFromDeviceId(deviceId);
+    const friend = username && this.client.friends.getAll().find(f => f.username === username);
+    if (!friend) return null;
+
+    const authors = new Set([
+      this.client.deviceUUID,
+      ...this.client.devices.getAll().map(d => d.deviceUUID),
+      ...(friend.devices || []).map(d => d.deviceUUID),
+    ]);
+    return { deviceId, userId, own: false, username, authors };
+  }
+}
+
+/**
+ * Bucket index for an entry ID
+ * @param {string} id
+ * @param {number} bucketCount
+ * @returns {number}
+ */
+function bucketOf(id, bucketCount) {
+  return fnv1a(id) % bucketCount;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str
+ * @returns {number}
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * JSON with sorted keys and sorted primitive arrays, so replicas that
+ * merged the same state in a different order fingerprint the same
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(stableStringify);
+    if (value.every(v => v === null || typeof v !== 'object')) items.sort();
+    return `[${items.join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
@@ -6,6 +6,8 @@
  * - Self-sync to own devices
  * - Association-based targeting (group messages go to group members)
  * - Handle incoming MODEL_SYNC and route to correct model
+ * - Route MODEL_DIGEST to the Reconciler (anti-entropy)
+ * - Transactions: batched MODEL_SYNC_BATCH out, atomic apply in
  *
  * Uses existing Level 2 infrastructure:
  * - messenger.sendMessage() for transport
@@ -13,6 +15,17 @@
  * - devices.getSelfSyncTargets() for own devices
  */
 
+import { Transaction } from '../Transaction.js';
+
+/**
+ * ModelSync operation types (mirrors ModelSync.Op in client.proto)
+ */
+export const SyncOp = {
+  CREATE: 0,
+  UPDATE: 1,
+  DELETE: 2,
+};
+
 export class SyncManager {
   /**
    * @param {ObscuraClient} client
@@ -22,6 +35,7 @@ export class SyncManager {
     this.client = client;
     this.store = store;
     this.models = new Map();  // model name -> Model instance
+    this.reconciler = null;   // Anti-entropy, set up by SchemaBuilder
   }
 
   /**
@@ -38,24 +52,18 @@ export class SyncManager {
    *
    * @param {Model} model - The model instance
    * @param {object} entry - { id, data, timestamp, signature, authorDeviceId }
+   * @param {number} [op] - SyncOp (CREATE, UPDATE or DELETE)
+   * @returns {Promise<{sent: number, failed: number}>} Undelivered targets stay
+   *   in the messenger's outbox and are retried (see deliveryRef)
    */
-  async broadcast(model, entry) {
+  async broadcast(model, entry, op = SyncOp.CREATE) {
     const targets = await this._getTargets(model, entry);
 
     if (targets.length === 0) {
       return { sent: 0, failed: 0 };
     }
 
-    // Build MODEL_SYNC message
-    const modelSync = {
-      model: model.name,
-      id: entry.id,
-      op: 0,  // CREATE (TODO: support UPDATE/DELETE)
-      timestamp: entry.timestamp,
-      data: this._encodeData(entry.data),
-      signature: entry.signature,
-      authorDeviceId: entry.authorDeviceId,
-    };
+    const modelSync = this.toModelSync(model, entry, op);
 
     // Ensure device map has registrationIds for multi-device fan-out
     if (targets.length > 1 && this.client.userId) {
@@ -63,6 +71,7 @@ export class SyncManager {
     }
 
     // Queue all targets into a single batch
+    const ref = this.deliveryRef(model, entry.id);
     for (const targetDeviceId of targets) {
       // Resolve userId for Signal encryption
       const mapped = this.client.messenger._deviceMap.get(targetDeviceId);
@@ -70,12 +79,108 @@ export class SyncManager {
       await this.client.messenger.queueMessage(targetDeviceId, {
         type: 'MODEL_SYNC',
         modelSync,
-      }, userId);
+      }, userId, { ref });
     }
 
-    // Flush in one HTTP request
-    const result = await this.client.messenger.flushMessages();
-    return { sent: result.sent, failed: result.failed };
+    return this._flush(ref, targets.length);
+  }
+
+  /**
+   * Broadcast the writes of one transaction
+   * Each device gets a single MODEL_SYNC_BATCH with the entries it would
+   * have received individually, and applies them atomically.
+   *
+   * @param {Array<{model, entry, op}>} items
+   */
+  async broadcastBatch(items) {
+    const byTarget = new Map();  // deviceId -> { modelSyncs, refs }
+    for (const { model, entry, op } of items) {
+      for (const targetDeviceId of await this._getTargets(model, entry)) {
+        if (!byTarget.has(targetDeviceId)) byTarget.set(targetDeviceId, { modelSyncs: [], refs: [] });
+        const group = byTarget.get(targetDeviceId);
+        group.modelSyncs.push(this.toModelSync(model, entry, op));
+        const ref = this.deliveryRef(model, entry.id);
+        if (!group.refs.includes(ref)) group.refs.push(ref);
+      }
+    }
+
+    if (byTarget.size === 0) {
+      return { sent: 0, failed: 0 };
+    }
+
+    if (byTarget.size > 1 && this.client.userId) {
+      try { await this.client.messenger.fetchPreKeyBundles(this.client.userId); } catch (e) { /* best effort */ }
+    }
+
+    for (const [targetDeviceId, group] of byTarget) {
+      const mapped = this.client.messenger._deviceMap.get(targetDeviceId);
+      const userId = mapped?.userId || this.client.userId;
+      await this.client.messenger.queueMessage(targetDeviceId, {
+        type: 'MODEL_SYNC_BATCH',
+        modelSyncs: group.modelSyncs,
+      }, userId, { ref: group.refs });
+    }
+
+    return this._flush(`transaction of ${items.length} entries`, byTarget.size);
+  }
+
+  /**
+   * Flush queued MODEL_SYNCs in one HTTP request
+   * The entries are already stored locally, so a failed flush must not
+   * fail the write: the outbox retries it.
+   *
+   * @param {string} label - For logging
+   * @param {number} targetCount
+   */
+  async _flush(label, targetCount) {
+    try {
+      const result = await this.client.messenger.flushMessages();
+      return { sent: result.sent, failed: result.failed };
+    } catch (e) {
+      if (!this.client.messenger.outbox) throw e;
+      console.warn(`[ORM] Broadcast of ${label} failed, queued for retry:`, e.message);
+      return { sent: 0, failed: targetCount };
+    }
+  }
+
+  /**
+   * Run writes across models atomically (see Transaction)
+   * @param {Function} fn - async (tx) => result
+   * @returns {Promise<*>}
+   */
+  async transaction(fn) {
+    return new Transaction(this).run(fn);
+  }
+
+  /**
+   * Outbox delivery key for a model entry
+   * @param {Model} model
+   * @param {string} id
+   * @returns {string}
+   */
+  deliveryRef(model, id) {
+    return `${model.name}:${id}`;
+  }
+
+  /**
+   * Build the MODEL_SYNC payload for an entry
+   *
+   * @param {Model} model
+   * @param {object} entry
+   * @param {number} op - SyncOp
+   * @returns {object}
+   */
+  toModelSync(model, entry, op) {
+    return {
+      model: model.name,
+      id: entry.id,
+      op,
+      timestamp: entry.timestamp,
+      data: this._encodeData(entry.data),
+      signature: entry.signature,
+      authorDeviceId: entry.authorDeviceId,
+      schemaVersion: model.config.version || 1,
+    };
   }
 
   /**
@@ -156,8 +261,9 @@ export class SyncManager {
     const parent = await model.find(parentId);
     if (!parent) return [];
 
-    // Convention: members stored as JSON array in data.members or data.participants
-    // e.g., group.data.members = '["alice", "bob", "carol"]'
+    // Convention: members in data.members or data.participants, either an
+    // OR-Set field (array) or a legacy JSON array string
+    // e.g., group.data.members = ['alice', 'bob', 'carol']
     const membersRaw = parent.data.members || parent.data.participants;
     if (!membersRaw) return [];
 
@@ -204,6 +310,73 @@ export class SyncManager {
     return model.handleSync(modelSync);
   }
 
+  /**
+   * Handle incoming MODEL_SYNC_BATCH (a remote transaction)
+   * All or nothing: an unknown model, a bad signature or any entry the
+   * model rejects (write policy, validation, beforeSync, ...) rejects the
+   * whole batch, otherwise every entry is merged in one local transaction.
+   * A batch with entries from a newer schema is quarantined as a whole.
+   *
+   * @param {Array} modelSyncs - Decoded ModelSyncs
+   * @param {string} sourceUserId - Who sent it
+   * @returns {Promise<Array>} Entries that were new/updated
+   */
+  async handleBatch(modelSyncs, sourceUserId) {
+    let newerSchema = false;
+    for (const modelSync of modelSyncs) {
+      const model = this.models.get(modelSync.model);
+      if (!model) {
+        console.warn(`Unknown model in MODEL_SYNC_BATCH: ${modelSync.model}, rejecting batch from ${sourceUserId}`);
+        return [];
+      }
+
+      const entry = {
+        id: modelSync.id,
+        data: model._decodeData(modelSync.data),
+        timestamp: modelSync.timestamp,
+        authorDeviceId: modelSync.authorDeviceId,
+        signature: modelSync.signature,
+      };
+      if (!(await model._verify(entry))) {
+        model._reject(entry, `Invalid signature for ${model.name}/${entry.id} in batch, rejecting batch`);
+        return [];
+      }
+      if ((modelSync.schemaVersion || 1) > (model.config.version || 1)) newerSchema = true;
+    }
+
+    if (newerSchema) {
+      for (const modelSync of modelSyncs) {
+        await this.models.get(modelSync.model)._quarantine(modelSync, modelSync.schemaVersion || 1);
+      }
+      return [];
+    }
+
+    try {
+      return await this.transaction(async (tx) => {
+        const applied = [];
+        for (const modelSync of modelSyncs) {
+          const result = await strict(tx.models.get(modelSync.model)).handleSync(modelSync);
+          if (result) applied.push(result);
+        }
+        return applied;
+      });
+    } catch (e) {
+      console.warn(`[ORM] Rejecting MODEL_SYNC_BATCH from ${sourceUserId}: ${e.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Handle incoming MODEL_DIGEST (anti-entropy)
+   *
+   * @param {Array} modelDigests - Decoded ModelDigests
+   * @param {string} sourceUserId - Sender's deviceId
+   */
+  async handleDigests(modelDigests, sourceUserId) {
+    if (!this.reconciler) return;
+    await this.reconciler.handleDigests(modelDigests, sourceUserId);
+  }
+
   /**
    * Encode data for transport
    * @param {object} data
@@ -213,3 +386,17 @@ export class SyncManager {
     return new TextEncoder().encode(JSON.stringify(data));
   }
 }
+
+/**
+ * A model whose rejections throw, failing the transaction it runs in
+ * @param {Model} model
+ * @returns {Model}
+ */
+function strict(model) {
+  const view = Object.create(model);
+  view._reject = (entry, reason) => {
+    model._reject(entry, reason);
+    throw new Error(reason);
+  };
+  return view;
+}
@@ -75,7 +75,7 @@ export class TTLManager {
         if (model) {
           // For LWW models, use delete (tombstone)
           // For G-Set models, we can't really delete, just remove from TTL tracking
-          if (model.config.sync === 'lww') {
+          if (model.config.sync === 'lww' || model.config.sync === 'lww-fields') {
             await model.delete(id);
           }
           // Remove from local storage regardless
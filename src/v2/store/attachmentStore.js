@@ -1,15 +1,26 @@
 /**
  * Attachment Store (IndexedDB)
  * Caches decrypted attachments locally to avoid re-downloading
+ * Cached content is re-encrypted at rest with the data key from keyCache.
+ * Sizes and last access times are kept in a separate store, so usage and
+ * LRU eviction (see storageQuota.js) don't read attachment contents.
  */
 
+import { keyCache } from '../lib/keyCache.js';
+import { logger } from '../lib/logger.js';
+import { sealBytes, openBytes } from '../crypto/storageEncryption.js';
+
 const DB_NAME_PREFIX = 'obscura_attachments';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 
 const STORES = {
   ATTACHMENTS: 'attachments',
+  USAGE: 'usage',  // { attachmentId, contentType, sizeBytes, cachedAt, lastAccessedAt }
 };
 
+// Don't rewrite the access time on every read of the same attachment
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
 /**
  * Create an attachment store instance
  * @param {string} userId - User ID (for database namespace)
@@ -38,6 +49,21 @@ export function createAttachmentStore(userId) {
         if (!database.objectStoreNames.contains(STORES.ATTACHMENTS)) {
           database.createObjectStore(STORES.ATTACHMENTS, { keyPath: 'attachmentId' });
         }
+        if (!database.objectStoreNames.contains(STORES.USAGE)) {
+          const usage = database.createObjectStore(STORES.USAGE, { keyPath: 'attachmentId' });
+          usage.createIndex('lastAccessedAt', 'lastAccessedAt', { unique: false });
+
+          // Track attachments cached before usage was tracked
+          if (event.oldVersion > 0) {
+            const cursorRequest = event.target.transaction.objectStore(STORES.ATTACHMENTS).openCursor();
+            cursorRequest.onsuccess = () => {
+              const cursor = cursorRequest.result;
+              if (!cursor) return;
+              usage.put(usageRecord(cursor.value));
+              cursor.continue();
+            };
+          }
+        }
       };
     });
   }
@@ -62,6 +88,21 @@ export function createAttachmentStore(userId) {
     });
   }
 
+  function usageRecord({ attachmentId, contentType, sizeBytes, cachedAt, lastAccessedAt }) {
+    return { attachmentId, contentType, sizeBytes, cachedAt, lastAccessedAt: lastAccessedAt || cachedAt };
+  }
+
+  /**
+   * Record that an attachment was read, for LRU eviction
+   */
+  async function touch(attachmentId) {
+    const now = Date.now();
+    const store = await getStore(STORES.USAGE, 'readwrite');
+    const usage = await promisify(store.get(attachmentId));
+    if (!usage || now - usage.lastAccessedAt < TOUCH_INTERVAL_MS) return;
+    await promisify(store.put({ ...usage, lastAccessedAt: now }));
+  }
+
   return {
     open,
     close,
@@ -75,7 +116,12 @@ export function createAttachmentStore(userId) {
       try {
         const store = await getStore(STORES.ATTACHMENTS);
         const record = await promisify(store.get(attachmentId));
-        return record?.blob || null;
+        if (!record) return null;
+        const content = record.sealed
+          ? await openBytes(record.sealed, keyCache.getDataKey())
+          : record.blob || null;
+        if (content) touch(attachmentId).catch(() => {});
+        return content;
       } catch (e) {
         console.warn('[AttachmentStore] Get failed:', e.message);
         return null;
@@ -87,19 +133,39 @@ export function createAttachmentStore(userId) {
      * @param {string} attachmentId
      * @param {ArrayBuffer} blob - Decrypted content
      * @param {object} metadata - { contentType, sizeBytes }
+     * @returns {Promise<boolean>} Whether it was cached
      */
     async put(attachmentId, blob, metadata = {}) {
+      const sizeBytes = metadata.sizeBytes || blob.byteLength;
       try {
-        const store = await getStore(STORES.ATTACHMENTS, 'readwrite');
-        await promisify(store.put({
+        // Encrypt before the transaction: it can't stay open across WebCrypto
+        const dataKey = keyCache.getDataKey();
+        const content = dataKey ? { sealed: await sealBytes(blob, dataKey) } : { blob };
+
+        await open();
+        const tx = db.transaction([STORES.ATTACHMENTS, STORES.USAGE], 'readwrite');
+        const done = new Promise((resolve, reject) => {
+          tx.oncomplete = () => resolve();
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        });
+
+        const record = {
           attachmentId,
-          blob,
           contentType: metadata.contentType || '',
-          sizeBytes: metadata.sizeBytes || blob.byteLength,
+          sizeBytes,
           cachedAt: Date.now(),
-        }));
+        };
+        tx.objectStore(STORES.ATTACHMENTS).put({ ...record, ...content });
+        tx.objectStore(STORES.USAGE).put(usageRecord(record));
+        await done;
+        return true;
       } catch (e) {
         console.warn('[AttachmentStore] Put failed:', e.message);
+        if (e?.name === 'QuotaExceededError') {
+          logger.logStorageError('attachmentCache.put', e, { attachmentId, sizeBytes });
+        }
+        return false;
       }
     },
 
@@ -119,20 +185,77 @@ export function createAttachmentStore(userId) {
      */
     async delete(attachmentId) {
       try {
-        const store = await getStore(STORES.ATTACHMENTS, 'readwrite');
-        await promisify(store.delete(attachmentId));
+        await open();
+        const tx = db.transaction([STORES.ATTACHMENTS, STORES.USAGE], 'readwrite');
+        await promisify(tx.objectStore(STORES.ATTACHMENTS).delete(attachmentId));
+        await promisify(tx.objectStore(STORES.USAGE).delete(attachmentId));
       } catch (e) {
         console.warn('[AttachmentStore] Delete failed:', e.message);
       }
     },
 
+    /**
+     * Number and total size of cached attachments
+     * @returns {Promise<{count: number, bytes: number}>}
+     */
+    async getUsage() {
+      const store = await getStore(STORES.USAGE);
+      const records = await promisify(store.getAll());
+      return {
+        count: records.length,
+        bytes: records.reduce((sum, r) => sum + (r.sizeBytes || 0), 0),
+      };
+    },
+
+    /**
+     * Cached attachments, least recently used first
+     * @returns {Promise<Array<{attachmentId, contentType, sizeBytes, cachedAt, lastAccessedAt}>>}
+     */
+    async getLeastRecentlyUsed() {
+      const store = await getStore(STORES.USAGE);
+      return promisify(store.index('lastAccessedAt').getAll());
+    },
+
+    /**
+     * Encrypt attachments cached before encryption at rest was enabled
+     * No-op until the data key is unlocked.
+     * @returns {Promise<number>} Number of attachments encrypted
+     */
+    async encryptExisting() {
+      const dataKey = keyCache.getDataKey();
+      if (!dataKey) return 0;
+
+      let count = 0;
+      try {
+        const store = await getStore(STORES.ATTACHMENTS);
+        const ids = await promisify(store.getAllKeys());
+
+        // One at a time: attachments can be large
+        for (const id of ids) {
+          const { blob, ...record } = await promisify((await getStore(STORES.ATTACHMENTS)).get(id)) || {};
+          if (!blob || record.sealed) continue;
+          const sealed = await sealBytes(blob, dataKey);
+          const writeStore = await getStore(STORES.ATTACHMENTS, 'readwrite');
+          const current = await promisify(writeStore.get(record.attachmentId));
+          if (!current || current.sealed) continue;
+          await promisify(writeStore.put({ ...record, sealed }));
+          count++;
+        }
+      } catch (e) {
+        console.warn('[AttachmentStore] Encrypting cached attachments failed:', e.message);
+      }
+      return count;
+    },
+
     /**
      * Clear all cached attachments
      */
     async clearAll() {
       try {
-        const store = await getStore(STORES.ATTACHMENTS, 'readwrite');
-        await promisify(store.clear());
+        await open();
+        const tx = db.transaction([STORES.ATTACHMENTS, STORES.USAGE], 'readwrite');
+        await promisify(tx.objectStore(STORES.ATTACHMENTS).clear());
+        await promisify(tx.objectStore(STORES.USAGE).clear());
       } catch (e) {
         console.warn('[AttachmentStore] Clear failed:', e.message);
       }
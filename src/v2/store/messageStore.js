@@ -1,8 +1,13 @@
 /**
  * Message Store (IndexedDB)
  * Stores message history for sync between devices
+ * Message contents are encrypted at rest with the data key from keyCache.
  */
 
+import { keyCache } from '../lib/keyCache.js';
+import { measureStore } from '../lib/storageQuota.js';
+import { sealRecord, openRecord, openRecords, isSealed } from '../crypto/storageEncryption.js';
+
 const DB_NAME_PREFIX = 'obscura_messages_v2';
 const DB_VERSION = 1;
 
@@ -10,6 +15,9 @@ const STORES = {
   MESSAGES: 'messages',
 };
 
+// Kept in the clear for keys and indexes; everything else is sealed
+const PLAIN_FIELDS = ['messageId', 'conversationId', 'timestamp', 'authorDeviceId', 'storedAt'];
+
 /**
  * Create a message store instance
  * @param {string} userId - User ID (for database namespace)
@@ -18,6 +26,7 @@ const STORES = {
 export function createMessageStore(userId) {
   const dbName = `${DB_NAME_PREFIX}_${userId}`;
   let db = null;
+  const listeners = new Set();
 
   async function open() {
     if (db) return db;
@@ -66,10 +75,42 @@ export function createMessageStore(userId) {
     });
   }
 
+  function seal(record) {
+    return sealRecord(record, PLAIN_FIELDS, keyCache.getDataKey());
+  }
+
+  function unseal(records) {
+    return openRecords(records, keyCache.getDataKey(), 'MessageStore');
+  }
+
+  /**
+   * Tell listeners about a change
+   * @param {object} change - { type: 'put', message } | { type: 'delete', messageId } | { type: 'clear' }
+   */
+  function notify(change) {
+    for (const listener of listeners) {
+      try {
+        listener(change);
+      } catch (e) {
+        console.warn('[MessageStore] Change listener failed:', e.message);
+      }
+    }
+  }
+
   return {
     open,
     close,
 
+    /**
+     * Listen for stored, moved and deleted messages (e.g., the search index)
+     * @param {Function} listener - (change) => void
+     * @returns {Function} Unsubscribe
+     */
+    onChange(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
     /**
      * Add a message to the store
      * @param {string} conversationId - Friend username or ID
@@ -77,15 +118,7 @@ export function createMessageStore(userId) {
      * @returns {Promise} Resolves when stored
      */
     async addMessage(conversationId, message) {
-      const store = await getStore(STORES.MESSAGES, 'readwrite');
-
-      // Check for duplicate (idempotent)
-      const existing = await promisify(store.get(message.messageId));
-      if (existing) {
-        return existing; // Already have this message
-      }
-
-      return promisify(store.put({
+      const record = {
         messageId: message.messageId,
         conversationId,
         timestamp: message.timestamp || Date.now(),
@@ -94,8 +127,22 @@ export function createMessageStore(userId) {
         contentReference: message.contentReference, // Legacy: kept for backward compat
         isSent: message.isSent || false, // true = sent by me, false = received
         authorDeviceId: message.authorDeviceId,
+        replyTo: message.replyTo, // { messageId, snippet } of a quoted reply
         storedAt: Date.now(),
-      }));
+      };
+      // Encrypt before the transaction: it can't stay open across WebCrypto
+      const sealed = await seal(record);
+      const store = await getStore(STORES.MESSAGES, 'readwrite');
+
+      // Check for duplicate (idempotent)
+      const existing = await promisify(store.get(message.messageId));
+      if (existing) {
+        return openRecord(existing, keyCache.getDataKey()); // Already have this message
+      }
+
+      const result = await promisify(store.put(sealed));
+      notify({ type: 'put', message: record });
+      return result;
     },
 
     /**
@@ -103,7 +150,141 @@ export function createMessageStore(userId) {
      */
     async getMessage(messageId) {
       const store = await getStore(STORES.MESSAGES);
-      return promisify(store.get(messageId));
+      const [message] = await unseal([await promisify(store.get(messageId))].filter(Boolean));
+      return message;
+    },
+
+    /**
+     * Record delivery or read receipts on messages of a conversation
+     * Status only moves forward (read implies delivered); messages of other
+     * conversations, or from the other side, are left alone.
+     *
+     * @param {string} conversationId - Friend username
+     * @param {Array<string>} messageIds
+     * @param {'delivered'|'read'} status
+     * @param {object} [opts]
+     * @param {boolean} [opts.isSent=true] - Receipts for our sent messages, or
+     *   false to mark received messages read
+     * @param {number} [opts.at=Date.now()]
+     * @returns {Promise<Array<object>>} Messages that changed
+     */
+    async setReceipts(conversationId, messageIds, status, { isSent = true, at = Date.now() } = {}) {
+      const readStore = await getStore(STORES.MESSAGES);
+      const found = await unseal((await Promise.all(
+        messageIds.map(id => promisify(readStore.get(id)))
+      )).filter(Boolean));
+
+      const changed = [];
+      for (const message of found) {
+        if (message.conversationId !== conversationId || !!message.isSent !== isSent) continue;
+        const update = {};
+        if (!message.deliveredAt) update.deliveredAt = at;
+        if (status === 'read' && !message.readAt) update.readAt = at;
+        if (Object.keys(update).length === 0) continue;
+        changed.push({ ...message, ...update });
+      }
+      if (changed.length === 0) return [];
+
+      const sealed = [];
+      for (const message of changed) {
+        sealed.push(await seal(message));
+      }
+      const store = await getStore(STORES.MESSAGES, 'readwrite');
+      const written = [];
+      for (let i = 0; i < sealed.length; i++) {
+        // Skip messages deleted meanwhile
+        if (await promisify(store.getKey(sealed[i].messageId)) === undefined) continue;
+        await promisify(store.put(sealed[i]));
+        written.push(changed[i]);
+      }
+      return written;
+    },
+
+    /**
+     * Apply the sender's edit or unsend to a message
+     * Edits are last-writer-wins by timestamp and keep the text they replace
+     * in `edits`; deleting clears the content and history for good, along
+     * with the snippet kept by replies quoting it.
+     *
+     * @param {string} conversationId - Friend username
+     * @param {string} messageId
+     * @param {object} revision - { text, deleted, timestamp }
+     * @param {object} [opts]
+     * @param {boolean} [opts.isSent] - Whether the message is one we sent
+     * @returns {Promise<object|null>} The changed message, or null if nothing changed
+     */
+    async reviseMessage(conversationId, messageId, revision, { isSent } = {}) {
+      const message = await this.getMessage(messageId);
+      if (!message || message.conversationId !== conversationId || !!message.isSent !== isSent) return null;
+      if (message.deletedAt) return null;
+
+      let updated;
+      let quoting = [];
+      if (revision.deleted) {
+        const { content, mediaUrl, contentReference, edits, editedAt, reactions, ...rest } = message;
+        updated = { ...rest, content: '', deletedAt: revision.timestamp };
+        // Replies keep a snippet of what they quote; drop it along with the original
+        quoting = (await this.getMessages(conversationId))
+          .filter(m => m.replyTo?.messageId === messageId && m.replyTo.snippet)
+          .map(m => ({ ...m, replyTo: { ...m.replyTo, snippet: '' } }));
+      } else {
+        // Only text can be edited, and only by a newer edit
+        if (message.mediaUrl || message.contentReference) return null;
+        if (revision.timestamp <= (message.editedAt || message.timestamp)) return null;
+        updated = {
+          ...message,
+          content: revision.text,
+          editedAt: revision.timestamp,
+          edits: [...(message.edits || []), { text: message.content, timestamp: message.editedAt || message.timestamp }],
+        };
+      }
+
+      const sealed = await seal(updated);
+      const sealedQuoting = [];
+      for (const reply of quoting) {
+        sealedQuoting.push(await seal(reply));
+      }
+      const store = await getStore(STORES.MESSAGES, 'readwrite');
+      // Skip a message deleted meanwhile
+      if (await promisify(store.getKey(messageId)) === undefined) return null;
+      await promisify(store.put(sealed));
+      for (let i = 0; i < sealedQuoting.length; i++) {
+        if (await promisify(store.getKey(sealedQuoting[i].messageId)) === undefined) continue;
+        await promisify(store.put(sealedQuoting[i]));
+        notify({ type: 'put', message: quoting[i] });
+      }
+      notify({ type: 'put', message: updated });
+      return updated;
+    },
+
+    /**
+     * Set or remove a user's emoji reaction to a message
+     * One reaction per user, last-writer-wins by timestamp; a removal is
+     * kept (empty emoji) so an older reaction arriving late loses to it.
+     *
+     * @param {string} conversationId - Friend username
+     * @param {string} messageId
+     * @param {string} username - Who reacted (us or the friend)
+     * @param {object} reaction - { emoji, timestamp }, emoji '' to remove
+     * @returns {Promise<object|null>} The changed message, or null if nothing changed
+     */
+    async setReaction(conversationId, messageId, username, { emoji, timestamp }) {
+      const message = await this.getMessage(messageId);
+      if (!message || message.conversationId !== conversationId || message.deletedAt) return null;
+
+      const current = message.reactions?.[username];
+      if (current && timestamp <= current.timestamp) return null;
+      const updated = {
+        ...message,
+        reactions: { ...message.reactions, [username]: { emoji, timestamp } },
+      };
+
+      const sealed = await seal(updated);
+      const store = await getStore(STORES.MESSAGES, 'readwrite');
+      // Skip a message deleted meanwhile
+      if (await promisify(store.getKey(messageId)) === undefined) return null;
+      await promisify(store.put(sealed));
+      return updated;
     },
 
     /**
@@ -115,7 +296,7 @@ export function createMessageStore(userId) {
     async getMessages(conversationId, options = {}) {
       const store = await getStore(STORES.MESSAGES);
       const index = store.index('conversationId');
-      const messages = await promisify(index.getAll(conversationId));
+      const messages = await unseal(await promisify(index.getAll(conversationId)));
 
       // Sort by timestamp
       messages.sort((a, b) => a.timestamp - b.timestamp);
@@ -137,7 +318,7 @@ export function createMessageStore(userId) {
      */
     async getAllMessages() {
       const store = await getStore(STORES.MESSAGES);
-      return promisify(store.getAll());
+      return unseal(await promisify(store.getAll()));
     },
 
     /**
@@ -157,25 +338,28 @@ export function createMessageStore(userId) {
      * Note: Deserializes contentReference Arrays back to Uint8Arrays
      */
     async importMessages(messages) {
-      const store = await getStore(STORES.MESSAGES, 'readwrite');
-
+      const records = [];
       for (const msg of messages) {
+        // Deserialize contentReference (Array -> Uint8Array)
+        if (msg.contentReference) {
+          msg.contentReference = {
+            ...msg.contentReference,
+            contentKey: msg.contentReference.contentKey ? new Uint8Array(msg.contentReference.contentKey) : undefined,
+            nonce: msg.contentReference.nonce ? new Uint8Array(msg.contentReference.nonce) : undefined,
+            contentHash: msg.contentReference.contentHash ? new Uint8Array(msg.contentReference.contentHash) : undefined,
+          };
+        }
+        const record = { ...msg, storedAt: Date.now() };
+        records.push({ record, sealed: await seal(record) });
+      }
+
+      const store = await getStore(STORES.MESSAGES, 'readwrite');
+      for (const { record, sealed } of records) {
         // Only add if not already present (dedup by messageId)
-        const existing = await promisify(store.get(msg.messageId));
+        const existing = await promisify(store.get(record.messageId));
         if (!existing) {
-          // Deserialize contentReference (Array -> Uint8Array)
-          if (msg.contentReference) {
-            msg.contentReference = {
-              ...msg.contentReference,
-              contentKey: msg.contentReference.contentKey ? new Uint8Array(msg.contentReference.contentKey) : undefined,
-              nonce: msg.contentReference.nonce ? new Uint8Array(msg.contentReference.nonce) : undefined,
-              contentHash: msg.contentReference.contentHash ? new Uint8Array(msg.contentReference.contentHash) : undefined,
-            };
-          }
-          await promisify(store.put({
-            ...msg,
-            storedAt: Date.now(),
-          }));
+          await promisify(store.put(sealed));
+          notify({ type: 'put', message: record });
         }
       }
     },
@@ -206,7 +390,9 @@ export function createMessageStore(userId) {
      */
     async deleteMessage(messageId) {
       const store = await getStore(STORES.MESSAGES, 'readwrite');
-      return promisify(store.delete(messageId));
+      const result = await promisify(store.delete(messageId));
+      notify({ type: 'delete', messageId });
+      return result;
     },
 
     /**
@@ -219,6 +405,7 @@ export function createMessageStore(userId) {
 
       for (const msg of messages) {
         await promisify(store.delete(msg.messageId));
+        notify({ type: 'delete', messageId: msg.messageId });
       }
     },
 
@@ -227,7 +414,9 @@ export function createMessageStore(userId) {
      */
     async clearAll() {
       const store = await getStore(STORES.MESSAGES, 'readwrite');
-      return promisify(store.clear());
+      const result = await promisify(store.clear());
+      notify({ type: 'clear' });
+      return result;
     },
 
     /**
@@ -244,6 +433,7 @@ export function createMessageStore(userId) {
       const store = await getStore(STORES.MESSAGES, 'readwrite');
       for (const msg of toDelete) {
         await promisify(store.delete(msg.messageId));
+        notify({ type: 'delete', messageId: msg.messageId });
       }
 
       return toDelete.length;
@@ -263,16 +453,59 @@ export function createMessageStore(userId) {
       const messages = await this.getMessages(fromConversationId);
       if (messages.length === 0) return 0;
 
-      const store = await getStore(STORES.MESSAGES, 'readwrite');
+      // Update the conversationId and re-seal before writing
+      const sealed = [];
       for (const msg of messages) {
-        // Update the conversationId and re-store
         msg.conversationId = toConversationId;
-        await promisify(store.put(msg));
+        sealed.push(await seal(msg));
+      }
+
+      const store = await getStore(STORES.MESSAGES, 'readwrite');
+      for (let i = 0; i < messages.length; i++) {
+        await promisify(store.put(sealed[i]));
+        notify({ type: 'put', message: messages[i] });
       }
 
       console.log(`[MessageStore] Migrated ${messages.length} messages from ${fromConversationId.slice(-8)} to ${toConversationId}`);
       return messages.length;
     },
+
+    /**
+     * Number and approximate size of stored messages
+     * @returns {Promise<{count: number, bytes: number}>}
+     */
+    async getUsage() {
+      return measureStore(await getStore(STORES.MESSAGES));
+    },
+
+    /**
+     * Encrypt messages stored before encryption at rest was enabled
+     * No-op until the data key is unlocked.
+     * @returns {Promise<number>} Number of messages encrypted
+     */
+    async encryptExisting() {
+      if (!keyCache.getDataKey()) return 0;
+
+      const store = await getStore(STORES.MESSAGES);
+      const plaintext = (await promisify(store.getAll())).filter(record => !isSealed(record));
+      if (plaintext.length === 0) return 0;
+
+      const sealed = [];
+      for (const record of plaintext) {
+        sealed.push(await seal(record));
+      }
+
+      // Skip records rewritten (already sealed) or deleted meanwhile
+      const writeStore = await getStore(STORES.MESSAGES, 'readwrite');
+      let count = 0;
+      for (const record of sealed) {
+        const current = await promisify(writeStore.get(record.messageId));
+        if (!current || isSealed(current)) continue;
+        await promisify(writeStore.put(record));
+        count++;
+      }
+      return count;
+    },
   };
 }
 
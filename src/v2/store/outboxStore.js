@@ -0,0 +1,192 @@
+/**
+ * Outbox Store (IndexedDB)
+ * Encrypted submissions waiting for the server to accept them,
+ * so sends survive network failures and reloads
+ */
+
+const DB_NAME_PREFIX = 'obscura_outbox';
+const DB_VERSION = 1;
+
+const STORES = {
+  OUTBOX: 'outbox',
+};
+
+/**
+ * Delivery states of an outbox entry
+ * (a ref with no entries left has been accepted by the server)
+ */
+export const DeliveryState = {
+  PENDING: 'pending',
+  FAILED: 'failed',
+  SENT: 'sent',
+};
+
+/**
+ * Create an outbox store instance
+ * @param {string} userId - User ID (for database namespace)
+ * @returns {object} Outbox store instance
+ */
+export function createOutboxStore(userId) {
+  const dbName = `${DB_NAME_PREFIX}_${userId}`;
+  let db = null;
+
+  async function open() {
+    if (db) return db;
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, DB_VERSION);
+
+      request.onerror = () => reject(request.error);
+
+      request.onsuccess = () => {
+        db = request.result;
+        resolve(db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const database = event.target.result;
+
+        if (!database.objectStoreNames.contains(STORES.OUTBOX)) {
+          const store = database.createObjectStore(STORES.OUTBOX, { keyPath: 'submissionId' });
+          store.createIndex('ref', 'ref', { unique: false, multiEntry: true });
+          store.createIndex('nextAttemptAt', 'nextAttemptAt', { unique: false });
+        }
+      };
+    });
+  }
+
+  function close() {
+    if (db) {
+      db.close();
+      db = null;
+    }
+  }
+
+  async function getStore(storeName, mode = 'readonly') {
+    await open();
+    const tx = db.transaction(storeName, mode);
+    return tx.objectStore(storeName);
+  }
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  return {
+    open,
+    close,
+
+    /**
+     * Add or update an entry
+     * @param {object} entry - { submissionId, deviceId, message, ref, state, attempts, nextAttemptAt, lastError, createdAt }
+     *   (ref is a string, or an array for a batch)
+     */
+    async put(entry) {
+      const store = await getStore(STORES.OUTBOX, 'readwrite');
+      return promisify(store.put(entry));
+    },
+
+    /**
+     * Get an entry by submission ID
+     */
+    async get(submissionId) {
+      const store = await getStore(STORES.OUTBOX);
+      return promisify(store.get(submissionId));
+    },
+
+    /**
+     * Remove entries the server accepted
+     * @param {Array<string>} submissionIds
+     */
+    async remove(submissionIds) {
+      if (submissionIds.length === 0) return;
+      const store = await getStore(STORES.OUTBOX, 'readwrite');
+      for (const submissionId of submissionIds) {
+        await promisify(store.delete(submissionId));
+      }
+    },
+
+    /**
+     * Get all entries for a delivery ref
+     * @param {string} ref
+     * @returns {Promise<Array>}
+     */
+    async getByRef(ref) {
+      const store = await getStore(STORES.OUTBOX);
+      return promisify(store.index('ref').getAll(ref));
+    },
+
+    /**
+     * Get pending entries due for another attempt
+     * @param {number} [now]
+     * @returns {Promise<Array>} Oldest first
+     */
+    async getDue(now = Date.now()) {
+      const store = await getStore(STORES.OUTBOX);
+      const entries = await promisify(store.index('nextAttemptAt').getAll(IDBKeyRange.upperBound(now)));
+      return entries
+        .filter(e => e.state === DeliveryState.PENDING)
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    /**
+     * Get all entries
+     * @returns {Promise<Array>}
+     */
+    async getAll() {
+      const store = await getStore(STORES.OUTBOX);
+      return promisify(store.getAll());
+    },
+
+    /**
+     * Delivery state of a ref
+     * @param {string} ref
+     * @returns {Promise<string>} DeliveryState
+     */
+    async getState(ref) {
+      return stateOf(await this.getByRef(ref));
+    },
+
+    /**
+     * Delivery state of every ref with entries left
+     * @returns {Promise<Map<string, string>>} ref -> DeliveryState
+     */
+    async getStates() {
+      const byRef = new Map();
+      for (const entry of await this.getAll()) {
+        for (const ref of [].concat(entry.ref || [])) {
+          if (!byRef.has(ref)) byRef.set(ref, []);
+          byRef.get(ref).push(entry);
+        }
+      }
+      const states = new Map();
+      for (const [ref, entries] of byRef) {
+        states.set(ref, stateOf(entries));
+      }
+      return states;
+    },
+
+    /**
+     * Clear the outbox
+     */
+    async clearAll() {
+      const store = await getStore(STORES.OUTBOX, 'readwrite');
+      return promisify(store.clear());
+    },
+  };
+}
+
+/**
+ * Delivery state of a ref's entries: failed if any recipient failed,
+ * pending while any is still queued, sent once none are left
+ * @param {Array} entries
+ * @returns {string}
+ */
+function stateOf(entries) {
+  if (entries.some(e => e.state === DeliveryState.FAILED)) return DeliveryState.FAILED;
+  if (entries.length > 0) return DeliveryState.PENDING;
+  return DeliveryState.SENT;
+}
@@ -0,0 +1,235 @@
+/**
+ * Search Store (IndexedDB)
+ * Inverted index for on-device full-text search: one posting per
+ * (term, document), plus per-document stats for ranking
+ * Terms are word prefixes, hashed by the search index once storage is
+ * encrypted at rest.
+ */
+
+import { measureStore } from '../lib/storageQuota.js';
+
+const DB_NAME_PREFIX = 'obscura_search';
+const DB_VERSION = 1;
+
+const STORES = {
+  DOCS: 'docs',
+  POSTINGS: 'postings',
+  META: 'meta',
+};
+
+/**
+ * Create a search store instance
+ * @param {string} userId - User ID (for database namespace)
+ * @returns {object} Search store instance
+ */
+export function createSearchStore(userId) {
+  const dbName = `${DB_NAME_PREFIX}_${userId}`;
+  let db = null;
+
+  async function open() {
+    if (db) return db;
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, DB_VERSION);
+
+      request.onerror = () => reject(request.error);
+
+      request.onsuccess = () => {
+        db = request.result;
+        resolve(db);
+      };
+
+      request.onupgradeneeded = (event) => {
+        const database = event.target.result;
+
+        if (!database.objectStoreNames.contains(STORES.DOCS)) {
+          database.createObjectStore(STORES.DOCS, { keyPath: 'docKey' });
+        }
+        if (!database.objectStoreNames.contains(STORES.POSTINGS)) {
+          // Key [term, docKey]: a term's postings are a key range
+          database.createObjectStore(STORES.POSTINGS, { keyPath: ['term', 'docKey'] });
+        }
+        if (!database.objectStoreNames.contains(STORES.META)) {
+          database.createObjectStore(STORES.META, { keyPath: 'key' });
+        }
+      };
+    });
+  }
+
+  function close() {
+    if (db) {
+      db.close();
+      db = null;
+    }
+  }
+
+  async function getStore(storeName, mode = 'readonly') {
+    await open();
+    const tx = db.transaction(storeName, mode);
+    return tx.objectStore(storeName);
+  }
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Remove a document and its postings inside a readwrite transaction
+   * @returns {Promise<number>} Length of the removed document (0 if none)
+   */
+  async function removeIn(tx, docKey) {
+    const docs = tx.objectStore(STORES.DOCS);
+    const postings = tx.objectStore(STORES.POSTINGS);
+    const existing = await promisify(docs.get(docKey));
+    if (!existing) return 0;
+
+    for (const term of existing.terms) {
+      await promisify(postings.delete([term, docKey]));
+    }
+    await promisify(docs.delete(docKey));
+    return existing.length;
+  }
+
+  /**
+   * Adjust the total length of indexed documents (for average length)
+   */
+  async function addLengthIn(tx, delta) {
+    if (delta === 0) return;
+    const meta = tx.objectStore(STORES.META);
+    const stats = await promisify(meta.get('totalLength'));
+    await promisify(meta.put({ key: 'totalLength', value: Math.max(0, (stats?.value || 0) + delta) }));
+  }
+
+  return {
+    open,
+    close,
+
+    /**
+     * Add or replace a document
+     * @param {object} doc - { docKey, source, id, conversationId, timestamp, length }
+     * @param {Map<string, object>} termFreqs - term -> { tf, exact } occurrences,
+     *   and how many of them are the whole word
+     */
+    async putDoc(doc, termFreqs) {
+      await open();
+      const tx = db.transaction([STORES.DOCS, STORES.POSTINGS, STORES.META], 'readwrite');
+      const done = new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+
+      const removedLength = await removeIn(tx, doc.docKey);
+      const postings = tx.objectStore(STORES.POSTINGS);
+      for (const [term, { tf, exact }] of termFreqs) {
+        await promisify(postings.put({ term, docKey: doc.docKey, tf, exact }));
+      }
+      await promisify(tx.objectStore(STORES.DOCS).put({ ...doc, terms: [...termFreqs.keys()] }));
+      await addLengthIn(tx, doc.length - removedLength);
+
+      return done;
+    },
+
+    /**
+     * Remove a document
+     * @param {string} docKey
+     */
+    async removeDoc(docKey) {
+      await open();
+      const tx = db.transaction([STORES.DOCS, STORES.POSTINGS, STORES.META], 'readwrite');
+      const done = new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+
+      const removedLength = await removeIn(tx, docKey);
+      await addLengthIn(tx, -removedLength);
+
+      return done;
+    },
+
+    /**
+     * Postings of a term
+     * @param {string} term
+     * @returns {Promise<Array<{term, docKey, tf, exact}>>}
+     */
+    async getPostings(term) {
+      const store = await getStore(STORES.POSTINGS);
+      return promisify(store.getAll(IDBKeyRange.bound([term], [term, []])));
+    },
+
+    /**
+     * Get documents by key
+     * @param {Array<string>} docKeys
+     * @returns {Promise<Map<string, object>>} docKey -> doc (missing keys omitted)
+     */
+    async getDocs(docKeys) {
+      const store = await getStore(STORES.DOCS);
+      const docs = await Promise.all(docKeys.map(docKey => promisify(store.get(docKey))));
+      return new Map(docs.filter(Boolean).map(doc => [doc.docKey, doc]));
+    },
+
+    /**
+     * Corpus stats for ranking
+     * @returns {Promise<{count: number, avgLength: number}>}
+     */
+    async getStats() {
+      await open();
+      const tx = db.transaction([STORES.DOCS, STORES.META]);
+      const count = await promisify(tx.objectStore(STORES.DOCS).count());
+      const totalLength = (await promisify(tx.objectStore(STORES.META).get('totalLength')))?.value || 0;
+      return { count, avgLength: count > 0 ? totalLength / count : 0 };
+    },
+
+    /**
+     * Get a metadata value
+     * @param {string} key
+     */
+    async getMeta(key) {
+      const store = await getStore(STORES.META);
+      return (await promisify(store.get(key)))?.value;
+    },
+
+    /**
+     * Set a metadata value
+     * @param {string} key
+     * @param {*} value
+     */
+    async setMeta(key, value) {
+      const store = await getStore(STORES.META, 'readwrite');
+      return promisify(store.put({ key, value }));
+    },
+
+    /**
+     * Number of indexed documents and approximate size of the index
+     * @returns {Promise<{count: number, bytes: number}>}
+     */
+    async getUsage() {
+      await open();
+      const tx = db.transaction([STORES.DOCS, STORES.POSTINGS]);
+      const docs = await measureStore(tx.objectStore(STORES.DOCS));
+      const postings = await measureStore(tx.objectStore(STORES.POSTINGS));
+      return { count: docs.count, bytes: docs.bytes + postings.bytes };
+    },
+
+    /**
+     * Clear the index
+     */
+    async clearAll() {
+      await open();
+      const tx = db.transaction([STORES.DOCS, STORES.POSTINGS, STORES.META], 'readwrite');
+      for (const name of [STORES.DOCS, STORES.POSTINGS, STORES.META]) {
+        tx.objectStore(name).clear();
+      }
+      return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    },
+  };
+}
+
+export default createSearchStore;
@@ -6,6 +6,7 @@
 import '../../../test/helpers/setup.js'; // Polyfills for Node.js
 import { Obscura } from '../lib/index.js';
 import { Pix } from '../models/Pix.js';
+import { Group } from '../models/Group.js';
 
 const API = process.env.VITE_API_URL || process.env.OBSCURA_API_URL;
 if (!API) {
@@ -325,12 +326,7 @@ async function main() {
     },
 
     // GROUP MODELS (for testing group targeting)
-    group: {
-      fields: { name: 'string', members: 'string' },  // members = JSON array of usernames
-      has_many: ['groupMessage'],
-      sync: 'g-set',
-      collectable: true,
-    },
+    group: Group.toConfig(),
     groupMessage: {
       fields: { text: 'string' },
       belongs_to: 'group',
@@ -728,7 +724,7 @@ async function main() {
   // --- Test 19: Create group with alice and bob (NOT carol) ---
   const group = await alice.group.create({
     name: 'Test Group',
-    members: JSON.stringify([alice.username, bob.username]),  // alice + bob, NOT carol
+    members: [alice.username, bob.username],  // alice + bob, NOT carol
   });
   if (!group.id.startsWith('group_')) throw new Error('Group ID wrong');
   ok('Group create with members');
@@ -132,7 +132,7 @@ export function mount(container, client, router) {
 
       await client.group.create({
         name,
-        members: JSON.stringify(selectedMembers)
+        members: selectedMembers
       });
 
       navigate('/groups');
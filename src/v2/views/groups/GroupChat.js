@@ -4,9 +4,13 @@
  * - Send messages to group
  * - Voice memos (hold mic button to record)
  * - File/image/video/audio attachments
+ * - "typing…" while members are composing
+ * - Quoted replies; tapping a quote jumps to the original
+ * - Emoji reactions (one per member per message)
  */
-import { navigate } from '../index.js';
+import { navigate, markConversationRead } from '../index.js';
 import { parseMediaUrl, createMediaUrl, createChunkedMediaUrl } from '../../lib/attachmentUtils.js';
+import { TYPING_TIMEOUT_MS } from '../../lib/ObscuraClient.js';
 import { AudioRecorder, getMediaCategory, compressImage, gzipCompress, maybeDecompress, MAX_UPLOAD_SIZE, MAX_FILE_SIZE, convertHeicToJpeg, isHeic } from '../../lib/media.js';
 
 let cleanup = null;
@@ -15,7 +19,12 @@ let audioRecorder = null;
 let isRecording = false;
 let recordingStartTime = 0;
 
-export function render({ group = null, messages = [], loading = false, sending = false, recording = false, recordingTime = 0 } = {}) {
+// Messages per page when scrolling back through history
+const PAGE_SIZE = 50;
+
+const REACTION_EMOJIS = ['❤️', '😂', '😮', '😢', '👍', '🔥'];
+
+export function render({ group = null, messages = [], loading = false, sending = false, recording = false, recordingTime = 0, hasOlder = false, loadingOlder = false, typing = [], replyingTo = null, reactingTo = null } = {}) {
   if (loading) {
     return `<div class="view group-chat"><div class="loading">Loading...</div></div>`;
   }
@@ -35,17 +44,24 @@ export function render({ group = null, messages = [], loading = false, sending =
           <h1>${escapeHtml(groupName)}</h1>
           <span class="member-count">${members.length} members</span>
         </div>
+        <button type="button" id="leave-group-btn" variant="secondary" size="sm">Leave</button>
       </header>
 
       <div class="messages-container" id="messages">
+        ${hasOlder ? `
+          <div class="load-older" style="text-align: center; color: var(--ry-color-text-muted); font-size: var(--ry-text-sm)">
+            ${loadingOlder ? 'Loading older messages...' : 'Scroll up for older messages'}
+          </div>
+        ` : ''}
         ${messages.length === 0 ? `
           <div class="empty">
             <p>No messages yet</p>
           </div>
         ` : `
           ${messages.map(m => `
-            <div class="message ${m.fromMe ? 'sent' : 'received'}">
+            <div class="message ${m.fromMe ? 'sent' : 'received'}" data-id="${escapeAttr(m.id || '')}">
               ${!m.fromMe ? `<span class="author">${m.author || 'Unknown'}</span>` : ''}
+              ${m.quote ? renderQuote(m) : ''}
               ${m.attachment ? `
                 <div class="attachment">
                   ${m.uploadProgress !== undefined ? `
@@ -74,12 +90,23 @@ export function render({ group = null, messages = [], loading = false, sending =
               ` : `
                 <div class="text">${escapeHtml(m.data?.text || m.text || '')}</div>
               `}
-              <div class="time">${formatTime(m.timestamp)}</div>
+              <div class="time">${formatTime(m.timestamp)}${m.fromMe ? renderDeliveryStatus(m) : ''}${m.id && !m.pending ? renderMessageActions(m) : ''}</div>
+              ${renderReactions(m)}
+              ${m.id && m.id === reactingTo ? renderReactionPicker(m) : ''}
             </div>
           `).join('')}
         `}
       </div>
 
+      <div class="typing-indicator" id="typing-indicator" ${typing.length ? '' : 'hidden'}>${escapeHtml(typingText(typing))}</div>
+
+      ${replyingTo ? `
+        <div class="reply-preview">
+          <span>Replying to <strong>${escapeHtml(replyingTo.author)}</strong>: ${escapeHtml(replyingTo.text)}</span>
+          <button type="button" variant="ghost" size="sm" id="cancel-reply-btn"><ry-icon name="close"></ry-icon></button>
+        </div>
+      ` : ''}
+
       <form id="message-form" class="message-input">
         <ry-cluster>
           <button type="button" variant="ghost" id="attach-btn" ${sending || recording ? 'disabled' : ''}><ry-icon name="upload"></ry-icon></button>
@@ -118,18 +145,77 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+// "alice is typing…", "alice and bob are typing…", "Several people are typing…"
+function typingText(usernames) {
+  if (usernames.length === 0) return '';
+  if (usernames.length === 1) return `${usernames[0]} is typing…`;
+  if (usernames.length === 2) return `${usernames[0]} and ${usernames[1]} are typing…`;
+  return 'Several people are typing…';
+}
+
 function formatTime(ts) {
   if (!ts) return '';
   const d = new Date(ts);
   return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
-function parseMembers(membersJson) {
-  try {
-    return JSON.parse(membersJson) || [];
-  } catch {
-    return [];
+// Outbox state of a sent message: nothing once delivered
+function renderDeliveryStatus(m) {
+  if (m.status === 'pending') return ' · Sending...';
+  if (m.status === 'failed' && m.id) {
+    return ` · <span class="delivery-failed">Not delivered</span>
+      <button type="button" variant="ghost" size="sm" class="retry-btn" data-id="${m.id}">Retry</button>`;
   }
+  return '';
+}
+
+// Quote of the message being replied to; tap to jump to it
+function renderQuote(m) {
+  return `
+    <div class="quote${m.quote.missing ? ' missing' : ''}" data-reply-to="${escapeAttr(m.replyToId)}">
+      ${m.quote.author ? `<strong>${escapeHtml(m.quote.author)}</strong>` : ''}
+      <span>${escapeHtml(m.quote.text)}</span>
+    </div>
+  `;
+}
+
+function renderMessageActions(m) {
+  return `<span class="message-actions">
+      <button type="button" class="reply-msg-btn" data-id="${escapeAttr(m.id)}">Reply</button>
+      <button type="button" class="react-msg-btn" data-id="${escapeAttr(m.id)}">React</button>
+    </span>`;
+}
+
+// Reaction chips; tapping one sets that reaction, or removes it if it's ours
+function renderReactions(m) {
+  if (!m.reactionGroups?.length) return '';
+  return `<div class="message-reactions">
+      ${m.reactionGroups.map(g => `
+        <button type="button" class="reaction-chip${g.mine ? ' mine' : ''}" data-id="${escapeAttr(m.id)}" data-emoji="${escapeAttr(g.emoji)}" title="${escapeAttr(g.names.join(', '))}">${escapeHtml(g.emoji)} ${g.names.length}</button>
+      `).join('')}
+    </div>`;
+}
+
+function renderReactionPicker(m) {
+  return `<div class="reaction-picker message-reaction-picker">
+      ${REACTION_EMOJIS.map(emoji => `
+        <button type="button" class="reaction-btn${emoji === m.myReaction ? ' active' : ''}" data-id="${escapeAttr(m.id)}" data-emoji="${emoji}">${emoji}</button>
+      `).join('')}
+    </div>`;
+}
+
+// One reaction entry per member and message: reacting again overwrites it
+// (last writer wins)
+function reactionId(messageId, username) {
+  return `reaction_${messageId}_${username}`;
+}
+
+function parseMembers(members) {
+  return Array.isArray(members) ? members : [];
 }
 
 // Helper: Convert blob to data URL
@@ -146,6 +232,17 @@ function generateMsgId() {
   return `gmsg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
+/**
+ * Whether a device UUID is this device or one of our linked devices
+ * @param {string} deviceUUID
+ * @param {object} client - ObscuraClient instance
+ * @returns {boolean}
+ */
+function isOwnDevice(deviceUUID, client) {
+  if (deviceUUID === client.deviceUUID) return true;
+  return (client.devices?.getAll() || []).some(d => d.deviceUUID === deviceUUID);
+}
+
 /**
  * Resolve authorDeviceId to a username
  * @param {string} authorDeviceId - Device UUID of the author
@@ -184,6 +281,9 @@ function resolveAuthorName(authorDeviceId, client, profileMap = new Map()) {
 export async function mount(container, client, router, params) {
   const groupId = params.id;
 
+  // Mark conversation as read
+  markConversationRead(groupId);
+
   container.innerHTML = render({ loading: true });
 
   try {
@@ -209,33 +309,287 @@ export async function mount(container, client, router, params) {
       }
     }
 
-    // Load messages
+    // Outbox states of our own messages that haven't reached everyone yet
+    let deliveryStates = new Map();
+    try {
+      deliveryStates = await client.getDeliveryStates();
+    } catch (err) {
+      console.warn('[GroupChat] Failed to load delivery states:', err);
+    }
+
+    // Map a stored groupMessage entry to a view message, keeping any media
+    // already downloaded (or shown optimistically) for the same message
+    const toViewMessage = (m) => {
+      const mediaUrl = m.data?.mediaUrl;
+      const existing = messages.find(ex => ex.id === m.id || ex.entryId === m.id);
+      const fromMe = m.authorDeviceId === client.deviceUUID;
+      return {
+        ...m,
+        text: m.data?.text || '',
+        fromMe,
+        status: fromMe ? deliveryStates.get(client.groupMessage.deliveryRef(m.id)) : undefined,
+        author: resolveAuthorName(m.authorDeviceId, client, profileMap),
+        replyToId: m.data?.replyToId,
+        attachment: !!mediaUrl,
+        mediaUrl,
+        downloaded: existing?.downloaded || false,
+        audioDataUrl: existing?.audioDataUrl,
+        videoDataUrl: existing?.videoDataUrl,
+        imageDataUrl: existing?.imageDataUrl,
+        fileDataUrl: existing?.fileDataUrl,
+        fileName: existing?.fileName,
+      };
+    };
+
+    // Older pages loaded by scrolling up (oldest first), plus the cursor
+    // for the next older page
+    let olderMessages = [];
+    let olderCursor = null;
+    let loadingOlder = false;
+    let liveMessages = [];
+
+    // Combine older pages with live query results, keeping optimistic
+    // messages that haven't been stored yet
+    const applyMessages = () => {
+      const olderIds = new Set(olderMessages.map(m => m.id));
+      const rawMessages = [...olderMessages, ...liveMessages.filter(m => !olderIds.has(m.id))];
+      const storedIds = new Set(rawMessages.map(m => m.id));
+      const pending = messages.filter(m => m.pending && !storedIds.has(m.entryId));
+      messages = rawMessages.map(toViewMessage).concat(pending);
+    };
+
+    // Quoted originals that aren't loaded: id -> view message, or null if
+    // gone (expired, or not in this group)
+    const quotedEntries = new Map();
+
+    const quoteFor = (id) => {
+      const original = messages.find(m => m.id === id) || quotedEntries.get(id);
+      if (original === undefined) return { text: '…' };
+      if (original === null) return { text: 'Original message unavailable', missing: true };
+      return {
+        author: original.fromMe ? 'You' : original.author,
+        text: original.text || (original.attachment ? '[Attachment]' : ''),
+      };
+    };
+
+    const decorateQuotes = () => {
+      for (const m of messages) {
+        if (m.replyToId) m.quote = quoteFor(m.replyToId);
+      }
+    };
+
+    // Fetch quoted originals that aren't among the loaded messages
+    const loadQuotes = async () => {
+      const missing = new Set(messages
+        .filter(m => m.replyToId && !quotedEntries.has(m.replyToId) && !messages.some(o => o.id === m.replyToId))
+        .map(m => m.replyToId));
+      if (missing.size === 0) return;
+
+      for (const id of missing) {
+        try {
+          const entry = await client.groupMessage.find(id);
+          quotedEntries.set(id, entry && entry.data?.groupId === groupId ? toViewMessage(entry) : null);
+        } catch (err) {
+          quotedEntries.set(id, null);
+        }
+      }
+      rerender();
+      attachListeners();
+    };
+
+    // Live query over the newest page onwards: first result is the initial
+    // load, later ones are local sends and incoming syncs
     messages = [];
+    let unsubscribe = () => {};
     if (client.groupMessage) {
-      const rawMessages = await client.groupMessage.where({
+      const latest = await client.groupMessage.where({
         'data.groupId': groupId
-      }).orderBy('timestamp', 'asc').exec();
-
-      // Mark which are from me, resolve author names, and parse attachments
-      messages = rawMessages.map(m => {
-        const mediaUrl = m.data?.mediaUrl;
-        return {
-          ...m,
-          text: m.data?.text || '',
-          fromMe: m.authorDeviceId === client.deviceUUID,
-          author: resolveAuthorName(m.authorDeviceId, client, profileMap),
-          attachment: !!mediaUrl,
-          mediaUrl,
-          downloaded: false,
-        };
+      }).orderBy('timestamp', 'desc').limit(PAGE_SIZE).page();
+
+      olderCursor = latest.nextCursor;
+      const liveSince = latest.items.length > 0 ? latest.items[latest.items.length - 1].timestamp : 0;
+
+      let resolveInitial;
+      const initialLoad = new Promise(resolve => { resolveInitial = resolve; });
+
+      unsubscribe = client.groupMessage.where({
+        'data.groupId': groupId,
+        timestamp: { gte: liveSince },
+      }).orderBy('timestamp', 'asc').subscribe((rawMessages) => {
+        liveMessages = rawMessages;
+        applyMessages();
+        if (resolveInitial) {
+          resolveInitial();
+          resolveInitial = null;
+          return;
+        }
+        rerender();
+        attachListeners();
+        scrollToBottom();
+        downloadAttachments();
+        loadQuotes();
       });
+
+      await initialLoad;
     }
 
+    /**
+     * Load the next page of older messages, keeping the viewport anchored
+     */
+    const loadOlderMessages = async () => {
+      if (!olderCursor || loadingOlder) return;
+      loadingOlder = true;
+      rerender();
+      attachListeners();
+
+      try {
+        const older = await client.groupMessage.where({
+          'data.groupId': groupId
+        }).orderBy('timestamp', 'desc').after(olderCursor).limit(PAGE_SIZE).page();
+
+        olderMessages = [...older.items.reverse(), ...olderMessages];
+        olderCursor = older.nextCursor;
+        applyMessages();
+      } catch (err) {
+        console.error('[GroupChat] Failed to load older messages:', err);
+      }
+
+      loadingOlder = false;
+      const mc = getMessagesContainer();
+      const fromBottom = mc ? mc.scrollHeight - mc.scrollTop : 0;
+      rerender();
+      attachListeners();
+      const newMc = getMessagesContainer();
+      if (newMc) newMc.scrollTop = newMc.scrollHeight - fromBottom;
+      downloadAttachments();
+    };
+
+    /**
+     * Scroll to a quoted message and highlight it, paging in older history
+     * until it's loaded
+     */
+    const jumpToMessage = async (id) => {
+      while (!messages.some(m => m.id === id) && olderCursor && quotedEntries.get(id) !== null) {
+        const cursor = olderCursor;
+        await loadOlderMessages();
+        if (olderCursor === cursor) break;  // A load was already running
+      }
+
+      const el = container.querySelector(`.message[data-id="${CSS.escape(id)}"]`);
+      if (!el) {
+        if (typeof RyToast !== 'undefined') RyToast.error('Original message is no longer available');
+        return;
+      }
+      el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+      el.classList.add('highlight');
+      setTimeout(() => el.classList.remove('highlight'), 2000);
+    };
+
+    // Message being replied to: { id, author, text }
+    let replyingTo = null;
+
+    // Reactions to this group's messages (live, tombstones included), and
+    // the message whose reaction picker is open
+    let reactionEntries = [];
+    let reactingTo = null;
+
+    // Chips per emoji from each member's reaction, and our own emoji
+    const decorateReactions = () => {
+      const byMessage = new Map();
+      for (const r of reactionEntries) {
+        if (r.data?._deleted || !r.data?.emoji) continue;
+        const list = byMessage.get(r.data.groupMessageId) || [];
+        list.push(r);
+        byMessage.set(r.data.groupMessageId, list);
+      }
+
+      for (const m of messages) {
+        const groups = new Map();
+        let myReaction = null;
+        for (const r of byMessage.get(m.id) || []) {
+          // Ours if one of our devices signed it, whatever its ID claims
+          const mine = isOwnDevice(r.authorDeviceId, client);
+          const group = groups.get(r.data.emoji) || { emoji: r.data.emoji, names: [], mine: false };
+          group.names.push(mine ? 'You' : resolveAuthorName(r.authorDeviceId, client, profileMap));
+          group.mine = group.mine || mine;
+          groups.set(r.data.emoji, group);
+          if (mine) myReaction = r.data.emoji;
+        }
+        m.reactionGroups = [...groups.values()];
+        m.myReaction = myReaction;
+      }
+    };
+
+    // Set our reaction to a message, or remove it (emoji null)
+    const react = async (messageId, emoji) => {
+      const id = reactionId(messageId, client.username);
+      if (emoji) {
+        await client.reaction.upsert(id, { groupMessageId: messageId, groupId, emoji });
+      } else {
+        await client.reaction.delete(id);
+      }
+    };
+
+    // Outbox progress for messages sent from this device
+    const handleDeliveryState = ({ ref, state }) => {
+      deliveryStates.set(ref, state);
+      const msg = messages.find(m => m.fromMe && m.id && client.groupMessage.deliveryRef(m.id) === ref);
+      if (!msg || msg.status === state) return;
+      msg.status = state;
+      rerender();
+      attachListeners();
+    };
+    client.on('deliveryState', handleDeliveryState);
+
+    // Members typing: username -> timer that hides them if they go quiet
+    // without a "stopped"
+    const typers = new Map();
+    const updateTypingIndicator = () => {
+      const indicator = container.querySelector('#typing-indicator');
+      if (!indicator) return;
+      indicator.textContent = typingText([...typers.keys()]);
+      indicator.hidden = typers.size === 0;
+    };
+    const handleTyping = ({ groupId: typingGroupId, username, active }) => {
+      if (typingGroupId !== groupId) return;
+      clearTimeout(typers.get(username));
+      if (active) {
+        typers.set(username, setTimeout(() => {
+          typers.delete(username);
+          updateTypingIndicator();
+        }, TYPING_TIMEOUT_MS));
+      } else {
+        typers.delete(username);
+      }
+      updateTypingIndicator();
+    };
+    client.on('typing', handleTyping);
+
+    // Tell the other members we're typing (throttled by the client)
+    const handleInput = (e) => {
+      client.sendTyping({ groupId }, e.target.value.trim().length > 0);
+    };
+
+    /**
+     * Link an optimistic message to its stored entry
+     * Drops it right away if the live query already delivered the entry
+     */
+    const settleOptimistic = (msg, entry) => {
+      msg.entryId = entry.id;
+      if (messages.some(m => m.id === entry.id)) {
+        messages = messages.filter(m => m !== msg);
+        rerender();
+        attachListeners();
+      }
+    };
+
     // Track recording time
     let recordingTime = 0;
     let recordingTimer = null;
 
-    container.innerHTML = render({ group, messages });
+    decorateQuotes();
+    decorateReactions();
+    container.innerHTML = render({ group, messages, hasOlder: !!olderCursor });
 
     const getMessagesContainer = () => container.querySelector('#messages');
 
@@ -247,7 +601,9 @@ export async function mount(container, client, router, params) {
     const rerender = () => {
       const mc = getMessagesContainer();
       const scrollPos = mc ? mc.scrollTop : 0;
-      container.innerHTML = render({ group, messages, recording: isRecording, recordingTime });
+      decorateQuotes();
+      decorateReactions();
+      container.innerHTML = render({ group, messages, recording: isRecording, recordingTime, hasOlder: !!olderCursor, loadingOlder, typing: [...typers.keys()], replyingTo, reactingTo });
       const newMc = getMessagesContainer();
       if (newMc) newMc.scrollTop = scrollPos;
     };
@@ -339,14 +695,20 @@ export async function mount(container, client, router, params) {
       if (!text) return;
 
       inputEl.value = '';
+      client.sendTyping({ groupId }, false);
+      const replyToId = replyingTo?.id;
+      replyingTo = null;
 
       // Optimistic UI
-      messages.push({
+      const optimistic = {
         data: { text, groupId },
         text,
+        replyToId,
         fromMe: true,
+        pending: true,
         timestamp: Date.now()
-      });
+      };
+      messages.push(optimistic);
       rerender();
       scrollToBottom();
       attachListeners();
@@ -355,7 +717,8 @@ export async function mount(container, client, router, params) {
       if (newInput) newInput.focus();
 
       try {
-        await client.groupMessage.create({ groupId, text });
+        const entry = await client.groupMessage.create({ groupId, text, ...(replyToId ? { replyToId } : {}) });
+        settleOptimistic(optimistic, entry);
       } catch (err) {
         console.error('[GroupChat] Failed to send:', err);
       }
@@ -441,6 +804,7 @@ export async function mount(container, client, router, params) {
           id: msgId,
           attachment: true,
           fromMe: true,
+          pending: true,
           timestamp,
           fileName: file.name,
           uploadProgress: isLargeFile ? 0 : undefined,
@@ -500,7 +864,8 @@ export async function mount(container, client, router, params) {
         }
 
         // Create group message with mediaUrl via ORM (broadcasts to group members)
-        await client.groupMessage.create({ groupId, text: '', mediaUrl });
+        const entry = await client.groupMessage.create({ groupId, text: '', mediaUrl });
+        settleOptimistic(msg, entry);
         console.log('[GroupChat Upload] Attachment sent to group');
 
       } catch (err) {
@@ -551,13 +916,15 @@ export async function mount(container, client, router, params) {
         const msgId = generateMsgId();
 
         // Optimistic UI
-        messages.push({
+        const optimistic = {
           id: msgId,
           attachment: true,
           audioDataUrl,
           fromMe: true,
+          pending: true,
           timestamp: Date.now()
-        });
+        };
+        messages.push(optimistic);
         rerender();
         scrollToBottom();
         attachListeners();
@@ -581,7 +948,8 @@ export async function mount(container, client, router, params) {
           }
 
           // Create group message with mediaUrl via ORM
-          await client.groupMessage.create({ groupId, text: '', mediaUrl });
+          const entry = await client.groupMessage.create({ groupId, text: '', mediaUrl });
+          settleOptimistic(optimistic, entry);
           console.log('[GroupChat Audio] Voice memo sent to group');
         } catch (err) {
           console.error('[GroupChat Audio] Failed to send:', err);
@@ -606,9 +974,90 @@ export async function mount(container, client, router, params) {
     }
 
     function attachListeners() {
+      // Retry undelivered messages
+      container.querySelectorAll('.retry-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          client.groupMessage.retryDelivery(btn.dataset.id).catch(err => {
+            console.error('[GroupChat] Retry failed:', err);
+          });
+        });
+      });
+
+      // Infinite scroll: load older messages near the top
+      const mc = getMessagesContainer();
+      if (mc && olderCursor) {
+        mc.addEventListener('scroll', () => {
+          if (mc.scrollTop < 100) loadOlderMessages();
+        });
+      }
+
+      // Leave group: removes only ourselves, concurrent adds by others survive
+      const leaveBtn = container.querySelector('#leave-group-btn');
+      if (leaveBtn) {
+        leaveBtn.addEventListener('click', async () => {
+          if (!confirm('Leave this group?')) return;
+          try {
+            await client.group.removeFrom(groupId, 'members', client.username);
+            navigate('/groups');
+          } catch (err) {
+            console.error('Failed to leave group:', err);
+            alert('Failed to leave group: ' + err.message);
+          }
+        });
+      }
+
+      // Quoted replies
+      container.querySelectorAll('.reply-msg-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const m = messages.find(x => x.id === btn.dataset.id);
+          if (!m) return;
+          const draft = container.querySelector('#message-text')?.value || '';
+          replyingTo = { id: m.id, author: m.fromMe ? 'You' : m.author, text: m.text || '[Attachment]' };
+          rerender();
+          attachListeners();
+          const input = container.querySelector('#message-text');
+          if (input) {
+            input.value = draft;
+            input.focus();
+          }
+        });
+      });
+      container.querySelector('#cancel-reply-btn')?.addEventListener('click', () => {
+        replyingTo = null;
+        rerender();
+        attachListeners();
+      });
+      container.querySelectorAll('.quote[data-reply-to]').forEach(quote => {
+        quote.addEventListener('click', () => jumpToMessage(quote.dataset.replyTo));
+      });
+
+      // Reactions: the picker sets ours, tapping our own again removes it
+      container.querySelectorAll('.react-msg-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          reactingTo = reactingTo === btn.dataset.id ? null : btn.dataset.id;
+          rerender();
+          attachListeners();
+        });
+      });
+      container.querySelectorAll('.reaction-btn[data-id], .reaction-chip').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const m = messages.find(x => x.id === btn.dataset.id);
+          if (!m) return;
+          reactingTo = null;
+          rerender();
+          attachListeners();
+          try {
+            await react(m.id, m.myReaction === btn.dataset.emoji ? null : btn.dataset.emoji);
+          } catch (err) {
+            console.error('[GroupChat] Failed to react:', err);
+          }
+        });
+      });
+
       // Re-attach form listener after re-render
       const newForm = container.querySelector('#message-form');
       if (newForm) newForm.addEventListener('submit', handleSubmit);
+      container.querySelector('#message-text')?.addEventListener('input', handleInput);
 
       // Re-attach attachment button and file input listeners
       const newAttachBtn = container.querySelector('#attach-btn');
@@ -713,51 +1162,33 @@ export async function mount(container, client, router, params) {
       router.updatePageLinks();
     }
 
-    // Listen for new group messages (incoming sync)
-    const handleSync = async (sync) => {
-      if (sync.model === 'groupMessage') {
-        // Reload messages from CRDT to pick up new entries
-        const rawMessages = await client.groupMessage.where({
-          'data.groupId': groupId
-        }).orderBy('timestamp', 'asc').exec();
-
-        messages = rawMessages.map(m => {
-          const mediaUrl = m.data?.mediaUrl;
-          // Preserve already-downloaded data URLs from existing messages
-          const existing = messages.find(ex => ex.id === m.id);
-          return {
-            ...m,
-            text: m.data?.text || '',
-            fromMe: m.authorDeviceId === client.deviceUUID,
-            author: resolveAuthorName(m.authorDeviceId, client, profileMap),
-            attachment: !!mediaUrl,
-            mediaUrl,
-            downloaded: existing?.downloaded || false,
-            audioDataUrl: existing?.audioDataUrl,
-            videoDataUrl: existing?.videoDataUrl,
-            imageDataUrl: existing?.imageDataUrl,
-            fileDataUrl: existing?.fileDataUrl,
-            fileName: existing?.fileName,
-          };
-        });
-
-        rerender();
-        attachListeners();
-        scrollToBottom();
-        downloadAttachments();
-      }
-    };
-
-    client.on('modelSync', handleSync);
-
     attachListeners();
     scrollToBottom(true);
 
     // Start downloading any attachments that need loading
     downloadAttachments();
+    loadQuotes();
+
+    let unsubscribeReactions = () => {};
+    if (client.reaction) {
+      unsubscribeReactions = client.reaction.where({
+        'data.groupId': groupId
+      }).subscribe((entries) => {
+        reactionEntries = entries;
+        rerender();
+        attachListeners();
+      });
+    }
 
     cleanup = () => {
-      client.off('modelSync', handleSync);
+      // Messages that arrived while the chat was open have been seen
+      markConversationRead(groupId);
+      unsubscribe();
+      unsubscribeReactions();
+      client.off('deliveryState', handleDeliveryState);
+      client.off('typing', handleTyping);
+      typers.forEach(timer => clearTimeout(timer));
+      client.sendTyping({ groupId }, false);
 
       // Clean up audio recording if in progress
       if (audioRecorder) {
@@ -57,12 +57,8 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
-function getMemberCount(membersJson) {
-  try {
-    return JSON.parse(membersJson).length;
-  } catch {
-    return 0;
-  }
+function getMemberCount(members) {
+  return Array.isArray(members) ? members.length : 0;
 }
 
 export async function mount(container, client, router) {
@@ -72,7 +68,9 @@ export async function mount(container, client, router) {
     let groups = [];
 
     if (client.group) {
-      groups = await client.group.where({}).exec();
+      // Hide groups we've left or been removed from
+      groups = (await client.group.where({}).exec())
+        .filter(g => (g.data.members || []).includes(client.username));
     }
 
     container.innerHTML = render({ groups });
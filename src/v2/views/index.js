@@ -32,6 +32,7 @@ import * as VerifyCode from './friends/VerifyCode.js';
 
 import * as ConversationList from './messaging/ConversationList.js';
 import * as Chat from './messaging/Chat.js';
+import * as Search from './messaging/Search.js';
 
 import * as PixList from './pix/PixList.js';
 import * as PixCamera from './pix/PixCamera.js';
@@ -95,6 +96,7 @@ export function init(appContainer, obscuraClient = null) {
   router.on('/chats', () => requireAuth(() => mountView(ConversationList)));
   router.on('/messages', () => requireAuth(() => mountView(ConversationList))); // Alias for backwards compat
   router.on('/messages/:username', ({ data }) => requireAuth(() => mountView(Chat, data)));
+  router.on('/search', () => requireAuth(() => mountView(Search)));
 
   // Pix routes
   router.on('/pix', () => requireAuth(() => mountView(PixList)));
@@ -258,9 +260,9 @@ export async function refreshPixBadge() {
 }
 
 /**
- * Get last read timestamp for a conversation
+ * Get last read timestamp for a conversation (username or group ID)
  */
-function getLastRead(conversationId) {
+export function getLastRead(conversationId) {
   const key = `lastRead_${client?.username}_${conversationId}`;
   const val = localStorage.getItem(key);
   return val ? parseInt(val, 10) : 0;
@@ -280,13 +282,20 @@ export function markConversationRead(conversationId) {
  * Check if a conversation has unread messages
  */
 export async function hasUnreadMessages(conversationId) {
-  if (!client?.getMessages) return false;
+  return (await countUnreadMessages(conversationId)) > 0;
+}
+
+/**
+ * Count messages received in a DM conversation since it was last read
+ */
+export async function countUnreadMessages(conversationId) {
+  if (!client?.getMessages) return 0;
   try {
     const lastRead = getLastRead(conversationId);
     const messages = await client.getMessages(conversationId);
-    return messages.some(m => m.timestamp > lastRead && !m.isSent);
+    return messages.filter(m => m.timestamp > lastRead && !m.isSent).length;
   } catch {
-    return false;
+    return 0;
   }
 }
 
@@ -398,6 +407,8 @@ function setupGlobalEventHandlers() {
           refreshPixBadge();
           break;
         case 'groupMessage':
+          // Retracted messages don't toast
+          if (sync.op === 2) break;
           const groupMsgSender = client.friends.getUsernameFromDeviceId(sync.sourceUserId) || sync.sourceUserId;
           // Look up group name
           if (sync.data?.groupId && client.group) {
@@ -415,6 +426,17 @@ function setupGlobalEventHandlers() {
     }
   });
 
+  // Entries from a newer schema are quarantined until this app updates
+  let updatePrompted = false;
+  client.on('schemaUpdateAvailable', ({ model, version }) => {
+    console.log('[Global] Newer schema received:', model, 'v' + version);
+    if (updatePrompted) return;
+    updatePrompted = true;
+    if (typeof RyToast !== 'undefined') {
+      RyToast.info('Update available: friends are on a newer version. Reload to see everything they sent.');
+    }
+  });
+
   // Sent sync - log when messages are synced from other devices
   client.on('sentSync', (sync) => {
     console.log('[Global] Sent sync:', sync.conversationId, sync.messageId);
@@ -459,6 +481,8 @@ function setupGlobalEventHandlers() {
     if (client._deviceStore?.close) client._deviceStore.close();
     if (client.messageStore?.close) client.messageStore.close();
     if (client._attachmentStore?.close) client._attachmentStore.close();
+    if (client._outboxStore?.close) client._outboxStore.close();
+    if (client.searchIndex?.close) client.searchIndex.close();
 
     // Wipe all local data
     await unlinkDevice(username, userId);
@@ -4,12 +4,17 @@
  * - Send text + attachments
  * - Audio messages (hold mic button to record)
  * - Real-time incoming messages
+ * - "typing…" while the friend is composing
+ * - Edit or delete (for everyone) own messages
+ * - Quoted replies; tapping a quote jumps to the original
+ * - Emoji reactions (one per person per message)
  *
  * IMPORTANT: Loads existing messages from client.messages on mount.
  * Also handles sentSync for messages sent from other devices.
  */
 import { navigate, markConversationRead } from '../index.js';
 import { parseMediaUrl, createMediaUrl } from '../../lib/attachmentUtils.js';
+import { TYPING_TIMEOUT_MS } from '../../lib/ObscuraClient.js';
 import { AudioRecorder, getMediaCategory, compressImage, gzipCompress, maybeDecompress, MAX_UPLOAD_SIZE, MAX_FILE_SIZE, convertHeicToJpeg, isHeic } from '../../lib/media.js';
 
 let cleanup = null;
@@ -18,6 +23,8 @@ let audioRecorder = null;
 let isRecording = false;
 let recordingStartTime = 0;
 
+const REACTION_EMOJIS = ['❤️', '😂', '😮', '😢', '👍', '🔥'];
+
 function renderSmallAvatar(avatarUrl, name) {
   if (avatarUrl) {
     return `<img class="avatar-sm" src="${avatarUrl}" alt="" />`;
@@ -26,7 +33,7 @@ function renderSmallAvatar(avatarUrl, name) {
   return `<div class="avatar-sm-placeholder">${letter}</div>`;
 }
 
-export function render({ username = '', displayName = '', avatarUrl = null, messages = [], sending = false, streakCount = 0, recording = false, recordingTime = 0 } = {}) {
+export function render({ username = '', displayName = '', avatarUrl = null, messages = [], sending = false, streakCount = 0, recording = false, recordingTime = 0, typing = false, replyingTo = null, reactingTo = null } = {}) {
   const title = displayName || username;
   return `
     <div class="view chat">
@@ -48,8 +55,11 @@ export function render({ username = '', displayName = '', avatarUrl = null, mess
           </div>
         ` : `
           ${messages.map(m => `
-            <div class="message ${m.fromMe ? 'sent' : 'received'}">
-              ${m.attachment ? `
+            <div class="message ${m.fromMe ? 'sent' : 'received'}" data-message-id="${m.messageId || ''}">
+              ${m.quote && !m.deleted ? renderQuote(m) : ''}
+              ${m.deleted ? `
+                <div class="text message-deleted">Message deleted</div>
+              ` : m.attachment ? `
                 <div class="attachment">
                   ${m.uploadProgress !== undefined ? `
                     <div class="attachment-progress">
@@ -77,12 +87,23 @@ export function render({ username = '', displayName = '', avatarUrl = null, mess
               ` : `
                 <div class="text">${escapeHtml(m.text)}</div>
               `}
-              <div class="time">${formatTime(m.timestamp)}</div>
+              <div class="time">${formatTime(m.timestamp)}${renderEdited(m)}${m.fromMe ? renderDeliveryStatus(m) : ''}${renderMessageActions(m)}</div>
+              ${m.deleted ? '' : renderReactions(m)}
+              ${m.messageId && m.messageId === reactingTo ? renderReactionPicker(m) : ''}
             </div>
           `).join('')}
         `}
       </div>
 
+      <div class="typing-indicator" id="typing-indicator" ${typing ? '' : 'hidden'}>${escapeHtml(title)} is typing…</div>
+
+      ${replyingTo ? `
+        <div class="reply-preview">
+          <span>Replying to <strong>${escapeHtml(replyingTo.fromMe ? 'You' : title)}</strong>: ${escapeHtml(replyingTo.snippet)}</span>
+          <button type="button" variant="ghost" size="sm" id="cancel-reply-btn"><ry-icon name="close"></ry-icon></button>
+        </div>
+      ` : ''}
+
       <form id="message-form" class="message-input">
         <ry-cluster>
           <button type="button" variant="ghost" id="attach-btn" ${sending || recording ? 'disabled' : ''}><ry-icon name="upload"></ry-icon></button>
@@ -126,6 +147,69 @@ function formatTime(ts) {
   return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+// "edited" marker; hovering shows the earlier versions
+function renderEdited(m) {
+  if (!m.editedAt || m.deleted) return '';
+  const earlier = (m.edits || []).map(e => e.text).join('\n');
+  return ` · <span class="edited-marker" title="${escapeAttr(earlier ? `Earlier:\n${earlier}` : '')}">edited</span>`;
+}
+
+// Quote of the message being replied to; tap to jump to it
+function renderQuote(m) {
+  return `
+    <div class="quote${m.quote.missing ? ' missing' : ''}" data-reply-to="${escapeAttr(m.replyTo.messageId)}">
+      ${m.quote.author ? `<strong>${escapeHtml(m.quote.author)}</strong>` : ''}
+      <span>${escapeHtml(m.quote.text)}</span>
+    </div>
+  `;
+}
+
+// Reply, plus edit (text only) and delete for everyone on our own messages,
+// once the message has an ID
+function renderMessageActions(m) {
+  if (!m.messageId || m.deleted) return '';
+  return `<span class="message-actions">
+      <button type="button" class="reply-msg-btn" data-id="${escapeAttr(m.messageId)}">Reply</button>
+      <button type="button" class="react-msg-btn" data-id="${escapeAttr(m.messageId)}">React</button>
+      ${m.fromMe && !m.attachment ? `<button type="button" class="edit-msg-btn" data-id="${escapeAttr(m.messageId)}">Edit</button>` : ''}
+      ${m.fromMe ? `<button type="button" class="delete-msg-btn" data-id="${escapeAttr(m.messageId)}">Delete</button>` : ''}
+    </span>`;
+}
+
+// Reaction chips; tapping one sets that reaction, or removes it if it's ours
+function renderReactions(m) {
+  if (!m.reactionGroups?.length) return '';
+  return `<div class="message-reactions">
+      ${m.reactionGroups.map(g => `
+        <button type="button" class="reaction-chip${g.mine ? ' mine' : ''}" data-id="${escapeAttr(m.messageId)}" data-emoji="${escapeAttr(g.emoji)}" title="${escapeAttr(g.names.join(', '))}">${escapeHtml(g.emoji)} ${g.names.length}</button>
+      `).join('')}
+    </div>`;
+}
+
+function renderReactionPicker(m) {
+  return `<div class="reaction-picker message-reaction-picker">
+      ${REACTION_EMOJIS.map(emoji => `
+        <button type="button" class="reaction-btn${emoji === m.myReaction ? ' active' : ''}" data-id="${escapeAttr(m.messageId)}" data-emoji="${emoji}">${emoji}</button>
+      `).join('')}
+    </div>`;
+}
+
+// Outbox state of a sent message, then the friend's receipts
+function renderDeliveryStatus(m) {
+  if (m.status === 'pending') return ' · Sending...';
+  if (m.status === 'failed') {
+    return ` · <span class="delivery-failed">Not delivered</span>
+      <button type="button" variant="ghost" size="sm" class="retry-btn" data-ref="${m.messageId}">Retry</button>`;
+  }
+  if (m.readAt) return ' · Read';
+  if (m.deliveredAt) return ' · Delivered';
+  return '';
+}
+
 // Helper: Convert blob to data URL
 function blobToDataUrl(blob) {
   return new Promise(resolve => {
@@ -186,9 +270,17 @@ export async function mount(container, client, router, params) {
         mediaUrl = createMediaUrl(m.contentReference);
       }
       return {
+        messageId: m.messageId,
         text: m.text || m.content || '',
         fromMe: m.isSent,
         timestamp: m.timestamp,
+        deliveredAt: m.deliveredAt,
+        readAt: m.readAt,
+        editedAt: m.editedAt,
+        edits: m.edits,
+        deleted: !!m.deletedAt,
+        replyTo: m.replyTo,
+        reactions: m.reactions,
         attachment: !!mediaUrl,
         mediaUrl,
         downloaded: false,
@@ -208,6 +300,11 @@ export async function mount(container, client, router, params) {
           text: m.text || (m.content ? (typeof m.content === 'string' ? m.content : new TextDecoder().decode(m.content)) : ''),
           fromMe: m.isSent || m.to === username,
           timestamp: m.timestamp,
+          editedAt: m.editedAt,
+          edits: m.edits,
+          deleted: !!m.deletedAt,
+          replyTo: m.replyTo,
+          reactions: m.reactions,
           attachment: !!mediaUrl,
           mediaUrl,
           downloaded: false,
@@ -216,6 +313,102 @@ export async function mount(container, client, router, params) {
       .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
   }
 
+  // Mark sent messages still in the outbox as pending/failed
+  const applyDeliveryStates = async () => {
+    try {
+      const states = await client.getDeliveryStates();
+      for (const m of messages) {
+        if (m.fromMe && m.messageId) m.status = states.get(m.messageId);
+      }
+    } catch (err) {
+      console.warn('[Chat] Failed to load delivery states:', err);
+    }
+  };
+  await applyDeliveryStates();
+
+  // Mark received messages read while the chat is on screen (sends read receipts)
+  const markVisibleRead = () => {
+    if (document.visibilityState !== 'visible') return;
+    const unread = messages.filter(m => !m.fromMe && m.messageId && !m.readAt);
+    if (unread.length === 0) return;
+    const now = Date.now();
+    unread.forEach(m => m.readAt = now);
+    client.markRead(username, unread.map(m => m.messageId)).catch(err => {
+      console.warn('[Chat] Failed to mark messages read:', err);
+    });
+  };
+
+  // Friend's typing indicator, hidden if they go quiet without a "stopped"
+  let friendTyping = false;
+  let typingTimer = null;
+  const setFriendTyping = (active) => {
+    clearTimeout(typingTimer);
+    typingTimer = active ? setTimeout(() => setFriendTyping(false), TYPING_TIMEOUT_MS) : null;
+    if (friendTyping === active) return;
+    friendTyping = active;
+    const indicator = container.querySelector('#typing-indicator');
+    if (indicator) indicator.hidden = !active;
+  };
+
+  // Tell the friend we're typing (throttled by the client)
+  const handleInput = (e) => {
+    client.sendTyping({ username }, e.target.value.trim().length > 0);
+  };
+
+  // Quotes show the original as it is now (edited or deleted), or the
+  // sender's snippet if we don't have it
+  const decorateQuotes = () => {
+    for (const m of messages) {
+      if (!m.replyTo) continue;
+      const original = messages.find(o => o.messageId && o.messageId === m.replyTo.messageId);
+      if (!original) {
+        m.quote = { text: m.replyTo.snippet || 'Original message unavailable', missing: true };
+      } else {
+        m.quote = {
+          author: original.fromMe ? 'You' : (displayName || username),
+          text: original.deleted ? 'Message deleted' : (original.text || '[Attachment]'),
+        };
+      }
+    }
+  };
+
+  // Message being replied to: { messageId, snippet, fromMe }
+  let replyingTo = null;
+
+  // Message whose reaction picker is open
+  let reactingTo = null;
+
+  // Chips per emoji from each side's latest reaction, and our own emoji
+  const decorateReactions = () => {
+    for (const m of messages) {
+      const groups = new Map();
+      for (const [reactor, { emoji }] of Object.entries(m.reactions || {})) {
+        if (!emoji) continue;  // Removed
+        const mine = reactor === client.username;
+        const group = groups.get(emoji) || { emoji, names: [], mine: false };
+        group.names.push(mine ? 'You' : (displayName || reactor));
+        group.mine = group.mine || mine;
+        groups.set(emoji, group);
+      }
+      m.reactionGroups = [...groups.values()];
+      m.myReaction = m.reactions?.[client.username]?.emoji || null;
+    }
+  };
+
+  // Scroll to a quoted message and highlight it
+  const jumpToMessage = (messageId) => {
+    const el = container.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!el) {
+      if (typeof RyToast !== 'undefined') RyToast.error('Original message is no longer available');
+      return;
+    }
+    el.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    el.classList.add('highlight');
+    setTimeout(() => el.classList.remove('highlight'), 2000);
+  };
+
+  decorateQuotes();
+  decorateReactions();
   container.innerHTML = render({ username, displayName, avatarUrl, messages, streakCount });
 
   // Get messagesContainer and helpers
@@ -233,7 +426,9 @@ export async function mount(container, client, router, params) {
   const rerender = () => {
     const mc = getMessagesContainer();
     const scrollPos = mc ? mc.scrollTop : 0;
-    container.innerHTML = render({ username, displayName, avatarUrl, messages, streakCount, recording: isRecording, recordingTime });
+    decorateQuotes();
+    decorateReactions();
+    container.innerHTML = render({ username, displayName, avatarUrl, messages, streakCount, recording: isRecording, recordingTime, typing: friendTyping, replyingTo, reactingTo });
     const newMc = getMessagesContainer();
     if (newMc) newMc.scrollTop = scrollPos;
   };
@@ -345,13 +540,18 @@ export async function mount(container, client, router, params) {
     if (!text) return;
 
     inputEl.value = '';
+    client.sendTyping({ username }, false);
+    const replyTo = replyingTo ? { messageId: replyingTo.messageId, snippet: replyingTo.snippet } : undefined;
+    replyingTo = null;
 
     // Optimistic UI update
-    messages.push({
+    const optimistic = {
       text,
       fromMe: true,
+      replyTo,
       timestamp: Date.now()
-    });
+    };
+    messages.push(optimistic);
     rerender();
     scrollToBottom();
     attachListeners();
@@ -361,7 +561,13 @@ export async function mount(container, client, router, params) {
     if (newInput) newInput.focus();
 
     try {
-      await client.send(username, { text });
+      const { messageId, status } = await client.send(username, { text, replyTo });
+      optimistic.messageId = messageId;
+      if (status !== 'sent') {
+        optimistic.status = status;
+        rerender();
+        attachListeners();
+      }
     } catch (err) {
       console.error('Failed to send:', err);
       if (typeof RyToast !== 'undefined') {
@@ -526,6 +732,7 @@ export async function mount(container, client, router, params) {
       if (mediaUrlWithName && refId) {
         const targetMsg = messages.find(m => m.id === msgId);
         if (targetMsg) {
+          targetMsg.messageId = refId;
           targetMsg.mediaUrl = mediaUrlWithName;
           targetMsg.uploadProgress = undefined; // Clear progress
           targetMsg.attachmentPreview = undefined;
@@ -539,8 +746,9 @@ export async function mount(container, client, router, params) {
           }
           rerender();
         }
+        // Same ID the friend got, so their receipts match
         await client.messageStore.addMessage(username, {
-          messageId: `att_${refId}`,
+          messageId: refId,
           content: '',
           mediaUrl: mediaUrlWithName,
           isSent: true,
@@ -572,10 +780,14 @@ export async function mount(container, client, router, params) {
   const handleMessage = (msg) => {
     if (msg.from === username || msg.conversationId === username) {
       messages.push({
+        messageId: msg.messageId,
         text: msg.text,
         fromMe: false,
+        replyTo: msg.replyTo,
         timestamp: msg.timestamp || Date.now()
       });
+      setFriendTyping(false);
+      markVisibleRead();
       rerender();
       scrollToBottom(true); // instant scroll for incoming messages
       attachListeners();
@@ -595,6 +807,7 @@ export async function mount(container, client, router, params) {
       const msgId = generateMsgId();
       const msg = {
         id: msgId,
+        messageId: att.messageId,
         attachment: true,
         mediaUrl,
         fileName: att.contentReference?.fileName || '', // Extract fileName from proto
@@ -603,6 +816,8 @@ export async function mount(container, client, router, params) {
         timestamp: Date.now()
       };
       messages.push(msg);
+      setFriendTyping(false);
+      markVisibleRead();
       rerender();
       scrollToBottom();
       attachListeners();
@@ -668,8 +883,10 @@ export async function mount(container, client, router, params) {
       const msgId = generateMsgId();
       const msg = {
         id: msgId,
+        messageId: sync.messageId,
         text,
         fromMe: true,
+        replyTo: sync.replyTo || undefined,
         timestamp: sync.timestamp || Date.now(),
         attachment: hasAttachment,
         mediaUrl,
@@ -738,14 +955,18 @@ export async function mount(container, client, router, params) {
             mediaUrl = createMediaUrl(m.contentReference);
           }
           return {
+            messageId: m.messageId,
             text: m.text || m.content || '',
             fromMe: m.isSent,
             timestamp: m.timestamp,
+            deliveredAt: m.deliveredAt,
+            readAt: m.readAt,
             attachment: !!mediaUrl,
             mediaUrl,
             downloaded: false,
           };
         });
+        await applyDeliveryStates();
         rerender();
         attachListeners();
         scrollToBottom();
@@ -756,10 +977,72 @@ export async function mount(container, client, router, params) {
     }
   };
 
+  // Outbox progress for messages sent from this device
+  const handleDeliveryState = ({ ref, state }) => {
+    const msg = messages.find(m => m.fromMe && m.messageId === ref);
+    if (!msg || msg.status === state) return;
+    msg.status = state;
+    rerender();
+    attachListeners();
+  };
+
+  // Friend's delivery/read receipts for our messages
+  const handleReceipt = ({ conversationId, messageIds, status }) => {
+    if (conversationId !== username) return;
+    const now = Date.now();
+    let changed = false;
+    for (const m of messages) {
+      if (!m.fromMe || !messageIds.includes(m.messageId)) continue;
+      m.deliveredAt = m.deliveredAt || now;
+      if (status === 'read') m.readAt = m.readAt || now;
+      changed = true;
+    }
+    if (changed) {
+      rerender();
+      attachListeners();
+    }
+  };
+
+  // Edits and deletes from either side, on any device
+  const handleMessageRevised = ({ conversationId, message }) => {
+    if (conversationId !== username) return;
+    const m = messages.find(x => x.messageId === message.messageId);
+    if (!m) return;
+    if (message.deletedAt) {
+      Object.assign(m, { deleted: true, text: '', attachment: false, mediaUrl: undefined, reactions: undefined });
+    } else {
+      Object.assign(m, { text: message.content ?? message.text, editedAt: message.editedAt, edits: message.edits });
+    }
+    rerender();
+    attachListeners();
+  };
+
+  // Reactions from either side, on any device
+  const handleMessageReaction = ({ conversationId, message }) => {
+    if (conversationId !== username) return;
+    const m = messages.find(x => x.messageId === message.messageId);
+    if (!m) return;
+    m.reactions = message.reactions;
+    rerender();
+    attachListeners();
+  };
+
+  // Friend started or stopped typing
+  const handleTyping = ({ conversationId, groupId, active }) => {
+    if (groupId || conversationId !== username) return;
+    setFriendTyping(active);
+  };
+
   client.on('message', handleMessage);
   client.on('attachment', handleAttachment);
   client.on('sentSync', handleSentSync);
   client.on('messagesMigrated', handleMessagesMigrated);
+  client.on('deliveryState', handleDeliveryState);
+  client.on('receipt', handleReceipt);
+  client.on('typing', handleTyping);
+  client.on('messageRevised', handleMessageRevised);
+  client.on('messageReaction', handleMessageReaction);
+  document.addEventListener('visibilitychange', markVisibleRead);
 
   // Audio recording functions
   async function startAudioRecording() {
@@ -835,8 +1118,9 @@ export async function mount(container, client, router, params) {
         console.log('[Audio] mediaUrl to persist:', mediaUrl);
         console.log('[Audio] parsed.ref.contentType:', parsed?.ref?.contentType);
         if (parsed?.ref?.attachmentId) {
+          if (targetMsg) targetMsg.messageId = parsed.ref.attachmentId;
           await client.messageStore.addMessage(username, {
-            messageId: `audio_${parsed.ref.attachmentId}`,
+            messageId: parsed.ref.attachmentId,
             content: '',
             mediaUrl,
             isSent: true,
@@ -871,6 +1155,88 @@ export async function mount(container, client, router, params) {
     // Re-attach form listener after re-render
     const newForm = container.querySelector('#message-form');
     newForm.addEventListener('submit', handleSubmit);
+    container.querySelector('#message-text')?.addEventListener('input', handleInput);
+
+    // Retry undelivered messages
+    container.querySelectorAll('.retry-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        client.retryDelivery(btn.dataset.ref).catch(err => {
+          console.error('[Chat] Retry failed:', err);
+        });
+      });
+    });
+
+    // Quoted replies
+    container.querySelectorAll('.reply-msg-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const m = messages.find(x => x.messageId === btn.dataset.id);
+        if (!m) return;
+        const draft = container.querySelector('#message-text')?.value || '';
+        replyingTo = { messageId: m.messageId, snippet: m.text || '[Attachment]', fromMe: m.fromMe };
+        rerender();
+        attachListeners();
+        const input = container.querySelector('#message-text');
+        if (input) {
+          input.value = draft;
+          input.focus();
+        }
+      });
+    });
+    container.querySelector('#cancel-reply-btn')?.addEventListener('click', () => {
+      replyingTo = null;
+      rerender();
+      attachListeners();
+    });
+    container.querySelectorAll('.quote[data-reply-to]').forEach(quote => {
+      quote.addEventListener('click', () => jumpToMessage(quote.dataset.replyTo));
+    });
+
+    // Reactions: the picker sets ours, tapping our own again removes it
+    container.querySelectorAll('.react-msg-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        reactingTo = reactingTo === btn.dataset.id ? null : btn.dataset.id;
+        rerender();
+        attachListeners();
+      });
+    });
+    container.querySelectorAll('.reaction-btn[data-id], .reaction-chip').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const m = messages.find(x => x.messageId === btn.dataset.id);
+        if (!m) return;
+        reactingTo = null;
+        rerender();
+        attachListeners();
+        try {
+          await client.reactToMessage(username, m.messageId, m.myReaction === btn.dataset.emoji ? null : btn.dataset.emoji);
+        } catch (err) {
+          console.error('[Chat] Failed to react:', err);
+        }
+      });
+    });
+
+    // Edit / delete own messages
+    container.querySelectorAll('.edit-msg-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const m = messages.find(x => x.messageId === btn.dataset.id);
+        const text = prompt('Edit message', m?.text || '');
+        if (text === null || !text.trim() || text.trim() === m?.text) return;
+        try {
+          await client.editMessage(username, btn.dataset.id, text.trim());
+        } catch (err) {
+          alert('Failed to edit message: ' + err.message);
+        }
+      });
+    });
+    container.querySelectorAll('.delete-msg-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('Delete this message for everyone?')) return;
+        try {
+          await client.deleteMessageForEveryone(username, btn.dataset.id);
+        } catch (err) {
+          alert('Failed to delete message: ' + err.message);
+        }
+      });
+    });
 
     // Re-attach attachment button and file input listeners
     const newAttachBtn = container.querySelector('#attach-btn');
@@ -1010,12 +1376,21 @@ export async function mount(container, client, router, params) {
 
   // Start downloading any attachments that need loading
   downloadAttachments();
+  markVisibleRead();
 
   cleanup = () => {
     client.off('message', handleMessage);
     client.off('attachment', handleAttachment);
     client.off('sentSync', handleSentSync);
     client.off('messagesMigrated', handleMessagesMigrated);
+    client.off('deliveryState', handleDeliveryState);
+    client.off('receipt', handleReceipt);
+    client.off('typing', handleTyping);
+    client.off('messageRevised', handleMessageRevised);
+    client.off('messageReaction', handleMessageReaction);
+    document.removeEventListener('visibilitychange', markVisibleRead);
+    clearTimeout(typingTimer);
+    client.sendTyping({ username }, false);
 
     // Clean up audio recording if in progress
     if (audioRecorder) {
@@ -2,9 +2,10 @@
  * ConversationList View
  * - List friends as conversations
  * - Show last message preview (if available)
+ * - Search button → Search view
  * - Tap → Chat view
  */
-import { navigate, clearClient, getBadgeCounts, hasUnreadMessages } from '../index.js';
+import { navigate, clearClient, getBadgeCounts, countUnreadMessages, getLastRead } from '../index.js';
 import { renderNav, initNav } from '../components/Nav.js';
 import { ObscuraClient } from '../../lib/ObscuraClient.js';
 
@@ -23,7 +24,10 @@ export function render({ conversations = [], pendingRequests = 0 } = {}) {
     <div class="view conversation-list">
       <header>
         <h1>Chats</h1>
-        <a href="/friends/add" data-navigo><button variant="ghost" size="sm"><ry-icon name="plus"></ry-icon></button></a>
+        <ry-cluster>
+          <a href="/search" data-navigo><button variant="ghost" size="sm" aria-label="Search">🔍</button></a>
+          <a href="/friends/add" data-navigo><button variant="ghost" size="sm"><ry-icon name="plus"></ry-icon></button></a>
+        </ry-cluster>
       </header>
 
       ${pendingRequests > 0 ? `
@@ -61,7 +65,7 @@ export function render({ conversations = [], pendingRequests = 0 } = {}) {
                 </stack>
                 <ry-icon name="chevron-right"></ry-icon>
               </cluster>
-              ${c.unread ? `<span class="unread-dot"></span>` : ''}
+              ${c.unread ? `<span class="unread-count">${c.unread > 99 ? '99+' : c.unread}</span>` : ''}
             </card>
           `).join('')}
         </stack>
@@ -130,8 +134,8 @@ export async function mount(container, client, router) {
           }
         }
 
-        // Check for unread messages
-        const unread = await hasUnreadMessages(username);
+        // Count unread messages
+        const unread = await countUnreadMessages(username);
 
         conversations.push({
           username,
@@ -150,7 +154,17 @@ export async function mount(container, client, router) {
   // Add groups to conversations list
   if (client.group) {
     try {
-      const groups = await client.group.where({}).exec();
+      const groups = (await client.group.where({}).exec())
+        .filter(g => (g.data.members || []).includes(client.username));
+
+      // Latest message per group in one grouped query, for sorting by activity
+      const lastActivity = groups.length > 0
+        ? await client.groupMessage
+          .where({ 'data.groupId': { in: groups.map(g => g.id) } })
+          .groupBy('data.groupId')
+          .max('timestamp')
+        : new Map();
+
       for (const group of groups) {
         // Get last message for this group
         let lastMessage = null;
@@ -177,13 +191,25 @@ export async function mount(container, client, router) {
           console.warn('Failed to load group messages for', group.id, err);
         }
 
+        // Messages from others since the group was last opened
+        let unread = 0;
+        try {
+          unread = await client.groupMessage.where({
+            'data.groupId': group.id,
+            timestamp: { gt: getLastRead(group.id) },
+            authorDeviceId: { ne: client.deviceUUID },
+          }).count();
+        } catch (err) {
+          console.warn('Failed to count unread group messages for', group.id, err);
+        }
+
         conversations.push({
           username: group.data?.name || 'Unnamed Group',
           groupId: group.id,
           lastMessage,
           type: 'group',
-          timestamp: group.timestamp,
-          unread: 0
+          timestamp: lastActivity.get(group.id) || group.timestamp,
+          unread
         });
       }
     } catch (err) {
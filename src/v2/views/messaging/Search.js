@@ -0,0 +1,217 @@
+/**
+ * Search View
+ * - Full-text search over messages, group messages, stories and comments
+ * - Tap a result → its conversation or story
+ */
+import { navigate } from '../index.js';
+
+let cleanup = null;
+
+// Scope filter -> client.search() models
+const SCOPES = {
+  all: null,
+  messages: ['message'],
+  groups: ['groupMessage'],
+  stories: ['story', 'comment'],
+};
+
+const DEBOUNCE_MS = 200;
+
+export function render({ query = '', scope = 'all', results = null, searching = false, error = null } = {}) {
+  return `
+    <div class="view search">
+      <header>
+        <a href="/chats" data-navigo class="back"><ry-icon name="chevron-left"></ry-icon> Back</a>
+        <h1>Search</h1>
+      </header>
+
+      <ry-stack gap="sm">
+        <input type="search" id="search-input" placeholder="Search messages, groups and stories" value="${escapeHtml(query)}" autocomplete="off" />
+        <ry-cluster class="search-scopes">
+          ${Object.keys(SCOPES).map(s => `
+            <button variant="${s === scope ? 'primary' : 'ghost'}" size="sm" class="scope-btn" data-scope="${s}">${scopeLabel(s)}</button>
+          `).join('')}
+        </ry-cluster>
+      </ry-stack>
+
+      <div id="search-results" style="margin-top: var(--ry-space-4)">
+        ${renderResults({ query, results, searching, error })}
+      </div>
+    </div>
+  `;
+}
+
+function renderResults({ query, results, searching, error }) {
+  if (error) {
+    return `<div class="error">${escapeHtml(error)}</div>`;
+  }
+  if (searching && !results) {
+    return `<div class="loading">Searching...</div>`;
+  }
+  if (!query.trim() || !results) {
+    return `<p style="color: var(--ry-color-text-muted)">Type to search your history on this device</p>`;
+  }
+  if (results.length === 0) {
+    return `<p style="color: var(--ry-color-text-muted)">No results for "${escapeHtml(query)}"</p>`;
+  }
+
+  return `
+    <ry-stack gap="sm" class="search-results">
+      ${results.map((r, i) => `
+        <card class="search-result" data-index="${i}">
+          <ry-stack gap="none">
+            <ry-cluster>
+              <strong>${escapeHtml(r.title)}</strong>
+              <span style="color: var(--ry-color-text-muted); font-size: var(--ry-text-sm)">${formatTime(r.timestamp)}</span>
+            </ry-cluster>
+            <span style="font-size: var(--ry-text-sm)">${highlight(r.snippet, query)}</span>
+          </ry-stack>
+        </card>
+      `).join('')}
+    </ry-stack>
+  `;
+}
+
+function scopeLabel(scope) {
+  return { all: 'All', messages: 'Chats', groups: 'Groups', stories: 'Stories' }[scope];
+}
+
+function escapeHtml(text) {
+  if (!text) return '';
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function formatTime(ts) {
+  if (!ts) return '';
+  return new Date(ts).toLocaleDateString();
+}
+
+/**
+ * Escape a snippet and mark words starting with a query word
+ */
+function highlight(text, query) {
+  const escaped = escapeHtml(text);
+  const words = query.trim().split(/\s+/).filter(Boolean)
+    .map(w => escapeHtml(w).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (words.length === 0) return escaped;
+  return escaped.replace(new RegExp(`(^|[^\\p{L}\\p{N}])(${words.join('|')})`, 'giu'), '$1<mark>$2</mark>');
+}
+
+/**
+ * Title and route for a search result
+ */
+function describe(result, groupNames) {
+  switch (result.source) {
+    case 'message':
+      return {
+        title: result.message?.isSent ? `You → ${result.conversationId}` : result.conversationId,
+        path: `/messages/${result.conversationId}`,
+      };
+    case 'groupMessage':
+      return {
+        title: groupNames.get(result.conversationId) || 'Group',
+        path: `/groups/${result.conversationId}`,
+      };
+    case 'story':
+      return { title: `Story by ${result.entry?.data?.authorUsername || 'a friend'}`, path: `/stories/${result.id}` };
+    case 'comment':
+      return { title: 'Comment on a story', path: `/stories/${result.conversationId}` };
+    default:
+      return { title: result.source, path: null };
+  }
+}
+
+export async function mount(container, client, router) {
+  let query = '';
+  let scope = 'all';
+  let results = null;
+  let searching = false;
+  let error = null;
+  let timer = null;
+  let runId = 0;
+
+  const groupNames = new Map();
+  if (client.group) {
+    try {
+      for (const g of await client.group.where({}).exec()) {
+        groupNames.set(g.id, g.data?.name);
+      }
+    } catch (err) {
+      console.warn('Failed to load group names:', err);
+    }
+  }
+
+  function renderResultsOnly() {
+    const list = container.querySelector('#search-results');
+    if (!list) return;
+    list.innerHTML = renderResults({ query, results, searching, error });
+    list.querySelectorAll('.search-result').forEach(item => {
+      item.addEventListener('click', () => {
+        const path = results[item.dataset.index]?.path;
+        if (path) navigate(path);
+      });
+    });
+  }
+
+  async function runSearch() {
+    const id = ++runId;
+    if (!query.trim()) {
+      results = null;
+      renderResultsOnly();
+      return;
+    }
+
+    searching = true;
+    renderResultsOnly();
+    try {
+      const found = await client.search(query, { models: SCOPES[scope] });
+      if (id !== runId) return;  // A newer search started
+      results = found.map(r => ({ ...r, ...describe(r, groupNames) }));
+      error = null;
+    } catch (err) {
+      if (id !== runId) return;
+      error = 'Search failed: ' + err.message;
+    } finally {
+      if (id === runId) {
+        searching = false;
+        renderResultsOnly();
+      }
+    }
+  }
+
+  container.innerHTML = render({ query, scope });
+
+  const input = container.querySelector('#search-input');
+  input.addEventListener('input', () => {
+    query = input.value;
+    clearTimeout(timer);
+    timer = setTimeout(runSearch, DEBOUNCE_MS);
+  });
+  input.focus();
+
+  container.querySelectorAll('.scope-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      scope = btn.dataset.scope;
+      container.querySelectorAll('.scope-btn').forEach(b => {
+        b.setAttribute('variant', b.dataset.scope === scope ? 'primary' : 'ghost');
+      });
+      runSearch();
+    });
+  });
+
+  router.updatePageLinks();
+
+  cleanup = () => {
+    clearTimeout(timer);
+    runId++;
+  };
+}
+
+export function unmount() {
+  if (cleanup) {
+    cleanup();
+    cleanup = null;
+  }
+}
@@ -425,15 +425,37 @@ export async function mount(container, client, router) {
             contentType
           });
 
-          for (const recipientUsername of selectedFriends) {
-            await client.pix.create({
-              recipientUsername,
-              senderUsername: client.username,
-              mediaRef,
-              caption: caption || null,
-              displayDuration: duration
-            });
-          }
+          // One transaction: every recipient's pix and the matching
+          // PixRegistry update are stored, or none is
+          const sentAt = Date.now();
+          await client.transaction(async (tx) => {
+            for (const recipientUsername of selectedFriends) {
+              await tx.pix.create({
+                recipientUsername,
+                senderUsername: client.username,
+                mediaRef,
+                caption: caption || null,
+                displayDuration: duration
+              });
+
+              if (tx.pixRegistry) {
+                const regId = `pixreg_${recipientUsername}`;
+                const reg = (await tx.pixRegistry.find(regId))?.data;
+                await tx.pixRegistry.upsert(regId, {
+                  friendUsername: recipientUsername,
+                  unviewedCount: reg?.unviewedCount || 0,
+                  lastReceivedAt: reg?.lastReceivedAt || null,
+                  totalReceived: reg?.totalReceived || 0,
+                  sentPendingCount: (reg?.sentPendingCount || 0) + 1,
+                  lastSentAt: sentAt,
+                  totalSent: (reg?.totalSent || 0) + 1,
+                  streakCount: reg?.streakCount || 0,
+                  streakExpiry: reg?.streakExpiry || null,
+                  streakEarnedAt: reg?.streakEarnedAt || null
+                });
+              }
+            }
+          });
 
           // Success - go back to pix list
           navigate('/pix');
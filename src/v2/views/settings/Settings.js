@@ -2,8 +2,10 @@
  * Settings View
  * - Theme toggle
  * - Notifications toggle
+ * - Read receipts toggle
  * - Link to devices
  * - Backup & Recovery
+ * - Storage usage and media cache limit
  * - Logout
  */
 import { navigate, clearClient, getBadgeCounts } from '../index.js';
@@ -15,15 +17,57 @@ import { createClient } from '../../api/client.js';
 import { createDeviceStore } from '../../store/deviceStore.js';
 import { deriveRecoveryKeypair } from '../../crypto/signatures.js';
 import { logger } from '../../lib/logger.js';
+import { MB } from '../../lib/storageQuota.js';
 
 let cleanup = null;
 
+// Media cache limit options, in MB
+const CACHE_LIMITS = [100, 250, 500, 1024, 2048];
+
+const STORE_LABELS = {
+  messages: 'Messages',
+  attachments: 'Cached media',
+  models: 'Stories, groups & other data',
+  search: 'Search index',
+};
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * MB) return `${(bytes / (1024 * MB)).toFixed(1)} GB`;
+  if (bytes >= MB) return `${(bytes / MB).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+/**
+ * Storage breakdown from client.storage.getReport()
+ */
+function renderStorageReport(report) {
+  if (!report) {
+    return `<p class="hint">Calculating...</p>`;
+  }
+
+  const rows = Object.entries(report.stores)
+    .filter(([, usage]) => usage)
+    .map(([name, usage]) => `
+      <cluster gap="sm" style="justify-content: space-between;">
+        <span>${STORE_LABELS[name] || name}</span>
+        <span class="hint">${formatBytes(usage.bytes)}${name === 'attachments' ? ` · ${usage.count} file${usage.count === 1 ? '' : 's'}` : ''}</span>
+      </cluster>
+    `).join('');
+
+  const total = report.quota
+    ? `<p class="hint">${formatBytes(report.usage)} of ${formatBytes(report.quota)} available to this browser is in use${report.persisted ? '' : ' (may be cleared by the browser when space runs low)'}.</p>`
+    : '';
+
+  return `<stack gap="sm">${rows}${total}</stack>`;
+}
+
 export function render({ settings = null, loading = false, saving = false, isFirstDevice = false } = {}) {
   if (loading) {
     return `<div class="view settings"><div class="loading">Loading...</div></div>`;
   }
 
   const notifications = settings?.data?.notificationsEnabled ?? true;
+  const readReceipts = settings?.data?.readReceiptsEnabled ?? true;
   const webBackup = settings?.data?.webBackupEnabled ?? false;
   const lastUpload = settings?.data?.webBackupLastUpload;
 
@@ -43,6 +87,16 @@ export function render({ settings = null, loading = false, saving = false, isFir
           </card>
         </section>
 
+        <section class="settings-group">
+          <h2>Privacy</h2>
+          <card>
+            <ry-switch id="read-receipts-toggle" ${readReceipts ? 'checked' : ''} ${saving ? 'disabled' : ''}>
+              Send Read Receipts
+            </ry-switch>
+            <p class="hint">Let friends see when you've read their messages. Delivery receipts are always sent.</p>
+          </card>
+        </section>
+
         <section class="settings-group">
           <h2>Devices</h2>
           <stack gap="sm">
@@ -126,6 +180,32 @@ export function render({ settings = null, loading = false, saving = false, isFir
           </stack>
         </section>
 
+        <section class="settings-group">
+          <h2>Storage</h2>
+          <stack gap="sm">
+            <card id="storage-report">
+              ${renderStorageReport(null)}
+            </card>
+            <card>
+              <cluster gap="sm" style="justify-content: space-between; align-items: center;">
+                <span>Media cache limit</span>
+                <select id="cache-limit-select">
+                  ${CACHE_LIMITS.map(mb => `<option value="${mb}">${formatBytes(mb * MB)}</option>`).join('')}
+                </select>
+              </cluster>
+              <p class="hint">Least recently viewed media is removed from this device first. It downloads again when you open it, until it expires on the server.</p>
+            </card>
+            <card>
+              <button id="clear-media-cache" variant="ghost">
+                <cluster>
+                  <span>Clear Cached Media</span>
+                  <ry-icon name="trash"></ry-icon>
+                </cluster>
+              </button>
+            </card>
+          </stack>
+        </section>
+
         <section class="settings-group">
           <h2>Appearance</h2>
           <stack gap="sm">
@@ -244,7 +324,7 @@ export async function mount(container, client, router) {
     container.innerHTML = render({ settings, isFirstDevice });
 
     // Helper: save a partial settings update (merges with existing data)
-    const SETTINGS_DEFAULTS = { theme: 'default', mode: 'auto', notificationsEnabled: true, webBackupEnabled: false };
+    const SETTINGS_DEFAULTS = { theme: 'default', mode: 'auto', notificationsEnabled: true, readReceiptsEnabled: true, webBackupEnabled: false };
     async function saveSettings(updates) {
       if (!client.settings) return;
       if (settingsId) {
@@ -267,6 +347,16 @@ export async function mount(container, client, router) {
       }
     });
 
+    // Read receipts toggle
+    const readReceiptsToggle = container.querySelector('#read-receipts-toggle');
+    readReceiptsToggle.addEventListener('ry:change', async (e) => {
+      try {
+        await saveSettings({ readReceiptsEnabled: e.detail.value === 'true' || e.detail.value === true });
+      } catch (err) {
+        console.error('Failed to save settings:', err);
+      }
+    });
+
     // Recovery key modal elements
     const recoveryKeyModal = container.querySelector('#recovery-key-modal');
     const confirmRecoveryKeyBtn = container.querySelector('#confirm-recovery-key');
@@ -469,6 +559,55 @@ export async function mount(container, client, router) {
       });
     }
 
+    // Storage breakdown and media cache limit
+    const storageReport = container.querySelector('#storage-report');
+    const cacheLimitSelect = container.querySelector('#cache-limit-select');
+    const clearMediaBtn = container.querySelector('#clear-media-cache');
+
+    async function refreshStorage() {
+      if (!client.storage) {
+        storageReport.innerHTML = '<p class="hint">Storage details are not available</p>';
+        return;
+      }
+      try {
+        storageReport.innerHTML = renderStorageReport(await client.storage.getReport());
+      } catch (err) {
+        console.warn('Failed to load storage usage:', err);
+        storageReport.innerHTML = '<p class="hint">Failed to load storage usage</p>';
+      }
+    }
+
+    if (client.storage) {
+      const limitMB = Math.round(client.storage.limits.attachmentCacheBytes / MB);
+      if (!CACHE_LIMITS.includes(limitMB)) {
+        cacheLimitSelect.insertAdjacentHTML('beforeend', `<option value="${limitMB}">${formatBytes(limitMB * MB)}</option>`);
+      }
+      cacheLimitSelect.value = String(limitMB);
+      cacheLimitSelect.addEventListener('change', async () => {
+        try {
+          await client.storage.setLimits({ attachmentCacheBytes: Number(cacheLimitSelect.value) * MB });
+        } catch (err) {
+          console.error('Failed to apply cache limit:', err);
+        }
+        refreshStorage();
+      });
+
+      clearMediaBtn.addEventListener('click', async () => {
+        clearMediaBtn.disabled = true;
+        try {
+          await client.storage.clearAttachmentCache();
+        } catch (err) {
+          console.error('Failed to clear media cache:', err);
+        }
+        clearMediaBtn.disabled = false;
+        refreshStorage();
+      });
+    } else {
+      cacheLimitSelect.disabled = true;
+      clearMediaBtn.disabled = true;
+    }
+    refreshStorage();
+
     // Request sync button
     const requestSyncBtn = container.querySelector('#request-sync');
     requestSyncBtn.addEventListener('click', async () => {
@@ -634,6 +773,8 @@ export async function mount(container, client, router) {
         if (client._deviceStore?.close) client._deviceStore.close();
         if (client.messageStore?.close) client.messageStore.close();
         if (client._attachmentStore?.close) client._attachmentStore.close();
+        if (client._outboxStore?.close) client._outboxStore.close();
+        if (client.searchIndex?.close) client.searchIndex.close();
 
         // 3. Delete all user databases (now unblocked)
         await unlinkDevice(client.username, client.userId);
@@ -33,6 +33,7 @@ export function render({ story = null, loading = false, error = null, myDeviceId
         <ry-cluster>
           <strong>${story.authorName || 'Unknown'}</strong>
           <span style="color: var(--ry-color-text-muted)">${formatTime(story.timestamp)}</span>
+          ${story.canDelete ? `<button variant="ghost" size="sm" id="delete-story-btn">Delete</button>` : ''}
         </ry-cluster>
 
         <p style="margin: var(--ry-space-3) 0">${escapeHtml(story.data.content)}</p>
@@ -145,6 +146,15 @@ function resolveAuthorName(storyOrDeviceId, client, profileMap = new Map()) {
   return authorDeviceId?.slice(0, 8) || 'Unknown';
 }
 
+/**
+ * Check if an entry was authored by this user (this device or a linked one)
+ * Only the author can retract stories and comments
+ */
+function isOwnEntry(entry, client) {
+  if (entry.authorDeviceId === client.deviceUUID) return true;
+  return client.devices.getAll().some(d => d.deviceUUID === entry.authorDeviceId);
+}
+
 /**
  * Parse mediaUrl - could be a direct URL or a JSON attachment reference
  */
@@ -231,7 +241,11 @@ function renderComments(comments, depth = 0) {
           <span style="color: var(--ry-color-text-muted); font-size: var(--ry-text-sm)">${formatTime(c.timestamp)}</span>
         </ry-cluster>
         <p style="margin: var(--ry-space-2) 0">${escapeHtml(c.data?.text)}</p>
-        <button variant="ghost" size="sm" class="reply-btn" data-comment-id="${c.id}">Reply</button>
+        <ry-cluster>
+          ${formatReactionGroups(c.reactions || [])}
+          <button variant="ghost" size="sm" class="reply-btn" data-comment-id="${c.id}">Reply</button>
+          ${c.canDelete ? `<button variant="ghost" size="sm" class="delete-comment-btn" data-comment-id="${c.id}">Delete</button>` : ''}
+        </ry-cluster>
         <div class="reply-form hidden" data-for="${c.id}">
           <ry-cluster style="margin-top: 8px">
             <input type="text" class="reply-input" placeholder="Write a reply..." style="flex: 1" />
@@ -255,7 +269,11 @@ export async function mount(container, client, router, params) {
       throw new Error('Story model not defined');
     }
 
-    const story = await client.story.find(storyId);
+    // Story, its comments (with their reactions) and reactions in one query
+    const story = await client.story
+      .where({ id: storyId })
+      .include({ comment: ['reaction'], reaction: {} })
+      .first();
 
     if (!story) {
       container.innerHTML = render({ error: 'Story not found' });
@@ -273,15 +291,12 @@ export async function mount(container, client, router, params) {
       }
     }
 
-    // Load comments and reactions
-    if (client.comment) {
-      const comments = await client.comment.where({
-        'data.storyId': storyId
-      }).exec();
+    if (story.comments) {
       // Resolve comment author names and build tree structure
-      const commentsWithNames = comments.map(c => ({
+      const commentsWithNames = story.comments.map(c => ({
         ...c,
         authorName: resolveAuthorName(c.authorDeviceId, client, profileMap),
+        canDelete: isOwnEntry(c, client),
         replies: [],
       }));
       // Build tree: assign replies to their parent comments
@@ -297,10 +312,8 @@ export async function mount(container, client, router, params) {
       story.comments = topLevel;
     }
 
-    if (client.reaction) {
-      const reactions = await client.reaction.where({
-        'data.storyId': storyId
-      }).exec();
+    if (story.reactions) {
+      const reactions = story.reactions;
 
       // Clean up duplicate reactions: keep only the latest per user
       const byUser = new Map();
@@ -320,12 +333,11 @@ export async function mount(container, client, router, params) {
       if (duplicates.length > 0) {
         Promise.all(duplicates.map(d => client.reaction.delete(d.id).catch(() => {})));
       }
-
-      story.reactions = reactions;
     }
 
     // Resolve story author name and check for media
     story.authorName = resolveAuthorName(story, client, profileMap);
+    story.canDelete = isOwnEntry(story, client);
     story.hasMedia = !!parseMediaUrl(story.data?.mediaUrl);
     story.mediaBlobUrl = null;
     story.mediaLoading = story.hasMedia; // Start loading if has media
@@ -347,6 +359,33 @@ export async function mount(container, client, router, params) {
         });
       }
 
+      // Delete (retract) own story
+      const deleteStoryBtn = container.querySelector('#delete-story-btn');
+      if (deleteStoryBtn) {
+        deleteStoryBtn.addEventListener('click', async () => {
+          if (!confirm('Delete this story for everyone?')) return;
+          try {
+            await client.story.delete(storyId);
+            navigate('/stories');
+          } catch (err) {
+            alert('Failed to delete story: ' + err.message);
+          }
+        });
+      }
+
+      // Delete (retract) own comments
+      container.querySelectorAll('.delete-comment-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          if (!confirm('Delete this comment for everyone?')) return;
+          try {
+            await client.comment.delete(btn.dataset.commentId);
+            mount(container, client, router, params);
+          } catch (err) {
+            alert('Failed to delete comment: ' + err.message);
+          }
+        });
+      });
+
       // Comment form
       const commentForm = container.querySelector('#comment-form');
       if (commentForm) {
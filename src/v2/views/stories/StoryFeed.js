@@ -1,7 +1,7 @@
 /**
  * StoryFeed View
  * - List stories from friends (ephemeral, 24h)
- * - Batch load comments + reactions
+ * - Comment and reaction counts via grouped aggregates
  */
 import { navigate, clearClient, getBadgeCounts } from '../index.js';
 import { renderNav, initNav } from '../components/Nav.js';
@@ -9,7 +9,11 @@ import { ObscuraClient } from '../../lib/ObscuraClient.js';
 
 let cleanup = null;
 
-export function render({ stories = [], loading = false } = {}) {
+// Stories per page for infinite scroll
+const PAGE_SIZE = 20;
+const STORY_TTL_MS = 24 * 60 * 60 * 1000;
+
+export function render({ stories = [], loading = false, hasMore = false } = {}) {
   return `
     <div class="view story-feed">
       <header>
@@ -48,12 +52,13 @@ export function render({ stories = [], loading = false } = {}) {
                 </div>
               ` : ''}
               <actions>
-                <button variant="ghost" size="sm" class="story-action-btn" data-story-id="${s.id}">${formatReactions(s.reactions || []) || '❤️ 0'}</button>
-                <button variant="ghost" size="sm" class="story-action-btn" data-story-id="${s.id}">💬 ${(s.comments || []).length}</button>
+                <button variant="ghost" size="sm" class="story-action-btn" data-story-id="${s.id}">${formatReactions(s.reactionCounts) || '❤️ 0'}</button>
+                <button variant="ghost" size="sm" class="story-action-btn" data-story-id="${s.id}">💬 ${s.commentCount || 0}</button>
               </actions>
             </card>
           `).join('')}
         </stack>
+        ${hasMore ? `<div id="load-more" class="loading">Loading more stories...</div>` : ''}
       `}
 
       <a href="/stories/new" data-navigo class="fab">+</a>
@@ -82,25 +87,13 @@ function formatTimeAgo(ts) {
   return 'yesterday';
 }
 
-function formatReactions(reactions) {
-  if (!reactions.length) return '';
-  // Dedupe: keep only the latest reaction per user
-  const byUser = new Map();
-  reactions.forEach(r => {
-    if (r.data?._deleted) return;
-    const existing = byUser.get(r.authorDeviceId);
-    if (!existing || r.timestamp > existing.timestamp) {
-      byUser.set(r.authorDeviceId, r);
-    }
-  });
-
-  const counts = {};
-  for (const r of byUser.values()) {
-    const emoji = r.data?.emoji || '❤️';
-    counts[emoji] = (counts[emoji] || 0) + 1;
-  }
-  return Object.entries(counts)
-    .map(([emoji, count]) => `${emoji} ${count}`)
+/**
+ * @param {Map<string|null, number>} [counts] - emoji -> number of people
+ */
+function formatReactions(counts) {
+  if (!counts?.size) return '';
+  return [...counts]
+    .map(([emoji, count]) => `${emoji || '❤️'} ${count}`)
     .join(' ');
 }
 
@@ -207,13 +200,123 @@ function resolveAuthorName(story, client, profileMap = new Map()) {
 export async function mount(container, client, router) {
   container.innerHTML = render({ loading: true });
 
-  try {
-    // Check if schema is defined
-    if (!client.story) {
-      container.innerHTML = `<div class="error">Story model not defined. Call client.schema() first.</div>`;
-      return;
+  // Check if schema is defined
+  if (!client.story) {
+    container.innerHTML = `<div class="error">Story model not defined. Call client.schema() first.</div>`;
+    return;
+  }
+
+  // Stories currently on screen (kept across live updates to reuse loaded media)
+  let displayStories = [];
+
+  // Live results for the newest page onwards, older pages loaded on scroll
+  let liveStories = [];
+  let olderStories = [];
+  let olderCursor = null;
+  let loadingOlder = false;
+  let loadMoreObserver = null;
+
+  const rerender = () => {
+    container.innerHTML = render({ stories: displayStories, hasMore: !!olderCursor });
+    attachEventHandlers();
+  };
+
+  /**
+   * Older stories past a 24h-old one are expired, so stop paging there
+   * @param {object} page - Result of page()
+   * @returns {string|null}
+   */
+  const nextOlderCursor = (page) => {
+    const oldest = page.items[page.items.length - 1];
+    if (!oldest || (Date.now() - oldest.timestamp) >= STORY_TTL_MS) return null;
+    return page.nextCursor;
+  };
+
+  const loadOlderStories = async () => {
+    if (!olderCursor || loadingOlder) return;
+    loadingOlder = true;
+    try {
+      const older = await client.story.where({})
+        .orderBy('timestamp', 'desc')
+        .after(olderCursor)
+        .limit(PAGE_SIZE)
+        .page();
+      olderStories = [...olderStories, ...older.items];
+      olderCursor = nextOlderCursor(older);
+      await showStories();
+    } catch (err) {
+      console.error('Failed to load older stories:', err);
+    } finally {
+      loadingOlder = false;
+    }
+  };
+
+  const attachEventHandlers = () => {
+    // Infinite scroll: load the next page when the sentinel comes into view
+    if (loadMoreObserver) loadMoreObserver.disconnect();
+    const sentinel = container.querySelector('#load-more');
+    if (sentinel) {
+      loadMoreObserver = new IntersectionObserver((observed) => {
+        if (observed.some(o => o.isIntersecting)) loadOlderStories();
+      });
+      loadMoreObserver.observe(sentinel);
     }
 
+    // Click handlers for story cards
+    container.querySelectorAll('.story-card').forEach(card => {
+      card.addEventListener('click', (e) => {
+        // Don't navigate if clicking a button
+        if (e.target.closest('.load-media-btn') || e.target.closest('button')) return;
+        navigate(`/stories/${card.dataset.id}`);
+      });
+    });
+
+    // Reaction/comment button handlers - navigate to story detail
+    container.querySelectorAll('.story-action-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        navigate(`/stories/${btn.dataset.storyId}`);
+      });
+    });
+
+    // Load media buttons
+    container.querySelectorAll('.load-media-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const storyId = btn.dataset.storyId;
+        const story = displayStories.find(s => s.id === storyId);
+        if (!story) return;
+
+        // Mark as loading
+        story.mediaLoading = true;
+        rerender();
+
+        // Download and decrypt
+        const blobUrl = await loadMediaForStory(story, client);
+        story.mediaLoading = false;
+        story.mediaBlobUrl = blobUrl;
+        rerender();
+      });
+    });
+
+    // Init nav
+    initNav(container, () => {
+      client.disconnect();
+      ObscuraClient.clearSession();
+      clearClient();
+      navigate('/login');
+    });
+
+    router.updatePageLinks();
+  };
+
+  /**
+   * Build the feed from live + older story results and render it
+   */
+  const showStories = async () => {
+    const liveIds = new Set(liveStories.map(s => s.id));
+    const allStories = [...liveStories, ...olderStories.filter(s => !liveIds.has(s.id))];
+
     // Get all known usernames (own username + friend usernames)
     const knownUsernames = new Set([client.username]);
 
@@ -224,11 +327,6 @@ export async function mount(container, client, router) {
       }
     }
 
-    // Query all stories then filter to known usernames/devices and non-expired (24h TTL)
-    const allStories = await client.story.where({})
-      .orderBy('timestamp', 'desc')
-      .exec();
-
     // Build set of known device IDs (own devices + friend devices)
     const knownDeviceIds = new Set([client.deviceUUID]);
     if (client.devices) {
@@ -248,21 +346,36 @@ export async function mount(container, client, router) {
       }
     }
 
+    // Filter to known usernames/devices and non-expired (24h TTL)
     const now = Date.now();
-    const ttl24h = 24 * 60 * 60 * 1000;
     const stories = allStories
       .filter(s => {
         // Filter by authorUsername OR authorDeviceId (fallback for legacy/test data)
         return knownUsernames.has(s.data?.authorUsername) || knownDeviceIds.has(s.authorDeviceId);
       })
-      .filter(s => (now - s.timestamp) < ttl24h);
-
-    // Batch load comments and reactions
-    if (client.comment) {
-      await client.comment.loadInto(stories, 'storyId');
+      .filter(s => (now - s.timestamp) < STORY_TTL_MS)
+      .map(s => ({ ...s }));
+
+    // Comment counts and reaction counts per emoji, one query each
+    const storyIds = stories.map(s => s.id);
+    if (client.comment && storyIds.length > 0) {
+      const commentCounts = await client.comment
+        .where({ 'data.storyId': { in: storyIds } })
+        .groupBy('data.storyId')
+        .count();
+      for (const s of stories) {
+        s.commentCount = commentCounts.get(s.id) || 0;
+      }
     }
-    if (client.reaction) {
-      await client.reaction.loadInto(stories, 'storyId');
+    if (client.reaction && storyIds.length > 0) {
+      // Each person counts once per emoji
+      const reactionCounts = await client.reaction
+        .where({ 'data.storyId': { in: storyIds }, 'data._deleted': { ne: true } })
+        .groupBy('data.storyId', 'data.emoji')
+        .countDistinct('authorDeviceId');
+      for (const s of stories) {
+        s.reactionCounts = reactionCounts.get(s.id) || new Map();
+      }
     }
 
     // Load profiles to get displayNames
@@ -279,82 +392,22 @@ export async function mount(container, client, router) {
     // Resolve author names and check for media
     // NOTE: Don't use sessionStorage for blob URLs - they become invalid after page refresh
     // The attachmentStore caches actual bytes, so download() will be a cache hit
-    const storiesWithNames = stories.map(s => ({
+    const previous = new Map(displayStories.map(s => [s.id, s]));
+    displayStories = stories.map(s => ({
       ...s,
       authorName: resolveAuthorName(s, client, profileMap),
       hasMedia: !!parseMediaUrl(s.data?.mediaUrl),
-      mediaBlobUrl: null,
-      mediaLoading: false,
+      mediaBlobUrl: previous.get(s.id)?.mediaBlobUrl || null,
+      mediaLoading: previous.get(s.id)?.mediaLoading || false,
     }));
 
-    // Store stories for later reference (for loading media)
-    let displayStories = storiesWithNames;
-
-    const rerender = () => {
-      container.innerHTML = render({ stories: displayStories });
-      attachEventHandlers();
-    };
-
     // Auto-download media for stories that need it
-    const storiesNeedingMedia = displayStories.filter(s => s.hasMedia && !s.mediaBlobUrl);
-    if (storiesNeedingMedia.length > 0) {
-      // Mark as loading
-      storiesNeedingMedia.forEach(s => s.mediaLoading = true);
-    }
+    const storiesNeedingMedia = displayStories.filter(s => s.hasMedia && !s.mediaBlobUrl && !s.mediaLoading);
+    storiesNeedingMedia.forEach(s => s.mediaLoading = true);
 
-    const attachEventHandlers = () => {
-      // Click handlers for story cards
-      container.querySelectorAll('.story-card').forEach(card => {
-        card.addEventListener('click', (e) => {
-          // Don't navigate if clicking a button
-          if (e.target.closest('.load-media-btn') || e.target.closest('button')) return;
-          navigate(`/stories/${card.dataset.id}`);
-        });
-      });
-
-      // Reaction/comment button handlers - navigate to story detail
-      container.querySelectorAll('.story-action-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          navigate(`/stories/${btn.dataset.storyId}`);
-        });
-      });
-
-      // Load media buttons
-      container.querySelectorAll('.load-media-btn').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-          e.stopPropagation();
-          const storyId = btn.dataset.storyId;
-          const story = displayStories.find(s => s.id === storyId);
-          if (!story) return;
-
-          // Mark as loading
-          story.mediaLoading = true;
-          rerender();
-
-          // Download and decrypt
-          const blobUrl = await loadMediaForStory(story, client);
-          story.mediaLoading = false;
-          story.mediaBlobUrl = blobUrl;
-          rerender();
-        });
-      });
-
-      // Init nav
-      initNav(container, () => {
-        client.disconnect();
-        ObscuraClient.clearSession();
-        clearClient();
-        navigate('/login');
-      });
+    rerender();
 
-      router.updatePageLinks();
-    };
-
-    container.innerHTML = render({ stories: displayStories });
-    attachEventHandlers();
-
-    // Auto-download media in background after initial render
+    // Auto-download media in background after render
     if (storiesNeedingMedia.length > 0) {
       // Download all in parallel
       await Promise.all(storiesNeedingMedia.map(async (s) => {
@@ -365,23 +418,36 @@ export async function mount(container, client, router) {
       // Re-render with loaded media
       rerender();
     }
+  };
+
+  // Newest page first; the live query covers it and anything newer
+  let unsubscribe = () => {};
+  try {
+    const latest = await client.story.where({})
+      .orderBy('timestamp', 'desc')
+      .limit(PAGE_SIZE)
+      .page();
+    olderCursor = nextOlderCursor(latest);
+    const liveSince = latest.items.length > 0 ? latest.items[latest.items.length - 1].timestamp : 0;
 
+    // Live query: re-renders on new, synced or retracted stories
+    unsubscribe = client.story.where({ timestamp: { gte: liveSince } })
+      .orderBy('timestamp', 'desc')
+      .subscribe(async (entries) => {
+        liveStories = entries;
+        try {
+          await showStories();
+        } catch (err) {
+          container.innerHTML = `<div class="error">Failed to load stories: ${err.message}</div>`;
+        }
+      });
   } catch (err) {
     container.innerHTML = `<div class="error">Failed to load stories: ${err.message}</div>`;
   }
 
-  // Listen for new stories
-  const handleSync = async (sync) => {
-    if (sync.model === 'story') {
-      // Refresh feed
-      mount(container, client, router);
-    }
-  };
-
-  client.on('modelSync', handleSync);
-
   cleanup = () => {
-    client.off('modelSync', handleSync);
+    unsubscribe();
+    if (loadMoreObserver) loadMoreObserver.disconnect();
   };
 }
 
@@ -0,0 +1,29 @@
+// Fixtures for CRDT unit tests: an in-memory stand-in for ModelStore and
+// unsigned entries for a single ID
+
+/**
+ * In-memory ModelStore with just what the CRDTs use
+ * @returns {{getAll: Function, put: Function}}
+ */
+export function memoryStore() {
+  const records = new Map();
+  return {
+    getAll: async () => Array.from(records.values()),
+    put: async (_modelName, entry) => { records.set(entry.id, entry); },
+  };
+}
+
+/**
+ * Entry factory for one ID
+ * @param {string} id
+ * @returns {Function} (data, timestamp, authorDeviceId = 'devA') => entry
+ */
+export function entryFor(id) {
+  return (data, timestamp, authorDeviceId = 'devA') => ({
+    id,
+    data,
+    timestamp,
+    authorDeviceId,
+    signature: new Uint8Array(0),
+  });
+}
@@ -0,0 +1,69 @@
+// In-process ObscuraClients for unit tests of direct messaging features:
+// the real client with its in-memory message history, and the messenger's
+// sends replaced by a queue that tests deliver by hand
+import './setup.js'; // Must be first - polyfills IndexedDB, crypto, etc.
+
+import { ObscuraClient } from '../../src/v2/lib/ObscuraClient.js';
+
+let counter = 0;
+
+/**
+ * Create a client with no server connection
+ * @param {string} username
+ * @returns {ObscuraClient} With client.outbox and client.events
+ */
+export function createMessagingClient(username) {
+  const id = `${username}_${Date.now()}_${++counter}`;
+  const client = new ObscuraClient({
+    apiUrl: 'https://obscura.test',
+    username,
+    deviceId: `device_${id}`,
+    deviceUUID: `uuid_${id}`,
+  });
+
+  client.outbox = [];  // { targetDeviceId, message, opts }
+  client.events = [];
+  client.messenger.queueMessage = async (targetDeviceId, message, _userId, opts = {}) => {
+    client.outbox.push({ targetDeviceId, message, opts });
+  };
+  client.messenger.flushMessages = async () => ({ sent: 0, failed: 0 });
+
+  const emit = client._emit.bind(client);
+  client._emit = (event, data) => {
+    client.events.push({ event, data });
+    emit(event, data);
+  };
+  return client;
+}
+
+/**
+ * Make two clients friends (both directions)
+ */
+export function befriendClients(a, b) {
+  a.friends.store(b.username, [{ deviceId: b.deviceId, deviceUUID: b.deviceUUID }]);
+  b.friends.store(a.username, [{ deviceId: a.deviceId, deviceUUID: a.deviceUUID }]);
+}
+
+/**
+ * Route (and clear) what `from` queued for `to`
+ * @returns {Promise<Array>} The delivered messages
+ */
+export async function deliverMessages(from, to) {
+  const queued = from.outbox.filter(m => m.targetDeviceId === to.deviceId);
+  from.outbox = from.outbox.filter(m => m.targetDeviceId !== to.deviceId);
+
+  for (const { message } of queued) {
+    await to._routeMessage({ ...message, sourceUserId: from.deviceId });
+  }
+  return queued.map(m => m.message);
+}
+
+/**
+ * Events of one kind a client emitted
+ * @param {ObscuraClient} client
+ * @param {string} event
+ * @returns {Array}
+ */
+export function eventsOf(client, event) {
+  return client.events.filter(e => e.event === event).map(e => e.data);
+}
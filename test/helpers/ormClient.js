@@ -0,0 +1,90 @@
+// In-process ORM clients for unit tests: real models, CRDTs, signatures and
+// IndexedDB (fake-indexeddb), with the messenger replaced by a queue that
+// tests deliver by hand
+import './setup.js'; // Must be first - polyfills IndexedDB, crypto, etc.
+
+import { createSchema } from '../../src/v2/orm/index.js';
+import { generateP2PIdentity } from '../../src/v2/crypto/ed25519.js';
+
+let counter = 0;
+
+/**
+ * Create a client with the given model schema
+ * @param {string} username
+ * @param {object} definitions - Schema, e.g. { story: Story.toConfig() }
+ * @returns {Promise<object>} Client with client.<model>, client.outbox and client.friendList
+ */
+export async function createOrmClient(username, definitions) {
+  const id = `${username}_${Date.now()}_${++counter}`;
+  const identity = await generateP2PIdentity();
+
+  const client = {
+    username,
+    userId: `user_${id}`,
+    deviceId: `device_${id}`,
+    deviceUUID: `uuid_${id}`,
+    identity,
+    friendList: [],
+    outbox: [],  // { targetDeviceId, message }
+    events: [],
+    store: {
+      getIdentityKeyPair: async () => ({ pubKey: identity.publicKey, privKey: identity.privateKey }),
+    },
+    devices: {
+      getAll: () => [],
+      getSelfSyncTargets: () => [],
+    },
+    friends: {
+      getAll: () => client.friendList,
+      getFanOutTargets(friendUsername) {
+        const friend = client.friendList.find(f => f.username === friendUsername);
+        if (!friend) throw new Error(`Not a friend: ${friendUsername}`);
+        return friend.devices.map(d => d.deviceId);
+      },
+    },
+    messenger: {
+      _deviceMap: new Map(),
+      outbox: null,
+      async queueMessage(targetDeviceId, message) {
+        client.outbox.push({ targetDeviceId, message });
+      },
+      async flushMessages() {
+        return { sent: 0, failed: 0 };
+      },
+    },
+    _emit(event, data) {
+      client.events.push({ event, data });
+    },
+  };
+
+  await createSchema(client, definitions);
+  return client;
+}
+
+/**
+ * Make two clients friends (both directions)
+ */
+export function befriend(a, b) {
+  const device = (c) => ({ deviceId: c.deviceId, deviceUUID: c.deviceUUID, signalIdentityKey: c.identity.publicKey });
+  a.friendList.push({ username: b.username, devices: [device(b)] });
+  b.friendList.push({ username: a.username, devices: [device(a)] });
+}
+
+/**
+ * Deliver (and clear) what `from` queued for `to`
+ * @returns {Promise<Array>} Results of handling each message
+ */
+export async function deliver(from, to) {
+  const messages = from.outbox.filter(m => m.targetDeviceId === to.deviceId);
+  from.outbox = from.outbox.filter(m => m.targetDeviceId !== to.deviceId);
+
+  const results = [];
+  for (const { message } of messages) {
+    if (message.type === 'MODEL_SYNC_BATCH') {
+      results.push(await to._ormSyncManager.handleBatch(message.modelSyncs, from.deviceId));
+    } else {
+      results.push(await to._ormSyncManager.handleIncoming(message.modelSync, from.deviceId));
+    }
+  }
+  return results;
+}
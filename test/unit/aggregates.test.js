@@ -0,0 +1,137 @@
+// Unit test: QueryBuilder aggregates and groupBy
+// Run with: npm run test:unit
+
+import { createOrmClient } from '../helpers/ormClient.js';
+import { ModelStore } from '../../src/v2/orm/storage/ModelStore.js';
+
+const schema = () => ({
+  score: {
+    fields: { groupId: 'string?', player: 'string', points: 'number?' },
+    sync: 'g-set',
+    collectable: false,
+    indexes: ['groupId', ['groupId', 'points']],
+  },
+});
+
+describe('QueryBuilder aggregates', () => {
+  let alice;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    await alice.score.create({ groupId: 'g1', player: 'ann', points: 3 });
+    await alice.score.create({ groupId: 'g1', player: 'ann', points: 7 });
+    await alice.score.create({ groupId: 'g1', player: 'ben', points: 5 });
+    await alice.score.create({ groupId: 'g2', player: 'ben', points: 10 });
+  });
+
+  test('count() matches the entries exec() returns', async () => {
+    expect(await alice.score.where({}).count()).toBe(4);
+    expect(await alice.score.where({ 'data.groupId': 'g1' }).count()).toBe(3);
+    expect(await alice.score.where({ 'data.groupId': 'g1', 'data.player': 'ben' }).count()).toBe(1);
+    expect(await alice.score.where({ 'data.groupId': 'g3' }).count()).toBe(0);
+  });
+
+  test('count() reads an index that covers every condition', async () => {
+    const countIndex = ModelStore.prototype.countIndex;
+    let indexCounts = 0;
+    ModelStore.prototype.countIndex = function (...args) {
+      indexCounts++;
+      return countIndex.apply(this, args);
+    };
+    try {
+      expect(await alice.score.where({ 'data.groupId': 'g1', 'data.points': { gte: 5 } }).count()).toBe(2);
+      expect(indexCounts).toBe(1);
+
+      // player isn't indexed, so the entries are scanned
+      expect(await alice.score.where({ 'data.groupId': 'g1', 'data.player': 'ann' }).count()).toBe(2);
+      expect(indexCounts).toBe(1);
+    } finally {
+      ModelStore.prototype.countIndex = countIndex;
+    }
+  });
+
+  test('count() leaves out retracted entries', async () => {
+    const extra = await alice.score.create({ groupId: 'g1', player: 'cat', points: 1 });
+    await alice.score.delete(extra.id);
+
+    expect(await alice.score.where({}).count()).toBe(4);
+    expect(await alice.score.where({ 'data.groupId': 'g1' }).count()).toBe(3);
+  });
+
+  test('sum() skips entries without a number', async () => {
+    await alice.score.create({ groupId: 'g1', player: 'cat' });
+
+    expect(await alice.score.where({ 'data.groupId': 'g1' }).sum('data.points')).toBe(15);
+    expect(await alice.score.where({ 'data.groupId': 'g3' }).sum('data.points')).toBe(0);
+  });
+
+  test('min() and max() agree between the index and a scan', async () => {
+    const g1 = () => alice.score.where({ 'data.groupId': 'g1' });
+
+    expect(await g1().min('data.points')).toBe(3);
+    expect(await g1().max('data.points')).toBe(7);
+    expect(await g1().min('data.player')).toBe('ann');
+    expect(await g1().max('data.player')).toBe('ben');
+    expect(await alice.score.where({ 'data.groupId': 'g3' }).max('data.points')).toBeNull();
+  });
+
+  test('min() and max() ignore entries missing the field', async () => {
+    await alice.score.create({ groupId: 'g1', player: 'cat' });
+
+    expect(await alice.score.where({ 'data.groupId': 'g1' }).min('data.points')).toBe(3);
+    expect(await alice.score.where({ 'data.groupId': 'g1' }).max('data.points')).toBe(7);
+  });
+
+  test('countDistinct() counts each value once', async () => {
+    expect(await alice.score.where({}).countDistinct('data.player')).toBe(2);
+    expect(await alice.score.where({ 'data.groupId': 'g2' }).countDistinct('data.player')).toBe(1);
+  });
+
+  test('limit() applies before the aggregate', async () => {
+    const query = alice.score.where({ 'data.groupId': 'g1' }).orderBy('data.points', 'desc').limit(2);
+
+    expect(await query.count()).toBe(2);
+    expect(await query.sum('data.points')).toBe(12);
+  });
+
+  test('aggregate() computes several results in one pass', async () => {
+    const result = await alice.score.where({ 'data.groupId': 'g1' }).aggregate({
+      total: 'count',
+      points: { sum: 'data.points' },
+      players: { countDistinct: 'data.player' },
+      best: { max: 'data.points' },
+    });
+
+    expect(result).toEqual({ total: 3, points: 15, players: 2, best: 7 });
+  });
+
+  test('aggregate() rejects unknown operations and missing fields', async () => {
+    await expect(alice.score.where({}).aggregate({ x: 'average' })).rejects.toThrow('Unknown aggregate');
+    await expect(alice.score.where({}).aggregate({ x: { sum: 5 } })).rejects.toThrow('needs a field');
+  });
+
+  test('groupBy() returns a Map per group', async () => {
+    const counts = await alice.score.where({}).groupBy('data.groupId').count();
+    expect(counts).toEqual(new Map([['g1', 3], ['g2', 1]]));
+
+    const totals = await alice.score.where({}).groupBy('data.groupId').aggregate({ n: 'count', points: { sum: 'data.points' } });
+    expect(totals.get('g1')).toEqual({ n: 3, points: 15 });
+    expect(totals.get('g2')).toEqual({ n: 1, points: 10 });
+  });
+
+  test('groupBy() with several fields nests the Maps', async () => {
+    const best = await alice.score.where({}).groupBy('data.groupId', 'data.player').max('data.points');
+
+    expect(best).toEqual(new Map([
+      ['g1', new Map([['ann', 7], ['ben', 5]])],
+      ['g2', new Map([['ben', 10]])],
+    ]));
+  });
+
+  test('Entries missing a groupBy field are grouped under null', async () => {
+    await alice.score.create({ player: 'cat', points: 1 });
+
+    const counts = await alice.score.where({}).groupBy('data.groupId').count();
+    expect(counts.get(null)).toBe(1);
+  });
+});
@@ -0,0 +1,84 @@
+// Unit test: transactions and MODEL_SYNC_BATCH apply all or nothing
+// Run with: npm run test:unit
+
+import { createOrmClient, befriend, deliver } from '../helpers/ormClient.js';
+import { Profile } from '../../src/v2/models/Profile.js';
+
+const schema = () => ({
+  profile: Profile.toConfig(),
+  note: { fields: { text: 'string' }, sync: 'g-set', collectable: false },
+});
+
+describe('Transactions', () => {
+  let alice;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+  });
+
+  test('Staged writes are only visible inside the transaction until commit', async () => {
+    let inside, outside;
+    await alice._ormSyncManager.transaction(async (tx) => {
+      await tx.note.create({ text: 'staged' });
+      inside = await tx.note.all();
+      outside = await alice.note.all();
+    });
+
+    expect(inside).toHaveLength(1);
+    expect(outside).toHaveLength(0);
+    expect(await alice.note.all()).toHaveLength(1);
+  });
+
+  test('A failed transaction leaves no trace', async () => {
+    await expect(alice._ormSyncManager.transaction(async (tx) => {
+      await tx.note.create({ text: 'never' });
+      await tx.profile.upsert('profile_alice', { displayName: 'Alice' });
+      throw new Error('abort');
+    })).rejects.toThrow('abort');
+
+    expect(await alice.note.all()).toHaveLength(0);
+    expect(await alice.profile.find('profile_alice')).toBeNull();
+    expect(await alice._ormSyncManager.store.getAll('note')).toHaveLength(0);
+  });
+});
+
+describe('MODEL_SYNC_BATCH', () => {
+  let alice, bob, eve;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    bob = await createOrmClient('bob', schema());
+    eve = await createOrmClient('eve', schema());
+    befriend(alice, bob);
+    befriend(bob, eve);
+  });
+
+  test('A batch is applied as a whole', async () => {
+    await alice._ormSyncManager.transaction(async (tx) => {
+      await tx.note.create({ text: 'one' });
+      await tx.profile.upsert('profile_alice', { displayName: 'Alice' });
+    });
+    const [applied] = await deliver(alice, bob);
+
+    expect(applied).toHaveLength(2);
+    expect(await bob.note.all()).toHaveLength(1);
+    expect((await bob.profile.find('profile_alice')).data.displayName).toBe('Alice');
+  });
+
+  test('One rejected entry rejects the whole batch', async () => {
+    await alice.profile.upsert('profile_alice', { displayName: 'Alice' });
+    await deliver(alice, bob);
+
+    // eve may post notes but not overwrite alice's profile ('author' policy)
+    await eve._ormSyncManager.transaction(async (tx) => {
+      await tx.note.create({ text: 'from eve' });
+      await tx.profile.upsert('profile_alice', { displayName: 'Not Alice' });
+    });
+    const [applied] = await deliver(eve, bob);
+
+    expect(applied).toEqual([]);
+    expect(await bob.note.all()).toHaveLength(0);
+    expect(await bob._ormSyncManager.store.getAll('note')).toHaveLength(0);
+    expect((await bob.profile.find('profile_alice')).data.displayName).toBe('Alice');
+  });
+});
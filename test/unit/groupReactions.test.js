@@ -0,0 +1,73 @@
+// Unit test: reactions to group messages
+// Run with: npm run test:unit
+
+import { createOrmClient, befriend, deliver } from '../helpers/ormClient.js';
+import { SyncOp } from '../../src/v2/orm/index.js';
+import { Group } from '../../src/v2/models/Group.js';
+import { GroupMessage } from '../../src/v2/models/GroupMessage.js';
+import { Reaction } from '../../src/v2/models/Reaction.js';
+
+const schema = () => ({
+  group: Group.toConfig(),
+  groupMessage: GroupMessage.toConfig(),
+  reaction: Reaction.toConfig(),
+});
+
+// A reaction signed by `from`, sent straight to `to`
+async function sendReaction(from, to, id, data) {
+  const entry = {
+    id,
+    data,
+    timestamp: from.reaction.clock.now(),
+    authorDeviceId: from.deviceUUID,
+    signature: new Uint8Array(0),
+  };
+  entry.signature = await from.reaction._sign(entry);
+  const modelSync = from._ormSyncManager.toModelSync(from.reaction, entry, SyncOp.CREATE);
+  return to._ormSyncManager.handleIncoming(modelSync, from.deviceId);
+}
+
+describe('Group reactions', () => {
+  let alice, bob, eve, mallory, group, message;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    bob = await createOrmClient('bob', schema());
+    eve = await createOrmClient('eve', schema());
+    mallory = await createOrmClient('mallory', schema());
+    befriend(alice, bob);
+    befriend(alice, eve);
+    befriend(bob, eve);
+    befriend(alice, mallory);
+
+    group = await alice.group.create({ name: 'Trip', members: ['alice', 'bob', 'eve'] });
+    message = await alice.groupMessage.create({ text: 'hi', groupId: group.id });
+    await deliver(alice, bob);
+    await deliver(alice, eve);
+  });
+
+  test("A member's own reaction is accepted", async () => {
+    const id = `reaction_${message.id}_bob`;
+    const data = { groupMessageId: message.id, groupId: group.id, emoji: '👍' };
+
+    expect(await sendReaction(bob, alice, id, data)).not.toBeNull();
+    expect((await alice.reaction.find(id)).data.emoji).toBe('👍');
+  });
+
+  test("A member can't take another member's reaction ID", async () => {
+    const id = `reaction_${message.id}_bob`;
+
+    expect(await sendReaction(eve, alice, id, { groupMessageId: message.id, groupId: group.id, emoji: '😂' })).toBeNull();
+    expect(await alice.reaction.find(id)).toBeNull();
+
+    // ...so bob can still react under it
+    expect(await sendReaction(bob, alice, id, { groupMessageId: message.id, groupId: group.id, emoji: '❤️' })).not.toBeNull();
+  });
+
+  test('A non-member may not react in the group', async () => {
+    const id = `reaction_${message.id}_mallory`;
+
+    expect(await sendReaction(mallory, alice, id, { groupMessageId: message.id, groupId: group.id, emoji: '🔥' })).toBeNull();
+    expect(await alice.reaction.find(id)).toBeNull();
+  });
+});
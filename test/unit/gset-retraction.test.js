@@ -0,0 +1,87 @@
+// Unit test: G-Set retractions that arrive before their entry
+// Run with: npm run test:unit
+
+import { createOrmClient, befriend, deliver } from '../helpers/ormClient.js';
+import { SyncOp } from '../../src/v2/orm/index.js';
+import { Comment } from '../../src/v2/models/Comment.js';
+
+const schema = () => ({ comment: { ...Comment.toConfig(), ttl: undefined } });
+
+async function signedTombstone(client, id) {
+  const tombstone = {
+    id,
+    data: { _deleted: true },
+    timestamp: client.comment.clock.now(),
+    authorDeviceId: client.deviceUUID,
+    signature: new Uint8Array(0),
+  };
+  tombstone.signature = await client.comment._sign(tombstone);
+  return client._ormSyncManager.toModelSync(client.comment, tombstone, SyncOp.DELETE);
+}
+
+describe('G-Set retraction ordering', () => {
+  let alice, bob, eve;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    bob = await createOrmClient('bob', schema());
+    eve = await createOrmClient('eve', schema());
+    befriend(alice, bob);
+    befriend(bob, eve);
+    befriend(alice, eve);
+  });
+
+  test('A non-author retraction sent ahead of the entry is dropped', async () => {
+    const comment = await alice.comment.create({ text: 'mine', storyId: 'story_1' });
+    const forged = await signedTombstone(eve, comment.id);
+
+    expect(await bob._ormSyncManager.handleIncoming(forged)).toBeNull();
+    await deliver(alice, bob);
+
+    expect(await bob.comment.find(comment.id)).not.toBeNull();
+    expect(await bob.comment.crdt.isRetracted(comment.id)).toBe(false);
+  });
+
+  test("The author's retraction sent ahead of the entry applies when it arrives", async () => {
+    const comment = await alice.comment.create({ text: 'oops', storyId: 'story_1' });
+    const create = alice.outbox.find(m => m.targetDeviceId === bob.deviceId);
+    alice.outbox = [];
+
+    await bob._ormSyncManager.handleIncoming(await signedTombstone(alice, comment.id));
+    expect(await bob.comment.crdt.isRetracted(comment.id)).toBe(false);
+
+    const result = await bob._ormSyncManager.handleIncoming(create.message.modelSync);
+    expect(result.data._deleted).toBe(true);
+    expect(await bob.comment.find(comment.id)).toBeNull();
+    expect(await bob.comment.crdt.isRetracted(comment.id)).toBe(true);
+  });
+
+  test('A retraction after the entry still checks the author', async () => {
+    const comment = await alice.comment.create({ text: 'stays', storyId: 'story_1' });
+    await deliver(alice, bob);
+
+    expect(await bob._ormSyncManager.handleIncoming(await signedTombstone(eve, comment.id))).toBeNull();
+    expect(await bob.comment.find(comment.id)).not.toBeNull();
+  });
+
+  test("A friend can't replay the author's signed entry as a retraction", async () => {
+    const comment = await alice.comment.create({ text: 'keep me', storyId: 'story_1' });
+    const [create] = alice.outbox.filter(m => m.targetDeviceId === bob.deviceId);
+    await deliver(alice, bob);
+
+    // eve received the same signed entry and resends it with op DELETE
+    const replay = { ...create.message.modelSync, op: SyncOp.DELETE };
+    expect(await bob._ormSyncManager.handleIncoming(replay, eve.deviceId)).toBeNull();
+
+    expect(await bob.comment.crdt.isRetracted(comment.id)).toBe(false);
+    expect(await bob.comment.find(comment.id)).not.toBeNull();
+  });
+
+  test("A signed tombstone can't be replayed as a new entry", async () => {
+    const tombstone = await signedTombstone(alice, 'comment_1');
+    const replay = { ...tombstone, op: SyncOp.CREATE };
+
+    expect(await bob._ormSyncManager.handleIncoming(replay, eve.deviceId)).toBeNull();
+    expect(await bob.comment.crdt.get('comment_1')).toBeNull();
+  });
+});
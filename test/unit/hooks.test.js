@@ -0,0 +1,50 @@
+// Unit test: lifecycle hooks on upsert()
+// Run with: npm run test:unit
+
+import { createOrmClient } from '../helpers/ormClient.js';
+
+const calls = [];
+
+const schema = () => ({
+  setting: {
+    fields: { theme: 'string' },
+    sync: 'lww',
+    collectable: false,
+    hooks: {
+      beforeCreate(data) {
+        calls.push('beforeCreate');
+        return { ...data, theme: data.theme.trim() };
+      },
+      beforeUpdate(data, existing) {
+        calls.push('beforeUpdate');
+        if (data.theme === existing.data.theme) throw new Error('Validation failed: theme unchanged');
+        return data;
+      },
+    },
+  },
+});
+
+describe('upsert() hooks', () => {
+  let alice;
+
+  beforeEach(async () => {
+    calls.length = 0;
+    alice = await createOrmClient('alice', schema());
+  });
+
+  test('A new ID runs beforeCreate', async () => {
+    const entry = await alice.setting.upsert('setting_1', { theme: '  dark ' });
+
+    expect(calls).toEqual(['beforeCreate']);
+    expect(entry.data.theme).toBe('dark');
+  });
+
+  test('An existing ID runs beforeUpdate, which can reject the write', async () => {
+    await alice.setting.upsert('setting_1', { theme: 'dark' });
+    await expect(alice.setting.upsert('setting_1', { theme: 'dark' })).rejects.toThrow('theme unchanged');
+    await alice.setting.upsert('setting_1', { theme: 'light' });
+
+    expect(calls).toEqual(['beforeCreate', 'beforeUpdate', 'beforeUpdate']);
+    expect((await alice.setting.find('setting_1')).data.theme).toBe('light');
+  });
+});
@@ -0,0 +1,102 @@
+// Unit test: HybridClock ordering
+// Run with: npm run test:unit
+
+import { createOrmClient, befriend, deliver } from '../helpers/ormClient.js';
+import { SyncOp } from '../../src/v2/orm/index.js';
+import { HybridClock, compareTimestamps, MAX_CLOCK_DRIFT_MS } from '../../src/v2/orm/crdt/HybridClock.js';
+
+describe('HybridClock', () => {
+  test('Follows physical time while it moves forward', () => {
+    let physical = 1000;
+    const clock = new HybridClock(() => physical);
+
+    expect(clock.now()).toBe(1000);
+    physical = 1500;
+    expect(clock.now()).toBe(1500);
+  });
+
+  test('Keeps increasing when physical time stalls or goes backwards', () => {
+    let physical = 1000;
+    const clock = new HybridClock(() => physical);
+
+    const first = clock.now();
+    const second = clock.now();
+    physical = 500;
+    const third = clock.now();
+
+    expect(second).toBeGreaterThan(first);
+    expect(third).toBeGreaterThan(second);
+  });
+
+  test('Local writes come after anything observed from other devices', () => {
+    const clock = new HybridClock(() => 1000);
+    clock.update(5000);
+
+    expect(clock.now()).toBe(5001);
+  });
+
+  test('Ignores remote timestamps too far ahead', () => {
+    const clock = new HybridClock(() => 1000);
+    clock.update(1000 + MAX_CLOCK_DRIFT_MS + 1);
+    clock.update(Number.NaN);
+
+    expect(clock.now()).toBe(1000);
+  });
+
+  test('Flags timestamps beyond the drift limit', () => {
+    const clock = new HybridClock(() => 1000);
+
+    expect(clock.isTooFarAhead(1000 + MAX_CLOCK_DRIFT_MS)).toBe(false);
+    expect(clock.isTooFarAhead(1000 + MAX_CLOCK_DRIFT_MS + 1)).toBe(true);
+  });
+});
+
+describe('Remote writes from a fast clock', () => {
+  const schema = () => ({ note: { fields: { text: 'string' }, sync: 'lww', collectable: false } });
+  let alice, bob;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    bob = await createOrmClient('bob', schema());
+    befriend(alice, bob);
+  });
+
+  test("Don't override a current write", async () => {
+    await alice.note.upsert('note_1', { text: 'current' });
+    await deliver(alice, bob);
+
+    const future = {
+      id: 'note_1',
+      data: { text: 'from the future' },
+      timestamp: Date.now() + 2 * MAX_CLOCK_DRIFT_MS,
+      authorDeviceId: alice.deviceUUID,
+      signature: new Uint8Array(0),
+    };
+    future.signature = await alice.note._sign(future);
+    const modelSync = alice._ormSyncManager.toModelSync(alice.note, future, SyncOp.UPDATE);
+
+    expect(await bob._ormSyncManager.handleIncoming(modelSync, alice.deviceId)).toBeNull();
+    expect((await bob.note.find('note_1')).data.text).toBe('current');
+
+    // ...and a later write still goes through
+    await alice.note.upsert('note_1', { text: 'later' });
+    await deliver(alice, bob);
+    expect((await bob.note.find('note_1')).data.text).toBe('later');
+  });
+});
+
+describe('compareTimestamps', () => {
+  test('Orders by timestamp first', () => {
+    expect(compareTimestamps({ timestamp: 2, authorDeviceId: 'a' }, { timestamp: 1, authorDeviceId: 'z' })).toBeGreaterThan(0);
+    expect(compareTimestamps({ timestamp: 1, authorDeviceId: 'z' }, { timestamp: 2, authorDeviceId: 'a' })).toBeLessThan(0);
+  });
+
+  test('Breaks ties by authorDeviceId, the same way on every replica', () => {
+    const a = { timestamp: 1, authorDeviceId: 'devA' };
+    const b = { timestamp: 1, authorDeviceId: 'devB' };
+
+    expect(compareTimestamps(b, a)).toBeGreaterThan(0);
+    expect(compareTimestamps(a, b)).toBeLessThan(0);
+    expect(compareTimestamps(a, { ...a })).toBe(0);
+  });
+});
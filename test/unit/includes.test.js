@@ -0,0 +1,116 @@
+// Unit test: QueryBuilder includes
+// Run with: npm run test:unit
+
+import { createOrmClient } from '../helpers/ormClient.js';
+import { QueryBuilder } from '../../src/v2/orm/QueryBuilder.js';
+
+const schema = () => ({
+  post: { fields: { text: 'string' }, sync: 'g-set', collectable: false, has_many: ['comment'] },
+  comment: {
+    fields: { text: 'string' },
+    sync: 'g-set',
+    collectable: false,
+    belongs_to: 'post',
+    has_many: ['like'],
+    indexes: ['postId'],
+  },
+  like: { fields: { emoji: 'string' }, sync: 'g-set', collectable: false, belongs_to: 'comment' },
+});
+
+const texts = (entries) => entries.map(e => e.data.text);
+
+describe('QueryBuilder includes', () => {
+  let alice, first, second, c1, c2, c3;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    first = await alice.post.create({ text: 'first' });
+    second = await alice.post.create({ text: 'second' });
+    c1 = await alice.comment.create({ text: 'a', postId: first.id });
+    c2 = await alice.comment.create({ text: 'b', postId: first.id });
+    c3 = await alice.comment.create({ text: 'c', postId: second.id });
+  });
+
+  test('has_many children load under the plural name, oldest first', async () => {
+    const [post] = await alice.post.where({ id: first.id }).include('comment').exec();
+
+    expect(texts(post.comments)).toEqual(['a', 'b']);
+  });
+
+  test('Entries without children get an empty list', async () => {
+    const lonely = await alice.post.create({ text: 'lonely' });
+    const [post] = await alice.post.where({ id: lonely.id }).include('comment').exec();
+
+    expect(post.comments).toEqual([]);
+  });
+
+  test('where, orderBy and limit apply per parent', async () => {
+    await alice.comment.create({ text: 'd', postId: first.id });
+    const posts = await alice.post
+      .where({ id: { in: [first.id, second.id] } })
+      .include({ comment: { orderBy: ['timestamp', 'desc'], limit: 2, as: 'latest' } })
+      .orderBy('timestamp', 'asc')
+      .exec();
+
+    expect(texts(posts[0].latest)).toEqual(['d', 'b']);
+    expect(texts(posts[1].latest)).toEqual(['c']);
+
+    const [filtered] = await alice.post
+      .where({ id: first.id })
+      .include({ comment: { where: { 'data.text': 'b' } } })
+      .exec();
+    expect(texts(filtered.comments)).toEqual(['b']);
+  });
+
+  test('Nested includes load every level', async () => {
+    await alice.like.create({ emoji: '👍', commentId: c1.id });
+    await alice.like.create({ emoji: '🔥', commentId: c2.id });
+
+    const [post] = await alice.post.where({ id: first.id }).include({ comment: ['like'] }).exec();
+
+    expect(post.comments.map(c => c.likes.map(l => l.data.emoji))).toEqual([['👍'], ['🔥']]);
+  });
+
+  test('belongs_to loads the parent under the singular name, or null', async () => {
+    const orphan = await alice.comment.create({ text: 'orphan', postId: 'post_gone' });
+    const comments = await alice.comment
+      .where({ id: { in: [c3.id, orphan.id] } })
+      .include('post')
+      .orderBy('timestamp', 'asc')
+      .exec();
+
+    expect(comments[0].post.data.text).toBe('second');
+    expect(comments[1].post).toBeNull();
+  });
+
+  test('Retracted children are left out', async () => {
+    await alice.comment.delete(c1.id);
+    const [post] = await alice.post.where({ id: first.id }).include('comment').exec();
+
+    expect(texts(post.comments)).toEqual(['b']);
+  });
+
+  test('Results are copies, not the stored entries', async () => {
+    const [post] = await alice.post.where({ id: first.id }).include('comment').exec();
+
+    expect((await alice.post.find(first.id)).comments).toBeUndefined();
+    expect(post).not.toBe(await alice.post.find(first.id));
+  });
+
+  test('One query per association, not one per entry', async () => {
+    const exec = QueryBuilder.prototype.exec;
+    let queries = 0;
+    QueryBuilder.prototype.exec = function (...args) {
+      queries++;
+      return exec.apply(this, args);
+    };
+    try {
+      await alice.post.where({}).include({ comment: ['like'] }).exec();
+    } finally {
+      QueryBuilder.prototype.exec = exec;
+    }
+
+    // posts, comments of both posts, likes of all three comments
+    expect(queries).toBe(3);
+  });
+});
@@ -0,0 +1,98 @@
+// Unit test: live query subscriptions
+// Run with: npm run test:unit
+
+import { createOrmClient, befriend, deliver } from '../helpers/ormClient.js';
+
+const schema = () => ({
+  post: { fields: { text: 'string' }, sync: 'g-set', collectable: false, has_many: ['comment'] },
+  comment: { fields: { text: 'string' }, sync: 'g-set', collectable: false, belongs_to: 'post', indexes: ['postId'] },
+});
+
+// Wait for a condition that async refreshes make true
+async function until(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for live query');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Let pending refreshes run
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('Live queries', () => {
+  let alice, bob, calls, unsubscribe;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    bob = await createOrmClient('bob', schema());
+    befriend(alice, bob);
+    calls = [];
+  });
+
+  afterEach(() => {
+    unsubscribe?.();
+  });
+
+  const subscribe = (query) => {
+    unsubscribe = query.subscribe((entries, diff) => calls.push({ entries, diff }));
+  };
+
+  test('Call back with the current results, then with local changes', async () => {
+    const first = await alice.comment.create({ text: 'one', postId: 'post_1' });
+    subscribe(alice.comment.where({ 'data.postId': 'post_1' }));
+    await until(() => calls.length === 1);
+    expect(calls[0].entries.map(e => e.id)).toEqual([first.id]);
+
+    const second = await alice.comment.create({ text: 'two', postId: 'post_1' });
+    await until(() => calls.length === 2);
+    expect(calls[1].diff).toEqual({ added: [second.id], removed: [], changed: [] });
+    expect(calls[1].entries).toHaveLength(2);
+  });
+
+  test("Ignore changes that don't match", async () => {
+    subscribe(alice.comment.where({ 'data.postId': 'post_1' }));
+    await until(() => calls.length === 1);
+
+    await alice.comment.create({ text: 'elsewhere', postId: 'post_2' });
+    await settle();
+    expect(calls).toHaveLength(1);
+  });
+
+  test('Refresh on remote merges and retractions', async () => {
+    subscribe(alice.comment.where({ 'data.postId': 'post_1' }));
+    await until(() => calls.length === 1);
+
+    const comment = await bob.comment.create({ text: 'from bob', postId: 'post_1' });
+    await deliver(bob, alice);
+    await until(() => calls.length === 2);
+    expect(calls[1].diff.added).toEqual([comment.id]);
+
+    await bob.comment.delete(comment.id);
+    await deliver(bob, alice);
+    await until(() => calls.length === 3);
+    expect(calls[2].diff.removed).toEqual([comment.id]);
+    expect(calls[2].entries).toEqual([]);
+  });
+
+  test('Refresh when an included model changes', async () => {
+    const post = await alice.post.create({ text: 'hello' });
+    subscribe(alice.post.where({ id: post.id }).include('comment'));
+    await until(() => calls.length === 1);
+    expect(calls[0].entries[0].comments).toEqual([]);
+
+    await alice.comment.create({ text: 'nice', postId: post.id });
+    await until(() => calls.length === 2);
+    expect(calls[1].entries[0].comments.map(c => c.data.text)).toEqual(['nice']);
+  });
+
+  test('Stop after unsubscribing', async () => {
+    subscribe(alice.comment.where({ 'data.postId': 'post_1' }));
+    await until(() => calls.length === 1);
+    unsubscribe();
+
+    await alice.comment.create({ text: 'unseen', postId: 'post_1' });
+    await settle();
+    expect(calls).toHaveLength(1);
+  });
+});
@@ -0,0 +1,85 @@
+// Unit test: per-field LWWMap merges (sync: 'lww-fields')
+// Run with: npm run test:unit
+
+import { LWWMap } from '../../src/v2/orm/crdt/LWWMap.js';
+import { memoryStore, entryFor } from '../helpers/crdt.js';
+
+const lwwFields = () => new LWWMap(memoryStore(), 'profile', { perField: true });
+
+const entry = entryFor('profile_1');
+
+// Two replicas that both start from the same entry
+async function replicas() {
+  const a = lwwFields();
+  const b = lwwFields();
+  const base = entry(a.assignData(null, { displayName: 'Alice', bio: 'hi' }, 100, 'devA'), 100, 'devA');
+  await a.set(base);
+  await b.merge([base]);
+  return { a, b };
+}
+
+// A local edit on `replica`, as Model.upsert builds it
+async function edit(replica, fields, timestamp, authorDeviceId) {
+  const existing = await replica.get('profile_1');
+  const write = entry(replica.assignData(existing, { ...existing.data, ...fields }, timestamp, authorDeviceId), timestamp, authorDeviceId);
+  await replica.set(write);
+  return write;
+}
+
+const dataOf = async (replica) => {
+  const { _fields, ...data } = (await replica.get('profile_1')).data;
+  return data;
+};
+
+describe('LWWMap per-field merge', () => {
+  test('Concurrent edits to different fields are both kept', async () => {
+    const { a, b } = await replicas();
+
+    const fromA = await edit(a, { bio: 'from laptop' }, 200, 'devA');
+    const fromB = await edit(b, { displayName: 'Alice A.' }, 201, 'devB');
+    await a.merge([fromB]);
+    await b.merge([fromA]);
+
+    const expected = { displayName: 'Alice A.', bio: 'from laptop' };
+    expect(await dataOf(a)).toEqual(expected);
+    expect(await dataOf(b)).toEqual(expected);
+  });
+
+  test('The later edit to the same field wins, in either order', async () => {
+    const { a, b } = await replicas();
+
+    const fromA = await edit(a, { bio: 'later' }, 300, 'devA');
+    const fromB = await edit(b, { bio: 'earlier' }, 200, 'devB');
+    await a.merge([fromB]);
+    await b.merge([fromA]);
+
+    expect((await dataOf(a)).bio).toBe('later');
+    expect((await dataOf(b)).bio).toBe('later');
+  });
+
+  test('Same-timestamp edits to a field are settled by authorDeviceId on every replica', async () => {
+    const { a, b } = await replicas();
+
+    const fromA = await edit(a, { bio: 'from devA' }, 200, 'devA');
+    const fromB = await edit(b, { bio: 'from devB' }, 200, 'devB');
+    await a.merge([fromB]);
+    await b.merge([fromA]);
+
+    expect((await dataOf(a)).bio).toBe('from devB');
+    expect((await dataOf(b)).bio).toBe('from devB');
+  });
+
+  test('Re-saving unchanged fields keeps their registers', async () => {
+    const { a, b } = await replicas();
+
+    // a re-saves the whole form with only displayName changed, after b's bio edit
+    const fromB = await edit(b, { bio: 'from phone' }, 200, 'devB');
+    const fromA = await edit(a, { displayName: 'Al' }, 300, 'devA');
+    await a.merge([fromB]);
+    await b.merge([fromA]);
+
+    const expected = { displayName: 'Al', bio: 'from phone' };
+    expect(await dataOf(a)).toEqual(expected);
+    expect(await dataOf(b)).toEqual(expected);
+  });
+});
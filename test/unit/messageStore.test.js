@@ -0,0 +1,47 @@
+// Unit test: revising stored direct messages
+// Run with: npm run test:unit
+
+import '../helpers/setup.js';
+import { createMessageStore } from '../../src/v2/store/messageStore.js';
+import { keyCache } from '../../src/v2/lib/keyCache.js';
+import { generateDataKey } from '../../src/v2/crypto/storageEncryption.js';
+
+let counter = 0;
+
+describe('MessageStore.reviseMessage', () => {
+  let store;
+
+  beforeEach(async () => {
+    keyCache.setDataKey(generateDataKey());
+    store = createMessageStore(`revise_${Date.now()}_${++counter}`);
+    await store.addMessage('bob', { messageId: 'msg_1', content: 'secret plans', timestamp: 1, isSent: false });
+    await store.addMessage('bob', {
+      messageId: 'msg_2', content: 'what?', timestamp: 2, isSent: true,
+      replyTo: { messageId: 'msg_1', snippet: 'secret plans' },
+    });
+    await store.addMessage('carol', {
+      messageId: 'msg_3', content: 'fwd', timestamp: 3, isSent: true,
+      replyTo: { messageId: 'msg_1', snippet: 'secret plans' },
+    });
+  });
+
+  afterEach(() => {
+    keyCache.clear();
+  });
+
+  test('Deleting for everyone clears the snippet quoted by replies', async () => {
+    await store.reviseMessage('bob', 'msg_1', { text: '', deleted: true, timestamp: 10 }, { isSent: false });
+
+    expect((await store.getMessage('msg_1')).content).toBe('');
+    expect((await store.getMessage('msg_2')).replyTo).toEqual({ messageId: 'msg_1', snippet: '' });
+    // Only within the same conversation
+    expect((await store.getMessage('msg_3')).replyTo.snippet).toBe('secret plans');
+  });
+
+  test('Editing leaves quoted snippets alone', async () => {
+    await store.reviseMessage('bob', 'msg_1', { text: 'plans', deleted: false, timestamp: 10 }, { isSent: false });
+
+    expect((await store.getMessage('msg_1')).content).toBe('plans');
+    expect((await store.getMessage('msg_2')).replyTo.snippet).toBe('secret plans');
+  });
+});
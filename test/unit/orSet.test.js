@@ -0,0 +1,104 @@
+// Unit test: ORSet merges
+// Run with: npm run test:unit
+
+import { ORSet } from '../../src/v2/orm/crdt/ORSet.js';
+import { memoryStore, entryFor } from '../helpers/crdt.js';
+
+const orSet = () => new ORSet(memoryStore(), 'group', ['members']);
+
+const entry = entryFor('group_1');
+
+const membersOf = async (set) => (await set.get('group_1')).data.members;
+
+describe('ORSet merge', () => {
+  test('Concurrent adds from two devices are both kept', async () => {
+    const a = orSet();
+    const b = orSet();
+    const base = entry(a.assignData(null, { name: 'g', members: ['alice'] }, 'devA'), 100);
+    await a.set(base);
+    await b.merge([base]);
+
+    const addBob = entry(a.addData(await a.get('group_1'), 'members', ['bob'], 'devA'), 101, 'devA');
+    const addCarol = entry(b.addData(await b.get('group_1'), 'members', ['carol'], 'devB'), 102, 'devB');
+    await a.set(addBob);
+    await b.set(addCarol);
+    await a.merge([addCarol]);
+    await b.merge([addBob]);
+
+    expect(await membersOf(a)).toEqual(['alice', 'bob', 'carol']);
+    expect(await membersOf(b)).toEqual(['alice', 'bob', 'carol']);
+  });
+
+  test('An add concurrent with a remove of the same element wins', async () => {
+    const a = orSet();
+    const b = orSet();
+    const base = entry(a.assignData(null, { members: ['alice', 'bob'] }, 'devA'), 100);
+    await a.set(base);
+    await b.merge([base]);
+
+    // A removes bob while B re-adds him without having seen the remove
+    const remove = entry(a.removeData(await a.get('group_1'), 'members', ['bob']), 101, 'devA');
+    const readd = entry(b.addData(await b.get('group_1'), 'members', ['bob'], 'devB'), 102, 'devB');
+    await a.set(remove);
+    await b.set(readd);
+    await a.merge([readd]);
+    await b.merge([remove]);
+
+    expect(await membersOf(a)).toEqual(['alice', 'bob']);
+    expect(await membersOf(b)).toEqual(['alice', 'bob']);
+  });
+
+  test('A remove of an observed add sticks despite stale replays', async () => {
+    const a = orSet();
+    const base = entry(a.assignData(null, { members: ['alice', 'bob'] }, 'devA'), 100);
+    await a.set(base);
+
+    const remove = entry(a.removeData(base, 'members', ['bob']), 101);
+    await a.merge([remove]);
+    await a.merge([base]);
+
+    expect(await membersOf(a)).toEqual(['alice']);
+  });
+
+  test('Merge is idempotent and order-independent', async () => {
+    const source = orSet();
+    const base = entry(source.assignData(null, { members: ['alice'] }, 'devA'), 100);
+    const add = entry(source.addData(base, 'members', ['bob'], 'devB'), 101, 'devB');
+    const remove = entry(source.removeData(base, 'members', ['alice']), 102, 'devA');
+
+    const x = orSet();
+    const y = orSet();
+    await x.merge([base, add, remove]);
+    await y.merge([remove, add, base]);
+
+    expect(await membersOf(x)).toEqual(['bob']);
+    expect(await membersOf(y)).toEqual(['bob']);
+    expect(await x.merge([base, add, remove])).toEqual([]);
+  });
+
+  test('Non-set fields resolve last-writer-wins', async () => {
+    const a = orSet();
+    const older = entry(a.assignData(null, { name: 'old', members: ['alice'] }, 'devA'), 100, 'devA');
+    const newer = entry(a.assignData(null, { name: 'new', members: ['bob'] }, 'devB'), 200, 'devB');
+
+    await a.merge([newer]);
+    await a.merge([older]);
+
+    const merged = await a.get('group_1');
+    expect(merged.data.name).toBe('new');
+    expect(merged.data.members).toEqual(['alice', 'bob']);
+  });
+
+  test('Plain arrays from before the OR-Set seed the same tags everywhere', async () => {
+    const a = orSet();
+    const b = orSet();
+    const legacy = entry({ members: '["alice","bob"]' }, 100);
+    await a.merge([legacy]);
+    await b.merge([legacy]);
+
+    const remove = entry(a.removeData(await a.get('group_1'), 'members', ['bob']), 101);
+    await b.merge([remove]);
+
+    expect(await membersOf(b)).toEqual(['alice']);
+  });
+});
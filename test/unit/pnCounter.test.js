@@ -0,0 +1,97 @@
+// Unit test: PNCounter merges
+// Run with: npm run test:unit
+
+import { PNCounter } from '../../src/v2/orm/crdt/PNCounter.js';
+import { memoryStore, entryFor } from '../helpers/crdt.js';
+
+const counter = () => new PNCounter(memoryStore(), 'tally', ['count']);
+
+const entry = entryFor('tally_1');
+
+describe('PNCounter merge', () => {
+  test('Concurrent increments from two devices are both kept', async () => {
+    const a = counter();
+    const b = counter();
+
+    const fromA = entry(a.incrementData(null, 'count', 3, 'devA'), 100, 'devA');
+    const fromB = entry(b.incrementData(null, 'count', 2, 'devB'), 101, 'devB');
+    await a.set(fromA);
+    await b.set(fromB);
+
+    await a.merge([fromB]);
+    await b.merge([fromA]);
+
+    expect((await a.get('tally_1')).data.count).toBe(5);
+    expect((await b.get('tally_1')).data.count).toBe(5);
+  });
+
+  test('Decrements subtract and merge the same way', async () => {
+    const a = counter();
+    const b = counter();
+
+    const base = entry(a.incrementData(null, 'count', 5, 'devA'), 100);
+    await a.set(base);
+    await b.merge([base]);
+
+    const down = entry(b.incrementData(await b.get('tally_1'), 'count', -2, 'devB'), 101, 'devB');
+    await b.set(down);
+    await a.merge([down]);
+
+    expect((await a.get('tally_1')).data.count).toBe(3);
+    expect((await a.get('tally_1')).data._counters.count).toEqual({ p: { devA: 5 }, n: { devB: 2 } });
+  });
+
+  test('Merge is idempotent and order-independent', async () => {
+    const source = counter();
+    const one = entry(source.incrementData(null, 'count', 1, 'devA'), 100, 'devA');
+    const two = entry(source.incrementData(one, 'count', 4, 'devA'), 102, 'devA');
+    const other = entry(source.incrementData(null, 'count', 2, 'devB'), 101, 'devB');
+
+    const x = counter();
+    const y = counter();
+    await x.merge([one, two, other]);
+    await y.merge([other, two, one]);
+
+    expect((await x.get('tally_1')).data.count).toBe(7);
+    expect((await y.get('tally_1')).data.count).toBe(7);
+    expect(await x.merge([one, two, other])).toEqual([]);
+  });
+
+  test('A stale slot never lowers the count', async () => {
+    const a = counter();
+    const first = entry(a.incrementData(null, 'count', 2, 'devA'), 100);
+    const second = entry(a.incrementData(first, 'count', 3, 'devA'), 101);
+
+    await a.merge([second]);
+    await a.merge([first]);
+
+    expect((await a.get('tally_1')).data.count).toBe(5);
+  });
+
+  test('Non-counter fields resolve last-writer-wins', async () => {
+    const a = counter();
+    const older = entry({ ...a.incrementData(null, 'count', 1, 'devA'), label: 'old' }, 100, 'devA');
+    const newer = entry({ ...a.incrementData(null, 'count', 1, 'devB'), label: 'new' }, 200, 'devB');
+
+    await a.merge([newer]);
+    await a.merge([older]);
+
+    const merged = await a.get('tally_1');
+    expect(merged.data.label).toBe('new');
+    expect(merged.data.count).toBe(2);
+  });
+
+  test('Plain values from before the counter seed a shared slot', async () => {
+    const a = counter();
+    const b = counter();
+    const legacy = entry({ count: 4 }, 100);
+
+    await a.merge([legacy]);
+    await b.merge([legacy]);
+
+    const bumped = entry(a.incrementData(await a.get('tally_1'), 'count', 1, 'devA'), 101);
+    await b.merge([bumped]);
+
+    expect((await b.get('tally_1')).data.count).toBe(5);
+  });
+});
@@ -0,0 +1,104 @@
+// Unit test: QueryBuilder index planning and cursor paging
+// Run with: npm run test:unit
+
+import { createOrmClient } from '../helpers/ormClient.js';
+
+const schema = () => ({
+  score: {
+    fields: { groupId: 'string', points: 'number', label: 'string?' },
+    sync: 'g-set',
+    collectable: false,
+    indexes: [['groupId', 'timestamp'], 'points'],
+  },
+});
+
+describe('QueryBuilder index planning', () => {
+  let alice;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+  });
+
+  test('Equality on the index prefix plus orderBy/limit uses the compound index', () => {
+    const plan = alice.score
+      .where({ 'data.groupId': 'g1' })
+      .orderBy('timestamp')
+      .limit(2)
+      ._planIndexQuery();
+
+    expect(plan.index).toEqual(['data.groupId', 'timestamp']);
+    expect(plan.prefix).toEqual(['g1']);
+    expect(plan.direction).toBe('prev');
+    expect(plan.limit).toBe(2);
+  });
+
+  test('A range on a numeric field uses that field\'s index', () => {
+    const plan = alice.score.where({ 'data.points': { gt: 5, lte: 10 } })._planIndexQuery();
+
+    expect(plan.index).toEqual(['data.points']);
+    expect(plan.prefix).toEqual([]);
+    expect(plan.range).toEqual({ gt: 5, lte: 10 });
+  });
+
+  test('Conditions no index covers fall back to a scan', () => {
+    expect(alice.score.where({ 'data.label': 'x' })._planIndexQuery()).toBeNull();
+  });
+
+  test('Indexed results match a full scan', async () => {
+    for (let i = 0; i < 6; i++) {
+      await alice.score.create({ groupId: i % 2 ? 'g1' : 'g2', points: i });
+    }
+
+    const indexed = await alice.score.where({ 'data.groupId': 'g1' }).orderBy('timestamp').limit(2).exec();
+    const scanned = (await alice.score.all())
+      .filter(e => e.data.groupId === 'g1')
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, 2);
+
+    expect(indexed.map(e => e.id)).toEqual(scanned.map(e => e.id));
+
+    const ranged = await alice.score.where({ 'data.points': { gte: 2, lt: 5 } }).exec();
+    expect(ranged.map(e => e.data.points).sort()).toEqual([2, 3, 4]);
+  });
+});
+
+describe('QueryBuilder cursors', () => {
+  let alice;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    // Ties on points so paging has to split by id
+    for (const points of [1, 2, 2, 2, 3, 4, 4]) {
+      await alice.score.create({ groupId: 'g1', points });
+    }
+  });
+
+  const pageOf = (cursor, type = 'after') => {
+    const query = alice.score.where({ 'data.groupId': 'g1' }).orderBy('data.points', 'asc').limit(3);
+    return (cursor ? query[type](cursor) : query).page();
+  };
+
+  test('nextCursor walks every entry exactly once, in order', async () => {
+    const seen = [];
+    let page = await pageOf(null);
+    expect(page.prevCursor).toBeNull();
+    seen.push(...page.items);
+
+    while (page.nextCursor) {
+      page = await pageOf(page.nextCursor);
+      seen.push(...page.items);
+    }
+
+    expect(seen.map(e => e.data.points)).toEqual([1, 2, 2, 2, 3, 4, 4]);
+    expect(new Set(seen.map(e => e.id)).size).toBe(7);
+  });
+
+  test('prevCursor returns the page before', async () => {
+    const first = await pageOf(null);
+    const second = await pageOf(first.nextCursor);
+    const back = await pageOf(second.prevCursor, 'before');
+
+    expect(back.items.map(e => e.id)).toEqual(first.items.map(e => e.id));
+    expect(back.prevCursor).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+// Unit test: delivery and read receipts
+// Run with: npm run test:unit
+
+import { createMessagingClient, befriendClients, deliverMessages, eventsOf } from '../helpers/messagingClient.js';
+import { createMessageStore } from '../../src/v2/store/messageStore.js';
+
+let counter = 0;
+
+describe('Receipts between clients', () => {
+  let alice, bob;
+
+  // alice sends bob a message, as bob's client receives it
+  async function send(messageId, text = 'hi') {
+    alice.messages.push({ messageId, conversationId: 'bob', text, timestamp: Date.now(), isSent: true });
+    await alice.messenger.queueMessage(bob.deviceId, { type: 'TEXT', messageId, text, timestamp: Date.now() });
+    await deliverMessages(alice, bob);
+  }
+
+  const sent = (messageId) => alice.messages.find(m => m.messageId === messageId);
+  const received = (messageId) => bob.messages.find(m => m.messageId === messageId);
+
+  beforeEach(() => {
+    alice = createMessagingClient('alice');
+    bob = createMessagingClient('bob');
+    befriendClients(alice, bob);
+  });
+
+  afterEach(() => {
+    clearTimeout(alice._receiptTimer);
+    clearTimeout(bob._receiptTimer);
+  });
+
+  test('Received messages are acknowledged with one batched delivery receipt', async () => {
+    await send('msg_1');
+    await send('msg_2');
+    await bob._flushReceipts();
+
+    const receipts = await deliverMessages(bob, alice);
+    expect(receipts).toHaveLength(1);
+    expect(receipts[0]).toMatchObject({ type: 'DELIVERY_RECEIPT', receiptMessageIds: ['msg_1', 'msg_2'] });
+
+    expect(sent('msg_1').deliveredAt).toBeDefined();
+    expect(sent('msg_1').readAt).toBeUndefined();
+    expect(eventsOf(alice, 'receipt')).toEqual([
+      { conversationId: 'bob', messageIds: ['msg_1', 'msg_2'], status: 'delivered' },
+    ]);
+  });
+
+  test('markRead marks received messages read and tells the sender', async () => {
+    await send('msg_1');
+    await bob._flushReceipts();
+    await deliverMessages(bob, alice);
+
+    expect(await bob.markRead('alice', ['msg_1'])).toBe(1);
+    expect(received('msg_1').readAt).toBeDefined();
+    await bob._flushReceipts();
+    await deliverMessages(bob, alice);
+
+    expect(sent('msg_1').readAt).toBeDefined();
+    expect(eventsOf(alice, 'receipt').map(r => r.status)).toEqual(['delivered', 'read']);
+  });
+
+  test('Messages already read are not receipted again', async () => {
+    await send('msg_1');
+    await bob.markRead('alice', ['msg_1']);
+
+    expect(await bob.markRead('alice', ['msg_1'])).toBe(0);
+    await bob._flushReceipts();
+    const receipts = await deliverMessages(bob, alice);
+    expect(receipts.find(r => r.type === 'READ_RECEIPT').receiptMessageIds).toEqual(['msg_1']);
+
+    // A repeated receipt changes nothing
+    const events = eventsOf(alice, 'receipt').length;
+    await alice._routeMessage({ type: 'DELIVERY_RECEIPT', receiptMessageIds: ['msg_1'], sourceUserId: bob.deviceId });
+    expect(sent('msg_1').readAt).toBeDefined();
+    expect(eventsOf(alice, 'receipt')).toHaveLength(events);
+  });
+
+  test('No read receipts are sent when they are turned off', async () => {
+    bob.settings = { where: () => ({ first: async () => ({ data: { readReceiptsEnabled: false } }) }) };
+    await send('msg_1');
+    await bob._flushReceipts();
+    await deliverMessages(bob, alice);
+
+    expect(await bob.markRead('alice', ['msg_1'])).toBe(1);
+    await bob._flushReceipts();
+
+    expect(await deliverMessages(bob, alice)).toEqual([]);
+    expect(sent('msg_1').readAt).toBeUndefined();
+  });
+
+  test('Receipts only apply to messages sent to that friend', async () => {
+    const carol = createMessagingClient('carol');
+    befriendClients(alice, carol);
+    await send('msg_1');
+
+    await alice._routeMessage({ type: 'READ_RECEIPT', receiptMessageIds: ['msg_1'], sourceUserId: carol.deviceId });
+    await alice._routeMessage({ type: 'READ_RECEIPT', receiptMessageIds: ['msg_1'], sourceUserId: 'device_stranger' });
+
+    expect(sent('msg_1').readAt).toBeUndefined();
+    expect(eventsOf(alice, 'receipt')).toEqual([]);
+  });
+});
+
+describe('MessageStore.setReceipts', () => {
+  let store;
+
+  beforeEach(async () => {
+    store = createMessageStore(`receipts_${Date.now()}_${++counter}`);
+    await store.addMessage('bob', { messageId: 'msg_1', content: 'to bob', timestamp: 1, isSent: true });
+    await store.addMessage('bob', { messageId: 'msg_2', content: 'from bob', timestamp: 2, isSent: false });
+    await store.addMessage('carol', { messageId: 'msg_3', content: 'to carol', timestamp: 3, isSent: true });
+  });
+
+  test('Delivered, then read, each stamped once', async () => {
+    const delivered = await store.setReceipts('bob', ['msg_1'], 'delivered', { at: 10 });
+    expect(delivered.map(m => m.messageId)).toEqual(['msg_1']);
+
+    expect(await store.setReceipts('bob', ['msg_1'], 'delivered', { at: 11 })).toEqual([]);
+    await store.setReceipts('bob', ['msg_1'], 'read', { at: 12 });
+
+    expect(await store.getMessage('msg_1')).toMatchObject({ deliveredAt: 10, readAt: 12 });
+  });
+
+  test('Read implies delivered', async () => {
+    await store.setReceipts('bob', ['msg_1'], 'read', { at: 20 });
+
+    expect(await store.getMessage('msg_1')).toMatchObject({ deliveredAt: 20, readAt: 20 });
+  });
+
+  test('Other conversations and the other direction are left alone', async () => {
+    expect(await store.setReceipts('bob', ['msg_2', 'msg_3', 'msg_missing'], 'read', { at: 30 })).toEqual([]);
+
+    const changed = await store.setReceipts('bob', ['msg_2'], 'read', { isSent: false, at: 31 });
+    expect(changed.map(m => m.messageId)).toEqual(['msg_2']);
+    expect((await store.getMessage('msg_3')).readAt).toBeUndefined();
+  });
+});
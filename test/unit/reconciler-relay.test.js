@@ -0,0 +1,66 @@
+// Unit test: relaying merged entries keeps their original authors
+// Run with: npm run test:unit
+
+import { createOrmClient, deliver } from '../helpers/ormClient.js';
+import { SyncOp } from '../../src/v2/orm/index.js';
+import { Profile } from '../../src/v2/models/Profile.js';
+
+const schema = () => ({ profile: Profile.toConfig() });
+
+const device = (c) => ({ deviceId: c.deviceId, deviceUUID: c.deviceUUID, signalIdentityKey: c.identity.publicKey });
+
+describe('Relaying merged per-field LWW entries', () => {
+  let laptop, phone, bob, carol;
+
+  beforeEach(async () => {
+    // Two of alice's devices, both known to bob and carol
+    laptop = await createOrmClient('alice', schema());
+    phone = await createOrmClient('alice', schema());
+    bob = await createOrmClient('bob', schema());
+    carol = await createOrmClient('carol', schema());
+
+    for (const friend of [bob, carol]) {
+      friend.friendList.push({ username: 'alice', devices: [device(laptop), device(phone)] });
+    }
+    for (const alice of [laptop, phone]) {
+      alice.friendList.push({ username: 'bob', devices: [device(bob)] });
+    }
+    bob.friendList.push({ username: 'carol', devices: [device(carol)] });
+    carol.friendList.push({ username: 'bob', devices: [device(bob)] });
+  });
+
+  test('A merge is relayed as the writes it came from', async () => {
+    await laptop.profile.upsert('profile_alice', { displayName: 'Alice', bio: 'from laptop' });
+    await phone.profile.upsert('profile_alice', { displayName: 'Alice A.', avatarUrl: 'phone.png' });
+    await deliver(laptop, bob);
+    await deliver(phone, bob);
+
+    const merged = await bob.profile.find('profile_alice');
+    expect(merged.data.bio).toBe('from laptop');
+    expect(merged.data.avatarUrl).toBe('phone.png');
+    expect(await bob.profile._verify(merged)).toBe(false);
+
+    const writes = await bob.profile.signedWrites(merged);
+    expect(writes.map(w => w.authorDeviceId).sort())
+      .toEqual([laptop.deviceUUID, phone.deviceUUID].sort());
+
+    for (const write of writes) {
+      const modelSync = bob._ormSyncManager.toModelSync(bob.profile, write, SyncOp.CREATE);
+      await carol._ormSyncManager.handleIncoming(modelSync, bob.deviceId);
+    }
+
+    const relayed = await carol.profile.find('profile_alice');
+    expect(relayed.data).toEqual(merged.data);
+    expect([laptop.deviceUUID, phone.deviceUUID]).toContain(relayed.authorDeviceId);
+  });
+
+  test('Only the latest write per device is kept', async () => {
+    await laptop.profile.upsert('profile_alice', { displayName: 'Alice', bio: 'first' });
+    await laptop.profile.upsert('profile_alice', { displayName: 'Alice', bio: 'second' });
+    await deliver(laptop, bob);
+
+    const writes = await bob._ormSyncManager.store.getWrites('profile', 'profile_alice');
+    expect(writes).toHaveLength(1);
+    expect(writes[0].data.bio).toBe('second');
+  });
+});
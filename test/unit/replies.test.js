@@ -0,0 +1,131 @@
+// Unit test: quoted replies in direct and group messages
+// Run with: npm run test:unit
+
+import { createMessagingClient, befriendClients, deliverMessages } from '../helpers/messagingClient.js';
+import { createOrmClient, befriend, deliver } from '../helpers/ormClient.js';
+import { Messenger } from '../../src/v2/lib/messenger.js';
+import { SyncOp } from '../../src/v2/orm/index.js';
+import { Group } from '../../src/v2/models/Group.js';
+import { GroupMessage } from '../../src/v2/models/GroupMessage.js';
+
+describe('ReplyTo encoding', () => {
+  let messenger;
+
+  beforeAll(async () => {
+    messenger = new Messenger({ apiUrl: 'https://obscura.test' });
+    await messenger.loadProto();
+  });
+
+  const roundTrip = (opts) => messenger.decodeClientMessage(messenger.encodeClientMessage(opts));
+
+  test('A reply keeps the quoted message ID and snippet', () => {
+    const decoded = roundTrip({ type: 'TEXT', text: 'yes!', replyTo: { messageId: 'msg_1', snippet: 'Dinner?' } });
+
+    expect(decoded.replyTo).toEqual({ messageId: 'msg_1', snippet: 'Dinner?' });
+  });
+
+  test('A missing snippet decodes as empty', () => {
+    expect(roundTrip({ type: 'TEXT', text: 'yes!', replyTo: { messageId: 'msg_1' } }).replyTo)
+      .toEqual({ messageId: 'msg_1', snippet: '' });
+  });
+
+  test('A quote of something that isn\'t a message ID is dropped', () => {
+    for (const messageId of ['', 'msg 1', '"><img src=x onerror=alert(1)>', 'm'.repeat(65)]) {
+      expect(roundTrip({ type: 'TEXT', text: 'hi', replyTo: { messageId, snippet: 'x' } }).replyTo).toBeUndefined();
+    }
+    expect(roundTrip({ type: 'TEXT', text: 'hi' }).replyTo).toBeUndefined();
+  });
+
+  test('Replies sent from another of our devices keep the quote', () => {
+    const decoded = roundTrip({
+      type: 'SENT_SYNC',
+      sentSync: { conversationId: 'bob', messageId: 'msg_2', timestamp: 1, content: 'yes!', replyTo: { messageId: 'msg_1', snippet: 'Dinner?' } },
+    });
+    expect(decoded.sentSync.replyTo).toEqual({ messageId: 'msg_1', snippet: 'Dinner?' });
+
+    const forged = roundTrip({
+      type: 'SENT_SYNC',
+      sentSync: { conversationId: 'bob', messageId: 'msg_2', timestamp: 1, content: 'yes!', replyTo: { messageId: 'bad id' } },
+    });
+    expect(forged.sentSync.replyTo).toBeNull();
+  });
+});
+
+describe('Direct replies', () => {
+  let alice, bob;
+
+  beforeEach(() => {
+    alice = createMessagingClient('alice');
+    bob = createMessagingClient('bob');
+    befriendClients(alice, bob);
+  });
+
+  afterEach(() => {
+    clearTimeout(bob._receiptTimer);
+  });
+
+  test('The quote is sent with a snippet of at most 100 characters', async () => {
+    const { messageId } = await alice.send('bob', { text: 'agreed', replyTo: { messageId: 'msg_1', snippet: 'x'.repeat(300) } });
+
+    const [sent] = await deliverMessages(alice, bob);
+    expect(sent.replyTo).toEqual({ messageId: 'msg_1', snippet: 'x'.repeat(100) });
+    expect(alice.messages.find(m => m.messageId === messageId).replyTo).toEqual(sent.replyTo);
+    expect(bob.messages.find(m => m.messageId === messageId).replyTo).toEqual(sent.replyTo);
+  });
+
+  test('Messages without a quote have none', async () => {
+    const { messageId } = await alice.send('bob', { text: 'hello' });
+    await deliverMessages(alice, bob);
+
+    expect(bob.messages.find(m => m.messageId === messageId).replyTo).toBeUndefined();
+  });
+});
+
+describe('Group replies', () => {
+  let alice, bob, group, original;
+
+  const schema = () => ({ group: Group.toConfig(), groupMessage: GroupMessage.toConfig() });
+
+  // A group message signed by `from`, sent straight to `to`
+  async function sendGroupMessage(from, to, data) {
+    const entry = {
+      id: `groupMessage_${Date.now()}_remote`,
+      data,
+      timestamp: from.groupMessage.clock.now(),
+      authorDeviceId: from.deviceUUID,
+      signature: new Uint8Array(0),
+    };
+    entry.signature = await from.groupMessage._sign(entry);
+    const modelSync = from._ormSyncManager.toModelSync(from.groupMessage, entry, SyncOp.CREATE);
+    return to._ormSyncManager.handleIncoming(modelSync, from.deviceId);
+  }
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    bob = await createOrmClient('bob', schema());
+    befriend(alice, bob);
+
+    group = await alice.group.create({ name: 'Trip', members: ['alice', 'bob'] });
+    original = await alice.groupMessage.create({ text: 'Dinner?', groupId: group.id });
+    await deliver(alice, bob);
+  });
+
+  test('A reply references the quoted message by ID', async () => {
+    const reply = await bob.groupMessage.create({ text: 'yes!', groupId: group.id, replyToId: original.id });
+    await deliver(bob, alice);
+
+    expect((await alice.groupMessage.find(reply.id)).data.replyToId).toBe(original.id);
+  });
+
+  test('A replyToId that isn\'t an ID is rejected locally', async () => {
+    await expect(bob.groupMessage.create({ text: 'yes!', groupId: group.id, replyToId: '"><img src=x>' }))
+      .rejects.toThrow('replyToId');
+  });
+
+  test('A replyToId that isn\'t an ID is rejected from others', async () => {
+    const result = await sendGroupMessage(bob, alice, { text: 'yes!', groupId: group.id, replyToId: 'not an id' });
+
+    expect(result).toBeNull();
+    expect(await alice.groupMessage.where({ 'data.replyToId': 'not an id' }).count()).toBe(0);
+  });
+});
@@ -0,0 +1,78 @@
+// Unit test: schema migrations and quarantine of newer-schema entries
+// Run with: npm run test:unit
+
+import { createOrmClient, befriend, deliver } from '../helpers/ormClient.js';
+import { createSchema } from '../../src/v2/orm/index.js';
+
+const v1 = () => ({
+  note: { fields: { title: 'string' }, sync: 'lww', collectable: false },
+});
+
+// v2 renames title to text
+const v2 = () => ({
+  note: {
+    fields: { text: 'string' },
+    sync: 'lww',
+    collectable: false,
+    version: 2,
+    migrations: {
+      2: ({ title, ...data }) => ({ ...data, text: title }),
+    },
+  },
+});
+
+// Deliver what `from` queued for `to`; the result of the first message
+const deliverOne = async (from, to) => (await deliver(from, to))[0];
+
+describe('Schema versions', () => {
+  let alice, bob;
+
+  test('Entries from an older schema are migrated on arrival', async () => {
+    alice = await createOrmClient('alice', v1());
+    bob = await createOrmClient('bob', v2());
+    befriend(alice, bob);
+
+    await alice.note.upsert('note_1', { title: 'hello' });
+    await deliver(alice, bob);
+
+    expect((await bob.note.find('note_1')).data).toMatchObject({ text: 'hello' });
+  });
+
+  test('Stored entries are migrated when the app upgrades', async () => {
+    bob = await createOrmClient('bob', v1());
+    await bob.note.upsert('note_1', { title: 'hello' });
+
+    await createSchema(bob, v2());
+
+    const note = await bob.note.find('note_1');
+    expect(note.data.text).toBe('hello');
+    expect(note.data.title).toBeUndefined();
+  });
+
+  describe('An entry from a newer schema', () => {
+    beforeEach(async () => {
+      alice = await createOrmClient('alice', v2());
+      bob = await createOrmClient('bob', v1());
+      befriend(alice, bob);
+
+      await alice.note.upsert('note_1', { text: 'from the future' });
+      expect(await deliverOne(alice, bob)).toBeNull();
+    });
+
+    test('Is quarantined, not merged', async () => {
+      expect(await bob.note.find('note_1')).toBeNull();
+      expect(await bob._ormSyncManager.store.getQuarantined('note')).toHaveLength(1);
+      expect(bob.events).toContainEqual({
+        event: 'schemaUpdateAvailable',
+        data: { model: 'note', version: 2, localVersion: 1 },
+      });
+    });
+
+    test('Is released once the app upgrades', async () => {
+      await createSchema(bob, v2());
+
+      expect((await bob.note.find('note_1')).data.text).toBe('from the future');
+      expect(await bob._ormSyncManager.store.getQuarantined('note')).toHaveLength(0);
+    });
+  });
+});
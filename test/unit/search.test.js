@@ -0,0 +1,133 @@
+// Unit test: on-device full-text search
+// Run with: npm run test:unit
+
+import { createOrmClient } from '../helpers/ormClient.js';
+import { SearchIndex, tokenize } from '../../src/v2/lib/search.js';
+import { createSearchStore } from '../../src/v2/store/searchStore.js';
+import { createMessageStore } from '../../src/v2/store/messageStore.js';
+import { keyCache } from '../../src/v2/lib/keyCache.js';
+import { generateDataKey, hashTerms } from '../../src/v2/crypto/storageEncryption.js';
+
+let counter = 0;
+
+const schema = () => ({
+  topic: { fields: { name: 'string' }, sync: 'lww', collectable: false, has_many: ['note'] },
+  note: { fields: { text: 'string' }, sync: 'g-set', collectable: false, belongs_to: 'topic', searchable: ['text'] },
+});
+
+const ids = (results) => results.map(r => r.id);
+
+describe('tokenize', () => {
+  test('Lowercases, folds accents and drops punctuation', () => {
+    expect(tokenize('Café au LAIT, s\'il vous plaît!')).toEqual(['cafe', 'au', 'lait', 's', 'il', 'vous', 'plait']);
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('SearchIndex', () => {
+  let searchStore, messages, index;
+
+  beforeEach(async () => {
+    keyCache.setDataKey(generateDataKey());
+    const name = `search_${Date.now()}_${++counter}`;
+    searchStore = createSearchStore(name);
+    messages = createMessageStore(name);
+    index = new SearchIndex(searchStore, { messageStore: messages });
+
+    await messages.addMessage('bob', { messageId: 'msg_1', content: 'Dinner on Friday?', timestamp: 1, isSent: false });
+    await messages.addMessage('bob', { messageId: 'msg_2', content: 'Fried rice for dinner', timestamp: 2, isSent: true });
+    await messages.addMessage('carol', { messageId: 'msg_3', content: 'Lunch on friday', timestamp: 3, isSent: false });
+  });
+
+  afterEach(() => {
+    index.close();
+    keyCache.clear();
+  });
+
+  test('Query terms match as word prefixes, and every term must match', async () => {
+    expect(ids(await index.search('fri')).sort()).toEqual(['msg_1', 'msg_2', 'msg_3']);
+    expect(ids(await index.search('dinner fri')).sort()).toEqual(['msg_1', 'msg_2']);
+    expect(await index.search('dinner sunday')).toEqual([]);
+    expect(await index.search('  !! ')).toEqual([]);
+  });
+
+  test('Exact words rank above prefix matches', async () => {
+    await messages.addMessage('dave', { messageId: 'msg_4', content: 'Lunch on fri', timestamp: 0, isSent: false });
+
+    const results = await index.search('fri');
+    expect(results[0].id).toBe('msg_4');
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test('Results carry the message and a snippet around the match', async () => {
+    const [result] = await index.search('lunch');
+
+    expect(result).toMatchObject({ source: 'message', id: 'msg_3', conversationId: 'carol', text: 'Lunch on friday' });
+    expect(result.snippet).toBe('Lunch on friday');
+    expect(result.message.messageId).toBe('msg_3');
+  });
+
+  test('Searches can be scoped to conversations', async () => {
+    expect(ids(await index.search('friday', { conversations: ['carol'] }))).toEqual(['msg_3']);
+  });
+
+  test('Deleted messages drop out of the index', async () => {
+    await messages.deleteMessage('msg_3');
+
+    expect(ids(await index.search('lunch'))).toEqual([]);
+  });
+
+  test('Terms are stored as keyed hashes, not plaintext', async () => {
+    await index.search('dinner');
+
+    expect(await searchStore.getPostings('dinner')).toEqual([]);
+    const hashed = (await hashTerms(['dinner'], keyCache.getDataKey())).get('dinner');
+    expect(hashed).toMatch(/^[0-9a-f]{32}$/);
+    expect((await searchStore.getPostings(hashed)).map(p => p.docKey).sort()).toEqual(['message:msg_1', 'message:msg_2']);
+  });
+
+  test('A plaintext index is rehashed once the data key is unlocked', async () => {
+    keyCache.clear();
+    const name = `search_locked_${Date.now()}_${++counter}`;
+    const lockedStore = createSearchStore(name);
+    const lockedMessages = createMessageStore(name);
+    const locked = new SearchIndex(lockedStore, { messageStore: lockedMessages });
+    try {
+      await lockedMessages.addMessage('bob', { messageId: 'msg_9', content: 'Dinner at eight', timestamp: 9, isSent: false });
+      expect(ids(await locked.search('dinner'))).toEqual(['msg_9']);
+      expect(await lockedStore.getPostings('dinner')).toHaveLength(1);
+
+      keyCache.setDataKey(generateDataKey());
+      expect(ids(await locked.search('dinner'))).toEqual(['msg_9']);
+      expect(await lockedStore.getPostings('dinner')).toEqual([]);
+    } finally {
+      locked.close();
+    }
+  });
+
+  describe('Searchable models', () => {
+    let alice;
+
+    beforeEach(async () => {
+      alice = await createOrmClient('alice', schema());
+      index.watch(alice._ormModels);
+    });
+
+    test('Entries are indexed on write, scoped by their belongs_to parent', async () => {
+      const note = await alice.note.create({ text: 'Pick up dinner', topicId: 'topic_1' });
+
+      const results = await index.search('dinner', { models: ['note'] });
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ source: 'note', id: note.id, conversationId: 'topic_1', text: 'Pick up dinner' });
+      expect(results[0].entry.id).toBe(note.id);
+    });
+
+    test('Retracted entries drop out of the index', async () => {
+      const note = await alice.note.create({ text: 'Pick up dinner', topicId: 'topic_1' });
+      await alice.note.delete(note.id);
+
+      expect(await index.search('dinner', { models: ['note'] })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+// Unit test: the data key is never saved raw in IndexedDB
+// Run with: npm run test:unit
+
+import '../helpers/setup.js';
+import { IndexedDBStore } from '../../src/v2/lib/IndexedDBStore.js';
+import { keyCache } from '../../src/v2/lib/keyCache.js';
+import { generateDataKey } from '../../src/v2/crypto/storageEncryption.js';
+
+let counter = 0;
+
+async function sessionRecord(store) {
+  const identity = await store._getStore('identity');
+  return store._promisify(identity.get('sessionKeys'));
+}
+
+describe('Session data key', () => {
+  let store;
+
+  beforeEach(() => {
+    keyCache.clear();
+    store = new IndexedDBStore(`datakey_${Date.now()}_${++counter}`);
+  });
+
+  test('Is saved wrapped and restored after the key cache is cleared', async () => {
+    const dataKey = generateDataKey();
+    await store.saveSessionKeys({ pubKey: new Uint8Array(32), privKey: new Uint8Array(32) }, 7);
+    await store.saveSessionDataKey(dataKey);
+
+    const record = await sessionRecord(store);
+    expect(record.dataKey).toBeUndefined();
+    expect(record.wrappedDataKey.wrappingKey.extractable).toBe(false);
+    expect(Array.from(record.wrappedDataKey.ciphertext)).not.toEqual(Array.from(dataKey));
+
+    keyCache.clear();
+    expect(Array.from(await store.getSessionDataKey())).toEqual(Array.from(dataKey));
+  });
+});
@@ -0,0 +1,92 @@
+// Unit test: XEdDSA signatures and signed ORM entries
+// Run with: npm run test:unit
+
+import { createOrmClient, befriend, deliver } from '../helpers/ormClient.js';
+import { generateP2PIdentity, sign, verify } from '../../src/v2/crypto/ed25519.js';
+
+describe('ed25519 verify', () => {
+  let identity;
+  const data = new TextEncoder().encode('hello bob');
+
+  beforeAll(async () => {
+    identity = await generateP2PIdentity();
+  });
+
+  test('Accepts a valid signature', async () => {
+    const signature = await sign(data, identity.privateKey);
+    expect(await verify(data, signature, identity.publicKey)).toBe(true);
+  });
+
+  test('Accepts the public key with or without the 0x05 prefix', async () => {
+    const signature = await sign(data, identity.privateKey);
+    const raw = identity.publicKey.slice(-32);
+    expect(await verify(data, signature, raw)).toBe(true);
+    expect(await verify(data, signature, new Uint8Array([0x05, ...raw]))).toBe(true);
+  });
+
+  test('Rejects tampered data or signatures', async () => {
+    const signature = await sign(data, identity.privateKey);
+
+    const tamperedData = data.slice();
+    tamperedData[0] ^= 1;
+    expect(await verify(tamperedData, signature, identity.publicKey)).toBe(false);
+
+    const tamperedSignature = signature.slice();
+    tamperedSignature[10] ^= 1;
+    expect(await verify(data, tamperedSignature, identity.publicKey)).toBe(false);
+  });
+
+  test('Rejects a signature made with another key', async () => {
+    const other = await generateP2PIdentity();
+    const signature = await sign(data, other.privateKey);
+    expect(await verify(data, signature, identity.publicKey)).toBe(false);
+  });
+
+  test('Rejects malformed keys and signatures', async () => {
+    const signature = await sign(data, identity.privateKey);
+    expect(await verify(data, signature.slice(0, 63), identity.publicKey)).toBe(false);
+    expect(await verify(data, signature, identity.publicKey.slice(0, 31))).toBe(false);
+  });
+});
+
+describe('Model.handleSync signatures', () => {
+  const schema = () => ({ note: { fields: { text: 'string' }, sync: 'g-set', collectable: false } });
+  let alice, bob, eve;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    bob = await createOrmClient('bob', schema());
+    eve = await createOrmClient('eve', schema());
+    befriend(alice, bob);
+    befriend(bob, eve);
+  });
+
+  test('Accepts an entry signed by its author device', async () => {
+    const note = await alice.note.create({ text: 'hi' });
+    const [result] = await deliver(alice, bob);
+
+    expect(result.id).toBe(note.id);
+    expect(await bob.note.find(note.id)).not.toBeNull();
+  });
+
+  test('Rejects an entry whose data was changed after signing', async () => {
+    const note = await alice.note.create({ text: 'hi' });
+    const [{ message }] = alice.outbox.filter(m => m.targetDeviceId === bob.deviceId);
+    const tampered = {
+      ...message.modelSync,
+      data: new TextEncoder().encode(JSON.stringify({ text: 'send me money' })),
+    };
+
+    expect(await bob._ormSyncManager.handleIncoming(tampered, alice.deviceId)).toBeNull();
+    expect(await bob.note.find(note.id)).toBeNull();
+  });
+
+  test('Rejects an entry claiming another device as its author', async () => {
+    const note = await eve.note.create({ text: 'from alice, honest' });
+    const [{ message }] = eve.outbox.filter(m => m.targetDeviceId === bob.deviceId);
+    const forged = { ...message.modelSync, authorDeviceId: alice.deviceUUID };
+
+    expect(await bob._ormSyncManager.handleIncoming(forged, eve.deviceId)).toBeNull();
+    expect(await bob.note.find(note.id)).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+// Unit test: storage usage report and attachment cache eviction
+// Run with: npm run test:unit
+
+import { StorageQuotaManager, estimateSize, MB } from '../../src/v2/lib/storageQuota.js';
+
+// Attachment cache with just what the quota manager uses, oldest access first
+function attachmentCache(sizes) {
+  const entries = Object.entries(sizes).map(([attachmentId, sizeBytes]) => ({ attachmentId, sizeBytes }));
+  return {
+    entries,
+    getUsage: async () => ({ count: entries.length, bytes: entries.reduce((sum, e) => sum + e.sizeBytes, 0) }),
+    getLeastRecentlyUsed: async () => [...entries],
+    delete: async (id) => { entries.splice(entries.findIndex(e => e.attachmentId === id), 1); },
+    clearAll: async () => { entries.length = 0; },
+  };
+}
+
+const cachedIds = (cache) => cache.entries.map(e => e.attachmentId);
+
+// Stand-in for navigator.storage.estimate()
+function withEstimate(usage, quota) {
+  globalThis.navigator = {
+    storage: {
+      estimate: async () => ({ usage, quota }),
+      persisted: async () => true,
+    },
+  };
+}
+
+// Stand-in for localStorage
+function memoryLocalStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+describe('estimateSize', () => {
+  test('Counts bytes of binary data and lengths of strings, through objects', () => {
+    expect(estimateSize(new Uint8Array(10))).toBe(10);
+    expect(estimateSize(new ArrayBuffer(4))).toBe(4);
+    expect(estimateSize('hello')).toBe(5);
+    expect(estimateSize({ id: 'ab', n: 1, ok: true, data: [new Uint8Array(3)] })).toBe(2 + 2 + 1 + 8 + 2 + 1 + 4 + 3);
+    expect(estimateSize(null)).toBe(0);
+  });
+});
+
+describe('StorageQuotaManager', () => {
+  afterEach(() => {
+    delete globalThis.navigator;
+    delete globalThis.localStorage;
+  });
+
+  test('Evicts least recently used attachments down to the cache limit', async () => {
+    const cache = attachmentCache({ old: 3 * MB, older: 3 * MB, recent: 3 * MB });
+    const storage = new StorageQuotaManager({ attachments: cache });
+
+    const evicted = await storage.setLimits({ attachmentCacheBytes: 5 * MB });
+
+    expect(evicted).toEqual({ count: 2, bytes: 6 * MB });
+    expect(cachedIds(cache)).toEqual(['recent']);
+  });
+
+  test('Does nothing within the limits', async () => {
+    const cache = attachmentCache({ a: 1 * MB });
+    const storage = new StorageQuotaManager({ attachments: cache });
+
+    expect(await storage.enforce()).toEqual({ count: 0, bytes: 0 });
+    expect(cachedIds(cache)).toEqual(['a']);
+  });
+
+  test('Makes room when the origin nears its quota', async () => {
+    withEstimate(95 * MB, 100 * MB);
+    const cache = attachmentCache({ a: 10 * MB, b: 10 * MB, c: 10 * MB });
+    const storage = new StorageQuotaManager({ attachments: cache });
+
+    // 80% of the quota: 15 MB over
+    expect(await storage.enforce()).toEqual({ count: 2, bytes: 20 * MB });
+    expect(cachedIds(cache)).toEqual(['c']);
+  });
+
+  test('Never evicts the attachment just cached', async () => {
+    const cache = attachmentCache({ fresh: 4 * MB, old: 4 * MB });
+    const storage = new StorageQuotaManager({ attachments: cache });
+    storage.limits.attachmentCacheBytes = 5 * MB;
+
+    await storage.onAttachmentCached('fresh', true);
+
+    expect(cachedIds(cache)).toEqual(['fresh']);
+  });
+
+  test('A refused write frees the older half of the cache', async () => {
+    const cache = attachmentCache({ a: 2 * MB, b: 2 * MB, c: 2 * MB, d: 2 * MB });
+    const storage = new StorageQuotaManager({ attachments: cache });
+
+    await storage.onAttachmentCached('e', false);
+
+    expect(cachedIds(cache)).toEqual(['c', 'd']);
+  });
+
+  test('Reports usage per store, with the browser estimate', async () => {
+    withEstimate(12 * MB, 100 * MB);
+    const storage = new StorageQuotaManager({
+      attachments: attachmentCache({ a: 2 * MB }),
+      messages: { getUsage: async () => ({ count: 3, bytes: 300 }) },
+      models: () => ({ getUsage: async () => { throw new Error('closed'); } }),
+      search: null,
+    });
+
+    const report = await storage.getReport();
+
+    expect(report).toMatchObject({ usage: 12 * MB, quota: 100 * MB, persisted: true });
+    expect(report.stores).toEqual({
+      attachments: { count: 1, bytes: 2 * MB },
+      messages: { count: 3, bytes: 300 },
+      models: null,
+    });
+  });
+
+  test('Limits are saved per user, without the defaults', async () => {
+    globalThis.localStorage = memoryLocalStorage();
+    const stores = { attachments: attachmentCache({}) };
+
+    await new StorageQuotaManager(stores, { namespace: 'alice' }).setLimits({ attachmentCacheBytes: 50 * MB });
+
+    expect(new StorageQuotaManager(stores, { namespace: 'alice' }).limits.attachmentCacheBytes).toBe(50 * MB);
+    expect(new StorageQuotaManager(stores, { namespace: 'bob' }).limits.attachmentCacheBytes).toBe(500 * MB);
+    expect(JSON.parse(localStorage.getItem('obscura_storage_limits_alice'))).toEqual({ attachmentCacheBytes: 50 * MB });
+  });
+});
@@ -0,0 +1,107 @@
+// Unit test: typing indicators
+// Run with: npm run test:unit
+
+import { createMessagingClient, befriendClients, deliverMessages, eventsOf } from '../helpers/messagingClient.js';
+import { TYPING_RESEND_MS } from '../../src/v2/lib/ObscuraClient.js';
+
+// Group membership as the ORM reports it
+const withGroups = (client, groups) => {
+  client._ormSyncManager = { _getAssociationMembers: async (_model, groupId) => groups[groupId] || [] };
+};
+
+describe('Typing indicators', () => {
+  let alice, bob;
+
+  beforeEach(() => {
+    alice = createMessagingClient('alice');
+    bob = createMessagingClient('bob');
+    befriendClients(alice, bob);
+  });
+
+  test('Typing goes to the friend\'s devices, outside the durable outbox', async () => {
+    expect(await alice.sendTyping({ username: 'bob' })).toBe(true);
+
+    expect(alice.outbox).toHaveLength(1);
+    expect(alice.outbox[0]).toMatchObject({
+      targetDeviceId: bob.deviceId,
+      message: { type: 'TYPING', typing: { active: true, groupId: null } },
+      opts: { durable: false },
+    });
+
+    await deliverMessages(alice, bob);
+    expect(eventsOf(bob, 'typing')).toEqual([
+      { conversationId: 'alice', groupId: null, username: 'alice', active: true },
+    ]);
+  });
+
+  test('"Typing" is resent at most every TYPING_RESEND_MS', async () => {
+    await alice.sendTyping({ username: 'bob' });
+    expect(await alice.sendTyping({ username: 'bob' })).toBe(false);
+    expect(alice.outbox).toHaveLength(1);
+
+    alice._typingSent.get('bob').sentAt -= TYPING_RESEND_MS;
+    expect(await alice.sendTyping({ username: 'bob' })).toBe(true);
+    expect(alice.outbox).toHaveLength(2);
+  });
+
+  test('"Stopped" is only sent after "typing"', async () => {
+    expect(await alice.sendTyping({ username: 'bob' }, false)).toBe(false);
+    expect(alice.outbox).toEqual([]);
+
+    await alice.sendTyping({ username: 'bob' });
+    expect(await alice.sendTyping({ username: 'bob' }, false)).toBe(true);
+    await deliverMessages(alice, bob);
+
+    expect(eventsOf(bob, 'typing').map(e => e.active)).toEqual([true, false]);
+    // Typing again right away is sent
+    expect(await alice.sendTyping({ username: 'bob' })).toBe(true);
+  });
+
+  test('Stale and unknown senders\' typing messages are dropped', async () => {
+    await bob._routeMessage({
+      type: 'TYPING', typing: { active: true }, timestamp: Date.now() - 60000, sourceUserId: alice.deviceId,
+    });
+    await bob._routeMessage({
+      type: 'TYPING', typing: { active: true }, timestamp: Date.now(), sourceUserId: 'device_stranger',
+    });
+
+    expect(eventsOf(bob, 'typing')).toEqual([]);
+  });
+
+  describe('In groups', () => {
+    let carol;
+
+    beforeEach(() => {
+      carol = createMessagingClient('carol');
+      befriendClients(alice, carol);
+      befriendClients(bob, carol);
+      const groups = { group_1: ['alice', 'bob', 'carol'], group_2: ['bob', 'carol'] };
+      for (const client of [alice, bob, carol]) withGroups(client, groups);
+    });
+
+    test('Typing goes to every other member', async () => {
+      await alice.sendTyping({ groupId: 'group_1' });
+
+      expect(alice.outbox.map(m => m.targetDeviceId).sort()).toEqual([bob.deviceId, carol.deviceId].sort());
+      await deliverMessages(alice, bob);
+      expect(eventsOf(bob, 'typing')).toEqual([
+        { conversationId: 'group_1', groupId: 'group_1', username: 'alice', active: true },
+      ]);
+    });
+
+    test('Typing from someone outside the group is dropped', async () => {
+      await bob._routeMessage({
+        type: 'TYPING', typing: { active: true, groupId: 'group_2' }, timestamp: Date.now(), sourceUserId: alice.deviceId,
+      });
+
+      expect(eventsOf(bob, 'typing')).toEqual([]);
+    });
+
+    test('Nothing is sent to a group with no other members', async () => {
+      withGroups(alice, { group_3: ['alice'] });
+
+      expect(await alice.sendTyping({ groupId: 'group_3' })).toBe(false);
+      expect(alice.outbox).toEqual([]);
+    });
+  });
+});
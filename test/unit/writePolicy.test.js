@@ -0,0 +1,132 @@
+// Unit test: writableBy policies on remote entries
+// Run with: npm run test:unit
+
+import { createOrmClient, befriend, deliver } from '../helpers/ormClient.js';
+import { SyncOp } from '../../src/v2/orm/index.js';
+import { Group } from '../../src/v2/models/Group.js';
+import { GroupMessage } from '../../src/v2/models/GroupMessage.js';
+import { Profile } from '../../src/v2/models/Profile.js';
+import { Settings } from '../../src/v2/models/Settings.js';
+
+const schema = () => ({
+  group: Group.toConfig(),
+  groupMessage: { ...GroupMessage.toConfig(), has_many: undefined },
+  profile: Profile.toConfig(),
+  settings: Settings.toConfig(),
+});
+
+// Deliver what `from` queued for `to`; the result of the last message
+const deliverLast = async (from, to) => (await deliver(from, to)).pop();
+
+// A signed entry sent straight to `to` (for writes that are never broadcast)
+async function sendSigned(from, to, model, id, data) {
+  const entry = {
+    id,
+    data,
+    timestamp: from[model].clock.now(),
+    authorDeviceId: from.deviceUUID,
+    signature: new Uint8Array(0),
+  };
+  entry.signature = await from[model]._sign(entry);
+  const modelSync = from._ormSyncManager.toModelSync(from[model], entry, SyncOp.CREATE);
+  return to._ormSyncManager.handleIncoming(modelSync, from.deviceId);
+}
+
+describe('Write policies', () => {
+  let alice, bob, eve;
+
+  beforeEach(async () => {
+    alice = await createOrmClient('alice', schema());
+    bob = await createOrmClient('bob', schema());
+    eve = await createOrmClient('eve', schema());
+    befriend(alice, bob);
+    befriend(alice, eve);
+    befriend(bob, eve);
+  });
+
+  describe("'author'", () => {
+    test('Only the author may change an entry', async () => {
+      await alice.profile.upsert('profile_alice', { displayName: 'Alice' });
+      await deliver(alice, bob);
+      await deliver(alice, eve);
+
+      await eve.profile.upsert('profile_alice', { displayName: 'Not Alice' });
+      expect(await deliverLast(eve, bob)).toBeNull();
+
+      await alice.profile.upsert('profile_alice', { displayName: 'Alice A.' });
+      await deliver(alice, bob);
+      expect((await bob.profile.find('profile_alice')).data.displayName).toBe('Alice A.');
+    });
+  });
+
+  describe("'owner'", () => {
+    test("A friend's write to a private model is rejected", async () => {
+      const data = { theme: 'dark', notificationsEnabled: true };
+
+      expect(await sendSigned(eve, bob, 'settings', 'settings_1', data)).toBeNull();
+      expect(await bob.settings.find('settings_1')).toBeNull();
+    });
+  });
+
+  describe("'groupMembers'", () => {
+    let group;
+
+    beforeEach(async () => {
+      group = await alice.group.create({ name: 'Trip', members: ['alice', 'bob'] });
+      await deliver(alice, bob);
+      await deliver(alice, eve);
+    });
+
+    test('Members may post into the group', async () => {
+      await alice.groupMessage.create({ text: 'hi', groupId: group.id });
+      expect(await deliverLast(alice, bob)).not.toBeNull();
+    });
+
+    test('A non-member may not', async () => {
+      const message = await eve.groupMessage.create({ text: 'let me in', groupId: group.id });
+      expect(await sendSigned(eve, bob, 'groupMessage', message.id, message.data)).toBeNull();
+      expect(await bob.groupMessage.find(message.id)).toBeNull();
+    });
+  });
+
+  describe("'members'", () => {
+    let group;
+
+    beforeEach(async () => {
+      group = await alice.group.create({ name: 'Trip', members: ['alice', 'bob'] });
+      await deliver(alice, bob);
+      await deliver(alice, eve);
+    });
+
+    test('A non-member cannot add themselves', async () => {
+      await eve.group.addTo(group.id, 'members', 'eve');
+
+      expect(await deliverLast(eve, bob)).toBeNull();
+      expect((await bob.group.find(group.id)).data.members).toEqual(['alice', 'bob']);
+
+      // ...so they can't post into it either (eve now targets bob as a member)
+      await eve.groupMessage.create({ text: 'hi', groupId: group.id });
+      expect(await deliverLast(eve, bob)).toBeNull();
+    });
+
+    test('A non-member cannot remove others or rename the group', async () => {
+      await eve.group.removeFrom(group.id, 'members', 'bob');
+      expect(await deliverLast(eve, bob)).toBeNull();
+
+      await eve.group.upsert(group.id, { name: 'Mine', members: ['alice', 'bob'] });
+      expect(await deliverLast(eve, bob)).toBeNull();
+
+      expect((await bob.group.find(group.id)).data).toMatchObject({ name: 'Trip', members: ['alice', 'bob'] });
+    });
+
+    test('Members may add others and leave', async () => {
+      await alice.group.addTo(group.id, 'members', 'eve');
+      expect(await deliverLast(alice, bob)).not.toBeNull();
+      await deliver(alice, eve);
+
+      await eve.group.removeFrom(group.id, 'members', 'eve');
+      expect(await deliverLast(eve, bob)).not.toBeNull();
+      expect((await bob.group.find(group.id)).data.members).toEqual(['alice', 'bob']);
+    });
+  });
+});